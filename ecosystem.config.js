@@ -20,5 +20,26 @@ module.exports = {
       merge_logs: true,
       time: true,
     },
+    {
+      name: 'akhmads-workers',
+      script: './scripts/startWorkers.js',
+      instances: 1,
+      exec_mode: 'fork',
+      autorestart: true,
+      watch: false,
+      max_memory_restart: '1G',
+      kill_timeout: 35000,
+      env: {
+        NODE_ENV: 'development',
+      },
+      env_production: {
+        NODE_ENV: 'production',
+      },
+      error_file: './logs/pm2-workers-error.log',
+      out_file: './logs/pm2-workers-out.log',
+      log_date_format: 'YYYY-MM-DD HH:mm:ss Z',
+      merge_logs: true,
+      time: true,
+    },
   ],
 };
\ No newline at end of file
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "impressions" ADD COLUMN     "bid_cpm" DECIMAL(10,4) NOT NULL DEFAULT 0,
+ADD COLUMN     "clearing_cpm" DECIMAL(10,4) NOT NULL DEFAULT 0;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ads" ADD COLUMN     "pacing_mode" TEXT NOT NULL DEFAULT 'even';
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "impressions" ADD COLUMN     "chat_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "impressions_bot_id_chat_id_message_id_key" ON "impressions"("bot_id", "chat_id", "message_id");
+
+-- AlterTable
+ALTER TABLE "ads" ALTER COLUMN "remaining_budget" SET DATA TYPE DECIMAL(18,6);
+
+-- AlterTable
+ALTER TABLE "bots" ALTER COLUMN "total_earnings" SET DATA TYPE DECIMAL(18,6),
+ALTER COLUMN "pending_earnings" SET DATA TYPE DECIMAL(18,6);
+
+-- AlterTable
+ALTER TABLE "wallets" ALTER COLUMN "available" SET DATA TYPE DECIMAL(18,6),
+ALTER COLUMN "reserved" SET DATA TYPE DECIMAL(18,6),
+ALTER COLUMN "pending" SET DATA TYPE DECIMAL(18,6),
+ALTER COLUMN "total_deposited" SET DATA TYPE DECIMAL(18,6),
+ALTER COLUMN "total_withdrawn" SET DATA TYPE DECIMAL(18,6),
+ALTER COLUMN "total_earned" SET DATA TYPE DECIMAL(18,6),
+ALTER COLUMN "total_spent" SET DATA TYPE DECIMAL(18,6);
+
+-- AlterTable
+ALTER TABLE "ledger_entries" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(18,6),
+ALTER COLUMN "balance" SET DATA TYPE DECIMAL(18,6);
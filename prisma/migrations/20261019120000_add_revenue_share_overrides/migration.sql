@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "platform_fee_percentage" DECIMAL(5,2);
+
+-- AlterTable
+ALTER TABLE "bots" ADD COLUMN     "platform_fee_percentage" DECIMAL(5,2);
+
+-- AlterTable
+-- Existing impressions were split 70/30
+ALTER TABLE "impressions" ADD COLUMN     "platform_fee_percentage" DECIMAL(5,2) NOT NULL DEFAULT 30;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ads" ADD COLUMN     "closed_out_at" TIMESTAMP(3),
+ADD COLUMN     "closeout_report" JSONB;
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "promo_codes" ADD COLUMN     "max_uses_per_user" INTEGER,
+ADD COLUMN     "min_spend" DECIMAL(12,2),
+ADD COLUMN     "first_campaign_only" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "categories" JSONB;
+
+-- CreateTable
+CREATE TABLE "promo_code_redemptions" (
+    "id" TEXT NOT NULL,
+    "promo_code_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "ad_id" TEXT,
+    "code" TEXT NOT NULL,
+    "discount" DECIMAL(12,2) NOT NULL,
+    "released_at" TIMESTAMP(3),
+    "release_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promo_code_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "promo_code_redemptions_promo_code_id_user_id_idx" ON "promo_code_redemptions"("promo_code_id", "user_id");
+
+-- CreateIndex
+CREATE INDEX "promo_code_redemptions_ad_id_idx" ON "promo_code_redemptions"("ad_id");
+
+-- AddForeignKey
+ALTER TABLE "promo_code_redemptions" ADD CONSTRAINT "promo_code_redemptions_promo_code_id_fkey" FOREIGN KEY ("promo_code_id") REFERENCES "promo_codes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promo_code_redemptions" ADD CONSTRAINT "promo_code_redemptions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promo_code_redemptions" ADD CONSTRAINT "promo_code_redemptions_ad_id_fkey" FOREIGN KEY ("ad_id") REFERENCES "ads"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "ads" ADD COLUMN     "variant_strategy" TEXT NOT NULL DEFAULT 'even',
+ADD COLUMN     "winner_variant_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "impressions" ADD COLUMN     "variant_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "click_events" ADD COLUMN     "variant_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "ad_variants" (
+    "id" TEXT NOT NULL,
+    "ad_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "html_content" TEXT,
+    "markdown_content" TEXT,
+    "media_url" TEXT,
+    "media_type" TEXT,
+    "buttons" JSONB,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "impressions" INTEGER NOT NULL DEFAULT 0,
+    "clicks" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ad_variants_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ad_variants_ad_id_idx" ON "ad_variants"("ad_id");
+
+-- CreateIndex
+CREATE INDEX "impressions_ad_id_variant_id_idx" ON "impressions"("ad_id", "variant_id");
+
+-- AddForeignKey
+ALTER TABLE "ad_variants" ADD CONSTRAINT "ad_variants_ad_id_fkey" FOREIGN KEY ("ad_id") REFERENCES "ads"("id") ON DELETE CASCADE ON UPDATE CASCADE;
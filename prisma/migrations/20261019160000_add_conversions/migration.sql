@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "ads" ADD COLUMN     "conversion_value" DECIMAL(14,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "click_events" ADD COLUMN     "click_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "ad_variants" ADD COLUMN     "conversions" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "conversions" (
+    "id" TEXT NOT NULL,
+    "click_event_id" TEXT NOT NULL,
+    "ad_id" TEXT NOT NULL,
+    "bot_id" TEXT NOT NULL,
+    "variant_id" TEXT,
+    "event" TEXT NOT NULL DEFAULT 'conversion',
+    "value" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "transaction_id" TEXT,
+    "dedupe_key" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "ip_address" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "conversions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "click_events_click_id_key" ON "click_events"("click_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "conversions_dedupe_key_key" ON "conversions"("dedupe_key");
+
+-- CreateIndex
+CREATE INDEX "conversions_ad_id_created_at_idx" ON "conversions"("ad_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "conversions_ad_id_bot_id_idx" ON "conversions"("ad_id", "bot_id");
+
+-- AddForeignKey
+ALTER TABLE "conversions" ADD CONSTRAINT "conversions_click_event_id_fkey" FOREIGN KEY ("click_event_id") REFERENCES "click_events"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversions" ADD CONSTRAINT "conversions_ad_id_fkey" FOREIGN KEY ("ad_id") REFERENCES "ads"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversions" ADD CONSTRAINT "conversions_bot_id_fkey" FOREIGN KEY ("bot_id") REFERENCES "bots"("id") ON DELETE CASCADE ON UPDATE CASCADE;
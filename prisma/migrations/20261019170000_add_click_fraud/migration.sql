@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "click_events" ADD COLUMN     "is_valid" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "fraud_score" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "fraud_reasons" JSONB;
+
+-- CreateIndex
+CREATE INDEX "click_events_ad_id_ip_address_created_at_idx" ON "click_events"("ad_id", "ip_address", "created_at");
+
+-- CreateIndex
+CREATE INDEX "click_events_bot_id_is_valid_created_at_idx" ON "click_events"("bot_id", "is_valid", "created_at");
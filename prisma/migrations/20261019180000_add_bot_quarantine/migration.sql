@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "BotStatus" ADD VALUE 'QUARANTINED';
+
+-- AlterTable
+ALTER TABLE "bots" ADD COLUMN     "fraud_score" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "fraud_reasons" JSONB,
+ADD COLUMN     "quarantined_at" TIMESTAMP(3),
+ADD COLUMN     "fraud_reviewed_at" TIMESTAMP(3),
+ADD COLUMN     "fraud_reviewed_by" TEXT;
@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "EarningsHoldStatus" AS ENUM ('PENDING', 'RELEASED', 'CLAWED_BACK');
+
+-- AlterEnum
+ALTER TYPE "LedgerType" ADD VALUE 'EARNINGS_PENDING';
+ALTER TYPE "LedgerType" ADD VALUE 'EARNINGS_RELEASE';
+ALTER TYPE "LedgerType" ADD VALUE 'EARNINGS_CLAWBACK';
+
+-- CreateTable
+CREATE TABLE "earnings_holds" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "bot_id" TEXT,
+    "hold_date" DATE NOT NULL,
+    "amount" DECIMAL(18,6) NOT NULL DEFAULT 0,
+    "release_at" TIMESTAMP(3) NOT NULL,
+    "status" "EarningsHoldStatus" NOT NULL DEFAULT 'PENDING',
+    "released_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "earnings_holds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "earnings_holds_bot_id_hold_date_status_idx" ON "earnings_holds"("bot_id", "hold_date", "status");
+
+-- CreateIndex
+CREATE INDEX "earnings_holds_status_release_at_idx" ON "earnings_holds"("status", "release_at");
+
+-- CreateIndex
+CREATE INDEX "earnings_holds_user_id_status_idx" ON "earnings_holds"("user_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "earnings_holds" ADD CONSTRAINT "earnings_holds_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "earnings_holds" ADD CONSTRAINT "earnings_holds_bot_id_fkey" FOREIGN KEY ("bot_id") REFERENCES "bots"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Earnings recorded before the hold period were credited to available already;
+-- pending_earnings now tracks earnings that are still on hold
+UPDATE "bots" SET "pending_earnings" = 0;
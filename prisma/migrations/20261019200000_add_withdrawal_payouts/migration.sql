@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "withdraw_requests" ADD COLUMN     "payout_provider" TEXT,
+ADD COLUMN     "payout_id" TEXT,
+ADD COLUMN     "payout_status" TEXT,
+ADD COLUMN     "payout_attempts" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "withdraw_requests_payout_id_key" ON "withdraw_requests"("payout_id");
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "withdraw_requests" ADD COLUMN     "risk_flags" JSONB;
+
+-- CreateTable
+CREATE TABLE "withdrawal_approvals" (
+    "id" TEXT NOT NULL,
+    "withdrawal_id" TEXT NOT NULL,
+    "admin_id" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "withdrawal_approvals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "withdrawal_approvals_withdrawal_id_admin_id_key" ON "withdrawal_approvals"("withdrawal_id", "admin_id");
+
+-- AddForeignKey
+ALTER TABLE "withdrawal_approvals" ADD CONSTRAINT "withdrawal_approvals_withdrawal_id_fkey" FOREIGN KEY ("withdrawal_id") REFERENCES "withdraw_requests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "withdrawal_approvals" ADD CONSTRAINT "withdrawal_approvals_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
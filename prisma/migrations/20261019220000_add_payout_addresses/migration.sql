@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "PayoutAddressStatus" AS ENUM ('PENDING_CONFIRMATION', 'CONFIRMED');
+
+-- AlterTable
+ALTER TABLE "withdraw_requests" ADD COLUMN     "payout_address_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "payout_addresses" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "network" "CryptoNetwork" NOT NULL,
+    "address" TEXT NOT NULL,
+    "label" TEXT,
+    "status" "PayoutAddressStatus" NOT NULL DEFAULT 'PENDING_CONFIRMATION',
+    "confirmed_at" TIMESTAMP(3),
+    "available_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payout_addresses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payout_addresses_user_id_status_idx" ON "payout_addresses"("user_id", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payout_addresses_user_id_network_address_key" ON "payout_addresses"("user_id", "network", "address");
+
+-- AddForeignKey
+ALTER TABLE "withdraw_requests" ADD CONSTRAINT "withdraw_requests_payout_address_id_fkey" FOREIGN KEY ("payout_address_id") REFERENCES "payout_addresses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payout_addresses" ADD CONSTRAINT "payout_addresses_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "BotDeliveryMode" AS ENUM ('SEND_POST', 'FETCH');
+
+-- AlterTable
+ALTER TABLE "bots" ADD COLUMN     "delivery_mode" "BotDeliveryMode" NOT NULL DEFAULT 'SEND_POST',
+ALTER COLUMN "token_encrypted" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "impressions" ADD COLUMN     "fetch_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "impressions_fetch_id_key" ON "impressions"("fetch_id");
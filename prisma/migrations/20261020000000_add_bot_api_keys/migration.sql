@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "BotApiKeyScope" AS ENUM ('SEND_ADS', 'READ_STATS');
+
+-- CreateTable
+CREATE TABLE "bot_api_keys" (
+    "id" TEXT NOT NULL,
+    "bot_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "key_hash" TEXT NOT NULL,
+    "key_preview" TEXT NOT NULL,
+    "scopes" "BotApiKeyScope"[],
+    "allowed_ips" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "expires_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "last_used_at" TIMESTAMP(3),
+    "last_used_ip" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bot_api_keys_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bot_api_keys_key_hash_key" ON "bot_api_keys"("key_hash");
+
+-- CreateIndex
+CREATE INDEX "bot_api_keys_bot_id_idx" ON "bot_api_keys"("bot_id");
+
+-- AddForeignKey
+ALTER TABLE "bot_api_keys" ADD CONSTRAINT "bot_api_keys_bot_id_fkey" FOREIGN KEY ("bot_id") REFERENCES "bots"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing keys keep working: each bot's current key becomes its "Default" key with every scope
+INSERT INTO "bot_api_keys" ("id", "bot_id", "name", "key_hash", "key_preview", "scopes", "revoked_at", "last_used_at", "created_at", "updated_at")
+SELECT
+    'bak_' || md5("id" || "api_key_hash"),
+    "id",
+    'Default',
+    "api_key_hash",
+    right("api_key", 6),
+    ARRAY['SEND_ADS', 'READ_STATS']::"BotApiKeyScope"[],
+    CASE WHEN "api_key_revoked" THEN CURRENT_TIMESTAMP END,
+    "api_key_last_used",
+    "created_at",
+    CURRENT_TIMESTAMP
+FROM "bots"
+WHERE "api_key_hash" NOT LIKE 'temp\_%';
@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "withdrawal_approvals_withdrawal_id_admin_id_key";
+
+-- AlterTable
+ALTER TABLE "withdrawal_approvals" ADD COLUMN     "round" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "withdrawal_approvals_withdrawal_id_admin_id_round_key" ON "withdrawal_approvals"("withdrawal_id", "admin_id", "round");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "postback_secret_encrypted" TEXT;
+
+-- AlterTable
+ALTER TABLE "conversions" ADD COLUMN "is_valid" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "bots" ADD COLUMN "fraud_scanned_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "bots_fraud_scanned_at_idx" ON "bots"("fraud_scanned_at");
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "ad_fetch_claims" (
+    "fetch_id" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ad_fetch_claims_pkey" PRIMARY KEY ("fetch_id")
+);
+
+-- CreateIndex
+CREATE INDEX "ad_fetch_claims_expires_at_idx" ON "ad_fetch_claims"("expires_at");
@@ -0,0 +1,124 @@
+// scripts/benchmarkSendPost.js
+import 'dotenv/config';
+import { performance } from 'perf_hooks';
+import prisma from '../src/config/database.js';
+import { connectRedis, disconnectRedis } from '../src/config/redis.js';
+import distributionService from '../src/services/distribution/distributionService.js';
+
+/**
+ * SendPost throughput benchmark
+ *
+ * Selection only (default) — runs the SendPost hot path (bot lookup, throttles, ad index,
+ * frequency caps, auction) in-process, without sending anything to Telegram:
+ *   node scripts/benchmarkSendPost.js --bot <botId> [--requests 5000] [--concurrency 50]
+ *
+ * HTTP — calls POST /api/ad/SendPost on a running server. This DELIVERS real ads, so only use
+ * a test bot and chat ids you own; the bot API rate limiter applies:
+ *   node scripts/benchmarkSendPost.js --http --url http://localhost:3000 --key <apiKey> --chat <chatId>
+ */
+
+const args = process.argv.slice(2);
+const option = (name, fallback = null) => {
+  const i = args.indexOf(`--${name}`);
+  return i !== -1 && args[i + 1] ? args[i + 1] : fallback;
+};
+
+const config = {
+  http: args.includes('--http'),
+  botId: option('bot'),
+  url: option('url', `http://localhost:${process.env.PORT || 3000}`),
+  apiKey: option('key'),
+  chatId: option('chat'),
+  requests: parseInt(option('requests', '5000'), 10),
+  concurrency: parseInt(option('concurrency', '50'), 10),
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+
+/**
+ * One SendPost call, returns the result label
+ */
+async function selectOnce(i) {
+  // Distinct users, so per-user throttles do not short-circuit the selection
+  const telegramUserId = String(1_000_000_000 + i);
+  const auction = await distributionService.selectAdForUser(config.botId, telegramUserId, 'uz');
+  return auction ? 'selected' : 'none';
+}
+
+async function httpOnce() {
+  const res = await fetch(`${config.url}/api/ad/SendPost`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${config.apiKey}`,
+    },
+    body: JSON.stringify({ SendToChatId: parseInt(config.chatId, 10), LanguageCode: 'uz' }),
+  });
+
+  if (!res.ok) return `http_${res.status}`;
+  const body = await res.json();
+  return `result_${body.SendPostResult}`;
+}
+
+async function run() {
+  if (config.http ? !config.apiKey || !config.chatId : !config.botId) {
+    console.error('Usage: see the header of scripts/benchmarkSendPost.js');
+    process.exit(1);
+  }
+
+  if (!config.http) {
+    await connectRedis();
+  }
+
+  const call = config.http ? httpOnce : selectOnce;
+  const latencies = [];
+  const results = {};
+  let next = 0;
+
+  const worker = async () => {
+    while (next < config.requests) {
+      const i = next++;
+      const start = performance.now();
+      let label;
+      try {
+        label = await call(i);
+      } catch (error) {
+        label = `error_${error.code || error.message}`;
+      }
+      latencies.push(performance.now() - start);
+      results[label] = (results[label] || 0) + 1;
+    }
+  };
+
+  // Warm-up: builds the ad index and bot cache
+  if (!config.http) await call(-1);
+
+  const startedAt = performance.now();
+  await Promise.all(Array.from({ length: config.concurrency }, worker));
+  const elapsedMs = performance.now() - startedAt;
+
+  latencies.sort((a, b) => a - b);
+
+  console.log(`Mode:        ${config.http ? `HTTP ${config.url}` : 'selection (in-process)'}`);
+  console.log(`Requests:    ${config.requests} (concurrency ${config.concurrency})`);
+  console.log(`Elapsed:     ${(elapsedMs / 1000).toFixed(2)}s`);
+  console.log(`Throughput:  ${(config.requests / (elapsedMs / 1000)).toFixed(1)} req/s`);
+  console.log(
+    `Latency ms:  p50=${percentile(latencies, 50).toFixed(2)} ` +
+    `p95=${percentile(latencies, 95).toFixed(2)} p99=${percentile(latencies, 99).toFixed(2)} ` +
+    `max=${latencies[latencies.length - 1].toFixed(2)}`
+  );
+  console.log('Results:    ', results);
+}
+
+run()
+  .catch((error) => {
+    console.error('Benchmark failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    if (!config.http) {
+      await disconnectRedis();
+      await prisma.$disconnect();
+    }
+  });
@@ -0,0 +1,75 @@
+import 'dotenv/config';
+import prisma from '../src/config/database.js';
+import { connectRedis, disconnectRedis } from '../src/config/redis.js';
+import { closeQueues } from '../src/config/queue.js';
+import telegramBot from '../src/config/telegram.js';
+import { startWorkers, stopWorkers } from '../src/jobs/workers.js';
+import { registerStatsSchedules } from '../src/jobs/schedulers/statsScheduler.js';
+import { registerDistributionSchedules } from '../src/jobs/schedulers/distributionScheduler.js';
+import { registerCleanupSchedules } from '../src/jobs/schedulers/cleanupScheduler.js';
+import { registerWebhookSchedules } from '../src/jobs/schedulers/webhookScheduler.js';
+import { registerPayoutSchedules } from '../src/jobs/schedulers/payoutScheduler.js';
+import logger from '../src/utils/logger.js';
+
+/**
+ * Background job workers
+ * Run separately from the API: npm run workers
+ */
+
+let workers = [];
+
+async function start() {
+  logger.info('🚀 Starting AKHMADS.NET workers...');
+
+  await prisma.$connect();
+  logger.info('✅ Database connected');
+
+  // Services still use the node-redis client (rate limits, caches)
+  await connectRedis();
+
+  // API client only — polling stays in the API process
+  try {
+    telegramBot.getInstance();
+  } catch (error) {
+    logger.warn('⚠️ Telegram bot unavailable, Telegram notifications will fail:', error.message);
+  }
+
+  workers = startWorkers();
+
+  await registerStatsSchedules();
+  await registerDistributionSchedules();
+  await registerCleanupSchedules();
+  await registerWebhookSchedules();
+  await registerPayoutSchedules();
+  logger.info('✅ Job schedules registered');
+}
+
+async function shutdown(signal) {
+  logger.info(`${signal} received. Stopping workers...`);
+
+  // Force exit if active jobs do not finish in time
+  setTimeout(() => {
+    logger.error('⚠️ Forced worker shutdown after timeout');
+    process.exit(1);
+  }, 30000).unref();
+
+  try {
+    await stopWorkers(workers);
+    await closeQueues();
+    await prisma.$disconnect();
+    await disconnectRedis();
+    logger.info('✅ Workers stopped');
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Error during worker shutdown:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch((error) => {
+  logger.error('❌ Failed to start workers:', error);
+  process.exit(1);
+});
@@ -1,6 +1,7 @@
 import app from './src/app.js';
 import prisma from './src/config/database.js';
 import { connectRedis, disconnectRedis } from './src/config/redis.js';
+import { closeQueues } from './src/config/queue.js';
 import telegramBotService from './src/services/telegram/telegramBotService.js';
 import storageClient from './src/config/s3.js';
 import { initCronJobs } from './src/jobs/cronJobs.js';
@@ -120,6 +121,9 @@ async function gracefulShutdown(signal) {
           logger.warn('Telegram bot stop error:', error.message);
         }
 
+        // Close job queue producers
+        await closeQueues();
+
         // Disconnect database
         await prisma.$disconnect();
         logger.info('Database disconnected');
@@ -125,6 +125,7 @@ app.get('/', (req, res) => {
       api: '/api/v1',
       docs: '/api/docs',
       botApi: '/api/ad/SendPost',
+      openapi: '/api/openapi.json',
     },
     timestamp: new Date().toISOString(),
   });
@@ -159,9 +160,27 @@ app.get('/api/docs', (req, res) => {
         'GET /api/v1/bots/:id': 'Get bot details',
         'PUT /api/v1/bots/:id': 'Update bot settings',
         'DELETE /api/v1/bots/:id': 'Delete bot',
+        'GET /api/v1/bots/:id/api-keys': 'List bot API keys',
+        'POST /api/v1/bots/:id/api-keys': 'Create scoped bot API key',
+        'POST /api/v1/bots/:id/api-keys/:keyId/rotate': 'Rotate key with grace period',
+        'DELETE /api/v1/bots/:id/api-keys/:keyId': 'Revoke key',
+      },
+      webhooks: {
+        'GET /api/v1/integrations/webhooks': 'List webhook endpoints',
+        'POST /api/v1/integrations/webhooks': 'Register HTTPS endpoint for events',
+        'PATCH /api/v1/integrations/webhooks/:id': 'Update endpoint',
+        'DELETE /api/v1/integrations/webhooks/:id': 'Delete endpoint',
+        'POST /api/v1/integrations/webhooks/:id/test': 'Send test event',
+        'GET /api/v1/integrations/webhooks/:id/deliveries': 'Delivery log',
+        'POST /api/v1/integrations/webhooks/deliveries/:deliveryId/replay': 'Replay delivery',
       },
       botApi: {
         'POST /api/ad/SendPost': 'Get ad for user (requires bot API key)',
+        'POST /api/ad/SendPostBatch': 'SendPost for many chats at once (requires bot API key)',
+        'POST /api/v2/ad/Fetch': 'Get ad creative for the bot to send itself (requires bot API key)',
+        'POST /api/v2/ad/Confirm': 'Confirm a fetched ad was sent (requires bot API key)',
+        'GET /api/bot/Stats': 'Daily stats of the bot (requires READ_STATS key scope)',
+        'GET /api/openapi.json': 'OpenAPI document of the Bot API',
       },
     },
     documentation: 'https://docs.akhmads.net',
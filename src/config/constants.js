@@ -104,6 +104,11 @@ export const AD_STATUS = {
   ARCHIVED: 'ARCHIVED',
 };
 
+export const PROMO_CODE_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+};
+
 export const BOT_STATUS = {
   PENDING: 'PENDING',
   ACTIVE: 'ACTIVE',
@@ -124,6 +129,16 @@ export const LIMITS = {
   MAX_AD_TEXT_LENGTH: 4096,
   MIN_BOT_FREQUENCY_MINUTES: 1,
   MAX_BOT_FREQUENCY_MINUTES: 1440, // 24 hours
+  MAX_FREQUENCY_CAP: 100, // impressions per user per period
+  MAX_GEO_TARGETS: 50, // countries or cities per include / exclude list
+};
+
+// Per user per ad frequency cap periods (targeting.frequency + targeting.frequencyCap)
+export const FREQUENCY_PERIODS = {
+  UNIQUE: 'unique', // lifetime of the ad
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
 };
 
 // Anti-abuse: minimum gap enforced regardless of bot's frequencyMinutes setting
@@ -131,6 +146,273 @@ export const MINIMUM_FREQUENCY_MINUTES = 5;
 // Anti-abuse: max impressions one bot can record in 1 hour
 export const MAX_IMPRESSIONS_PER_BOT_HOUR = 500;
 
+// Geo targeting (targeting.countries / targeting.cities = { include: [], exclude: [] })
+export const GEO_TARGETING = {
+  COUNTRY_MULTIPLIER: 1.15, // include list of countries
+  CITY_MULTIPLIER: 1.25, // include list of cities
+  LOCATION_CACHE_TTL: 60 * 60, // seconds a user's last known location is cached
+  OPTIONS_LIMIT: 100, // countries / cities listed in targeting options
+};
+
+// Eligible-ad index (SendPost hot path)
+export const AD_INDEX = {
+  TTL_MS: 15 * 1000, // full rebuild interval — picks up budget/impression changes from other processes
+  BOT_TTL_MS: 60 * 1000,
+  VERSION_CHECK_MS: 1000, // how often the Redis invalidation versions are polled
+};
+
+// Second-price auction run on every SendPost call
+export const AUCTION = {
+  PRICE_INCREMENT: 0.01, // USD added to the runner-up CPM
+  CTR_PRIOR: 0.01, // 1% CTR assumed for ads without history
+  CTR_PRIOR_WEIGHT: 1000, // impressions the prior is worth
+  MIN_QUALITY_SCORE: 0.5,
+  MAX_QUALITY_SCORE: 2,
+};
+
+// Budget pacing for ads with a schedule window
+export const PACING_MODES = {
+  EVEN: 'even', // spend linearly over the window
+  FRONT_LOADED: 'front_loaded', // spend more early, taper towards the end
+  ACCELERATED: 'accelerated', // no throttling, serve as fast as possible
+};
+
+// Share of the total budget an ad may run ahead of its curve
+export const PACING_TOLERANCE = 0.02;
+
+// Dayparting (Ad.scheduleActiveDays / scheduleActiveHours in Ad.scheduleTimezone)
+export const SCHEDULE = {
+  DEFAULT_TIMEZONE: 'Asia/Tashkent',
+  PREVIEW_DAYS: 14, // how far ahead the window preview looks
+  PREVIEW_STEP_MINUTES: 15, // covers timezones with :30 / :45 offsets
+  MAX_PREVIEW_WINDOWS: 50,
+};
+
+// A/B creative variants
+export const VARIANT_STRATEGIES = {
+  EVEN: 'even',
+  AUTO_WINNER: 'auto_winner',
+};
+
+export const AB_TEST = {
+  MAX_VARIANTS: 5,
+  MIN_IMPRESSIONS_PER_VARIANT: 1000, // before a winner can be declared
+  CONFIDENCE_Z: 1.96, // two-proportion z-test on CTR, ~95%
+  EVALUATE_EVERY: 100, // impressions of the ad between winner checks
+};
+
+// Conversion tracking (postback / pixel)
+export const CONVERSIONS = {
+  CLICK_ID_PARAM: 'akh_click_id', // query parameter appended to the destination URL
+  ATTRIBUTION_WINDOW_DAYS: 30, // after the click
+  MAX_VALUE: 1000000, // USD per conversion
+  DEFAULT_EVENT: 'conversion',
+  SECRET_HEADER: 'X-Postback-Secret', // or the `secret` parameter of the postback
+  SOURCES: {
+    POSTBACK: 'postback',
+    PIXEL: 'pixel',
+  },
+};
+
+// Click fraud scoring on /t/:token — a click is invalid once its score reaches THRESHOLD
+export const CLICK_FRAUD = {
+  THRESHOLD: 50,
+  DUPLICATE_WINDOW_MINUTES: 60, // same ad, same IP or Telegram user
+  MAX_CLICKS_PER_IP: 3, // per ad within the duplicate window (shared NAT / mobile carriers)
+  MIN_SECONDS_AFTER_SEND: 2, // faster than a human can read the post
+  SIGNALS: {
+    DUPLICATE_USER: 60,
+    DUPLICATE_IP: 50,
+    DATACENTER_IP: 60,
+    BOT_USER_AGENT: 80,
+    MISSING_USER_AGENT: 40,
+    NO_IMPRESSION: 50,
+    TOO_FAST: 50,
+  },
+};
+
+// Impression fraud: per-bot anomaly scan, bots scoring THRESHOLD or more are quarantined
+export const BOT_FRAUD = {
+  THRESHOLD: 60,
+  WINDOW_HOURS: 24,
+  MIN_IMPRESSIONS: 200, // bots with less traffic in the window are not judged
+  NEW_USER_RATIO: 0.8, // share of users in the window the bot had never seen before
+  MIN_BOT_AGE_DAYS: 7, // new bots legitimately only have new users
+  MEMBER_RATIO: 2, // impressions in the window per member
+  JUMP_FACTOR: 3, // impressions in the window vs the previous 7-day daily average
+  TIMING_SAMPLE: 200, // latest impressions used for the timing check
+  UNIFORM_TIMING_CV: 0.15, // gaps between impressions: stddev / mean (real traffic is ~1)
+  MIN_IMPRESSIONS_FOR_CTR: 1000,
+  MIN_CTR: 0.0005, // 0.05%
+  BLOCKED_RATE: 0.3, // USER_BLOCKED_BOT / send attempts
+  REVIEW_GRACE_HOURS: 72, // released bots are not re-quarantined on the same traffic
+  SCAN_BATCH_SIZE: 200,
+  SIGNALS: {
+    NEW_USERS: 40,
+    MEMBER_RATIO_JUMP: 40,
+    UNIFORM_TIMING: 50,
+    LOW_CTR: 20,
+    HIGH_BLOCK_RATE: 30,
+  },
+};
+
+// Bot owner earnings sit in Wallet.pending for the hold period before they become withdrawable
+export const EARNINGS_HOLD = {
+  SETTING_KEY: 'earnings_hold_days',
+  MAX_DAYS: 90,
+  RELEASE_BATCH_SIZE: 500,
+  STATUSES: {
+    PENDING: 'PENDING',
+    RELEASED: 'RELEASED',
+    CLAWED_BACK: 'CLAWED_BACK',
+  },
+};
+
+// Why an ad was closed out (refund of remainingBudget + final report)
+export const CLOSEOUT_REASONS = {
+  COMPLETED: 'completed', // target impressions or budget reached
+  SCHEDULE_ENDED: 'schedule_ended',
+  STOPPED: 'stopped', // advertiser stopped it manually
+  DELETED: 'deleted',
+};
+
+// Background jobs (BullMQ)
+export const QUEUE_NAMES = {
+  DISTRIBUTION: 'distribution',
+  ANALYTICS: 'analytics',
+  NOTIFICATION: 'notification',
+  WITHDRAWAL: 'withdrawal',
+  WEBHOOK: 'webhook',
+  DEAD_LETTER: 'dead-letter',
+};
+
+export const JOB_NAMES = {
+  DELIVER_AD: 'deliverAd',
+  TRACK_IMPRESSION: 'trackImpression',
+  AGGREGATE_STATS: 'aggregateStats',
+  SEND_NOTIFICATION: 'sendNotification',
+  PROCESS_WITHDRAWAL: 'processWithdrawal',
+  ACTIVATE_SCHEDULED_ADS: 'activateScheduledAds',
+  CLOSEOUT_FINISHED_ADS: 'closeoutFinishedAds',
+  CLOSEOUT_AD: 'closeoutAd',
+  RECONCILE_IMPRESSIONS: 'reconcileImpressions',
+  SCAN_BOT_FRAUD: 'scanBotFraud',
+  RELEASE_EARNINGS: 'releaseEarnings',
+  CLEANUP_JOBS: 'cleanupJobs',
+  DELIVER_WEBHOOK: 'deliverWebhook',
+  DISPATCH_WEBHOOKS: 'dispatchWebhooks',
+  POLL_PAYOUTS: 'pollPayouts',
+};
+
+export const NOTIFICATION_TYPES = {
+  AD_APPROVED: 'AD_APPROVED',
+  AD_REJECTED: 'AD_REJECTED',
+  AD_COMPLETED: 'AD_COMPLETED',
+  BOT_APPROVED: 'BOT_APPROVED',
+  WITHDRAWAL_COMPLETE: 'WITHDRAWAL_COMPLETE',
+  TELEGRAM_MESSAGE: 'TELEGRAM_MESSAGE',
+};
+
+export const WITHDRAWAL_EVENTS = {
+  REQUESTED: 'REQUESTED',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  PAYOUT: 'PAYOUT', // submit the automated payout
+  PAYOUT_FAILED: 'PAYOUT_FAILED',
+};
+
+// USDT withdrawal networks (CryptoNetwork enum values)
+export const WITHDRAWAL_NETWORKS = {
+  BEP20: {
+    label: 'BEP-20 (BSC)',
+    addressPattern: /^0x[a-fA-F0-9]{40}$/,
+    payoutCurrency: 'usdtbsc', // NOWPayments currency code
+    explorerTxUrl: 'https://bscscan.com/tx/',
+  },
+  TRC20: {
+    label: 'TRC-20 (Tron)',
+    addressPattern: /^T[1-9A-HJ-NP-Za-km-z]{33}$/,
+    payoutCurrency: 'usdttrc20',
+    explorerTxUrl: 'https://tronscan.org/#/transaction/',
+  },
+  TON: {
+    label: 'TON',
+    addressPattern: /^(?:[EU]Q[A-Za-z0-9_-]{46}|-?\d:[a-fA-F0-9]{64})$/,
+    payoutCurrency: 'usdtton',
+    explorerTxUrl: 'https://tonviewer.com/transaction/',
+  },
+};
+
+// Rules checked on every withdrawal request; any hit → PENDING_REVIEW, approved by two admins.
+// Thresholds are platform settings (withdrawal_review_threshold_usd, withdrawal_min_account_age_days).
+export const WITHDRAWAL_RISK = {
+  REQUIRED_APPROVALS: 2,
+  RULES: {
+    NEW_ADDRESS: 'NEW_ADDRESS', // no completed withdrawal to this address yet
+    LARGE_AMOUNT: 'LARGE_AMOUNT',
+    NEW_ACCOUNT: 'NEW_ACCOUNT',
+    QUARANTINED_BOT: 'QUARANTINED_BOT', // user owns a bot under impression fraud review
+    SHARED_ADDRESS: 'SHARED_ADDRESS', // address used by another user
+  },
+};
+
+// Saved payout addresses: confirmed from the login bot, usable after the cooldown
+export const PAYOUT_ADDRESS = {
+  SETTING_KEY: 'payout_address_cooldown_hours',
+  MIN_COOLDOWN_HOURS: 24,
+  MAX_COOLDOWN_HOURS: 48,
+  MAX_PER_USER: 10,
+  STATUSES: {
+    PENDING_CONFIRMATION: 'PENDING_CONFIRMATION',
+    CONFIRMED: 'CONFIRMED',
+  },
+};
+
+// Automated payouts (PAYOUT_PROVIDER env: nowpayments | mock, unset = admins send USDT by hand)
+export const PAYOUT_PROVIDERS = {
+  NOWPAYMENTS: 'nowpayments',
+  MOCK: 'mock',
+};
+
+// Provider statuses are normalized to these
+export const PAYOUT_RESULTS = {
+  PENDING: 'PENDING',
+  FINISHED: 'FINISHED',
+  FAILED: 'FAILED',
+};
+
+// A payout request without a definite answer (timeout, connection reset, 5xx) may have been
+// accepted: the withdrawal stays SENT with UNKNOWN_STATUS until the IPN or the status poll settles it
+export const PAYOUT_SUBMIT = {
+  TIMEOUT_MS: 30000,
+  UNKNOWN_STATUS: 'UNKNOWN',
+  POLL_BATCH: 50,
+  NOT_FOUND_FAIL_AFTER_MS: 60 * 60 * 1000, // provider has no such payout an hour later → it never arrived
+};
+
+export const JOB_RETRY = {
+  ATTEMPTS: 5,
+  BACKOFF_DELAY_MS: 2000, // exponential: 2s, 4s, 8s, 16s
+  KEEP_COMPLETED: 1000, // jobs kept per queue for inspection
+  KEEP_FAILED: 5000,
+  DEAD_LETTER_TTL_DAYS: 30,
+};
+
+// Impression accounting drift check
+export const RECONCILIATION = {
+  TOLERANCE: 0.000001, // USD, below the 6-decimal storage precision
+  BATCH_SIZE: 500,
+};
+
+// Jobs processed in parallel by one worker process
+export const WORKER_CONCURRENCY = {
+  distribution: 5,
+  analytics: 10,
+  notification: 5,
+  withdrawal: 1,
+  webhook: 5,
+};
+
 export const RATE_LIMITS = {
   AUTH: {
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -144,10 +426,61 @@ export const RATE_LIMITS = {
     windowMs: 60 * 1000, // 1 minute
     max: 60, // 60 requests
   },
-  BOT_API: {
-    windowMs: 60 * 1000, // 1 minute
-    max: 30, // 30 ads per minute per bot
+};
+
+// Bot API quota per bot, scaled by the audience synced from BotStat (Bot.activeMembers).
+// Every chat counts: a SendPostBatch of 50 chats uses 50 of the window.
+export const BOT_API_QUOTAS = {
+  WINDOW_MS: 60 * 1000, // 1 minute
+  TIERS: [
+    { minActiveMembers: 100000, max: 1800 },
+    { minActiveMembers: 10000, max: 600 },
+    { minActiveMembers: 1000, max: 120 },
+    { minActiveMembers: 0, max: 30 },
+  ],
+};
+
+export const BOT_API_BATCH = {
+  MAX_CHATS: 100,
+  SENDS_PER_SECOND: 25, // Telegram allows ~30 messages per second per bot
+  MAX_RETRY_AFTER_SECONDS: 5, // longer 429 waits end the batch instead of holding the request
+};
+
+// Named, scoped bot API keys (BotApiKey)
+export const BOT_API_KEYS = {
+  SCOPES: {
+    SEND_ADS: 'SEND_ADS',
+    READ_STATS: 'READ_STATS',
+  },
+  MAX_PER_BOT: 10,
+  MAX_ALLOWED_IPS: 20,
+  DEFAULT_GRACE_HOURS: 24, // a rotated key keeps working this long
+  MAX_GRACE_HOURS: 7 * 24,
+  LAST_USED_RESOLUTION_MS: 5 * 60 * 1000, // lastUsedAt is written at most this often per key
+};
+
+// Outgoing webhooks (WebhookEndpoint / WebhookDelivery)
+export const WEBHOOKS = {
+  EVENTS: {
+    AD_APPROVED: 'ad.approved',
+    AD_REJECTED: 'ad.rejected',
+    AD_COMPLETED: 'ad.completed',
+    AD_BUDGET_LOW: 'ad.budget_low',
+    BOT_APPROVED: 'bot.approved',
+    WITHDRAWAL_APPROVED: 'withdrawal.approved',
+    EARNINGS_CREDITED: 'earnings.credited',
   },
+  TEST_EVENT: 'webhook.test', // sent on demand, no subscription needed
+  MAX_ENDPOINTS_PER_USER: 10,
+  MAX_ATTEMPTS: 8,
+  BACKOFF_BASE_MS: 30 * 1000, // exponential: 30s, 1m, 2m, 4m ... ~1h before the last attempt
+  TIMEOUT_MS: 10 * 1000,
+  LEASE_MS: 5 * 60 * 1000, // a claimed attempt is not picked up by the sweep this long
+  RESPONSE_BODY_LIMIT: 1000, // characters of the endpoint's response kept for the log
+  DISABLE_AFTER_FAILURES: 20, // failed deliveries in a row before the endpoint is switched off
+  SWEEP_BATCH: 200,
+  BUDGET_LOW_PERCENT: 10, // ad.budget_low once the remaining budget drops below this share
+  SIGNATURE_HEADER: 'X-Akhmads-Signature',
 };
 
 export const LANGUAGES = ['uz', 'ru', 'en'];
@@ -165,6 +498,10 @@ export const DEFAULT_PLATFORM_SETTINGS = {
   category_multiplier_betting: '2',
   category_multiplier_gambling: '2',
   category_multiplier_crypto: '1.5',
+  earnings_hold_days: '7',
+  withdrawal_review_threshold_usd: '500',
+  withdrawal_min_account_age_days: '7',
+  payout_address_cooldown_hours: '24',
 };
 
 export const BOT_SEND_POST_RESULTS = {
@@ -177,6 +514,31 @@ export const BOT_SEND_POST_RESULTS = {
   OTHER_ERROR: 6,
 };
 
+export const BOT_DELIVERY_MODES = {
+  SEND_POST: 'SEND_POST', // /api/ad/SendPost — sent from our server with the bot's token
+  FETCH: 'FETCH', // /api/v2/ad/Fetch + Confirm — the bot sends the creative itself, no token stored
+};
+
+// Bot API v2: a fetched creative must be sent and confirmed before its impression id expires
+export const AD_FETCH = {
+  IMPRESSION_TTL_SECONDS: 300,
+};
+
+export const BOT_FETCH_RESULTS = {
+  NO_AD: 0,
+  SUCCESS: 1,
+  OTHER_ERROR: 6,
+};
+
+export const BOT_CONFIRM_RESULTS = {
+  SUCCESS: 1,
+  INVALID_IMPRESSION: 2, // bad signature or issued to another bot
+  EXPIRED: 3,
+  ALREADY_CONFIRMED: 4,
+  REFUSED: 5, // ad stopped or a cap was reached since Fetch; not charged
+  OTHER_ERROR: 6,
+};
+
 export const AUDIT_ACTIONS = {
   USER_CREATED: 'USER_CREATED',
   USER_UPDATED: 'USER_UPDATED',
@@ -184,10 +546,24 @@ export const AUDIT_ACTIONS = {
   USER_UNBANNED: 'USER_UNBANNED',
   BOT_APPROVED: 'BOT_APPROVED',
   BOT_REJECTED: 'BOT_REJECTED',
+  BOT_QUARANTINE_RELEASED: 'BOT_QUARANTINE_RELEASED',
+  BOT_QUARANTINE_BANNED: 'BOT_QUARANTINE_BANNED',
+  BOT_EARNINGS_CLAWED_BACK: 'BOT_EARNINGS_CLAWED_BACK',
   AD_APPROVED: 'AD_APPROVED',
   AD_REJECTED: 'AD_REJECTED',
   WITHDRAWAL_APPROVED: 'WITHDRAWAL_APPROVED',
   WITHDRAWAL_REJECTED: 'WITHDRAWAL_REJECTED',
+  WITHDRAWAL_FLAGGED: 'WITHDRAWAL_FLAGGED',
+  WITHDRAWAL_REVIEW_APPROVED: 'WITHDRAWAL_REVIEW_APPROVED', // one of the two approvals
+  PAYOUT_ADDRESS_ADDED: 'PAYOUT_ADDRESS_ADDED',
+  PAYOUT_ADDRESS_CONFIRMED: 'PAYOUT_ADDRESS_CONFIRMED',
+  PAYOUT_ADDRESS_REMOVED: 'PAYOUT_ADDRESS_REMOVED',
+  BOT_API_KEY_CREATED: 'BOT_API_KEY_CREATED',
+  BOT_API_KEY_ROTATED: 'BOT_API_KEY_ROTATED',
+  BOT_API_KEY_REVOKED: 'BOT_API_KEY_REVOKED',
   SETTINGS_UPDATED: 'SETTINGS_UPDATED',
   PRICING_UPDATED: 'PRICING_UPDATED',
+  PROMO_CODE_CREATED: 'PROMO_CODE_CREATED',
+  PROMO_CODE_UPDATED: 'PROMO_CODE_UPDATED',
+  PROMO_CODE_DELETED: 'PROMO_CODE_DELETED',
 };
\ No newline at end of file
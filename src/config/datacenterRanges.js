@@ -0,0 +1,60 @@
+// src/config/datacenterRanges.js
+// IPv4 ranges of hosting / cloud providers. Real users do not click ads from these —
+// traffic from them is scripts, crawlers and proxies. Extend as new sources show up in
+// the admin click fraud summary.
+export const DATACENTER_RANGES = [
+  // Amazon Web Services
+  '3.0.0.0/9',
+  '18.128.0.0/9',
+  '52.0.0.0/10',
+  '54.64.0.0/11',
+  '54.144.0.0/12',
+
+  // Google Cloud
+  '34.64.0.0/10',
+  '35.184.0.0/13',
+  '35.192.0.0/12',
+  '104.154.0.0/15',
+  '130.211.0.0/16',
+
+  // Microsoft Azure
+  '13.64.0.0/11',
+  '40.64.0.0/10',
+  '52.224.0.0/11',
+
+  // DigitalOcean
+  '104.131.0.0/16',
+  '138.68.0.0/16',
+  '159.89.0.0/16',
+  '167.99.0.0/16',
+  '178.62.0.0/16',
+  '188.166.0.0/16',
+
+  // Hetzner
+  '5.9.0.0/16',
+  '78.46.0.0/15',
+  '88.198.0.0/16',
+  '95.216.0.0/15',
+  '116.202.0.0/15',
+  '135.181.0.0/16',
+  '148.251.0.0/16',
+
+  // OVH
+  '51.68.0.0/16',
+  '51.75.0.0/16',
+  '51.77.0.0/16',
+  '137.74.0.0/16',
+  '145.239.0.0/16',
+  '147.135.0.0/16',
+
+  // Linode / Akamai
+  '45.33.0.0/17',
+  '139.162.0.0/16',
+  '172.104.0.0/15',
+
+  // Vultr
+  '45.32.0.0/16',
+  '45.76.0.0/16',
+  '108.61.0.0/16',
+  '149.28.0.0/16',
+];
@@ -37,6 +37,9 @@ const envSchema = Joi.object({
   S3_SECRET_KEY: Joi.string().required(),
   S3_BUCKET: Joi.string().required(),
 
+  // Automated withdrawal payouts (unset = admins send USDT by hand)
+  PAYOUT_PROVIDER: Joi.string().valid('nowpayments', 'mock').optional(),
+
   LOG_LEVEL: Joi.string()
     .valid('error', 'warn', 'info', 'debug')
     .default('info'),
@@ -0,0 +1,49 @@
+import { Queue } from 'bullmq';
+import { JOB_RETRY } from './constants.js';
+
+/**
+ * BullMQ Configuration
+ * BullMQ needs its own ioredis connection (the node-redis client in redis.js is not compatible)
+ */
+export const queueConnection = {
+  host: process.env.REDIS_HOST || 'localhost',
+  port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+  password: process.env.REDIS_PASSWORD || undefined,
+  db: parseInt(process.env.REDIS_DB, 10) || 0,
+  maxRetriesPerRequest: null, // required by BullMQ workers
+};
+
+export const defaultJobOptions = {
+  attempts: JOB_RETRY.ATTEMPTS,
+  backoff: {
+    type: 'exponential',
+    delay: JOB_RETRY.BACKOFF_DELAY_MS,
+  },
+  removeOnComplete: JOB_RETRY.KEEP_COMPLETED,
+  removeOnFail: JOB_RETRY.KEEP_FAILED,
+};
+
+const queues = new Map();
+
+/**
+ * Get (lazily create) a queue by name
+ * Lazy so that importing a service does not open a Redis connection
+ */
+export function getQueue(name) {
+  if (!queues.has(name)) {
+    queues.set(name, new Queue(name, {
+      // Producers fail fast while Redis is down so callers can fall back
+      connection: { ...queueConnection, enableOfflineQueue: false },
+      defaultJobOptions,
+    }));
+  }
+  return queues.get(name);
+}
+
+/**
+ * Close all queues opened by this process
+ */
+export async function closeQueues() {
+  await Promise.all([...queues.values()].map((queue) => queue.close()));
+  queues.clear();
+}
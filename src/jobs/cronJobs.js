@@ -19,18 +19,7 @@ export const initCronJobs = () => {
     }
   });
 
-  // 2. Aggregate daily statistics
-  // Every day at 00:05 AM
-  nodeCron.schedule('5 0 * * *', async () => {
-    logger.info('🔄 Starting daily stats aggregation...');
-    // This could iterate through all bots or use a more efficient batch process
-    // For now, let's keep it simple
-    try {
-      // Placeholder for future aggregation logic if needed beyond real-time
-    } catch (error) {
-       logger.error('❌ Daily stats aggregation failed:', error);
-    }
-  });
+  // Daily stats aggregation runs in the worker process (src/jobs/schedulers/statsScheduler.js)
 
   logger.info('✅ Maintenance jobs scheduled successfully');
 
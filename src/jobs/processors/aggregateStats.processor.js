@@ -0,0 +1,34 @@
+import prisma from '../../config/database.js';
+import botStatsService from '../../services/bot/botStatsService.js';
+import { enqueueAggregateStats } from '../queues/analyticsQueue.js';
+import logger from '../../utils/logger.js';
+import { subDays } from 'date-fns';
+
+/**
+ * aggregateStats processor
+ * With botId: aggregates one bot-day and refreshes its eCPM.
+ * Without botId: fans out one job per active bot (defaults to yesterday).
+ */
+export default async function aggregateStatsProcessor(job) {
+  const { botId } = job.data;
+  const date = job.data.date || subDays(new Date(), 1).toISOString();
+
+  if (!botId) {
+    const bots = await prisma.bot.findMany({
+      where: { status: 'ACTIVE' },
+      select: { id: true },
+    });
+
+    for (const bot of bots) {
+      await enqueueAggregateStats({ botId: bot.id, date });
+    }
+
+    logger.info(`aggregateStats fan-out: ${bots.length} bots for ${date}`);
+    return { bots: bots.length };
+  }
+
+  await botStatsService.aggregateDailyStats(botId, new Date(date));
+  await botStatsService.updateCurrentEcpm(botId);
+
+  return { botId, date };
+}
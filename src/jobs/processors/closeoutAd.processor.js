@@ -0,0 +1,10 @@
+import adCloseoutService from '../../services/ad/adCloseoutService.js';
+
+/**
+ * closeoutAd processor
+ * Refunds the remaining budget and stores the final report.
+ * Safe to retry: a closed-out ad is never refunded twice.
+ */
+export default async function closeoutAdProcessor(job) {
+  return adCloseoutService.closeout(job.data.adId, job.data.reason);
+}
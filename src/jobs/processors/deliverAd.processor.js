@@ -0,0 +1,27 @@
+import distributionService from '../../services/distribution/distributionService.js';
+import logger from '../../utils/logger.js';
+import { BOT_SEND_POST_RESULTS } from '../../config/constants.js';
+
+/**
+ * deliverAd processor
+ * Sends an ad to a chat; Telegram rate limits are retried with backoff
+ */
+export default async function deliverAdProcessor(job) {
+  const { botId, telegramUserId, chatId, languageCode = null, userInfo = {} } = job.data;
+
+  const result = await distributionService.deliverAd(
+    botId,
+    telegramUserId,
+    chatId,
+    languageCode,
+    userInfo
+  );
+
+  if (result.code === BOT_SEND_POST_RESULTS.TOO_MANY_REQUESTS_ERROR) {
+    // Throwing makes BullMQ retry with exponential backoff
+    throw new Error(`Telegram rate limit for bot ${botId}`);
+  }
+
+  logger.info(`deliverAd job ${job.id}: bot=${botId}, chat=${chatId}, code=${result.code}`);
+  return result;
+}
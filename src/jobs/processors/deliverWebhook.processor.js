@@ -0,0 +1,10 @@
+import webhookService from '../../services/webhook/webhookService.js';
+
+/**
+ * deliverWebhook processor
+ * One signed POST to the endpoint; on failure the service schedules the next attempt itself.
+ * Safe to run twice: the attempt is claimed on the delivery row first.
+ */
+export default async function deliverWebhookProcessor(job) {
+  return webhookService.deliver(job.data.deliveryId);
+}
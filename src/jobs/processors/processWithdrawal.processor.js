@@ -0,0 +1,60 @@
+import prisma from '../../config/database.js';
+import withdrawService from '../../services/payments/withdrawService.js';
+import payoutService from '../../services/payments/payoutService.js';
+import { enqueueNotificationSafe } from '../queues/notificationQueue.js';
+import logger from '../../utils/logger.js';
+import { WITHDRAWAL_EVENTS, NOTIFICATION_TYPES } from '../../config/constants.js';
+
+/**
+ * processWithdrawal processor
+ * Runs the side effects of a withdrawal state change outside the admin/user request
+ */
+export default async function processWithdrawalProcessor(job) {
+  const { withdrawalId, event, reason } = job.data;
+
+  const withdrawal = await prisma.withdrawRequest.findUnique({
+    where: { id: withdrawalId },
+    include: {
+      user: {
+        select: {
+          id: true, firstName: true, lastName: true,
+          username: true, telegramId: true,
+        },
+      },
+    },
+  });
+
+  if (!withdrawal) {
+    logger.warn(`processWithdrawal: withdrawal ${withdrawalId} not found`);
+    return { skipped: true };
+  }
+
+  switch (event) {
+    case WITHDRAWAL_EVENTS.REQUESTED:
+      await withdrawService.notifyAdminsNewWithdrawal(withdrawal, withdrawal.userId);
+      break;
+
+    case WITHDRAWAL_EVENTS.APPROVED:
+      await withdrawService.notifyUserApproved(withdrawal);
+      await enqueueNotificationSafe(NOTIFICATION_TYPES.WITHDRAWAL_COMPLETE, { withdrawalId });
+      break;
+
+    case WITHDRAWAL_EVENTS.REJECTED:
+      await withdrawService.notifyUserRejected(withdrawal, reason || withdrawal.reason);
+      break;
+
+    case WITHDRAWAL_EVENTS.PAYOUT:
+      // APPROVED → SENT is claimed inside, a retried job does not pay twice
+      return payoutService.submit(withdrawalId);
+
+    case WITHDRAWAL_EVENTS.PAYOUT_FAILED:
+      await withdrawService.notifyAdminsPayoutFailed(withdrawal, reason || withdrawal.reason);
+      break;
+
+    default:
+      logger.warn(`processWithdrawal: unknown event ${event}`);
+      return { skipped: true };
+  }
+
+  return { withdrawalId, event };
+}
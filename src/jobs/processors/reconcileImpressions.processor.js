@@ -0,0 +1,9 @@
+import reconciliationService from '../../services/distribution/reconciliationService.js';
+
+/**
+ * reconcileImpressions processor
+ * Repairs drift between Impression sums and Ad / Bot / Wallet totals
+ */
+export default async function reconcileImpressionsProcessor() {
+  return reconciliationService.reconcileAll();
+}
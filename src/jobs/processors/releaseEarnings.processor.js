@@ -0,0 +1,9 @@
+import earningsHoldService from '../../services/wallet/earningsHoldService.js';
+
+/**
+ * releaseEarnings processor
+ * Moves bot earnings whose hold period has ended from Wallet.pending to available
+ */
+export default async function releaseEarningsProcessor() {
+  return earningsHoldService.releaseMatured();
+}
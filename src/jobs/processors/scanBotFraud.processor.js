@@ -0,0 +1,9 @@
+import botFraudService from '../../services/fraud/botFraudService.js';
+
+/**
+ * scanBotFraud processor
+ * Scores bot traffic for impression fraud and quarantines suspicious bots
+ */
+export default async function scanBotFraudProcessor() {
+  return botFraudService.scanBots();
+}
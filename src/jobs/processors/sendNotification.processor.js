@@ -0,0 +1,79 @@
+import prisma from '../../config/database.js';
+import notificationService from '../../services/notification/notificationService.js';
+import telegramBot from '../../config/telegram.js';
+import logger from '../../utils/logger.js';
+import { NOTIFICATION_TYPES } from '../../config/constants.js';
+
+/**
+ * sendNotification processor
+ * Jobs carry ids only; entities are loaded fresh so the message reflects the current state
+ */
+export default async function sendNotificationProcessor(job) {
+  const { type } = job.data;
+
+  switch (type) {
+    case NOTIFICATION_TYPES.AD_APPROVED: {
+      const ad = await prisma.ad.findUnique({
+        where: { id: job.data.adId },
+        include: { advertiser: true },
+      });
+      if (!ad) return { skipped: true };
+      await notificationService.notifyAdApproved(ad.advertiser, ad);
+      break;
+    }
+
+    case NOTIFICATION_TYPES.AD_REJECTED: {
+      const ad = await prisma.ad.findUnique({
+        where: { id: job.data.adId },
+        include: { advertiser: true },
+      });
+      if (!ad) return { skipped: true };
+      await notificationService.notifyAdRejected(ad.advertiser, ad, job.data.reason);
+      break;
+    }
+
+    case NOTIFICATION_TYPES.AD_COMPLETED: {
+      const ad = await prisma.ad.findUnique({
+        where: { id: job.data.adId },
+        include: { advertiser: true },
+      });
+      // Deleted ads are closed out right before the row goes away
+      if (!ad?.closeoutReport) return { skipped: true };
+      await notificationService.notifyAdCompleted(ad.advertiser, ad, ad.closeoutReport);
+      break;
+    }
+
+    case NOTIFICATION_TYPES.BOT_APPROVED: {
+      const bot = await prisma.bot.findUnique({
+        where: { id: job.data.botId },
+        include: { owner: true },
+      });
+      if (!bot) return { skipped: true };
+      await notificationService.notifyBotApproved(bot.owner, bot);
+      break;
+    }
+
+    case NOTIFICATION_TYPES.WITHDRAWAL_COMPLETE: {
+      const withdrawal = await prisma.withdrawRequest.findUnique({
+        where: { id: job.data.withdrawalId },
+        include: { user: true },
+      });
+      if (!withdrawal) return { skipped: true };
+      await notificationService.notifyWithdrawalComplete(withdrawal.user, withdrawal);
+      break;
+    }
+
+    case NOTIFICATION_TYPES.TELEGRAM_MESSAGE: {
+      const { chatId, text, options = {} } = job.data;
+      // Thrown errors are retried by the queue
+      await telegramBot.sendMessage(chatId, text, options);
+      break;
+    }
+
+    default:
+      logger.warn(`Unknown notification type: ${type}`);
+      return { skipped: true };
+  }
+
+  return { type };
+}
@@ -0,0 +1,10 @@
+import distributionService from '../../services/distribution/distributionService.js';
+
+/**
+ * trackImpression processor
+ * Writes the impression and settles ad budget / bot earnings off the SendPost path.
+ * Safe to retry: recordImpression is idempotent on bot + chat + message id.
+ */
+export default async function trackImpressionProcessor(job) {
+  return distributionService.recordImpression(job.data);
+}
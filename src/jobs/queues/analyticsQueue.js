@@ -0,0 +1,30 @@
+import { getQueue } from '../../config/queue.js';
+import { QUEUE_NAMES, JOB_NAMES } from '../../config/constants.js';
+
+/**
+ * Analytics Queue
+ * Impression writes and statistics aggregation
+ */
+export const getAnalyticsQueue = () => getQueue(QUEUE_NAMES.ANALYTICS);
+
+/**
+ * Enqueue impression write
+ * Job id is derived from the sent message so a retried enqueue is not recorded twice
+ * @param {Object} data - { adId, botId, telegramUserId, chatId, messageId, userInfo, languageCode, auction }
+ */
+export async function enqueueTrackImpression(data) {
+  return getAnalyticsQueue().add(JOB_NAMES.TRACK_IMPRESSION, data, {
+    jobId: `impression-${data.botId}-${data.chatId}-${data.messageId}`,
+  });
+}
+
+/**
+ * Enqueue daily stats aggregation
+ * Without botId the processor fans out one job per active bot
+ * @param {Object} data - { botId?, date? (ISO string) }
+ */
+export async function enqueueAggregateStats(data = {}) {
+  return getAnalyticsQueue().add(JOB_NAMES.AGGREGATE_STATS, data);
+}
+
+export default getAnalyticsQueue;
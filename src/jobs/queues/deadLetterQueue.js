@@ -0,0 +1,44 @@
+import { getQueue } from '../../config/queue.js';
+import { QUEUE_NAMES } from '../../config/constants.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Dead-letter Queue
+ * Jobs that exhausted all retries are parked here for inspection and manual replay.
+ * No worker consumes this queue.
+ */
+export const getDeadLetterQueue = () => getQueue(QUEUE_NAMES.DEAD_LETTER);
+
+/**
+ * True when BullMQ will not retry the job again
+ */
+export function isFinalAttempt(job) {
+  const attempts = job.opts?.attempts || 1;
+  return job.attemptsMade >= attempts;
+}
+
+/**
+ * Copy a failed job to the dead-letter queue
+ */
+export async function moveToDeadLetter(job, error) {
+  try {
+    await getDeadLetterQueue().add(job.name, {
+      queue: job.queueName,
+      jobId: job.id,
+      data: job.data,
+      failedReason: error?.message || job.failedReason,
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date().toISOString(),
+    }, {
+      attempts: 1,
+      removeOnComplete: false,
+      removeOnFail: false,
+    });
+
+    logger.warn(`Job moved to dead-letter queue: ${job.queueName}/${job.name}#${job.id}`);
+  } catch (dlqError) {
+    logger.error('Failed to move job to dead-letter queue:', dlqError);
+  }
+}
+
+export default getDeadLetterQueue;
@@ -0,0 +1,29 @@
+import { getQueue } from '../../config/queue.js';
+import { QUEUE_NAMES, JOB_NAMES } from '../../config/constants.js';
+
+/**
+ * Distribution Queue
+ * Ad deliveries that do not need to answer the HTTP request synchronously
+ */
+export const getDistributionQueue = () => getQueue(QUEUE_NAMES.DISTRIBUTION);
+
+/**
+ * Enqueue ad delivery
+ * @param {Object} data - { botId, telegramUserId, chatId, languageCode, userInfo }
+ */
+export async function enqueueDeliverAd(data, options = {}) {
+  return getDistributionQueue().add(JOB_NAMES.DELIVER_AD, data, options);
+}
+
+/**
+ * Enqueue ad closeout (one job per ad — a pending closeout is not queued twice)
+ */
+export async function enqueueAdCloseout(adId, reason) {
+  return getDistributionQueue().add(
+    JOB_NAMES.CLOSEOUT_AD,
+    { adId, reason },
+    { jobId: `closeout-${adId}` }
+  );
+}
+
+export default getDistributionQueue;
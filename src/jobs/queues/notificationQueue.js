@@ -0,0 +1,32 @@
+import { getQueue } from '../../config/queue.js';
+import { QUEUE_NAMES, JOB_NAMES } from '../../config/constants.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Notification Queue
+ * Emails and Telegram messages sent outside of the request cycle
+ */
+export const getNotificationQueue = () => getQueue(QUEUE_NAMES.NOTIFICATION);
+
+/**
+ * Enqueue notification
+ * @param {string} type - NOTIFICATION_TYPES value
+ * @param {Object} payload - ids of the entities the message is about (adId, botId, withdrawalId, reason...)
+ */
+export async function enqueueNotification(type, payload = {}) {
+  return getNotificationQueue().add(JOB_NAMES.SEND_NOTIFICATION, { type, ...payload });
+}
+
+/**
+ * Enqueue notification without failing the caller
+ * Notifications are best-effort: a Redis outage must not break moderation actions
+ */
+export async function enqueueNotificationSafe(type, payload = {}) {
+  try {
+    await enqueueNotification(type, payload);
+  } catch (error) {
+    logger.error(`Failed to enqueue ${type} notification:`, error);
+  }
+}
+
+export default getNotificationQueue;
@@ -0,0 +1,25 @@
+import { getQueue } from '../../config/queue.js';
+import { QUEUE_NAMES, JOB_NAMES } from '../../config/constants.js';
+
+/**
+ * Webhook Queue
+ * Outgoing webhook deliveries to users' endpoints
+ */
+export const getWebhookQueue = () => getQueue(QUEUE_NAMES.WEBHOOK);
+
+/**
+ * Enqueue one delivery attempt
+ * @param {string} deliveryId
+ * @param {number} attempt - attempt number, part of the job id so the sweep and a scheduled retry do not both run it
+ * @param {number} delay - ms until the attempt (backoff)
+ *   Retries are scheduled by webhookService from the delivery row, not by BullMQ: one job = one HTTP attempt.
+ */
+export async function enqueueWebhookDelivery(deliveryId, attempt, delay = 0) {
+  return getWebhookQueue().add(
+    JOB_NAMES.DELIVER_WEBHOOK,
+    { deliveryId },
+    { jobId: `webhook-${deliveryId}-${attempt}`, delay, attempts: 1 }
+  );
+}
+
+export default getWebhookQueue;
@@ -0,0 +1,29 @@
+import { getQueue } from '../../config/queue.js';
+import { QUEUE_NAMES, JOB_NAMES } from '../../config/constants.js';
+
+/**
+ * Withdrawal Queue
+ * Side effects of withdrawal state changes (admin alerts, user messages, automated payouts)
+ */
+export const getWithdrawalQueue = () => getQueue(QUEUE_NAMES.WITHDRAWAL);
+
+/**
+ * Enqueue withdrawal event
+ * @param {string} withdrawalId
+ * @param {string} event - WITHDRAWAL_EVENTS value
+ * @param {Object} extra - e.g. { reason } for rejections, { attempt } for payouts
+ *   (a withdrawal can be re-approved after a failed payout, so each attempt gets its own job id)
+ */
+export async function enqueueWithdrawalEvent(withdrawalId, event, extra = {}) {
+  const jobId = extra.attempt
+    ? `withdrawal-${withdrawalId}-${event}-${extra.attempt}`
+    : `withdrawal-${withdrawalId}-${event}`;
+
+  return getWithdrawalQueue().add(
+    JOB_NAMES.PROCESS_WITHDRAWAL,
+    { withdrawalId, event, ...extra },
+    { jobId }
+  );
+}
+
+export default getWithdrawalQueue;
@@ -0,0 +1,53 @@
+import prisma from '../../config/database.js';
+import { getQueue } from '../../config/queue.js';
+import { getDistributionQueue } from '../queues/distributionQueue.js';
+import logger from '../../utils/logger.js';
+import { QUEUE_NAMES, JOB_NAMES, JOB_RETRY } from '../../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLEAN_BATCH = 1000;
+
+/**
+ * Cleanup Scheduler
+ * Trims old finished jobs, expired dead-letter entries and expired ad fetch claims
+ */
+export async function registerCleanupSchedules() {
+  await getDistributionQueue().upsertJobScheduler(
+    'cleanup-jobs',
+    { pattern: '30 3 * * *' }, // every day at 03:30
+    { name: JOB_NAMES.CLEANUP_JOBS, data: {} }
+  );
+}
+
+/**
+ * Remove finished jobs older than a week, dead letters older than DEAD_LETTER_TTL_DAYS and
+ * ad fetch claims whose impression id expired (it cannot be confirmed any more)
+ */
+export async function cleanupJobs() {
+  let removed = 0;
+
+  const workQueues = [
+    QUEUE_NAMES.DISTRIBUTION,
+    QUEUE_NAMES.ANALYTICS,
+    QUEUE_NAMES.NOTIFICATION,
+    QUEUE_NAMES.WITHDRAWAL,
+    QUEUE_NAMES.WEBHOOK,
+  ];
+
+  for (const name of workQueues) {
+    const queue = getQueue(name);
+    removed += (await queue.clean(7 * DAY_MS, CLEAN_BATCH, 'completed')).length;
+    removed += (await queue.clean(7 * DAY_MS, CLEAN_BATCH, 'failed')).length;
+  }
+
+  // Nothing consumes the dead-letter queue, so its jobs stay in "wait"
+  const deadLetterQueue = getQueue(QUEUE_NAMES.DEAD_LETTER);
+  removed += (await deadLetterQueue.clean(JOB_RETRY.DEAD_LETTER_TTL_DAYS * DAY_MS, CLEAN_BATCH, 'wait')).length;
+
+  const claims = await prisma.adFetchClaim.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+
+  logger.info(`Job cleanup finished: ${removed} jobs, ${claims.count} ad fetch claims removed`);
+  return { removed, claims: claims.count };
+}
+
+export default registerCleanupSchedules;
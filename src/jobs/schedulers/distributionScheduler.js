@@ -0,0 +1,104 @@
+import prisma from '../../config/database.js';
+import { getDistributionQueue } from '../queues/distributionQueue.js';
+import logger from '../../utils/logger.js';
+import adIndexService from '../../services/distribution/adIndexService.js';
+import adCloseoutService from '../../services/ad/adCloseoutService.js';
+import { JOB_NAMES, CLOSEOUT_REASONS } from '../../config/constants.js';
+
+/**
+ * Distribution Scheduler
+ * Starts approved ads whose scheduled start time has come and closes ads whose schedule ended
+ */
+export async function registerDistributionSchedules() {
+  await getDistributionQueue().upsertJobScheduler(
+    'activate-scheduled-ads',
+    { every: 60 * 1000 }, // every minute
+    { name: JOB_NAMES.ACTIVATE_SCHEDULED_ADS, data: {} }
+  );
+
+  await getDistributionQueue().upsertJobScheduler(
+    'closeout-finished-ads',
+    { every: 60 * 1000 },
+    { name: JOB_NAMES.CLOSEOUT_FINISHED_ADS, data: {} }
+  );
+}
+
+/**
+ * SCHEDULED → RUNNING once scheduledAt (or scheduleStartDate) has passed.
+ * Only moderated ads: older drafts could be SCHEDULED before they were paid for.
+ */
+export async function activateScheduledAds() {
+  const now = new Date();
+
+  const result = await prisma.ad.updateMany({
+    where: {
+      status: 'SCHEDULED',
+      moderatedAt: { not: null },
+      OR: [
+        { scheduledAt: { lte: now } },
+        { scheduledAt: null, scheduleStartDate: { lte: now } },
+      ],
+      AND: [
+        { OR: [{ scheduleEndDate: null }, { scheduleEndDate: { gt: now } }] },
+      ],
+    },
+    data: {
+      status: 'RUNNING',
+      startedAt: now,
+    },
+  });
+
+  if (result.count > 0) {
+    logger.info(`Scheduled ads activated: ${result.count}`);
+    await adIndexService.invalidateAds();
+  }
+
+  return { activated: result.count };
+}
+
+/**
+ * Close out ads that are finished but still hold budget:
+ *   - schedule ended (RUNNING / PAUSED / SCHEDULED past scheduleEndDate)
+ *   - COMPLETED without a closeout (queued closeout lost, or completed before closeouts existed)
+ */
+export async function closeoutFinishedAds() {
+  const now = new Date();
+
+  const ads = await prisma.ad.findMany({
+    where: {
+      closedOutAt: null,
+      OR: [
+        { status: { in: ['RUNNING', 'PAUSED'] }, scheduleEndDate: { lte: now } },
+        // Unmoderated SCHEDULED ads were never charged (unpaid drafts)
+        { status: 'SCHEDULED', moderatedAt: { not: null }, scheduleEndDate: { lte: now } },
+        { status: 'COMPLETED' },
+      ],
+    },
+    select: { id: true, status: true },
+    take: 500,
+  });
+
+  let closed = 0;
+  let refunded = 0;
+
+  for (const ad of ads) {
+    try {
+      const reason = ad.status === 'COMPLETED' ? CLOSEOUT_REASONS.COMPLETED : CLOSEOUT_REASONS.SCHEDULE_ENDED;
+      const result = await adCloseoutService.closeout(ad.id, reason);
+      if (result.closedOut) {
+        closed++;
+        refunded += result.refunded;
+      }
+    } catch (error) {
+      logger.error(`Closeout failed: ${ad.id}`, error);
+    }
+  }
+
+  if (closed > 0) {
+    logger.info(`Finished ads closed out: ${closed}, refunded=$${refunded.toFixed(6)}`);
+  }
+
+  return { closed, refunded };
+}
+
+export default registerDistributionSchedules;
@@ -0,0 +1,22 @@
+import { getWithdrawalQueue } from '../queues/withdrawalQueue.js';
+import payoutService from '../../services/payments/payoutService.js';
+import { JOB_NAMES } from '../../config/constants.js';
+
+/**
+ * Payout Scheduler
+ * Looks up payouts whose create request got no definite answer (timeout, connection reset)
+ * in case their IPN never arrives
+ */
+export async function registerPayoutSchedules() {
+  await getWithdrawalQueue().upsertJobScheduler(
+    'poll-payouts',
+    { every: 10 * 60 * 1000 }, // every 10 minutes
+    { name: JOB_NAMES.POLL_PAYOUTS, data: {} }
+  );
+}
+
+export async function pollPayouts() {
+  return payoutService.pollPayouts();
+}
+
+export default registerPayoutSchedules;
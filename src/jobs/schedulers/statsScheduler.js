@@ -0,0 +1,38 @@
+import { getAnalyticsQueue } from '../queues/analyticsQueue.js';
+import { JOB_NAMES } from '../../config/constants.js';
+
+/**
+ * Stats Scheduler
+ * Daily aggregation of yesterday's bot statistics (fan-out job),
+ * hourly impression accounting reconciliation, the bot impression fraud scan and the hourly
+ * release of bot earnings whose hold period has ended
+ */
+export async function registerStatsSchedules() {
+  const queue = getAnalyticsQueue();
+
+  await queue.upsertJobScheduler(
+    'daily-stats-aggregation',
+    { pattern: '5 0 * * *' }, // every day at 00:05
+    { name: JOB_NAMES.AGGREGATE_STATS, data: {} }
+  );
+
+  await queue.upsertJobScheduler(
+    'impression-reconciliation',
+    { pattern: '15 * * * *' }, // every hour at :15
+    { name: JOB_NAMES.RECONCILE_IMPRESSIONS, data: {} }
+  );
+
+  await queue.upsertJobScheduler(
+    'bot-fraud-scan',
+    { pattern: '*/30 * * * *' }, // every 30 minutes
+    { name: JOB_NAMES.SCAN_BOT_FRAUD, data: {} }
+  );
+
+  await queue.upsertJobScheduler(
+    'earnings-release',
+    { pattern: '45 * * * *' }, // every hour at :45
+    { name: JOB_NAMES.RELEASE_EARNINGS, data: {} }
+  );
+}
+
+export default registerStatsSchedules;
@@ -0,0 +1,22 @@
+import { getWebhookQueue } from '../queues/webhookQueue.js';
+import webhookService from '../../services/webhook/webhookService.js';
+import { JOB_NAMES } from '../../config/constants.js';
+
+/**
+ * Webhook Scheduler
+ * Picks up deliveries that are due but have no job: events written inside a transaction
+ * (earnings.credited), enqueues lost while Redis was down, attempts whose worker died
+ */
+export async function registerWebhookSchedules() {
+  await getWebhookQueue().upsertJobScheduler(
+    'dispatch-webhooks',
+    { every: 60 * 1000 }, // every minute
+    { name: JOB_NAMES.DISPATCH_WEBHOOKS, data: {} }
+  );
+}
+
+export async function dispatchDueWebhooks() {
+  return webhookService.dispatchDue();
+}
+
+export default registerWebhookSchedules;
@@ -0,0 +1,97 @@
+import { Worker } from 'bullmq';
+import { queueConnection } from '../config/queue.js';
+import { isFinalAttempt, moveToDeadLetter } from './queues/deadLetterQueue.js';
+import deliverAdProcessor from './processors/deliverAd.processor.js';
+import trackImpressionProcessor from './processors/trackImpression.processor.js';
+import aggregateStatsProcessor from './processors/aggregateStats.processor.js';
+import reconcileImpressionsProcessor from './processors/reconcileImpressions.processor.js';
+import scanBotFraudProcessor from './processors/scanBotFraud.processor.js';
+import releaseEarningsProcessor from './processors/releaseEarnings.processor.js';
+import sendNotificationProcessor from './processors/sendNotification.processor.js';
+import processWithdrawalProcessor from './processors/processWithdrawal.processor.js';
+import closeoutAdProcessor from './processors/closeoutAd.processor.js';
+import deliverWebhookProcessor from './processors/deliverWebhook.processor.js';
+import { activateScheduledAds, closeoutFinishedAds } from './schedulers/distributionScheduler.js';
+import { cleanupJobs } from './schedulers/cleanupScheduler.js';
+import { dispatchDueWebhooks } from './schedulers/webhookScheduler.js';
+import { pollPayouts } from './schedulers/payoutScheduler.js';
+import logger from '../utils/logger.js';
+import { QUEUE_NAMES, JOB_NAMES, WORKER_CONCURRENCY } from '../config/constants.js';
+
+/**
+ * Job name → handler, per queue
+ */
+const HANDLERS = {
+  [QUEUE_NAMES.DISTRIBUTION]: {
+    [JOB_NAMES.DELIVER_AD]: deliverAdProcessor,
+    [JOB_NAMES.ACTIVATE_SCHEDULED_ADS]: () => activateScheduledAds(),
+    [JOB_NAMES.CLOSEOUT_FINISHED_ADS]: () => closeoutFinishedAds(),
+    [JOB_NAMES.CLOSEOUT_AD]: closeoutAdProcessor,
+    [JOB_NAMES.CLEANUP_JOBS]: () => cleanupJobs(),
+  },
+  [QUEUE_NAMES.ANALYTICS]: {
+    [JOB_NAMES.TRACK_IMPRESSION]: trackImpressionProcessor,
+    [JOB_NAMES.AGGREGATE_STATS]: aggregateStatsProcessor,
+    [JOB_NAMES.RECONCILE_IMPRESSIONS]: reconcileImpressionsProcessor,
+    [JOB_NAMES.SCAN_BOT_FRAUD]: scanBotFraudProcessor,
+    [JOB_NAMES.RELEASE_EARNINGS]: releaseEarningsProcessor,
+  },
+  [QUEUE_NAMES.NOTIFICATION]: {
+    [JOB_NAMES.SEND_NOTIFICATION]: sendNotificationProcessor,
+  },
+  [QUEUE_NAMES.WITHDRAWAL]: {
+    [JOB_NAMES.PROCESS_WITHDRAWAL]: processWithdrawalProcessor,
+    [JOB_NAMES.POLL_PAYOUTS]: () => pollPayouts(),
+  },
+  [QUEUE_NAMES.WEBHOOK]: {
+    [JOB_NAMES.DELIVER_WEBHOOK]: deliverWebhookProcessor,
+    [JOB_NAMES.DISPATCH_WEBHOOKS]: () => dispatchDueWebhooks(),
+  },
+};
+
+/**
+ * Start one worker per queue
+ * @returns {Worker[]}
+ */
+export function startWorkers() {
+  return Object.entries(HANDLERS).map(([queueName, handlers]) => {
+    const worker = new Worker(
+      queueName,
+      async (job) => {
+        const handler = handlers[job.name];
+        if (!handler) {
+          throw new Error(`No handler for job "${job.name}" on queue "${queueName}"`);
+        }
+        return handler(job);
+      },
+      {
+        connection: queueConnection,
+        concurrency: WORKER_CONCURRENCY[queueName] || 1,
+      }
+    );
+
+    worker.on('failed', async (job, error) => {
+      if (!job) return;
+
+      logger.error(`Job failed: ${queueName}/${job.name}#${job.id} (attempt ${job.attemptsMade}): ${error.message}`);
+
+      if (isFinalAttempt(job)) {
+        await moveToDeadLetter(job, error);
+      }
+    });
+
+    worker.on('error', (error) => {
+      logger.error(`Worker error on queue ${queueName}:`, error);
+    });
+
+    logger.info(`Worker started: ${queueName}`);
+    return worker;
+  });
+}
+
+/**
+ * Stop workers, letting active jobs finish
+ */
+export async function stopWorkers(workers) {
+  await Promise.all(workers.map((worker) => worker.close()));
+}
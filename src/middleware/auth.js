@@ -1,9 +1,10 @@
 // src/middleware/auth.js
 import jwtUtil from '../utils/jwt.js';
 import response from '../utils/response.js';
-import { AuthenticationError, TokenExpiredError } from '../utils/errors.js';
+import { AppError, AuthenticationError, TokenExpiredError } from '../utils/errors.js';
 import prisma from '../config/database.js';
 import logger from '../utils/logger.js';
+import botApiKeyService from '../services/bot/botApiKeyService.js';
 
 /**
  * JWT Authentication Middleware
@@ -131,6 +132,7 @@ export const optionalAuthenticate = async (req, res, next) => {
 /**
  * Bot API Key Authentication
  * For /api/ad/SendPost endpoint
+ * Key revocation, expiry and IP allowlist come from its BotApiKey row
  */
 export const authenticateBotApiKey = async (req, res, next) => {
   try {
@@ -142,36 +144,18 @@ export const authenticateBotApiKey = async (req, res, next) => {
 
     const apiKey = authHeader.substring(7);
 
-    // Verify API key (JWT)
-    let decoded;
+    // req.ip honours 'trust proxy'; forwarding headers are not trusted for the allowlist
+    let key;
     try {
-      decoded = jwtUtil.verifyBotApiKey(apiKey);
+      key = await botApiKeyService.verifyApiKey(apiKey, req.ip);
     } catch (error) {
-      return response.error(res, 'Invalid or expired API key', 401);
-    }
-
-    // Fetch bot from database
-    const bot = await prisma.bot.findUnique({
-      where: { id: decoded.botId },
-      include: {
-        owner: {
-          select: {
-            id: true,
-            isActive: true,
-            isBanned: true,
-          },
-        },
-      },
-    });
-
-    if (!bot) {
-      return response.error(res, 'Bot not found', 404);
+      if (error instanceof AppError) {
+        return response.error(res, error.message, error.statusCode);
+      }
+      throw error;
     }
 
-    // Check if API key is revoked
-    if (bot.apiKeyRevoked) {
-      return response.error(res, 'API key has been revoked', 401);
-    }
+    const { bot } = key;
 
     // Check bot status
     if (bot.status !== 'ACTIVE') {
@@ -188,16 +172,14 @@ export const authenticateBotApiKey = async (req, res, next) => {
       return response.error(res, 'Bot owner account is inactive', 403);
     }
 
-    // Update last used timestamp
-    await prisma.bot.update({
-      where: { id: bot.id },
-      data: { apiKeyLastUsed: new Date() },
-    });
+    // Last used time per key, written at most every few minutes
+    botApiKeyService.touch(key, req.ip);
 
     // Attach bot to request
     req.bot = bot;
     req.botId = bot.id;
     req.botOwnerId = bot.ownerId;
+    req.botApiKey = key;
 
     next();
   } catch (error) {
@@ -205,3 +187,20 @@ export const authenticateBotApiKey = async (req, res, next) => {
     return response.serverError(res, 'Authentication failed');
   }
 };
+
+/**
+ * Bot API key scope check (after authenticateBotApiKey)
+ * @param {string} scope - BOT_API_KEYS.SCOPES value
+ */
+export const requireBotApiScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (!req.botApiKey?.scopes?.includes(scope)) {
+      return response.error(res, `API key does not have the ${scope} scope`, 403);
+    }
+    next();
+  };
+
+  // Read by the Bot API OpenAPI document
+  middleware.scope = scope;
+  return middleware;
+};
@@ -1,7 +1,7 @@
 // src/middleware/rateLimiter.js
 import rateLimit from 'express-rate-limit';
 import redis from '../config/redis.js';
-import { RATE_LIMITS } from '../config/constants.js';
+import { BOT_API_QUOTAS, RATE_LIMITS } from '../config/constants.js';
 import response from '../utils/response.js';
 import logger from '../utils/logger.js';
 
@@ -174,14 +174,52 @@ export const webhookRateLimiter = createRateLimiter({
 });
 
 /**
- * Bot API rate limiter (/api/ad/SendPost)
+ * Bot API quota for the bot's audience size (BOT_API_QUOTAS.TIERS)
  */
-export const botApiRateLimiter = createRateLimiter({
-  windowMs: RATE_LIMITS.BOT_API.windowMs,
-  max: RATE_LIMITS.BOT_API.max,
-  message: 'Too many ad requests from this bot',
-  prefix: 'rl:bot:',
-});
+export const getBotApiQuota = (bot) => {
+  const activeMembers = bot?.activeMembers || 0;
+  const tier = BOT_API_QUOTAS.TIERS.find((t) => activeMembers >= t.minActiveMembers);
+  return tier.max;
+};
+
+/**
+ * Bot API rate limiter (/api/ad/SendPost, SendPostBatch, /api/v2/ad/*)
+ * Per-bot fixed window after authenticateBotApiKey; a batch costs one unit per chat,
+ * so it must run after the batch body is validated.
+ */
+export const botApiRateLimiter = async (req, res, next) => {
+  try {
+    const max = getBotApiQuota(req.bot);
+    const cost = Array.isArray(req.body?.Chats) ? req.body.Chats.length : 1;
+    const window = Math.floor(Date.now() / BOT_API_QUOTAS.WINDOW_MS);
+    const resetTime = (window + 1) * BOT_API_QUOTAS.WINDOW_MS;
+    const key = `rl:bot:${req.botId}:${window}`;
+
+    const [used] = await redis.client
+      .multi()
+      .incrBy(key, cost)
+      .pExpire(key, BOT_API_QUOTAS.WINDOW_MS)
+      .exec();
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - used, 0)),
+      'RateLimit-Reset': String(Math.ceil((resetTime - Date.now()) / 1000)),
+    });
+
+    if (used > max) {
+      // A rejected batch does not use up the rest of the window
+      await redis.client.decrBy(key, cost);
+      logger.warn(`Bot API quota exceeded: bot=${req.botId}, quota=${max}/min, cost=${cost}`);
+      return response.error(res, `Too many ad requests from this bot (quota ${max}/min)`, 429);
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Bot API rate limiter error:', error);
+    next(); // Fail open
+  }
+};
 
 /**
  * Custom rate limiter for specific actions
@@ -1,5 +1,5 @@
 // src/middleware/validate.js
-import { validationResult } from 'express-validator';
+import { checkSchema, validationResult } from 'express-validator';
 import response from '../utils/response.js';
 import { ValidationError } from '../utils/errors.js';
 
@@ -12,7 +12,7 @@ import { ValidationError } from '../utils/errors.js';
  * Main validation handler - validation qoidalarini qabul qiladi
  */
 export const validate = (rules = []) => {
-  return async (req, res, next) => {
+  const middleware = async (req, res, next) => {
     try {
       // Barcha validation qoidalarini ishga tushirish
       await Promise.all(rules.map((rule) => rule.run(req)));
@@ -36,6 +36,18 @@ export const validate = (rules = []) => {
       next(error);
     }
   };
+
+  return middleware;
+};
+
+/**
+ * Schema validation - express-validator checkSchema() formatida
+ * Schema middleware'da saqlanadi: OpenAPI hujjati shundan yasaladi (utils/openapi.js)
+ */
+export const validateSchema = (schema, locations = ['body']) => {
+  const middleware = validate(checkSchema(schema, locations));
+  middleware.schema = { schema, locations };
+  return middleware;
 };
 
 /**
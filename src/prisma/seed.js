@@ -659,6 +659,10 @@ function getSettingDescription(key) {
     category_multiplier_betting: 'Betting category price multiplier',
     category_multiplier_gambling: 'Gambling category price multiplier',
     category_multiplier_crypto: 'Crypto category price multiplier',
+    earnings_hold_days: 'Days bot owner earnings are held before they become withdrawable',
+    withdrawal_review_threshold_usd: 'Withdrawals from this amount need two admin approvals',
+    withdrawal_min_account_age_days: 'Withdrawals from younger accounts need two admin approvals',
+    payout_address_cooldown_hours: 'Hours (24-48) before a confirmed payout address can receive funds',
   };
   return descriptions[key] || '';
 }
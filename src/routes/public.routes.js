@@ -1,15 +1,29 @@
 import { Router } from 'express';
 import distributionService from '../services/distribution/distributionService.js';
-import { authenticateBotApiKey } from '../middleware/auth.js';
+import { authenticateBotApiKey, requireBotApiScope } from '../middleware/auth.js';
 import { botApiRateLimiter } from '../middleware/rateLimiter.js';
 import { publicApiCors } from '../middleware/cors.js';
-import { validate } from '../middleware/validate.js';
-import { body } from 'express-validator';
+import { validate, validateSchema } from '../middleware/validate.js';
+import { check } from 'express-validator';
 import logger from '../utils/logger.js';
 import categoryService from '../services/category/categoryService.js';
+import conversionService from '../services/ad/conversionService.js';
+import adFetchService from '../services/distribution/adFetchService.js';
+import botStatsService from '../services/bot/botStatsService.js';
+import botApiSpecService from '../services/bot/botApiSpecService.js';
+import {
+  BOT_API_BATCH,
+  BOT_API_KEYS,
+  BOT_CONFIRM_RESULTS,
+  BOT_FETCH_RESULTS,
+  BOT_SEND_POST_RESULTS,
+  CONVERSIONS,
+} from '../config/constants.js';
 
 const router = Router();
 
+const sendAdsScope = requireBotApiScope(BOT_API_KEYS.SCOPES.SEND_ADS);
+
 // Apply public API CORS
 router.use(publicApiCors);
 
@@ -21,19 +35,24 @@ router.use(publicApiCors);
 router.post(
   '/ad/SendPost',
   authenticateBotApiKey,
+  sendAdsScope,
   botApiRateLimiter,
-  body('SendToChatId')
-    .isInt({ min: 1, max: 8999999999 })
-    .withMessage('SendToChatId must be a valid Telegram user ID (1–8999999999)'),
-  body('LanguageCode')
-    .optional()
-    .isString()
-    .isIn(['uz', 'ru', 'en'])
-    .withMessage('LanguageCode must be uz, ru or en'),
-  body('FirstName').optional().isString(),
-  body('LastName').optional().isString(),
-  body('Username').optional().isString(),
-  validate,
+  validateSchema({
+    SendToChatId: {
+      isInt: {
+        options: { min: 1, max: 8999999999 },
+        errorMessage: 'SendToChatId must be a valid Telegram user ID (1–8999999999)',
+      },
+    },
+    LanguageCode: {
+      optional: true,
+      isString: true,
+      isIn: { options: [['uz', 'ru', 'en']], errorMessage: 'LanguageCode must be uz, ru or en' },
+    },
+    FirstName: { optional: true, isString: true },
+    LastName: { optional: true, isString: true },
+    Username: { optional: true, isString: true },
+  }),
   async (req, res) => {
     try {
       const { SendToChatId, LanguageCode, FirstName, LastName, Username } = req.body;
@@ -67,6 +86,265 @@ router.post(
   }
 );
 
+/**
+ * POST /api/ad/SendPostBatch
+ * Bot API - SendPost for up to BOT_API_BATCH.MAX_CHATS chats in one request (mailings).
+ * Each chat counts against the bot's quota; results come back in request order.
+ */
+router.post(
+  '/ad/SendPostBatch',
+  authenticateBotApiKey,
+  sendAdsScope,
+  validateSchema({
+    Chats: {
+      isArray: {
+        options: { min: 1, max: BOT_API_BATCH.MAX_CHATS },
+        errorMessage: `Chats must be an array of 1–${BOT_API_BATCH.MAX_CHATS} items`,
+      },
+    },
+    'Chats.*.SendToChatId': {
+      isInt: {
+        options: { min: 1, max: 8999999999 },
+        errorMessage: 'SendToChatId must be a valid Telegram user ID (1–8999999999)',
+      },
+    },
+    'Chats.*.LanguageCode': {
+      optional: true,
+      isIn: { options: [['uz', 'ru', 'en']], errorMessage: 'LanguageCode must be uz, ru or en' },
+    },
+    'Chats.*.FirstName': { optional: true, isString: true },
+    'Chats.*.LastName': { optional: true, isString: true },
+    'Chats.*.Username': { optional: true, isString: true },
+  }),
+  botApiRateLimiter,
+  async (req, res) => {
+    const chats = req.body.Chats.map((chat) => ({
+      chatId: chat.SendToChatId.toString(),
+      languageCode: chat.LanguageCode || null,
+      userInfo: {
+        firstName: chat.FirstName,
+        lastName: chat.LastName,
+        username: chat.Username,
+      },
+    }));
+
+    try {
+      logger.info(`SendPostBatch request: botId=${req.botId}, chats=${chats.length}`);
+
+      const results = await distributionService.deliverBatch(req.botId, chats);
+
+      res.json({
+        Results: results.map((result) => ({
+          SendToChatId: Number(result.chatId),
+          SendPostResult: result.code,
+        })),
+      });
+    } catch (error) {
+      logger.error('SendPostBatch error:', error);
+      res.json({
+        Results: chats.map((chat) => ({
+          SendToChatId: Number(chat.chatId),
+          SendPostResult: BOT_SEND_POST_RESULTS.OTHER_ERROR,
+        })),
+      });
+    }
+  }
+);
+
+// ==================== BOT API v2 ====================
+
+/**
+ * POST /api/v2/ad/Fetch
+ * Bot API v2 - Get a ready-to-render ad; the bot sends it itself and then calls Confirm.
+ * Nothing is charged until the impression id is confirmed.
+ */
+router.post(
+  '/v2/ad/Fetch',
+  authenticateBotApiKey,
+  sendAdsScope,
+  botApiRateLimiter,
+  validateSchema({
+    ChatId: {
+      isInt: {
+        options: { min: 1, max: 8999999999 },
+        errorMessage: 'ChatId must be a valid Telegram user ID (1–8999999999)',
+      },
+    },
+    LanguageCode: {
+      optional: true,
+      isIn: { options: [['uz', 'ru', 'en']], errorMessage: 'LanguageCode must be uz, ru or en' },
+    },
+    FirstName: { optional: true, isString: true, isLength: { options: { max: 64 } } },
+    LastName: { optional: true, isString: true, isLength: { options: { max: 64 } } },
+    Username: { optional: true, isString: true, isLength: { options: { max: 32 } } },
+  }),
+  async (req, res) => {
+    try {
+      const { ChatId, LanguageCode, FirstName, LastName, Username } = req.body;
+
+      const result = await adFetchService.fetchAd(req.botId, {
+        chatId: ChatId.toString(),
+        telegramUserId: ChatId.toString(),
+        languageCode: LanguageCode || null,
+        userInfo: {
+          firstName: FirstName || null,
+          lastName: LastName || null,
+          username: Username || null,
+        },
+      });
+
+      if (result.code !== BOT_FETCH_RESULTS.SUCCESS) {
+        return res.json({ FetchResult: result.code });
+      }
+
+      res.json({
+        FetchResult: result.code,
+        ImpressionId: result.impressionId,
+        ExpiresAt: result.expiresAt.toISOString(),
+        Ad: result.ad,
+      });
+    } catch (error) {
+      logger.error('Fetch error:', error);
+      res.json({ FetchResult: BOT_FETCH_RESULTS.OTHER_ERROR });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/ad/Confirm
+ * Bot API v2 - The fetched ad was sent; records the impression
+ */
+router.post(
+  '/v2/ad/Confirm',
+  authenticateBotApiKey,
+  sendAdsScope,
+  botApiRateLimiter,
+  validateSchema({
+    ImpressionId: { isString: true, notEmpty: { errorMessage: 'ImpressionId is required' } },
+    MessageId: {
+      isInt: {
+        options: { min: 1 },
+        errorMessage: 'MessageId must be the message_id Telegram returned for the sent ad',
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { ImpressionId, MessageId } = req.body;
+
+      const result = await adFetchService.confirm(req.botId, ImpressionId, MessageId.toString());
+
+      res.json({ ConfirmResult: result.code });
+    } catch (error) {
+      logger.error('Confirm error:', error);
+      res.json({ ConfirmResult: BOT_CONFIRM_RESULTS.OTHER_ERROR });
+    }
+  }
+);
+
+/**
+ * GET /api/bot/Stats?Days=7
+ * Bot API - Daily impressions, clicks and revenue of the key's bot (READ_STATS scope)
+ */
+router.get(
+  '/bot/Stats',
+  authenticateBotApiKey,
+  requireBotApiScope(BOT_API_KEYS.SCOPES.READ_STATS),
+  botApiRateLimiter,
+  validateSchema({
+    Days: { optional: true, isInt: { options: { min: 1, max: 90 }, errorMessage: 'Days must be 1–90' } },
+  }, ['query']),
+  async (req, res) => {
+    try {
+      const stats = await botStatsService.getBotStats(req.botId, parseInt(req.query.Days || '7', 10));
+      res.json(stats);
+    } catch (error) {
+      logger.error('Bot stats error:', error);
+      res.status(500).json({ success: false, error: 'Failed to load stats' });
+    }
+  }
+);
+
+// Transparent 1x1 GIF
+const PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const conversionValidators = [
+  check('click_id').isString().trim().notEmpty().isLength({ max: 64 }),
+  check('value').optional().isFloat({ min: 0, max: CONVERSIONS.MAX_VALUE }),
+  check('event').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  check('txid').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  check('secret').optional().isString().isLength({ max: 100 }),
+];
+
+const conversionInput = (req, source) => {
+  const input = { ...req.query, ...req.body };
+
+  return {
+    clickId: input.click_id,
+    value: input.value,
+    event: input.event,
+    transactionId: input.txid,
+    source,
+    secret: req.get(CONVERSIONS.SECRET_HEADER) || input.secret,
+    ipAddress: req.ip,
+  };
+};
+
+/**
+ * GET|POST /api/conversion?click_id=…&value=…&event=…&txid=…&secret=…
+ * Server-to-server conversion postback from the advertiser, authenticated with the
+ * advertiser's postback secret (X-Postback-Secret header or `secret` parameter)
+ */
+const handlePostback = async (req, res) => {
+  try {
+    const result = await conversionService.recordConversion(
+      conversionInput(req, CONVERSIONS.SOURCES.POSTBACK)
+    );
+
+    res.json({
+      success: true,
+      duplicate: result.duplicate,
+      conversionId: result.conversion?.id,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    logger.error('Conversion postback error:', error);
+    res.status(500).json({ success: false, error: 'Failed to record conversion' });
+  }
+};
+
+router.get('/conversion', validate(conversionValidators), handlePostback);
+router.post('/conversion', validate(conversionValidators), handlePostback);
+
+/**
+ * GET /api/conversion/pixel.gif?click_id=…&value=…
+ * Conversion pixel for the advertiser's thank-you page — always answers with the image
+ */
+router.get('/conversion/pixel.gif', async (req, res) => {
+  const input = conversionInput(req, CONVERSIONS.SOURCES.PIXEL);
+
+  if (typeof input.clickId === 'string' && input.clickId.length > 0 && input.clickId.length <= 64) {
+    await conversionService.recordConversion({
+      ...input,
+      value: Number.isFinite(parseFloat(input.value)) ? input.value : 0,
+      event: typeof input.event === 'string' ? input.event.slice(0, 50) : undefined,
+      transactionId: typeof input.transactionId === 'string' ? input.transactionId.slice(0, 100) : undefined,
+    }).catch((error) => {
+      if (!error.isOperational) logger.error('Conversion pixel error:', error);
+    });
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': PIXEL_GIF.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+  });
+  res.send(PIXEL_GIF);
+});
+
 /**
  * GET /api/health
  * Public health check
@@ -79,6 +357,13 @@ router.get('/health', (req, res) => {
   });
 });
 
+/**
+ * GET /api/openapi.json
+ * Public - OpenAPI document of the Bot API, built from the routes above
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(botApiSpecService.getSpec(router));
+});
 
 /**
  * GET /api/categories
@@ -10,12 +10,17 @@ import advertiserAnalytics from "../../services/analytics/advertiserAnalytics.js
 import exportService from "../../services/analytics/exportService.js";
 import distributionService from "../../services/distribution/distributionService.js";
 import adSchedulingService from "../../services/ad/adSchedulingService.js";
+import adCloseoutService from "../../services/ad/adCloseoutService.js";
+import adVariantService from "../../services/ad/adVariantService.js";
+import conversionService from "../../services/ad/conversionService.js";
 import dailyStatsService from "../../services/analytics/dailyStatsService.js";
-import { authenticate, authenticateBotApiKey } from "../../middleware/auth.js";
+import { authenticate, authenticateBotApiKey, requireBotApiScope } from "../../middleware/auth.js";
 import { requireAdvertiser } from "../../middleware/rbac.js";
 import { validate } from "../../middleware/validate.js";
 import { body, param, query } from "express-validator";
 import { botApiRateLimiter } from "../../middleware/rateLimiter.js";
+import { PACING_MODES, VARIANT_STRATEGIES, AB_TEST, BOT_API_KEYS } from "../../config/constants.js";
+import { targetingValidators } from "../../validators/ad.validator.js";
 import response from "../../utils/response.js";
 import prisma from "../../config/database.js";
 import multer from "multer";
@@ -39,6 +44,7 @@ const upload = multer({
 router.post(
   "/SendPost",
   authenticateBotApiKey,
+  requireBotApiScope(BOT_API_KEYS.SCOPES.SEND_ADS),
   botApiRateLimiter,
   validate([body("SendToChatId").isInt({ min: 1, max: 8999999999 })]),
   async (req, res, next) => {
@@ -167,7 +173,8 @@ router.post(
     body("poll").optional().isObject(),
     body("targetImpressions").isInt({ min: 100 }),
     body("cpmBid").optional().isFloat({ min: 0 }),
-    body("targeting").optional().isObject(),
+    ...targetingValidators,
+    body("pacingMode").optional().isIn(Object.values(PACING_MODES)),
     body("specificBotIds").optional().isArray(),
     body("excludedBotIds").optional().isArray(),
     body("promoCode").optional().isString(),
@@ -312,9 +319,11 @@ router.put(
     body("title").optional({ checkFalsy: true }).isString().isLength({ min: 3, max: 100 }),
     body("text").optional().isString().isLength({ min: 10, max: 4096 }),
     body("buttons").optional().isArray(),
-    body("targeting").optional().isObject(),
+    ...targetingValidators,
+    body("pacingMode").optional().isIn(Object.values(PACING_MODES)),
     body("specificBotIds").optional().isArray(),
     body("excludedBotIds").optional().isArray(),
+    body("promoCode").optional({ values: "null" }).isString(),
   ]),
   async (req, res, next) => {
     try {
@@ -388,6 +397,42 @@ router.post(
   },
 );
 
+/**
+ * POST /api/v1/ads/:id/stop
+ * Stop ad for good and refund the remaining budget
+ */
+router.post(
+  "/:id/stop",
+  validate([param("id").isString()]),
+  async (req, res, next) => {
+    try {
+      const result = await adService.stopAd(req.params.id, req.userId);
+
+      response.success(res, result, "Ad stopped");
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * GET /api/v1/ads/:id/report
+ * Final campaign report (available once the ad is closed out)
+ */
+router.get(
+  "/:id/report",
+  validate([param("id").isString()]),
+  async (req, res, next) => {
+    try {
+      const report = await adCloseoutService.getReport(req.params.id, req.userId);
+
+      response.success(res, { report });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
 /**
  * POST /api/v1/ads/:id/duplicate
  * Duplicate ad
@@ -445,6 +490,50 @@ router.get(
   },
 );
 
+/**
+ * GET /api/v1/ads/:id/conversions
+ * Latest conversions and the postback / pixel setup
+ */
+router.get(
+  "/:id/conversions",
+  validate([
+    param("id").isString(),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const conversions = await conversionService.getAdConversions(
+        req.params.id,
+        req.userId,
+        parseInt(req.query.limit || 100),
+      );
+
+      response.success(res, {
+        setup: conversionService.getSetup(
+          await conversionService.getPostbackSecret(req.userId),
+        ),
+        conversions,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /api/v1/ads/conversions/secret
+ * Rotate the postback secret of the advertiser (all ads)
+ */
+router.post("/conversions/secret", async (req, res, next) => {
+  try {
+    const secret = await conversionService.rotatePostbackSecret(req.userId);
+
+    response.success(res, { setup: conversionService.getSetup(secret) });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/v1/ads/:id/export
  * Export impressions to Excel
@@ -516,9 +605,31 @@ router.post(
     param("id").isString(),
     body("startDate").isISO8601(),
     body("endDate").isISO8601(),
-    body("timezone").optional().isString(),
-    body("activeDays").optional().isArray(),
-    body("activeHours").optional().isArray(),
+    body("timezone")
+      .optional()
+      .isString()
+      .custom((timeZone) => {
+        try {
+          new Intl.DateTimeFormat("en-US", { timeZone });
+          return true;
+        } catch {
+          throw new Error("Invalid IANA timezone");
+        }
+      }),
+    body("activeDays").optional().isArray({ min: 1, max: 7 }),
+    body("activeDays.*").isInt({ min: 0, max: 6 }).toInt(),
+    body("activeHours").optional().isArray({ min: 1, max: 24 }),
+    body("activeHours.*.start").isInt({ min: 0, max: 23 }).toInt(),
+    body("activeHours.*.end")
+      .isInt({ min: 1, max: 24 })
+      .toInt()
+      .custom((end, { req, path }) => {
+        const index = parseInt(path.match(/\[(\d+)\]/)[1], 10);
+        if (end <= parseInt(req.body.activeHours[index].start, 10)) {
+          throw new Error("Active hours end must be after start");
+        }
+        return true;
+      }),
   ]),
   async (req, res, next) => {
     try {
@@ -556,6 +667,170 @@ router.delete(
   },
 );
 
+/**
+ * GET /api/v1/ads/:id/schedule/preview
+ * Next active delivery windows (dayparting in the ad's timezone)
+ */
+router.get(
+  "/:id/schedule/preview",
+  validate([
+    param("id").isString(),
+    query("count").optional().isInt({ min: 1, max: 50 }).toInt(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const preview = await adSchedulingService.getSchedulePreview(
+        req.params.id,
+        req.userId,
+        req.query.count || 10,
+      );
+
+      response.success(res, preview);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+const variantCreativeValidators = [
+  body("name").optional().isString().isLength({ min: 1, max: 50 }),
+  body("text").optional().isString().isLength({ min: 10, max: 4096 }),
+  body("htmlContent").optional().isString(),
+  body("markdownContent").optional().isString(),
+  body("mediaUrl").optional().isString(),
+  body("mediaType").optional().isString(),
+  body("buttons").optional().isArray({ max: 5 }),
+];
+
+/**
+ * GET /api/v1/ads/:id/variants
+ * A/B variants with impressions, clicks, CTR and traffic share
+ */
+router.get(
+  "/:id/variants",
+  validate([param("id").isString()]),
+  async (req, res, next) => {
+    try {
+      const result = await adVariantService.getVariants(req.params.id, req.userId);
+
+      response.success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /api/v1/ads/:id/variants
+ * Add a creative variant (draft or rejected ads)
+ */
+router.post(
+  "/:id/variants",
+  validate([param("id").isString(), ...variantCreativeValidators]),
+  async (req, res, next) => {
+    try {
+      const variant = await adVariantService.createVariant(req.params.id, req.userId, req.body);
+
+      response.created(res, { variant }, "Variant added");
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /api/v1/ads/:id/variants/import
+ * Import /ai/generate-variations output as variants
+ */
+router.post(
+  "/:id/variants/import",
+  validate([
+    param("id").isString(),
+    body("variations").isArray({ min: 1, max: AB_TEST.MAX_VARIANTS }),
+    body("variations.*").isString().isLength({ min: 10, max: 4096 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const variants = await adVariantService.importVariations(
+        req.params.id,
+        req.userId,
+        req.body.variations,
+      );
+
+      response.created(res, { variants }, "Variants imported");
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * PUT /api/v1/ads/:id/variants/strategy
+ * even rotation or auto_winner
+ */
+router.put(
+  "/:id/variants/strategy",
+  validate([
+    param("id").isString(),
+    body("strategy").isIn(Object.values(VARIANT_STRATEGIES)),
+  ]),
+  async (req, res, next) => {
+    try {
+      const ad = await adVariantService.setStrategy(req.params.id, req.userId, req.body.strategy);
+
+      response.success(res, { ad }, "Variant strategy updated");
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * PUT /api/v1/ads/:id/variants/:variantId
+ * Edit a variant (draft or rejected ads)
+ */
+router.put(
+  "/:id/variants/:variantId",
+  validate([
+    param("id").isString(),
+    param("variantId").isString(),
+    ...variantCreativeValidators,
+    body("isActive").optional().isBoolean(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const variant = await adVariantService.updateVariant(
+        req.params.id,
+        req.params.variantId,
+        req.userId,
+        req.body,
+      );
+
+      response.success(res, { variant }, "Variant updated");
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * DELETE /api/v1/ads/:id/variants/:variantId
+ * Remove a variant (draft or rejected ads)
+ */
+router.delete(
+  "/:id/variants/:variantId",
+  validate([param("id").isString(), param("variantId").isString()]),
+  async (req, res, next) => {
+    try {
+      await adVariantService.deleteVariant(req.params.id, req.params.variantId, req.userId);
+
+      response.success(res, null, "Variant deleted");
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
 /**
  * POST /api/v1/ads/:id/save
  * Toggle save/favorite ad
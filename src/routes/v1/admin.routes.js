@@ -11,10 +11,15 @@ import adminAnalytics from '../../services/analytics/adminAnalytics.js';
 import categoryService from '../../services/category/categoryService.js';
 import detailedStatsService from '../../services/admin/detailedStatsService.js';
 import broadcastService from '../../services/admin/broadcastService.js';
+import promoCodeService from '../../services/ad/promoCodeService.js';
+import clickFraudService from '../../services/fraud/clickFraudService.js';
+import botFraudService from '../../services/fraud/botFraudService.js';
+import earningsHoldService from '../../services/wallet/earningsHoldService.js';
 import { authenticate } from '../../middleware/auth.js';
 import { requireAdmin, requireModerator, requireSuperAdmin } from '../../middleware/rbac.js';
 import { validate } from '../../middleware/validate.js';
 import { body, param, query } from 'express-validator';
+import { PROMO_CODE_TYPES } from '../../config/constants.js';
 import response from '../../utils/response.js';
 import prisma from '../../config/database.js';
 
@@ -311,6 +316,99 @@ router.get(
   }
 );
 
+/**
+ * GET /api/v1/admin/moderation/bots/quarantine
+ * Bots quarantined for impression fraud, with signals and withheld earnings
+ */
+router.get(
+  '/moderation/bots/quarantine',
+  requireModerator,
+  validate([
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { limit = 20, offset = 0 } = req.query;
+      const result = await botFraudService.getQuarantinedBots(parseInt(limit), parseInt(offset));
+      response.paginated(res, result.bots, {
+        page: Math.floor(offset / limit) + 1,
+        limit: parseInt(limit),
+        total: result.total,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/admin/moderation/bots/:id/release
+ * Traffic reviewed and legitimate: bot gets ads again, held earnings mature again
+ */
+router.post(
+  '/moderation/bots/:id/release',
+  requireAdmin,
+  validate([
+    param('id').isString(),
+    body('note').optional().isString().isLength({ max: 500 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const bot = await botFraudService.release(req.params.id, req.userId, req.body.note);
+      response.success(res, { bot }, 'Bot released from quarantine');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/admin/moderation/bots/:id/ban
+ * Traffic reviewed and fraudulent: bot banned, held earnings optionally clawed back
+ */
+router.post(
+  '/moderation/bots/:id/ban',
+  requireAdmin,
+  validate([
+    param('id').isString(),
+    body('reason').isString().notEmpty(),
+    body('forfeit').optional().isBoolean(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await botFraudService.ban(req.params.id, req.userId, {
+        reason: req.body.reason,
+        forfeit: req.body.forfeit === true,
+      });
+      response.success(res, result, 'Bot banned');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/admin/moderation/bots/:id/clawback
+ * Traffic invalidated: claw back the bot's earnings that are still on hold
+ */
+router.post(
+  '/moderation/bots/:id/clawback',
+  requireAdmin,
+  validate([
+    param('id').isString(),
+    body('reason').isString().notEmpty(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await earningsHoldService.clawback(req.params.id, req.userId, req.body.reason);
+      response.success(res, result, 'Pending earnings clawed back');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 router.post(
   '/moderation/bots/:id/approve',
   requireModerator,
@@ -377,13 +475,24 @@ router.get(
         },
 
         payment: {
-          network: 'BEP-20 (BSC)',
+          network: withdrawService.networkLabel(w.network),
           coin: 'USDT',
           address: w.address,
           amountRequested: parseFloat(w.amount),
           fee: parseFloat(w.fee),
           amountToSend: parseFloat(w.netAmount),
         },
+
+        review: {
+          riskFlags: w.riskFlags,
+          approvalsRequired: w.approvalsRequired,
+          approvals: w.approvals.map(a => ({
+            adminId: a.admin.id,
+            name: a.admin.firstName,
+            username: a.admin.username ? `@${a.admin.username}` : null,
+            approvedAt: a.createdAt,
+          })),
+        },
       }));
 
       response.paginated(res, enriched, {
@@ -457,6 +566,15 @@ router.post(
   async (req, res, next) => {
     try {
       const withdrawal = await withdrawService.approveWithdrawal(req.params.id, req.userId);
+
+      if (withdrawal.status === 'PENDING_REVIEW') {
+        return response.success(
+          res,
+          { withdrawal },
+          `Approval recorded (${withdrawal.approvals}/${withdrawal.approvalsRequired}), another admin must approve`
+        );
+      }
+
       response.success(res, { withdrawal }, 'Withdraw approved');
     } catch (error) {
       next(error);
@@ -823,6 +941,114 @@ router.get('/pricing/stats', requireAdmin, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/v1/admin/pricing/revenue-share
+ * Platform default fee + per-bot and per-owner overrides
+ * Resolution order at delivery: bot → owner → platform default
+ */
+router.get('/pricing/revenue-share', requireAdmin, async (req, res, next) => {
+  try {
+    const revenueShare = await pricingService.getRevenueShare();
+    response.success(res, revenueShare);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/admin/pricing/revenue-share/bots/:botId
+ * Set bot override
+ *
+ * Body: { platformFeePercentage: 20 }  // 80/20 split
+ */
+router.put(
+  '/pricing/revenue-share/bots/:botId',
+  requireSuperAdmin,
+  validate([
+    param('botId').isString(),
+    body('platformFeePercentage')
+      .isFloat({ min: 0, max: 50 })
+      .withMessage('Platform fee must be between 0% and 50%'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const bot = await pricingService.setBotRevenueShare(
+        req.params.botId,
+        parseFloat(req.body.platformFeePercentage),
+        req.userId
+      );
+      response.success(res, { bot }, 'Bot revenue share updated');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/admin/pricing/revenue-share/bots/:botId
+ * Remove bot override
+ */
+router.delete(
+  '/pricing/revenue-share/bots/:botId',
+  requireSuperAdmin,
+  validate([param('botId').isString()]),
+  async (req, res, next) => {
+    try {
+      const bot = await pricingService.setBotRevenueShare(req.params.botId, null, req.userId);
+      response.success(res, { bot }, 'Bot revenue share override removed');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/v1/admin/pricing/revenue-share/owners/:userId
+ * Set owner override (applies to all bots of the owner without a bot override)
+ *
+ * Body: { platformFeePercentage: 20 }
+ */
+router.put(
+  '/pricing/revenue-share/owners/:userId',
+  requireSuperAdmin,
+  validate([
+    param('userId').isString(),
+    body('platformFeePercentage')
+      .isFloat({ min: 0, max: 50 })
+      .withMessage('Platform fee must be between 0% and 50%'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const owner = await pricingService.setOwnerRevenueShare(
+        req.params.userId,
+        parseFloat(req.body.platformFeePercentage),
+        req.userId
+      );
+      response.success(res, { owner }, 'Owner revenue share updated');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/admin/pricing/revenue-share/owners/:userId
+ * Remove owner override
+ */
+router.delete(
+  '/pricing/revenue-share/owners/:userId',
+  requireSuperAdmin,
+  validate([param('userId').isString()]),
+  async (req, res, next) => {
+    try {
+      const owner = await pricingService.setOwnerRevenueShare(req.params.userId, null, req.userId);
+      response.success(res, { owner }, 'Owner revenue share override removed');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // ==================== PUBLIC PRICING ENDPOINTS (NO AUTH) ====================
 
 /**
@@ -849,6 +1075,166 @@ router.post(
   }
 );
 
+// ==================== PROMO CODES ====================
+
+const promoCodeRuleValidators = [
+  body('discount').optional().isFloat({ gt: 0 }).toFloat(),
+  body('type').optional().isIn(Object.values(PROMO_CODE_TYPES)),
+  body('maxUses').optional().isInt({ min: 1 }).toInt(),
+  body('maxUsesPerUser').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('minSpend').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('firstCampaignOnly').optional().isBoolean().toBoolean(),
+  body('categories').optional({ values: 'null' }).isArray(),
+  body('categories.*').isString(),
+  body('validFrom').optional().isISO8601(),
+  body('expiresAt').optional().isISO8601(),
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 500 }),
+];
+
+/**
+ * GET /api/v1/admin/promo-codes
+ * List promo codes
+ */
+router.get(
+  '/promo-codes',
+  requireAdmin,
+  validate([
+    query('search').optional().isString(),
+    query('isActive').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { limit = 20, offset = 0 } = req.query;
+      const { promoCodes, total } = await promoCodeService.list({ ...req.query, limit, offset });
+
+      response.paginated(res, promoCodes, {
+        page: Math.floor(offset / limit) + 1,
+        limit,
+        total,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/v1/admin/promo-codes/:id
+ * Promo code with redemption totals
+ */
+router.get(
+  '/promo-codes/:id',
+  requireAdmin,
+  validate([param('id').isString()]),
+  async (req, res, next) => {
+    try {
+      const promoCode = await promoCodeService.getById(req.params.id);
+      response.success(res, { promoCode });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/v1/admin/promo-codes/:id/redemptions
+ * Redemption history
+ */
+router.get(
+  '/promo-codes/:id/redemptions',
+  requireAdmin,
+  validate([
+    param('id').isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { limit = 50, offset = 0 } = req.query;
+      const { redemptions, total } = await promoCodeService.getRedemptions(req.params.id, { limit, offset });
+
+      response.paginated(res, redemptions, {
+        page: Math.floor(offset / limit) + 1,
+        limit,
+        total,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/admin/promo-codes
+ * Create promo code
+ */
+router.post(
+  '/promo-codes',
+  requireAdmin,
+  validate([
+    body('code')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,50}$/)
+      .withMessage('Code must be 3-50 letters, digits, - or _'),
+    body('discount').exists().withMessage('Discount is required'),
+    body('maxUses').exists().withMessage('Max uses is required'),
+    body('expiresAt').exists().withMessage('Expiry date is required'),
+    ...promoCodeRuleValidators,
+  ]),
+  async (req, res, next) => {
+    try {
+      const promoCode = await promoCodeService.create(req.body, req.userId);
+      response.created(res, { promoCode }, 'Promo code created');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/v1/admin/promo-codes/:id
+ * Update promo code rules
+ */
+router.put(
+  '/promo-codes/:id',
+  requireAdmin,
+  validate([param('id').isString(), ...promoCodeRuleValidators]),
+  async (req, res, next) => {
+    try {
+      const promoCode = await promoCodeService.update(req.params.id, req.body, req.userId);
+      response.success(res, { promoCode }, 'Promo code updated');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/admin/promo-codes/:id
+ * Delete promo code (deactivated instead once it has redemptions)
+ */
+router.delete(
+  '/promo-codes/:id',
+  requireAdmin,
+  validate([param('id').isString()]),
+  async (req, res, next) => {
+    try {
+      const result = await promoCodeService.delete(req.params.id, req.userId);
+      response.success(
+        res,
+        result,
+        result.deleted ? 'Promo code deleted' : 'Promo code has redemptions and was deactivated'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // ==================== CATEGORY MANAGEMENT ====================
 
 
@@ -1013,6 +1399,7 @@ router.get(
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('offset').optional().isInt({ min: 0 }),
     query('search').optional().isString(),
+    query('valid').optional().isBoolean(),
   ]),
   async (req, res, next) => {
     try {
@@ -1028,6 +1415,30 @@ router.get(
   }
 );
 
+/**
+ * GET /api/v1/admin/fraud/clicks
+ * Invalid clicks per bot with the signals that flagged them (Admin only)
+ */
+router.get(
+  '/fraud/clicks',
+  requireAdmin,
+  validate([
+    query('days').optional().isInt({ min: 1, max: 90 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const bots = await clickFraudService.getBotSummary({
+        days: parseInt(req.query.days || 7),
+        limit: parseInt(req.query.limit || 50),
+      });
+      response.success(res, { bots });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/v1/admin/detailed-stats/impressions/export
  * Export all impressions as JSON (for CSV download)
@@ -2,6 +2,7 @@ import { Router } from "express";
 import botService from "../../services/bot/botService.js";
 import botStatsService from "../../services/bot/botStatsService.js";
 import botIntegrationService from "../../services/bot/botIntegrationService.js";
+import botApiKeyService from "../../services/bot/botApiKeyService.js";
 import { authenticate } from "../../middleware/auth.js";
 import { requireBotOwner } from "../../middleware/rbac.js";
 import { validate } from "../../middleware/validate.js";
@@ -13,6 +14,7 @@ import axios from "axios";
 import adminNotificationService from "../../services/telegram/adminNotificationService.js";
 import detailedStatsService from "../../services/admin/detailedStatsService.js";
 import broadcastService from "../../services/admin/broadcastService.js"; // Added broadcastService
+import { BOT_API_KEYS, BOT_DELIVERY_MODES } from "../../config/constants.js";
 
 const router = Router();
 
@@ -195,7 +197,13 @@ router.post(
   "/",
   requireBotOwner,
   validate([
-    body("token").isString().notEmpty(),
+    body("deliveryMode").optional().isIn(Object.values(BOT_DELIVERY_MODES)),
+    body("token")
+      .if((value, { req }) => req.body.deliveryMode !== BOT_DELIVERY_MODES.FETCH || value)
+      .isString()
+      .notEmpty(),
+    body("username").optional().isString().matches(/^@?[A-Za-z0-9_]{5,32}$/),
+    body("telegramBotId").optional().isInt({ min: 1 }),
     body("shortDescription").optional().isString().isLength({ max: 500 }),
     body("category").isString().notEmpty(),
     body("language").optional().isIn(["uz", "ru", "en"]),
@@ -243,7 +251,7 @@ router.get("/", requireBotOwner, async (req, res, next) => {
 
         // Get clicks count
         const clicksCount = await prisma.clickEvent.count({
-          where: { botId: bot.id, clicked: true },
+          where: { botId: bot.id, clicked: true, isValid: true },
         });
 
         // Calculate CTR
@@ -377,15 +385,20 @@ router.post(
 /**
  * POST /api/v1/bots/:id/regenerate-api-key
  * Regenerate API key
+ * The previous key keeps working for graceHours (default 24, 0 = stop it now)
  */
 router.post(
   "/:id/regenerate-api-key",
-  validate([param("id").isString()]),
+  validate([
+    param("id").isString(),
+    body("graceHours").optional().isInt({ min: 0, max: BOT_API_KEYS.MAX_GRACE_HOURS }),
+  ]),
   async (req, res, next) => {
     try {
       const result = await botService.regenerateApiKey(
         req.params.id,
         req.userId,
+        req.body.graceHours,
       );
 
       response.success(
@@ -399,6 +412,122 @@ router.post(
   },
 );
 
+const apiKeyValidators = [
+  body("scopes").optional().isArray({ min: 1 }),
+  body("scopes.*").isIn(Object.values(BOT_API_KEYS.SCOPES)),
+  body("allowedIps").optional().isArray({ max: BOT_API_KEYS.MAX_ALLOWED_IPS }),
+  body("allowedIps.*").isString(),
+];
+
+/**
+ * GET /api/v1/bots/:id/api-keys
+ * List the bot's API keys (the keys themselves are never shown again)
+ */
+router.get(
+  "/:id/api-keys",
+  validate([param("id").isString()]),
+  async (req, res, next) => {
+    try {
+      const keys = await botApiKeyService.listKeys(req.params.id, req.userId);
+      response.success(res, { keys });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /api/v1/bots/:id/api-keys
+ * Create a named key with scopes, an optional IP allowlist and expiry
+ */
+router.post(
+  "/:id/api-keys",
+  validate([
+    param("id").isString(),
+    body("name").isString().trim().isLength({ min: 1, max: 50 }),
+    ...apiKeyValidators,
+    body("expiresAt").optional({ nullable: true }).isISO8601(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await botApiKeyService.createKey(req.params.id, req.userId, req.body);
+      response.created(res, result, "API key created");
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * PATCH /api/v1/bots/:id/api-keys/:keyId
+ * Rename a key or change its scopes / IP allowlist
+ */
+router.patch(
+  "/:id/api-keys/:keyId",
+  validate([
+    param("id").isString(),
+    param("keyId").isString(),
+    body("name").optional().isString().trim().isLength({ min: 1, max: 50 }),
+    ...apiKeyValidators,
+  ]),
+  async (req, res, next) => {
+    try {
+      const { name, scopes, allowedIps } = req.body;
+      const key = await botApiKeyService.updateKey(req.params.id, req.userId, req.params.keyId, {
+        ...(name !== undefined && { name }),
+        ...(scopes !== undefined && { scopes }),
+        ...(allowedIps !== undefined && { allowedIps }),
+      });
+      response.success(res, { key }, "API key updated");
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /api/v1/bots/:id/api-keys/:keyId/rotate
+ * New key with the same settings; the old one works for graceHours
+ */
+router.post(
+  "/:id/api-keys/:keyId/rotate",
+  validate([
+    param("id").isString(),
+    param("keyId").isString(),
+    body("graceHours").optional().isInt({ min: 0, max: BOT_API_KEYS.MAX_GRACE_HOURS }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await botApiKeyService.rotateKey(
+        req.params.id,
+        req.userId,
+        req.params.keyId,
+        req.body.graceHours,
+      );
+      response.success(res, result, "API key rotated");
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * DELETE /api/v1/bots/:id/api-keys/:keyId
+ * Revoke a key immediately
+ */
+router.delete(
+  "/:id/api-keys/:keyId",
+  validate([param("id").isString(), param("keyId").isString()]),
+  async (req, res, next) => {
+    try {
+      const result = await botApiKeyService.revokeKey(req.params.id, req.userId, req.params.keyId);
+      response.success(res, result, "API key revoked");
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
 /**
  * PUT /api/v1/bots/:id/token
  * Update bot token
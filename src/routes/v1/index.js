@@ -8,6 +8,7 @@ import adRoutes from './ad.routes.js';
 import analyticsRoutes from './analytics.routes.js';
 import adminRoutes from './admin.routes.js';
 import webhookRoutes from './webhook.routes.js';
+import integrationRoutes from './integration.routes.js';
 import trackRoutes from './track.routes.js';
 import uploadRoutes from './upload.routes.js';
 import faqRoutes from './faq.routes.js';
@@ -28,6 +29,7 @@ router.use('/ad', adRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/admin', adminRoutes);
 router.use('/webhooks', webhookRoutes);
+router.use('/integrations', integrationRoutes);
 router.use('/track', trackRoutes);
 router.use('/upload', uploadRoutes);
 router.use('/faq', faqRoutes);
@@ -0,0 +1,202 @@
+// src/routes/integration.routes.js
+import { Router } from 'express';
+import webhookService from '../../services/webhook/webhookService.js';
+import { authenticate } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { body, param, query } from 'express-validator';
+import response from '../../utils/response.js';
+import { WEBHOOKS } from '../../config/constants.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const eventValidators = (required) => [
+  (required ? body('events') : body('events').optional())
+    .isArray({ min: 1, max: Object.keys(WEBHOOKS.EVENTS).length }),
+  body('events.*').isIn(Object.values(WEBHOOKS.EVENTS)),
+];
+
+/**
+ * GET /api/v1/integrations/webhooks/events
+ * Events an endpoint can subscribe to
+ */
+router.get('/webhooks/events', (req, res) => {
+  response.success(res, { events: Object.values(WEBHOOKS.EVENTS) });
+});
+
+/**
+ * GET /api/v1/integrations/webhooks
+ * List the user's webhook endpoints
+ */
+router.get('/webhooks', async (req, res, next) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.userId);
+
+    response.success(res, { endpoints });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/integrations/webhooks
+ * Register an HTTPS endpoint; the signing secret is returned only once
+ */
+router.post(
+  '/webhooks',
+  validate([
+    body('url').isURL({ protocols: ['https'], require_protocol: true }),
+    ...eventValidators(true),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 200 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await webhookService.createEndpoint(req.userId, req.body);
+
+      response.created(res, result, 'Webhook endpoint created');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/v1/integrations/webhooks/:id
+ * Change URL, events or description; isActive: true re-enables an auto-disabled endpoint
+ */
+router.patch(
+  '/webhooks/:id',
+  validate([
+    param('id').isString(),
+    body('url').optional().isURL({ protocols: ['https'], require_protocol: true }),
+    ...eventValidators(false),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 200 }),
+    body('isActive').optional().isBoolean().toBoolean(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { url, events, description, isActive } = req.body;
+      const endpoint = await webhookService.updateEndpoint(req.userId, req.params.id, {
+        url,
+        events,
+        description,
+        isActive,
+      });
+
+      response.success(res, { endpoint }, 'Webhook endpoint updated');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/integrations/webhooks/:id
+ * Remove an endpoint and its delivery log
+ */
+router.delete(
+  '/webhooks/:id',
+  validate([param('id').isString()]),
+  async (req, res, next) => {
+    try {
+      await webhookService.deleteEndpoint(req.userId, req.params.id);
+
+      response.success(res, null, 'Webhook endpoint deleted');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/integrations/webhooks/:id/rotate-secret
+ * New signing secret, returned only once
+ */
+router.post(
+  '/webhooks/:id/rotate-secret',
+  validate([param('id').isString()]),
+  async (req, res, next) => {
+    try {
+      const result = await webhookService.rotateSecret(req.userId, req.params.id);
+
+      response.success(res, result, 'Webhook secret rotated');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/integrations/webhooks/:id/test
+ * Send a webhook.test event to the endpoint
+ */
+router.post(
+  '/webhooks/:id/test',
+  validate([param('id').isString()]),
+  async (req, res, next) => {
+    try {
+      const delivery = await webhookService.sendTest(req.userId, req.params.id);
+
+      response.success(res, { delivery }, 'Test event queued');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/v1/integrations/webhooks/:id/deliveries
+ * Delivery log with response codes
+ */
+router.get(
+  '/webhooks/:id/deliveries',
+  validate([
+    param('id').isString(),
+    query('status').optional().isIn(['PENDING', 'SUCCESS', 'FAILED']),
+    query('event').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { status, event, limit = 50, offset = 0 } = req.query;
+
+      const result = await webhookService.listDeliveries(req.userId, req.params.id, {
+        status,
+        event,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      });
+
+      response.paginated(res, result.deliveries, {
+        page: Math.floor(offset / limit) + 1,
+        limit: parseInt(limit),
+        total: result.total,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/integrations/webhooks/deliveries/:deliveryId/replay
+ * Send a past delivery again
+ */
+router.post(
+  '/webhooks/deliveries/:deliveryId/replay',
+  validate([param('deliveryId').isString()]),
+  async (req, res, next) => {
+    try {
+      const delivery = await webhookService.replay(req.userId, req.params.deliveryId);
+
+      response.success(res, { delivery }, 'Webhook delivery replayed');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
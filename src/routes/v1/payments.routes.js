@@ -2,6 +2,7 @@
 import { Router } from 'express';
 import depositService from '../../services/payments/depositService.js';
 import withdrawService from '../../services/payments/withdrawService.js';
+import payoutAddressService from '../../services/payments/payoutAddressService.js';
 import transactionService from '../../services/payments/transactionService.js';
 import paymeService from '../../services/payments/providers/paymeService.js';
 import { authenticate } from '../../middleware/auth.js';
@@ -9,12 +10,10 @@ import { validate } from '../../middleware/validate.js';
 import { body, query, param } from 'express-validator';
 import response from '../../utils/response.js';
 import logger from '../../utils/logger.js';
+import { WITHDRAWAL_NETWORKS } from '../../config/constants.js';
 
 const router = Router();
 
-// BEP-20 manzil validatsiya regex
-const BEP20_REGEX = /^0x[a-fA-F0-9]{40}$/;
-
 // ==================== WEBHOOKS (NO AUTH) ====================
 
 /**
@@ -86,7 +85,7 @@ router.use(authenticate);
  * Deposit boshlash
  * 
  * Body: 
- *   - provider: 'PAYME' | 'CRYPTO'
+ *   - provider: 'CLICK' | 'PAYME' | 'CRYPTO'
  *   - amount: number (USD)
  * 
  * Response: { transaction, payment: { paymentUrl, ... } }
@@ -95,8 +94,8 @@ router.post(
   '/deposit/initiate',
   validate([
     body('provider')
-      .isIn(['PAYME', 'CRYPTO'])
-      .withMessage('Provider: PAYME yoki CRYPTO bo\'lishi kerak'),
+      .isIn(['CLICK', 'PAYME', 'CRYPTO'])
+      .withMessage('Provider: CLICK, PAYME yoki CRYPTO bo\'lishi kerak'),
     body('amount')
       .isFloat({ min: 1 })
       .withMessage('Miqdor 1 dan katta bo\'lishi kerak'),
@@ -185,19 +184,37 @@ router.post(
     body('amount')
       .isFloat({ min: 10 })
       .withMessage('Minimal yechish: $10'),
-    body('bep20Address')
+    body('network')
+      .optional()
+      .isIn(Object.keys(WITHDRAWAL_NETWORKS))
+      .withMessage(`Tarmoq: ${Object.keys(WITHDRAWAL_NETWORKS).join(', ')}`),
+    // payoutAddressId — saqlangan manzil, address — har qanday tarmoq uchun,
+    // bep20Address — eski klientlar uchun
+    body('payoutAddressId')
+      .optional()
+      .isString(),
+    body('address')
+      .if(body('bep20Address').not().exists())
+      .if(body('payoutAddressId').not().exists())
       .notEmpty()
-      .withMessage('BEP-20 manzil kiritilishi shart')
-      .matches(BEP20_REGEX)
+      .withMessage('Manzil kiritilishi shart')
+      .isString()
+      .trim(),
+    body('bep20Address')
+      .optional()
+      .matches(WITHDRAWAL_NETWORKS.BEP20.addressPattern)
       .withMessage('To\'g\'ri BEP-20 manzil kiriting (0x bilan boshlanuvchi, 42 belgi)'),
   ]),
   async (req, res, next) => {
     try {
-      const { amount, bep20Address } = req.body;
+      const { amount, network, address, bep20Address, payoutAddressId } = req.body;
 
       const withdrawal = await withdrawService.requestWithdrawal(req.userId, {
         amount: parseFloat(amount),
+        network,
+        address,
         bep20Address,
+        payoutAddressId,
       });
 
       response.created(res, { withdrawal }, 'Withdraw so\'rovi yuborildi. Admin tasdiqlashini kuting.');
@@ -207,6 +224,69 @@ router.post(
   }
 );
 
+/**
+ * GET /api/v1/payments/withdraw/addresses
+ * Saqlangan yechish manzillari
+ */
+router.get('/withdraw/addresses', async (req, res, next) => {
+  try {
+    const addresses = await payoutAddressService.list(req.userId);
+    response.success(res, { addresses });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/payments/withdraw/addresses
+ * Yangi manzil — login bot orqali tasdiqlanadi, keyin 24-48 soat cooldown
+ */
+router.post(
+  '/withdraw/addresses',
+  validate([
+    body('network')
+      .isIn(Object.keys(WITHDRAWAL_NETWORKS))
+      .withMessage(`Tarmoq: ${Object.keys(WITHDRAWAL_NETWORKS).join(', ')}`),
+    body('address')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Manzil kiritilishi shart'),
+    body('label')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 50 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { network, address, label } = req.body;
+
+      const payoutAddress = await payoutAddressService.add(req.userId, { network, address, label });
+
+      response.created(res, { address: payoutAddress }, 'Manzilni Telegram orqali tasdiqlang');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/payments/withdraw/addresses/:id
+ */
+router.delete(
+  '/withdraw/addresses/:id',
+  validate([param('id').isString()]),
+  async (req, res, next) => {
+    try {
+      const result = await payoutAddressService.remove(req.userId, req.params.id);
+      response.success(res, result, 'Manzil o\'chirildi');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/v1/payments/withdraw/history
  */
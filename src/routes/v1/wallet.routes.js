@@ -2,6 +2,7 @@
 import { Router } from 'express';
 import walletService from '../../services/wallet/walletService.js';
 import ledgerService from '../../services/wallet/ledgerService.js';
+import earningsHoldService from '../../services/wallet/earningsHoldService.js';
 import { authenticate } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validate.js';
 import { query } from 'express-validator';
@@ -89,6 +90,33 @@ router.get(
   }
 );
 
+/**
+ * GET /api/v1/wallet/earnings/pending
+ * Bot earnings still on hold and when they are released
+ */
+router.get(
+  '/earnings/pending',
+  validate([
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { limit = 50, offset = 0 } = req.query;
+
+      const result = await earningsHoldService.getOwnerHolds(
+        req.userId,
+        parseInt(limit),
+        parseInt(offset)
+      );
+
+      response.success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/v1/wallet/balance-check
  * Verify balance integrity
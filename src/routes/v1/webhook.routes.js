@@ -2,6 +2,7 @@ import { Router } from 'express';
 import clickService from '../../services/payments/providers/clickService.js';
 import paymeService from '../../services/payments/providers/paymeService.js';
 import nowpaymentsService from '../../services/payments/providers/nowpaymentService.js';
+import payoutService from '../../services/payments/payoutService.js';
 import { webhookRateLimiter } from '../../middleware/rateLimiter.js';
 import { webhookCors } from '../../middleware/cors.js';
 import logger from '../../utils/logger.js';
@@ -110,4 +111,37 @@ router.post('/nowpayments', webhookRateLimiter, async (req, res) => {
   }
 });
 
+// ==================== PAYOUTS ====================
+
+/**
+ * POST /api/v1/webhooks/payouts/:provider
+ * Avtomatik payout holati (withdraw): nowpayments | mock
+ * NOWPayments: headerda x-nowpayments-sig (HMAC-SHA512 imzosi)
+ */
+router.post('/payouts/:provider', webhookRateLimiter, async (req, res) => {
+  try {
+    logger.info('Payout IPN:', {
+      provider: req.params.provider,
+      payoutId: req.body?.id,
+      status: req.body?.status,
+    });
+
+    const result = await payoutService.handleIpn(
+      req.params.provider,
+      req.get('x-nowpayments-sig'),
+      req.body
+    );
+
+    if (result.success) {
+      res.json({ success: true });
+    } else {
+      logger.warn('Payout IPN xatosi:', result.error);
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    logger.error('Payout webhook xatosi:', error);
+    res.status(500).json({ success: false });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,217 @@
+// src/services/ad/adCloseoutService.js
+import prisma from '../../config/database.js';
+import walletService from '../wallet/walletService.js';
+import conversionService from './conversionService.js';
+import adIndexService from '../distribution/adIndexService.js';
+import logger from '../../utils/logger.js';
+import { NotFoundError } from '../../utils/errors.js';
+import { enqueueAdCloseout } from '../../jobs/queues/distributionQueue.js';
+import { enqueueNotificationSafe } from '../../jobs/queues/notificationQueue.js';
+import webhookService from '../webhook/webhookService.js';
+import { NOTIFICATION_TYPES, WEBHOOKS } from '../../config/constants.js';
+
+// Statuses whose budget was confirmed at approval (SCHEDULED only once moderated — before,
+// setSchedule moved unpaid drafts to SCHEDULED too)
+const CLOSABLE_STATUSES = ['SCHEDULED', 'RUNNING', 'PAUSED', 'COMPLETED'];
+
+/**
+ * Ad Closeout Service
+ * Ends a campaign for good: status COMPLETED, remainingBudget refunded to the advertiser
+ * (AD_REFUND ledger entry) and a final report stored on the ad.
+ *
+ * Runs on completion, schedule end, manual stop and deletion. Idempotent — the ad row is locked
+ * and closedOutAt is set once, so retries (queue or manual) never refund twice.
+ * An unmoderated SCHEDULED ad was never charged: it goes back to DRAFT without a refund.
+ */
+class AdCloseoutService {
+  /**
+   * Close out now
+   * @returns {Promise<{closedOut: boolean, reason?: string, refunded?: number, report?: Object}>}
+   */
+  async closeout(adId, reason) {
+    const result = await prisma.$transaction(async (tx) => {
+      const [locked] = await tx.$queryRaw`
+        SELECT id, advertiser_id, status::text AS status, remaining_budget, closed_out_at, moderated_at
+        FROM ads WHERE id = ${adId} FOR UPDATE
+      `;
+
+      if (!locked) return { closedOut: false, reason: 'AD_NOT_FOUND' };
+
+      if (locked.closed_out_at) {
+        const ad = await tx.ad.findUnique({ where: { id: adId }, select: { closeoutReport: true } });
+        return { closedOut: false, reason: 'ALREADY_CLOSED', report: ad.closeoutReport };
+      }
+
+      if (!CLOSABLE_STATUSES.includes(locked.status)) {
+        return { closedOut: false, reason: 'NOT_CLOSABLE' };
+      }
+
+      // Unpaid scheduled draft: nothing was reserved, so nothing to refund (as removeSchedule)
+      if (locked.status === 'SCHEDULED' && !locked.moderated_at) {
+        await tx.ad.update({ where: { id: adId }, data: { status: 'DRAFT' } });
+        return { closedOut: false, reason: 'UNPAID_DRAFT' };
+      }
+
+      const refunded = Math.max(0, parseFloat(locked.remaining_budget));
+      const closedAt = new Date();
+      const report = await this.buildReport(tx, adId, { reason, refunded, closedAt });
+
+      await tx.ad.update({
+        where: { id: adId },
+        data: {
+          status: 'COMPLETED',
+          completedAt: new Date(report.completedAt),
+          remainingBudget: 0,
+          closedOutAt: closedAt,
+          closeoutReport: report,
+        },
+      });
+
+      if (refunded > 0) {
+        await walletService.refundUnspentAdBudget(
+          tx,
+          locked.advertiser_id,
+          adId,
+          refunded,
+          `Ad closed (${reason}): unspent budget $${refunded} refunded (adId: ${adId})`
+        );
+      }
+
+      return {
+        closedOut: true,
+        wasRunning: locked.status === 'RUNNING',
+        advertiserId: locked.advertiser_id,
+        refunded,
+        report,
+      };
+    });
+
+    if (result.closedOut) {
+      logger.info(`Ad closed out: ${adId}, reason=${reason}, refunded=$${result.refunded}`);
+
+      if (result.wasRunning) await adIndexService.invalidateAds();
+      await enqueueNotificationSafe(NOTIFICATION_TYPES.AD_COMPLETED, { adId });
+      await webhookService.emitSafe(result.advertiserId, WEBHOOKS.EVENTS.AD_COMPLETED, {
+        adId,
+        reason,
+        refunded: result.refunded,
+        report: result.report,
+      });
+    }
+
+    const { wasRunning, advertiserId, ...response } = result;
+    return response;
+  }
+
+  /**
+   * Close out from a job; falls back to running inline when the queue is unavailable
+   */
+  async scheduleCloseout(adId, reason) {
+    try {
+      await enqueueAdCloseout(adId, reason);
+    } catch (error) {
+      logger.error(`Closeout not queued for ad ${adId}:`, error);
+      await this.closeout(adId, reason);
+    }
+  }
+
+  /**
+   * Final campaign report (delivery, spend, refund, conversions, audience, A/B variants)
+   */
+  async buildReport(tx, adId, { reason, refunded, closedAt }) {
+    const ad = await tx.ad.findUnique({
+      where: { id: adId },
+      select: {
+        title: true,
+        targetImpressions: true,
+        totalCost: true,
+        finalCpm: true,
+        clicks: true,
+        conversions: true,
+        conversionValue: true,
+        startedAt: true,
+        completedAt: true,
+        winnerVariantId: true,
+      },
+    });
+
+    const totals = await tx.impression.aggregate({
+      where: { adId },
+      _count: { _all: true },
+      _sum: { revenue: true },
+    });
+
+    const [audience] = await tx.$queryRaw`
+      SELECT COUNT(DISTINCT telegram_user_id)::int AS users, COUNT(DISTINCT bot_id)::int AS bots
+      FROM impressions WHERE ad_id = ${adId}
+    `;
+
+    const variants = await tx.adVariant.findMany({
+      where: { adId },
+      select: { id: true, name: true, impressions: true, clicks: true, conversions: true },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const impressions = totals._count._all;
+    const spent = parseFloat(totals._sum.revenue || 0);
+    const completedAt = ad.completedAt || closedAt;
+
+    return {
+      reason,
+      title: ad.title,
+      closedAt: closedAt.toISOString(),
+      startedAt: ad.startedAt ? ad.startedAt.toISOString() : null,
+      completedAt: completedAt.toISOString(),
+      targetImpressions: ad.targetImpressions,
+      impressions,
+      deliveryRate: ad.targetImpressions > 0
+        ? parseFloat(((impressions / ad.targetImpressions) * 100).toFixed(2))
+        : 0,
+      uniqueUsers: audience?.users || 0,
+      bots: audience?.bots || 0,
+      clicks: ad.clicks,
+      ctr: impressions > 0 ? parseFloat(((ad.clicks / impressions) * 100).toFixed(2)) : 0,
+      budget: parseFloat(ad.totalCost),
+      spent: parseFloat(spent.toFixed(6)),
+      refunded: parseFloat(refunded.toFixed(6)),
+      bidCpm: parseFloat(ad.finalCpm),
+      effectiveCpm: impressions > 0 ? parseFloat(((spent / impressions) * 1000).toFixed(4)) : 0,
+      ...conversionService.calculateMetrics({
+        spent,
+        clicks: ad.clicks,
+        conversions: ad.conversions,
+        conversionValue: parseFloat(ad.conversionValue || 0),
+      }),
+      variants: variants.map((variant) => ({
+        ...variant,
+        ctr: variant.impressions > 0
+          ? parseFloat(((variant.clicks / variant.impressions) * 100).toFixed(2))
+          : 0,
+        isWinner: variant.id === ad.winnerVariantId,
+      })),
+    };
+  }
+
+  /**
+   * Stored report of a closed-out ad
+   */
+  async getReport(adId, advertiserId) {
+    const ad = await prisma.ad.findFirst({
+      where: { id: adId, advertiserId },
+      select: { closedOutAt: true, closeoutReport: true },
+    });
+
+    if (!ad) {
+      throw new NotFoundError('Ad not found');
+    }
+
+    if (!ad.closedOutAt) {
+      throw new NotFoundError('Ad has not been closed out yet');
+    }
+
+    return ad.closeoutReport;
+  }
+}
+
+const adCloseoutService = new AdCloseoutService();
+export default adCloseoutService;
@@ -1,5 +1,7 @@
 import prisma from '../../config/database.js';
+import adIndexService from '../distribution/adIndexService.js';
 import walletService from '../wallet/walletService.js';
+import promoCodeService from './promoCodeService.js';
 import logger from '../../utils/logger.js';
 import { NotFoundError, ValidationError } from '../../utils/errors.js';
 
@@ -90,14 +92,17 @@ class AdModerationService {
         },
       });
 
+      // Ads with a future schedule start wait for the scheduler
+      const startsLater = ad.scheduleStartDate && ad.scheduleStartDate > new Date();
       await prisma.ad.update({
         where: { id: adId },
-        data: {
-          status: 'RUNNING',
-          startedAt: new Date(),
-        },
+        data: startsLater
+          ? { status: 'SCHEDULED', scheduledAt: ad.scheduleStartDate }
+          : { status: 'RUNNING', startedAt: new Date() },
       });
 
+      if (!startsLater) await adIndexService.invalidateAds();
+
       // Create audit log
       await prisma.auditLog.create({
         data: {
@@ -139,6 +144,7 @@ class AdModerationService {
       if (cost > 0) {
         await walletService.refundAdReserve(ad.advertiserId, adId, cost);
       }
+      await promoCodeService.release(adId, 'rejected');
 
       // Update ad status
       const updated = await prisma.ad.update({
@@ -195,6 +201,7 @@ class AdModerationService {
       if (cost > 0) {
         await walletService.refundAdReserve(ad.advertiserId, adId, cost);
       }
+      await promoCodeService.release(adId, 'rejected');
 
       // Update ad to draft with feedback
       const updated = await prisma.ad.update({
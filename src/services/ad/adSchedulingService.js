@@ -2,6 +2,25 @@
 import prisma from '../../config/database.js';
 import logger from '../../utils/logger.js';
 import { ValidationError, NotFoundError } from '../../utils/errors.js';
+import { SCHEDULE } from '../../config/constants.js';
+import { parseJson } from '../../utils/json.js';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Intl formatters are expensive to build and selection checks every candidate
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: 'numeric',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatters.get(timeZone);
+};
 
 /**
  * Ad Scheduling Service
@@ -21,8 +40,8 @@ class AdSchedulingService {
         throw new NotFoundError('Ad not found');
       }
 
-      if (!['DRAFT', 'APPROVED'].includes(ad.status)) {
-        throw new ValidationError('Can only schedule draft or approved ads');
+      if (!['DRAFT', 'APPROVED', 'SCHEDULED'].includes(ad.status)) {
+        throw new ValidationError('Can only schedule draft, approved or scheduled ads');
       }
 
       // Validate schedule
@@ -42,10 +61,12 @@ class AdSchedulingService {
         data: {
           scheduleStartDate: new Date(startDate),
           scheduleEndDate: new Date(endDate),
-          scheduleTimezone: timezone || 'Asia/Tashkent',
+          scheduleTimezone: timezone || SCHEDULE.DEFAULT_TIMEZONE,
           scheduleActiveDays: activeDays ? JSON.stringify(activeDays) : null,
           scheduleActiveHours: activeHours ? JSON.stringify(activeHours) : null,
-          status: ad.status === 'DRAFT' ? 'SCHEDULED' : ad.status,
+          // Drafts stay drafts (not paid yet) — approval starts them at scheduleStartDate
+          ...(ad.status === 'APPROVED' && { status: 'SCHEDULED', scheduledAt: new Date(startDate) }),
+          ...(ad.status === 'SCHEDULED' && { scheduledAt: new Date(startDate) }),
         },
       });
 
@@ -57,53 +78,132 @@ class AdSchedulingService {
     }
   }
 
+  /**
+   * Weekday (0 = Sunday) and hour of `date` in the given timezone
+   */
+  getLocalTime(date, timeZone) {
+    const parts = getFormatter(timeZone).formatToParts(date);
+    const part = (type) => parts.find((p) => p.type === type)?.value;
+
+    return {
+      day: WEEKDAYS[part('weekday')],
+      hour: parseInt(part('hour'), 10),
+    };
+  }
+
+  /**
+   * Is `now` inside the ad's active days / hours (dayparting only, date range not checked)
+   */
+  isInActiveWindow(ad, now = new Date()) {
+    const activeDays = parseJson(ad.scheduleActiveDays);
+    const activeHours = parseJson(ad.scheduleActiveHours);
+
+    const hasDays = Array.isArray(activeDays) && activeDays.length > 0;
+    const hasHours = Array.isArray(activeHours) && activeHours.length > 0;
+    if (!hasDays && !hasHours) return true;
+
+    const { day, hour } = this.getLocalTime(now, ad.scheduleTimezone || SCHEDULE.DEFAULT_TIMEZONE);
+
+    if (hasDays && !activeDays.includes(day)) {
+      return false;
+    }
+
+    if (hasHours && !activeHours.some((range) => hour >= range.start && hour < range.end)) {
+      return false;
+    }
+
+    return true;
+  }
+
   /**
    * Check if ad should run at current time
    */
-  isAdActive(ad) {
+  isAdActive(ad, now = new Date()) {
     try {
-      const now = new Date();
-
       // Check date range
-      if (ad.scheduleStartDate && now < ad.scheduleStartDate) {
+      if (ad.scheduleStartDate && now < new Date(ad.scheduleStartDate)) {
         return false;
       }
 
-      if (ad.scheduleEndDate && now > ad.scheduleEndDate) {
+      if (ad.scheduleEndDate && now >= new Date(ad.scheduleEndDate)) {
         return false;
       }
 
-      // Check active days
-      if (ad.scheduleActiveDays) {
-        const activeDays = JSON.parse(ad.scheduleActiveDays);
-        const currentDay = now.getDay(); // 0 = Sunday, 6 = Saturday
-        
-        if (!activeDays.includes(currentDay)) {
-          return false;
-        }
-      }
-
-      // Check active hours
-      if (ad.scheduleActiveHours) {
-        const activeHours = JSON.parse(ad.scheduleActiveHours);
-        const currentHour = now.getHours();
-        
-        const isInActiveHours = activeHours.some(range => {
-          return currentHour >= range.start && currentHour < range.end;
-        });
-
-        if (!isInActiveHours) {
-          return false;
-        }
-      }
-
-      return true;
+      return this.isInActiveWindow(ad, now);
     } catch (error) {
       logger.error('Check ad active failed:', error);
       return true; // Fail open
     }
   }
 
+  /**
+   * Next active windows of the ad (merged across PREVIEW_STEP_MINUTES steps)
+   * @returns {Array<{start: Date, end: Date}>}
+   */
+  getNextWindows(ad, count = 10, now = new Date()) {
+    const step = SCHEDULE.PREVIEW_STEP_MINUTES * 60 * 1000;
+    const from = Math.max(now.getTime(), ad.scheduleStartDate ? new Date(ad.scheduleStartDate).getTime() : 0);
+    let until = from + SCHEDULE.PREVIEW_DAYS * 24 * 60 * 60 * 1000;
+    if (ad.scheduleEndDate) until = Math.min(until, new Date(ad.scheduleEndDate).getTime());
+
+    const windows = [];
+    let openedAt = null;
+    let cursor = from;
+
+    while (cursor < until && windows.length < count) {
+      const active = this.isInActiveWindow(ad, new Date(cursor));
+
+      if (active && openedAt === null) openedAt = cursor;
+      if (!active && openedAt !== null) {
+        windows.push({ start: new Date(openedAt), end: new Date(cursor) });
+        openedAt = null;
+      }
+
+      cursor = (Math.floor(cursor / step) + 1) * step;
+    }
+
+    if (openedAt !== null && windows.length < count) {
+      windows.push({ start: new Date(openedAt), end: new Date(Math.min(cursor, until)) });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Preview the next active windows of an advertiser's ad
+   */
+  async getSchedulePreview(adId, userId, count = 10) {
+    const ad = await prisma.ad.findFirst({
+      where: { id: adId, advertiserId: userId },
+      select: {
+        id: true,
+        status: true,
+        scheduleStartDate: true,
+        scheduleEndDate: true,
+        scheduleTimezone: true,
+        scheduleActiveDays: true,
+        scheduleActiveHours: true,
+      },
+    });
+
+    if (!ad) {
+      throw new NotFoundError('Ad not found');
+    }
+
+    const now = new Date();
+
+    return {
+      adId: ad.id,
+      timezone: ad.scheduleTimezone || SCHEDULE.DEFAULT_TIMEZONE,
+      activeDays: parseJson(ad.scheduleActiveDays),
+      activeHours: parseJson(ad.scheduleActiveHours),
+      startDate: ad.scheduleStartDate,
+      endDate: ad.scheduleEndDate,
+      activeNow: this.isAdActive(ad, now),
+      windows: this.getNextWindows(ad, Math.min(count, SCHEDULE.MAX_PREVIEW_WINDOWS), now),
+    };
+  }
+
   /**
    * Get scheduled ads
    */
@@ -143,7 +243,10 @@ class AdSchedulingService {
           scheduleTimezone: null,
           scheduleActiveDays: null,
           scheduleActiveHours: null,
-          status: ad.status === 'SCHEDULED' ? 'DRAFT' : ad.status,
+          // Unpaid (never moderated) scheduled drafts go back to DRAFT; paid ones start at scheduledAt or now
+          ...(ad.status === 'SCHEDULED' && (ad.moderatedAt
+            ? { scheduledAt: ad.scheduledAt || new Date() }
+            : { status: 'DRAFT' })),
         },
       });
 
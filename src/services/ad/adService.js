@@ -7,6 +7,12 @@ import { NotFoundError, InsufficientFundsError, ValidationError } from '../../ut
 import encryption from '../../utils/encryption.js';
 import telegramAPI from '../../utils/telegram-api.js';
 import telegramPreviewService from '../telegram/telegramPreviewService.js';
+import { enqueueNotificationSafe } from '../../jobs/queues/notificationQueue.js';
+import adIndexService from '../distribution/adIndexService.js';
+import adCloseoutService from './adCloseoutService.js';
+import promoCodeService from './promoCodeService.js';
+import webhookService from '../webhook/webhookService.js';
+import { CLOSEOUT_REASONS, NOTIFICATION_TYPES, WEBHOOKS } from '../../config/constants.js';
 
 /**
  * Ad Service
@@ -38,24 +44,7 @@ class AdService {
       const platformFeePercentage = parseFloat(feeSetting?.value || '20');
       const baseCpm = cpmSetting ? parseFloat(cpmSetting.value) : 1.5;
 
-      // Get promo code if provided
-      let promoCode = null;
-      if (data.promoCode) {
-        promoCode = await prisma.promoCode.findFirst({
-          where: {
-            code: data.promoCode,
-            isActive: true,
-            expiresAt: { gte: new Date() },
-          },
-        });
-
-        if (promoCode && promoCode.usedCount >= promoCode.maxUses) {
-          promoCode = null;
-        }
-      }
-
-      // Calculate pricing
-      const pricing = pricingCalculator.calculateAdCost({
+      const pricingParams = {
         tier,
         impressions: data.impressions,
         category: data.category,
@@ -63,8 +52,22 @@ class AdService {
         cpmBid: data.cpmBid || 0,
         platformFeePercentage,
         baseCpm,
-        promoCode,
-      });
+      };
+
+      // Calculate pricing
+      let pricing = pricingCalculator.calculateAdCost(pricingParams);
+
+      // Promo code rules (minimum spend etc.) apply to the undiscounted cost
+      let promoCode = null;
+      if (data.promoCode) {
+        promoCode = await promoCodeService.resolve(data.promoCode, {
+          userId: data.userId,
+          baseCost: pricing.baseCost,
+          targeting: data.targeting,
+          adId: data.adId,
+        });
+        pricing = pricingCalculator.calculateAdCost({ ...pricingParams, promoCode });
+      }
 
       return {
         tier,
@@ -89,6 +92,7 @@ class AdService {
         targeting: data.targeting,
         cpmBid: data.cpmBid,
         promoCode: data.promoCode,
+        userId: advertiserId,
       });
 
       // Create ad in DRAFT status
@@ -116,6 +120,7 @@ class AdService {
           remainingBudget: pricing.totalCost,
           status: 'DRAFT', // ✅ Start as DRAFT
           targeting: data.targeting ? JSON.stringify(data.targeting) : null,
+          pacingMode: data.pacingMode,
           excludedUserIds: data.excludedUserIds ? JSON.stringify(data.excludedUserIds) : null,
           specificBotIds: data.specificBotIds ? JSON.stringify(data.specificBotIds) : null,
           promoCodeUsed: promoCode?.code,
@@ -160,8 +165,18 @@ class AdService {
         );
       }
 
+      // Redeem the promo code first: its limits are re-checked under a lock
+      if (ad.promoCodeUsed) {
+        await promoCodeService.redeem(ad);
+      }
+
       // Reserve funds
-      await walletService.reserveForAd(advertiserId, adId, cost);
+      try {
+        await walletService.reserveForAd(advertiserId, adId, cost);
+      } catch (error) {
+        if (ad.promoCodeUsed) await promoCodeService.release(adId, 'not_submitted');
+        throw error;
+      }
 
       // Update ad status to PENDING_REVIEW and clear rejection reason
       const updated = await prisma.ad.update({
@@ -172,14 +187,6 @@ class AdService {
         },
       });
 
-      // Increment promo code usage
-      if (ad.promoCodeUsed) {
-        await prisma.promoCode.update({
-          where: { code: ad.promoCodeUsed },
-          data: { usedCount: { increment: 1 } },
-        });
-      }
-
       logger.info(`📤 Ad submitted for review: ${adId}, cost=$${cost}`);
       return updated;
     } catch (error) {
@@ -212,8 +219,10 @@ class AdService {
       // Confirm reserved funds (reserved → totalSpent)
       await walletService.confirmAdReserve(ad.advertiserId, adId, cost);
 
-      // Update ad status
-      const newStatus = scheduledStart ? 'SCHEDULED' : 'RUNNING';
+      // Update ad status (explicit start, else the advertiser's schedule start if still ahead)
+      const startAt = scheduledStart ||
+        (ad.scheduleStartDate && ad.scheduleStartDate > new Date() ? ad.scheduleStartDate : null);
+      const newStatus = startAt ? 'SCHEDULED' : 'RUNNING';
 
       const updated = await prisma.ad.update({
         where: { id: adId },
@@ -222,14 +231,21 @@ class AdService {
           moderatedBy: moderatorId,
           moderatedAt: new Date(),
           startedAt: newStatus === 'RUNNING' ? new Date() : null,
-          scheduledAt: scheduledStart || null,
+          scheduledAt: startAt || null,
         },
       });
 
       logger.info(`✅ Ad approved: ${adId}, status=${newStatus}`);
 
-      // TODO: Send notification to advertiser
-      // await notificationService.send(ad.advertiserId, 'AD_APPROVED', { adId, title: ad.title });
+      if (newStatus === 'RUNNING') await adIndexService.invalidateAds();
+
+      await enqueueNotificationSafe(NOTIFICATION_TYPES.AD_APPROVED, { adId });
+      await webhookService.emitSafe(ad.advertiserId, WEBHOOKS.EVENTS.AD_APPROVED, {
+        adId,
+        title: ad.title,
+        status: newStatus,
+        scheduledAt: startAt || null,
+      });
 
       return updated;
     } catch (error) {
@@ -261,6 +277,7 @@ class AdService {
 
       // Refund reserved funds (reserved → available)
       await walletService.refundAdReserve(ad.advertiserId, adId, cost);
+      await promoCodeService.release(adId, 'rejected');
 
       // Update ad status
       const updated = await prisma.ad.update({
@@ -275,8 +292,13 @@ class AdService {
 
       logger.info(`❌ Ad rejected: ${adId}, reason: ${reason}`);
 
-      // TODO: Send notification to advertiser
-      // await notificationService.send(ad.advertiserId, 'AD_REJECTED', { adId, title: ad.title, reason });
+      await enqueueNotificationSafe(NOTIFICATION_TYPES.AD_REJECTED, { adId, reason });
+      await webhookService.emitSafe(ad.advertiserId, WEBHOOKS.EVENTS.AD_REJECTED, {
+        adId,
+        title: ad.title,
+        reason,
+        refunded: cost,
+      });
 
       return updated;
     } catch (error) {
@@ -337,6 +359,9 @@ class AdService {
               lastName: true,
             },
           },
+          variants: {
+            orderBy: { createdAt: 'asc' },
+          },
         },
       });
 
@@ -368,16 +393,21 @@ class AdService {
         throw new ValidationError('Only draft or rejected ads can be edited');
       }
 
-      // Recalculate pricing if impressions/targeting changed
+      // Recalculate pricing if impressions/targeting/promo code changed (promoCode: null removes it)
       let pricing = null;
-      if (data.targetImpressions || data.targeting || data.cpmBid) {
+      let promoCode;
+      if (data.targetImpressions || data.targeting || data.cpmBid || data.promoCode !== undefined) {
         const result = await this.calculatePricing({
           impressions: data.targetImpressions || ad.targetImpressions,
           category: ad.category,
           targeting: data.targeting || JSON.parse(ad.targeting || '{}'),
           cpmBid: data.cpmBid !== undefined ? data.cpmBid : ad.cpmBid,
+          promoCode: data.promoCode !== undefined ? data.promoCode : ad.promoCodeUsed,
+          userId: advertiserId,
+          adId,
         });
         pricing = result.pricing;
+        promoCode = result.promoCode;
       }
 
       const updated = await prisma.ad.update({
@@ -398,7 +428,10 @@ class AdService {
           platformFee: pricing?.platformFee,
           botOwnerRevenue: pricing?.botOwnerRevenue,
           remainingBudget: pricing?.totalCost,
+          discount: pricing?.discount,
+          promoCodeUsed: pricing ? promoCode?.code ?? null : undefined,
           targeting: data.targeting ? JSON.stringify(data.targeting) : undefined,
+          pacingMode: data.pacingMode,
           excludedUserIds: data.excludedUserIds ? JSON.stringify(data.excludedUserIds) : undefined,
           specificBotIds: data.specificBotIds ? JSON.stringify(data.specificBotIds) : undefined,
           excludedBotIds: data.excludedBotIds ? JSON.stringify(data.excludedBotIds) : undefined,
@@ -407,6 +440,19 @@ class AdService {
         },
       });
 
+      // A/B test: the control variant follows the ad's own creative
+      const creative = Object.fromEntries(
+        ['text', 'htmlContent', 'markdownContent', 'mediaUrl', 'mediaType', 'buttons']
+          .filter((field) => data[field] !== undefined)
+          .map((field) => [field, data[field]])
+      );
+      if (Object.keys(creative).length > 0) {
+        await prisma.adVariant.updateMany({
+          where: { adId, source: 'control' },
+          data: creative,
+        });
+      }
+
       logger.info(`📝 Ad updated: ${adId}`);
       return updated;
     } catch (error) {
@@ -438,6 +484,7 @@ class AdService {
       });
 
       logger.info(`⏸️ Ad paused: ${adId}`);
+      await adIndexService.invalidateAds();
       return updated;
     } catch (error) {
       logger.error('Pause ad failed:', error);
@@ -468,6 +515,7 @@ class AdService {
       });
 
       logger.info(`▶️ Ad resumed: ${adId}`);
+      await adIndexService.invalidateAds();
       return updated;
     } catch (error) {
       logger.error('Resume ad failed:', error);
@@ -475,8 +523,43 @@ class AdService {
     }
   }
 
+  /**
+   * Stop ad for good — remaining budget is refunded and the final report stored
+   */
+  async stopAd(adId, advertiserId) {
+    try {
+      const ad = await prisma.ad.findFirst({
+        where: { id: adId, advertiserId },
+      });
+
+      if (!ad) {
+        throw new NotFoundError('Ad not found');
+      }
+
+      if (!['SCHEDULED', 'RUNNING', 'PAUSED'].includes(ad.status)) {
+        throw new ValidationError('Only scheduled, running or paused ads can be stopped');
+      }
+
+      const result = await adCloseoutService.closeout(adId, CLOSEOUT_REASONS.STOPPED);
+
+      // Unpaid scheduled draft: back to DRAFT, nothing refunded
+      if (result.reason === 'UNPAID_DRAFT') {
+        logger.info(`⏹️ Unpaid scheduled ad returned to draft: ${adId}`);
+        return { refunded: 0, report: null, status: 'DRAFT' };
+      }
+
+      logger.info(`⏹️ Ad stopped: ${adId}`);
+      return { refunded: result.refunded || 0, report: result.report };
+    } catch (error) {
+      logger.error('Stop ad failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * ✅ UPDATED - Delete ad with proper refund handling
+   * An ad with impressions is archived instead: impressions cascade on delete, and bot owner
+   * earnings (ledger) and reconciliation are checked against them
    */
   async deleteAd(adId, advertiserId) {
     try {
@@ -502,6 +585,26 @@ class AdService {
         logger.info(`💰 Refunded $${cost} for deleted ad ${adId}`);
       }
 
+      // Paid ads: refund what is left of the budget before the row goes away
+      if (['PAUSED', 'COMPLETED'].includes(ad.status) && !ad.closedOutAt) {
+        await adCloseoutService.closeout(adId, CLOSEOUT_REASONS.DELETED);
+      }
+
+      // The discount was never used if nothing was delivered
+      if (ad.deliveredImpressions === 0) {
+        await promoCodeService.release(adId, 'deleted');
+      }
+
+      if (await prisma.impression.count({ where: { adId } }) > 0) {
+        await prisma.ad.update({
+          where: { id: adId },
+          data: { isArchived: true },
+        });
+
+        logger.info(`📦 Ad archived instead of deleted (has impressions): ${adId}`);
+        return true;
+      }
+
       await prisma.ad.delete({
         where: { id: adId },
       });
@@ -527,6 +630,15 @@ class AdService {
         throw new NotFoundError('Ad not found');
       }
 
+      // A promo code is not carried over — the copy is priced at full cost
+      const pricing = parseFloat(original.discount) > 0
+        ? (await this.calculatePricing({
+          impressions: original.targetImpressions,
+          targeting: typeof original.targeting === 'string' ? JSON.parse(original.targeting) : original.targeting,
+          cpmBid: parseFloat(original.cpmBid),
+        })).pricing
+        : null;
+
       const duplicate = await prisma.ad.create({
         data: {
           advertiserId,
@@ -544,13 +656,14 @@ class AdService {
           targetImpressions: original.targetImpressions,
           baseCpm: original.baseCpm,
           cpmBid: original.cpmBid,
-          finalCpm: original.finalCpm,
-          totalCost: original.totalCost,
-          platformFee: original.platformFee,
-          botOwnerRevenue: original.botOwnerRevenue,
-          remainingBudget: original.totalCost,
+          finalCpm: pricing ? pricing.finalCPM : original.finalCpm,
+          totalCost: pricing ? pricing.totalCost : original.totalCost,
+          platformFee: pricing ? pricing.platformFee : original.platformFee,
+          botOwnerRevenue: pricing ? pricing.botOwnerRevenue : original.botOwnerRevenue,
+          remainingBudget: pricing ? pricing.totalCost : original.totalCost,
           status: 'DRAFT',
           targeting: original.targeting,
+          pacingMode: original.pacingMode,
           excludedUserIds: original.excludedUserIds,
           specificBotIds: original.specificBotIds,
         },
@@ -654,7 +767,7 @@ class AdService {
 
       // Get clicks
       const clicks = await prisma.clickEvent.count({
-        where: { adId, clicked: true },
+        where: { adId, clicked: true, isValid: true },
       });
 
       return {
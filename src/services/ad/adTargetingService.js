@@ -1,6 +1,9 @@
 // src/services/ad/adTargetingService.js
 import prisma from '../../config/database.js';
 import logger from '../../utils/logger.js';
+import pricingCalculator from '../../utils/pricing.js';
+import geoTargetingService from '../distribution/geoTargetingService.js';
+import { FREQUENCY_PERIODS, LIMITS } from '../../config/constants.js';
 
 /**
  * Ad Targeting Service
@@ -11,10 +14,13 @@ class AdTargetingService {
    * Get available targeting options (categories from DB)
    */
   async getTargetingOptions() {
-    const categories = await prisma.category.findMany({
-      where: { isActive: true },
-      orderBy: { sortOrder: 'asc' },
-    });
+    const [categories, geo] = await Promise.all([
+      prisma.category.findMany({
+        where: { isActive: true },
+        orderBy: { sortOrder: 'asc' },
+      }),
+      geoTargetingService.getGeoOptions(),
+    ]);
 
     return {
       categories: categories.map(c => ({
@@ -31,7 +37,12 @@ class AdTargetingService {
         multiplier: 1,
       })),
       languages: ['uz', 'ru', 'en'],
-      frequencies: ['unique', 'daily', 'weekly', 'monthly'],
+      frequencies: Object.values(FREQUENCY_PERIODS),
+      maxFrequencyCap: LIMITS.MAX_FREQUENCY_CAP,
+      geo: {
+        ...geo,
+        maxTargets: LIMITS.MAX_GEO_TARGETS,
+      },
     };
   }
 
@@ -75,6 +86,15 @@ class AdTargetingService {
       aiSegments: [],
       languages: targeting.languages || ['uz', 'ru', 'en'],
       frequency: targeting.frequency || 'unique',
+      frequencyCap: targeting.frequencyCap || 1,
+      countries: {
+        include: targeting.countries?.include || [],
+        exclude: targeting.countries?.exclude || [],
+      },
+      cities: {
+        include: targeting.cities?.include || [],
+        exclude: targeting.cities?.exclude || [],
+      },
       estimatedMultiplier: 1.0,
     };
 
@@ -95,7 +115,7 @@ class AdTargetingService {
     }
 
     // Calculate total multiplier
-    summary.estimatedMultiplier = 1.0;
+    summary.estimatedMultiplier = pricingCalculator.calculateTargetingMultiplier(targeting);
 
     return summary;
   }
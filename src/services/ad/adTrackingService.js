@@ -2,6 +2,7 @@
 import prisma from '../../config/database.js';
 import tracking from '../../utils/tracking.js';
 import logger from '../../utils/logger.js';
+import clickFraudService from '../fraud/clickFraudService.js';
 import { NotFoundError } from '../../utils/errors.js';
 import geoip from 'geoip-lite';
 
@@ -51,6 +52,16 @@ class AdTrackingService {
         const country = geo?.country || 'Unknown';
         const city = geo?.city || 'Unknown';
 
+        // Score the click (invalid clicks are stored but not counted)
+        const verdict = await clickFraudService.evaluate({
+          adId: data.adId,
+          botId: data.botId,
+          telegramUserId: data.telegramUserId,
+          ipAddress,
+          userAgent,
+          sentAt: data.timestamp,
+        });
+
         clickEvent = await prisma.clickEvent.create({
           data: {
             adId: data.adId,
@@ -61,7 +72,9 @@ class AdTrackingService {
             username: botUser?.username,
             languageCode: botUser?.languageCode,
             trackingToken,
+            clickId: tracking.generateClickId(),
             originalUrl: data.originalUrl,
+            variantId: data.variantId || null,
             ipAddress,
             userAgent,
             referer,
@@ -69,9 +82,18 @@ class AdTrackingService {
             city,
             clicked: true,
             clickedAt: new Date(),
+            isValid: verdict.isValid,
+            fraudScore: verdict.fraudScore,
+            fraudReasons: verdict.fraudReasons.length > 0 ? verdict.fraudReasons : undefined,
           },
         });
 
+        if (!verdict.isValid) {
+          logger.warn(
+            `Invalid click: ad=${data.adId}, bot=${data.botId}, score=${verdict.fraudScore}, reasons=${verdict.fraudReasons.join(',')}`
+          );
+        }
+
         // ✅ Update BotUser with latest geo data
         if (data.botId && data.telegramUserId) {
           await prisma.botUser.update({
@@ -90,42 +112,28 @@ class AdTrackingService {
           }).catch(err => logger.error('Failed to update BotUser geo:', err));
         }
 
-        // Update ad click count
-        await prisma.ad.update({
-          where: { id: data.adId },
-          data: {
-            clicks: { increment: 1 },
-          },
-        });
-
-        // Recalculate CTR
-        const ad = await prisma.ad.findUnique({
-          where: { id: data.adId },
-        });
-
-        if (ad.deliveredImpressions > 0) {
-          const ctr = (ad.clicks / ad.deliveredImpressions) * 100;
-          await prisma.ad.update({
-            where: { id: data.adId },
-            data: { ctr: parseFloat(ctr.toFixed(2)) },
-          });
+        if (verdict.isValid) {
+          await this.countClick(data);
         }
-      } else if (!clickEvent.clicked) {
-        // Update existing event
-        await prisma.clickEvent.update({
+      } else if (!clickEvent.clicked || !clickEvent.clickId) {
+        // Update existing event (events recorded before conversion tracking have no click id)
+        clickEvent = await prisma.clickEvent.update({
           where: { id: clickEvent.id },
           data: {
-            clicked: true,
-            clickedAt: new Date(),
-            ipAddress,
-            userAgent,
-            referer,
+            ...(!clickEvent.clicked && {
+              clicked: true,
+              clickedAt: new Date(),
+              ipAddress,
+              userAgent,
+              referer,
+            }),
+            ...(!clickEvent.clickId && { clickId: tracking.generateClickId() }),
           },
         });
       }
 
       return {
-        redirectUrl: data.originalUrl,
+        redirectUrl: tracking.appendClickId(data.originalUrl, clickEvent.clickId),
         clickEvent,
       };
     } catch (error) {
@@ -134,6 +142,39 @@ class AdTrackingService {
     }
   }
 
+  /**
+   * Count a valid click on the ad (and variant) and recalculate CTR
+   */
+  async countClick(data) {
+    // Update ad click count
+    await prisma.ad.update({
+      where: { id: data.adId },
+      data: {
+        clicks: { increment: 1 },
+      },
+    });
+
+    if (data.variantId) {
+      await prisma.adVariant.updateMany({
+        where: { id: data.variantId, adId: data.adId },
+        data: { clicks: { increment: 1 } },
+      });
+    }
+
+    // Recalculate CTR
+    const ad = await prisma.ad.findUnique({
+      where: { id: data.adId },
+    });
+
+    if (ad.deliveredImpressions > 0) {
+      const ctr = (ad.clicks / ad.deliveredImpressions) * 100;
+      await prisma.ad.update({
+        where: { id: data.adId },
+        data: { ctr: parseFloat(ctr.toFixed(2)) },
+      });
+    }
+  }
+
   /**
    * Get ad clicks
    */
@@ -143,6 +184,7 @@ class AdTrackingService {
         where: {
           adId,
           clicked: true,
+          isValid: true,
         },
         include: {
           bot: {
@@ -155,7 +197,7 @@ class AdTrackingService {
       });
 
       const total = await prisma.clickEvent.count({
-        where: { adId, clicked: true },
+        where: { adId, clicked: true, isValid: true },
       });
 
       return { clicks, total };
@@ -174,7 +216,7 @@ class AdTrackingService {
       const clicksByDate = await prisma.$queryRaw`
         SELECT DATE(clicked_at) as date, COUNT(*) as count
         FROM click_events
-        WHERE ad_id = ${adId} AND clicked = true
+        WHERE ad_id = ${adId} AND clicked = true AND is_valid = true
         GROUP BY DATE(clicked_at)
         ORDER BY date DESC
         LIMIT 30
@@ -183,7 +225,7 @@ class AdTrackingService {
       // Group by bot
       const clicksByBot = await prisma.clickEvent.groupBy({
         by: ['botId'],
-        where: { adId, clicked: true },
+        where: { adId, clicked: true, isValid: true },
         _count: { id: true },
       });
 
@@ -0,0 +1,363 @@
+// src/services/ad/adVariantService.js
+import prisma from '../../config/database.js';
+import adIndexService from '../distribution/adIndexService.js';
+import logger from '../../utils/logger.js';
+import { NotFoundError, ValidationError } from '../../utils/errors.js';
+import { AB_TEST, VARIANT_STRATEGIES } from '../../config/constants.js';
+import { parseJson } from '../../utils/json.js';
+
+// Creatives can only change while the ad is not yet (or no longer) approved — moderation sees every variant
+const EDITABLE_STATUSES = ['DRAFT', 'REJECTED'];
+
+const CREATIVE_FIELDS = ['text', 'htmlContent', 'markdownContent', 'mediaUrl', 'mediaType', 'buttons'];
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const ctr = (variant) => (variant.impressions > 0 ? variant.clicks / variant.impressions : 0);
+
+/**
+ * Ad Variant Service
+ * A/B creative variants of one ad. Variants share the ad's budget, targeting and auction bid;
+ * only the creative (text, media, buttons) differs.
+ *
+ * The ad's own creative becomes the control variant "A" when the first variant is added, so every
+ * impression of a tested ad belongs to a variant. Strategies:
+ *   even        — uniform random rotation
+ *   auto_winner — uniform until every variant has MIN_IMPRESSIONS_PER_VARIANT, then all traffic
+ *                 goes to the variant whose CTR beats every other one (two-proportion z-test)
+ */
+class AdVariantService {
+  // ==================== DELIVERY ====================
+
+  /**
+   * Variant to show for this delivery (null when the ad is not tested)
+   * @param {Object} ad - index copy with active variants
+   * @param {Function} random - injectable for tests
+   */
+  pickVariant(ad, random = Math.random) {
+    const variants = ad.variants || [];
+    if (variants.length === 0) return null;
+
+    if (ad.winnerVariantId) {
+      const winner = variants.find((variant) => variant.id === ad.winnerVariantId);
+      if (winner) return winner;
+    }
+
+    return variants[Math.floor(random() * variants.length)];
+  }
+
+  /**
+   * Ad with the variant's creative in place of its own
+   */
+  getCreative(ad, variant) {
+    const creative = { ...ad, buttons: parseJson(ad.buttons, null) };
+    if (!variant) return creative;
+
+    for (const field of CREATIVE_FIELDS) {
+      if (variant[field] !== null && variant[field] !== undefined) {
+        creative[field] = field === 'buttons' ? parseJson(variant.buttons, null) : variant[field];
+      }
+    }
+
+    return creative;
+  }
+
+  /**
+   * Variant whose CTR is significantly better than every other one, or null
+   * @param {Array<{id, impressions, clicks}>} variants
+   */
+  findWinner(variants, { minImpressions = AB_TEST.MIN_IMPRESSIONS_PER_VARIANT, z = AB_TEST.CONFIDENCE_Z } = {}) {
+    if (variants.length < 2) return null;
+    if (variants.some((variant) => variant.impressions < minImpressions)) return null;
+
+    const [leader, ...others] = [...variants].sort((a, b) => ctr(b) - ctr(a));
+
+    const beatsAll = others.every((other) => {
+      const pooled = (leader.clicks + other.clicks) / (leader.impressions + other.impressions);
+      const se = Math.sqrt(pooled * (1 - pooled) * (1 / leader.impressions + 1 / other.impressions));
+      if (se === 0) return false;
+
+      return (ctr(leader) - ctr(other)) / se >= z;
+    });
+
+    return beatsAll ? leader : null;
+  }
+
+  /**
+   * auto_winner ads: store the winner once the test is significant (called from impression recording)
+   */
+  async evaluateWinner(adId) {
+    try {
+      const ad = await prisma.ad.findUnique({
+        where: { id: adId },
+        select: {
+          variantStrategy: true,
+          winnerVariantId: true,
+          variants: { where: { isActive: true } },
+        },
+      });
+
+      if (!ad || ad.variantStrategy !== VARIANT_STRATEGIES.AUTO_WINNER || ad.winnerVariantId) {
+        return null;
+      }
+
+      const winner = this.findWinner(ad.variants);
+      if (!winner) return null;
+
+      await prisma.ad.update({
+        where: { id: adId },
+        data: { winnerVariantId: winner.id },
+      });
+
+      logger.info(`A/B winner: ad=${adId}, variant=${winner.name} (CTR ${(ctr(winner) * 100).toFixed(2)}%)`);
+      await adIndexService.invalidateAds();
+      return winner;
+    } catch (error) {
+      logger.error('Evaluate A/B winner failed:', error);
+      return null;
+    }
+  }
+
+  // ==================== MANAGEMENT ====================
+
+  /**
+   * Variants with stats
+   */
+  async getVariants(adId, advertiserId) {
+    const ad = await this.findAd(adId, advertiserId);
+
+    const variants = await prisma.adVariant.findMany({
+      where: { adId },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const totalImpressions = variants.reduce((sum, variant) => sum + variant.impressions, 0);
+
+    return {
+      strategy: ad.variantStrategy,
+      winnerVariantId: ad.winnerVariantId,
+      variants: variants.map((variant) => ({
+        ...variant,
+        ctr: parseFloat((ctr(variant) * 100).toFixed(2)),
+        trafficShare: totalImpressions > 0
+          ? parseFloat(((variant.impressions / totalImpressions) * 100).toFixed(2))
+          : 0,
+        isWinner: variant.id === ad.winnerVariantId,
+      })),
+    };
+  }
+
+  /**
+   * Add a variant
+   */
+  async createVariant(adId, advertiserId, data, source = 'manual') {
+    const ad = await this.findEditableAd(adId, advertiserId);
+
+    return prisma.$transaction(async (tx) => {
+      const count = await this.ensureControlVariant(tx, ad);
+
+      if (count >= AB_TEST.MAX_VARIANTS) {
+        throw new ValidationError(`Maximum ${AB_TEST.MAX_VARIANTS} variants allowed`);
+      }
+
+      const variant = await tx.adVariant.create({
+        data: {
+          adId,
+          name: data.name || String.fromCharCode(65 + count), // A, B, C...
+          ...this.buildCreative(ad, data),
+          source,
+        },
+      });
+
+      logger.info(`Ad variant added: ad=${adId}, variant=${variant.name}`);
+      return variant;
+    });
+  }
+
+  /**
+   * Import textOptimizationService.generateVariations output as variants
+   * (the ad's media and buttons, the generated text)
+   */
+  async importVariations(adId, advertiserId, variations) {
+    const ad = await this.findEditableAd(adId, advertiserId);
+
+    return prisma.$transaction(async (tx) => {
+      const count = await this.ensureControlVariant(tx, ad);
+
+      if (count + variations.length > AB_TEST.MAX_VARIANTS) {
+        throw new ValidationError(
+          `Maximum ${AB_TEST.MAX_VARIANTS} variants allowed (${count} already exist)`
+        );
+      }
+
+      const created = [];
+      for (const [i, text] of variations.entries()) {
+        created.push(await tx.adVariant.create({
+          data: {
+            adId,
+            name: String.fromCharCode(65 + count + i),
+            ...this.buildCreative(ad, this.fromGeneratedText(ad, text)),
+            source: 'ai',
+          },
+        }));
+      }
+
+      logger.info(`Ad variants imported: ad=${adId}, count=${created.length}`);
+      return created;
+    });
+  }
+
+  /**
+   * Edit a variant's creative
+   */
+  async updateVariant(adId, variantId, advertiserId, data) {
+    const ad = await this.findEditableAd(adId, advertiserId);
+    const variant = await this.findVariant(adId, variantId);
+
+    return prisma.adVariant.update({
+      where: { id: variant.id },
+      data: {
+        ...(data.name !== undefined && { name: data.name }),
+        ...(data.isActive !== undefined && { isActive: data.isActive }),
+        ...this.buildCreative(ad, data, variant),
+      },
+    });
+  }
+
+  /**
+   * Remove a variant; removing the last one but the control ends the test
+   */
+  async deleteVariant(adId, variantId, advertiserId) {
+    await this.findEditableAd(adId, advertiserId);
+    const variant = await this.findVariant(adId, variantId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.adVariant.delete({ where: { id: variant.id } });
+
+      const remaining = await tx.adVariant.findMany({ where: { adId } });
+      if (remaining.length === 1 && remaining[0].source === 'control') {
+        await tx.adVariant.delete({ where: { id: remaining[0].id } });
+      }
+    });
+
+    logger.info(`Ad variant deleted: ad=${adId}, variant=${variant.name}`);
+    return true;
+  }
+
+  /**
+   * Rotation strategy (can change while the ad runs — it does not touch the creatives)
+   */
+  async setStrategy(adId, advertiserId, strategy) {
+    const ad = await this.findAd(adId, advertiserId);
+
+    const updated = await prisma.ad.update({
+      where: { id: ad.id },
+      data: { variantStrategy: strategy, winnerVariantId: null },
+      select: { id: true, variantStrategy: true, winnerVariantId: true },
+    });
+
+    if (ad.status === 'RUNNING') await adIndexService.invalidateAds();
+    if (strategy === VARIANT_STRATEGIES.AUTO_WINNER) await this.evaluateWinner(adId);
+
+    return updated;
+  }
+
+  // ==================== HELPERS ====================
+
+  async findAd(adId, advertiserId) {
+    const ad = await prisma.ad.findFirst({ where: { id: adId, advertiserId } });
+
+    if (!ad) {
+      throw new NotFoundError('Ad not found');
+    }
+
+    return ad;
+  }
+
+  async findEditableAd(adId, advertiserId) {
+    const ad = await this.findAd(adId, advertiserId);
+
+    if (!EDITABLE_STATUSES.includes(ad.status)) {
+      throw new ValidationError('Variants can only be changed on draft or rejected ads');
+    }
+
+    if (ad.contentType === 'POLL') {
+      throw new ValidationError('Poll ads do not support variants');
+    }
+
+    return ad;
+  }
+
+  async findVariant(adId, variantId) {
+    const variant = await prisma.adVariant.findFirst({ where: { id: variantId, adId } });
+
+    if (!variant) {
+      throw new NotFoundError('Variant not found');
+    }
+
+    return variant;
+  }
+
+  /**
+   * Create variant "A" from the ad's own creative if the test has not started yet
+   * @returns {Promise<number>} number of variants
+   */
+  async ensureControlVariant(tx, ad) {
+    const count = await tx.adVariant.count({ where: { adId: ad.id } });
+    if (count > 0) return count;
+
+    await tx.adVariant.create({
+      data: {
+        adId: ad.id,
+        name: 'A',
+        text: ad.text,
+        htmlContent: ad.htmlContent,
+        markdownContent: ad.markdownContent,
+        mediaUrl: ad.mediaUrl,
+        mediaType: ad.mediaType,
+        buttons: parseJson(ad.buttons, null) ?? undefined,
+        source: 'control',
+      },
+    });
+
+    return 1;
+  }
+
+  /**
+   * Creative columns from input; on create, missing fields fall back to the ad's own
+   */
+  buildCreative(ad, data, current = null) {
+    const creative = {};
+
+    for (const field of CREATIVE_FIELDS) {
+      if (data[field] !== undefined) {
+        creative[field] = data[field];
+      } else if (!current && field !== 'buttons') {
+        creative[field] = ad[field];
+      }
+    }
+
+    if (!current && data.buttons === undefined) {
+      creative.buttons = parseJson(ad.buttons, null) ?? undefined;
+    }
+
+    const text = creative.text ?? current?.text;
+    if (!text || text.length < 10) {
+      throw new ValidationError('Variant text must be at least 10 characters');
+    }
+
+    return creative;
+  }
+
+  /**
+   * Plain generated text in the ad's content type
+   */
+  fromGeneratedText(ad, text) {
+    if (ad.contentType === 'HTML') return { text, htmlContent: escapeHtml(text) };
+    if (ad.contentType === 'MARKDOWN') return { text, markdownContent: text };
+    return { text };
+  }
+}
+
+const adVariantService = new AdVariantService();
+export default adVariantService;
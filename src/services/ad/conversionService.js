@@ -0,0 +1,265 @@
+// src/services/ad/conversionService.js
+import crypto from 'crypto';
+import prisma from '../../config/database.js';
+import encryption from '../../utils/encryption.js';
+import logger from '../../utils/logger.js';
+import { AuthenticationError, NotFoundError, ValidationError } from '../../utils/errors.js';
+import { CONVERSIONS } from '../../config/constants.js';
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+/**
+ * Conversion Service
+ * Conversions reported by advertisers for clicks from /t/:token. The redirect carries a click id
+ * (CONVERSIONS.CLICK_ID_PARAM); the advertiser sends it back with a server-to-server postback or
+ * a 1x1 pixel, and the conversion is attributed to the click's ad, bot and A/B variant.
+ *
+ * One conversion per click, event and transaction id — repeated postbacks are acknowledged but
+ * not counted twice.
+ *
+ * The postback must carry the advertiser's postback secret (X-Postback-Secret header or `secret`
+ * parameter); the pixel is the only unauthenticated path. Conversions of invalid clicks (click
+ * fraud) are stored with isValid=false and left out of the ad's conversion totals.
+ */
+class ConversionService {
+  /**
+   * Record conversion
+   * @param {Object} data
+   * @param {string} data.clickId - Click id from the destination URL
+   * @param {number} data.value - Conversion value in USD (optional)
+   * @param {string} data.event - Advertiser-defined event name (optional)
+   * @param {string} data.transactionId - Advertiser's order / lead id (optional)
+   * @param {string} data.source - postback | pixel
+   * @param {string} data.secret - Advertiser's postback secret (required for postbacks)
+   * @param {string} data.ipAddress
+   * @returns {Promise<{recorded: boolean, duplicate: boolean, conversion: Object}>}
+   */
+  async recordConversion({ clickId, value = 0, event, transactionId, source, secret, ipAddress }) {
+    const clickEvent = await prisma.clickEvent.findUnique({
+      where: { clickId },
+      select: {
+        id: true,
+        adId: true,
+        botId: true,
+        variantId: true,
+        isValid: true,
+        clickedAt: true,
+        createdAt: true,
+        ad: { select: { advertiser: { select: { postbackSecretEncrypted: true } } } },
+      },
+    });
+
+    if (!clickEvent) {
+      throw new NotFoundError('Unknown click id');
+    }
+
+    if (source === CONVERSIONS.SOURCES.POSTBACK &&
+      !this.verifyPostbackSecret(clickEvent.ad.advertiser.postbackSecretEncrypted, secret)) {
+      throw new AuthenticationError('Invalid postback secret');
+    }
+
+    const clickedAt = clickEvent.clickedAt || clickEvent.createdAt;
+    const windowMs = CONVERSIONS.ATTRIBUTION_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    if (Date.now() - clickedAt.getTime() > windowMs) {
+      throw new ValidationError(`Conversion window (${CONVERSIONS.ATTRIBUTION_WINDOW_DAYS} days) has expired`);
+    }
+
+    const amount = round(Math.max(0, parseFloat(value) || 0));
+    if (amount > CONVERSIONS.MAX_VALUE) {
+      throw new ValidationError(`Conversion value cannot exceed ${CONVERSIONS.MAX_VALUE}`);
+    }
+
+    const eventName = event || CONVERSIONS.DEFAULT_EVENT;
+    const dedupeKey = `${clickEvent.id}:${eventName}:${transactionId || ''}`;
+
+    const existing = await prisma.conversion.findUnique({ where: { dedupeKey } });
+    if (existing) {
+      return { recorded: false, duplicate: true, conversion: existing };
+    }
+
+    try {
+      const conversion = await prisma.$transaction(async (tx) => {
+        const created = await tx.conversion.create({
+          data: {
+            clickEventId: clickEvent.id,
+            adId: clickEvent.adId,
+            botId: clickEvent.botId,
+            variantId: clickEvent.variantId,
+            event: eventName,
+            value: amount,
+            transactionId: transactionId || null,
+            dedupeKey,
+            source,
+            ipAddress,
+            isValid: clickEvent.isValid,
+          },
+        });
+
+        // Invalid click: kept for admins, not counted for the advertiser
+        if (!clickEvent.isValid) {
+          return created;
+        }
+
+        await tx.ad.update({
+          where: { id: clickEvent.adId },
+          data: {
+            conversions: { increment: 1 },
+            conversionValue: { increment: amount },
+          },
+        });
+
+        if (clickEvent.variantId) {
+          await tx.adVariant.updateMany({
+            where: { id: clickEvent.variantId, adId: clickEvent.adId },
+            data: { conversions: { increment: 1 } },
+          });
+        }
+
+        return created;
+      });
+
+      if (!clickEvent.isValid) {
+        logger.warn(`Conversion flagged: invalid click ${clickEvent.id}, ad=${clickEvent.adId}, bot=${clickEvent.botId}`);
+      } else {
+        logger.info(
+          `Conversion recorded: ad=${clickEvent.adId}, bot=${clickEvent.botId}, event=${eventName}, value=$${amount} (${source})`
+        );
+      }
+      return { recorded: true, duplicate: false, conversion };
+    } catch (error) {
+      // Concurrent postback with the same dedupe key
+      if (error.code === 'P2002') {
+        const conversion = await prisma.conversion.findUnique({ where: { dedupeKey } });
+        return { recorded: false, duplicate: true, conversion };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * CPA / ROAS / conversion rate
+   * @param {Object} totals - { spent, clicks, conversions, conversionValue }
+   */
+  calculateMetrics({ spent = 0, clicks = 0, conversions = 0, conversionValue = 0 }) {
+    return {
+      conversions,
+      conversionValue: round(conversionValue),
+      conversionRate: clicks > 0 ? round((conversions / clicks) * 100) : 0,
+      cpa: conversions > 0 ? round(spent / conversions, 4) : null,
+      roas: spent > 0 ? round(conversionValue / spent, 4) : null,
+    };
+  }
+
+  /**
+   * Conversions and value per bot of one ad
+   * @returns {Promise<Map<string, {conversions: number, conversionValue: number}>>}
+   */
+  async getBotTotals(adId) {
+    const rows = await prisma.conversion.groupBy({
+      by: ['botId'],
+      where: { adId, isValid: true },
+      _count: { _all: true },
+      _sum: { value: true },
+    });
+
+    return new Map(rows.map((row) => [
+      row.botId,
+      { conversions: row._count._all, conversionValue: parseFloat(row._sum.value || 0) },
+    ]));
+  }
+
+  /**
+   * Latest conversions of an ad (advertiser view)
+   */
+  async getAdConversions(adId, advertiserId, limit = 100) {
+    const ad = await prisma.ad.findFirst({
+      where: { id: adId, advertiserId },
+      select: { id: true },
+    });
+
+    if (!ad) {
+      throw new NotFoundError('Ad not found');
+    }
+
+    return prisma.conversion.findMany({
+      where: { adId },
+      include: {
+        bot: { select: { username: true, firstName: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+  }
+
+  /**
+   * Advertiser's postback secret, created on first use
+   */
+  async getPostbackSecret(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { postbackSecretEncrypted: true },
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.postbackSecretEncrypted) {
+      return encryption.decrypt(user.postbackSecretEncrypted);
+    }
+
+    // Concurrent first requests: only one secret is stored, both return it
+    await prisma.user.updateMany({
+      where: { id: userId, postbackSecretEncrypted: null },
+      data: { postbackSecretEncrypted: encryption.encrypt(this.generateSecret()) },
+    });
+
+    return this.getPostbackSecret(userId);
+  }
+
+  /**
+   * New postback secret; postbacks with the old one are rejected from now on
+   */
+  async rotatePostbackSecret(userId) {
+    const secret = this.generateSecret();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { postbackSecretEncrypted: encryption.encrypt(secret) },
+    });
+
+    logger.info(`Postback secret rotated for user ${userId}`);
+    return secret;
+  }
+
+  verifyPostbackSecret(secretEncrypted, secret) {
+    if (!secretEncrypted || typeof secret !== 'string' || secret.length === 0) {
+      return false;
+    }
+
+    // Compared as digests: equal length, constant time
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(encryption.decrypt(secretEncrypted)), digest(secret));
+  }
+
+  generateSecret() {
+    return `pbsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Postback URL and pixel snippet for the advertiser's integration
+   */
+  getSetup(secret, baseUrl = process.env.APP_URL) {
+    return {
+      clickIdParam: CONVERSIONS.CLICK_ID_PARAM,
+      attributionWindowDays: CONVERSIONS.ATTRIBUTION_WINDOW_DAYS,
+      postbackSecret: secret,
+      postbackSecretHeader: CONVERSIONS.SECRET_HEADER,
+      postbackUrl: `${baseUrl}/api/conversion?click_id={click_id}&value={value}&event={event}&txid={transaction_id}&secret=${secret}`,
+      pixel: `<img src="${baseUrl}/api/conversion/pixel.gif?click_id={click_id}&value={value}" width="1" height="1" alt="" style="display:none" />`,
+    };
+  }
+}
+
+const conversionService = new ConversionService();
+export default conversionService;
@@ -0,0 +1,430 @@
+// src/services/ad/promoCodeService.js
+import prisma from '../../config/database.js';
+import logger from '../../utils/logger.js';
+import { NotFoundError, ConflictError, ValidationError } from '../../utils/errors.js';
+import { AUDIT_ACTIONS, PROMO_CODE_TYPES } from '../../config/constants.js';
+import { parseJson } from '../../utils/json.js';
+
+// Ads that count as a campaign for first-campaign-only codes (drafts and rejected ads do not)
+const CAMPAIGN_STATUSES = ['PENDING_REVIEW', 'SCHEDULED', 'RUNNING', 'PAUSED', 'COMPLETED'];
+
+const toList = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Promo Code Service
+ * Admin management of promo codes, eligibility rules and redemptions.
+ *
+ * A code is checked when the ad is priced and redeemed (under a row lock, rules re-checked) when
+ * the ad is submitted. usedCount counts active redemptions: rejecting the ad, or deleting it
+ * before it delivered anything, releases the redemption and gives the use back.
+ */
+class PromoCodeService {
+  // ==================== ADMIN ====================
+
+  /**
+   * List promo codes
+   */
+  async list(filters = {}) {
+    try {
+      const { search, isActive, limit = 20, offset = 0 } = filters;
+
+      const where = {};
+      if (search) where.code = { contains: search, mode: 'insensitive' };
+      if (isActive !== undefined) where.isActive = isActive;
+
+      const [promoCodes, total] = await Promise.all([
+        prisma.promoCode.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          take: limit,
+          skip: offset,
+        }),
+        prisma.promoCode.count({ where }),
+      ]);
+
+      return { promoCodes, total };
+    } catch (error) {
+      logger.error('List promo codes failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Promo code with redemption totals
+   */
+  async getById(id) {
+    const promoCode = await prisma.promoCode.findUnique({ where: { id } });
+
+    if (!promoCode) {
+      throw new NotFoundError('Promo code not found');
+    }
+
+    const [active, released] = await Promise.all([
+      prisma.promoCodeRedemption.aggregate({
+        where: { promoCodeId: id, releasedAt: null },
+        _count: { _all: true },
+        _sum: { discount: true },
+      }),
+      prisma.promoCodeRedemption.count({ where: { promoCodeId: id, releasedAt: { not: null } } }),
+    ]);
+
+    return {
+      ...promoCode,
+      stats: {
+        activeRedemptions: active._count._all,
+        releasedRedemptions: released,
+        totalDiscount: parseFloat(active._sum.discount || 0),
+      },
+    };
+  }
+
+  /**
+   * Create promo code
+   */
+  async create(data, adminId) {
+    try {
+      const code = data.code.trim().toUpperCase();
+
+      const existing = await this.findByCode(code);
+      if (existing) {
+        throw new ConflictError(`Promo code ${code} already exists`);
+      }
+
+      const fields = await this.buildFields(data);
+
+      const promoCode = await prisma.promoCode.create({
+        data: {
+          code,
+          type: PROMO_CODE_TYPES.PERCENTAGE,
+          validFrom: new Date(),
+          ...fields,
+          createdBy: adminId,
+        },
+      });
+
+      await this.audit(adminId, AUDIT_ACTIONS.PROMO_CODE_CREATED, promoCode.id, { code, ...fields });
+
+      logger.info(`Promo code created: ${code}`);
+      return promoCode;
+    } catch (error) {
+      logger.error('Create promo code failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update promo code (the code itself cannot be renamed once created)
+   */
+  async update(id, data, adminId) {
+    try {
+      const current = await prisma.promoCode.findUnique({ where: { id } });
+
+      if (!current) {
+        throw new NotFoundError('Promo code not found');
+      }
+
+      const fields = await this.buildFields(data, current);
+
+      const promoCode = await prisma.promoCode.update({
+        where: { id },
+        data: fields,
+      });
+
+      await this.audit(adminId, AUDIT_ACTIONS.PROMO_CODE_UPDATED, id, { code: current.code, ...fields });
+
+      logger.info(`Promo code updated: ${current.code}`);
+      return promoCode;
+    } catch (error) {
+      logger.error('Update promo code failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete promo code — only while it was never redeemed, otherwise it is deactivated
+   * to keep the redemption history
+   */
+  async delete(id, adminId) {
+    try {
+      const promoCode = await prisma.promoCode.findUnique({ where: { id } });
+
+      if (!promoCode) {
+        throw new NotFoundError('Promo code not found');
+      }
+
+      const redemptions = await prisma.promoCodeRedemption.count({ where: { promoCodeId: id } });
+
+      if (redemptions > 0) {
+        await prisma.promoCode.update({ where: { id }, data: { isActive: false } });
+        await this.audit(adminId, AUDIT_ACTIONS.PROMO_CODE_UPDATED, id, { code: promoCode.code, isActive: false });
+
+        logger.info(`Promo code deactivated (has redemptions): ${promoCode.code}`);
+        return { deleted: false, deactivated: true };
+      }
+
+      await prisma.promoCode.delete({ where: { id } });
+      await this.audit(adminId, AUDIT_ACTIONS.PROMO_CODE_DELETED, id, { code: promoCode.code });
+
+      logger.info(`Promo code deleted: ${promoCode.code}`);
+      return { deleted: true, deactivated: false };
+    } catch (error) {
+      logger.error('Delete promo code failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Redemption history of a promo code
+   */
+  async getRedemptions(id, filters = {}) {
+    const { limit = 50, offset = 0 } = filters;
+    const where = { promoCodeId: id };
+
+    const [redemptions, total] = await Promise.all([
+      prisma.promoCodeRedemption.findMany({
+        where,
+        include: {
+          user: { select: { id: true, firstName: true, lastName: true, username: true } },
+          ad: { select: { id: true, title: true, status: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset,
+      }),
+      prisma.promoCodeRedemption.count({ where }),
+    ]);
+
+    return { redemptions, total };
+  }
+
+  /**
+   * Writable columns from admin input, with the rules that span several fields
+   * @param {Object} data - request body
+   * @param {Object|null} current - existing row on update
+   */
+  async buildFields(data, current = null) {
+    const fields = {};
+
+    if (data.type !== undefined) fields.type = data.type;
+    if (data.discount !== undefined) fields.discount = data.discount;
+    if (data.maxUses !== undefined) fields.maxUses = data.maxUses;
+    if (data.maxUsesPerUser !== undefined) fields.maxUsesPerUser = data.maxUsesPerUser;
+    if (data.minSpend !== undefined) fields.minSpend = data.minSpend;
+    if (data.firstCampaignOnly !== undefined) fields.firstCampaignOnly = data.firstCampaignOnly;
+    if (data.validFrom !== undefined) fields.validFrom = new Date(data.validFrom);
+    if (data.expiresAt !== undefined) fields.expiresAt = new Date(data.expiresAt);
+    if (data.isActive !== undefined) fields.isActive = data.isActive;
+    if (data.description !== undefined) fields.description = data.description;
+
+    if (data.categories !== undefined) {
+      const categories = toList(data.categories);
+      if (categories.length > 0) {
+        const known = await prisma.category.findMany({
+          where: { slug: { in: categories } },
+          select: { slug: true },
+        });
+        const unknown = categories.filter((slug) => !known.some((category) => category.slug === slug));
+        if (unknown.length > 0) {
+          throw new ValidationError(`Unknown categories: ${unknown.join(', ')}`);
+        }
+      }
+      fields.categories = categories.length > 0 ? categories : null;
+    }
+
+    const merged = { ...current, ...fields };
+
+    if (String(merged.type).toLowerCase() === PROMO_CODE_TYPES.PERCENTAGE && parseFloat(merged.discount) > 100) {
+      throw new ValidationError('Percentage discount cannot exceed 100');
+    }
+
+    if (merged.validFrom && merged.expiresAt && merged.expiresAt <= merged.validFrom) {
+      throw new ValidationError('Expiry date must be after the start date');
+    }
+
+    return fields;
+  }
+
+  async audit(adminId, action, promoCodeId, metadata) {
+    await prisma.auditLog.create({
+      data: {
+        userId: adminId,
+        action,
+        entityType: 'promo_code',
+        entityId: promoCodeId,
+        metadata,
+      },
+    });
+  }
+
+  // ==================== RULES ====================
+
+  /**
+   * Find a promo code by its code (case-insensitive)
+   */
+  async findByCode(code, client = prisma) {
+    return client.promoCode.findFirst({
+      where: { code: { equals: code.trim(), mode: 'insensitive' } },
+    });
+  }
+
+  /**
+   * Promo code the advertiser may apply to this ad
+   * @param {string} code
+   * @param {Object} context - { userId, baseCost, targeting, adId }
+   * @throws {ValidationError} with the reason the code does not apply
+   */
+  async resolve(code, context) {
+    const promoCode = await this.findByCode(code);
+
+    if (!promoCode) {
+      throw new ValidationError('Invalid promo code');
+    }
+
+    await this.checkEligibility(promoCode, context);
+    return promoCode;
+  }
+
+  /**
+   * Check every rule of a promo code against an ad
+   * @param {Object} promoCode
+   * @param {Object} context - { userId, baseCost, targeting, adId } (adId is left out of the user's history)
+   * @param {Object} client - prisma or a transaction
+   */
+  async checkEligibility(promoCode, { userId, baseCost, targeting, adId }, client = prisma) {
+    const now = new Date();
+
+    if (!promoCode.isActive || promoCode.validFrom > now) {
+      throw new ValidationError('Promo code is not active');
+    }
+
+    if (promoCode.expiresAt < now) {
+      throw new ValidationError('Promo code has expired');
+    }
+
+    if (promoCode.usedCount >= promoCode.maxUses) {
+      throw new ValidationError('Promo code usage limit reached');
+    }
+
+    if (promoCode.minSpend !== null && baseCost < parseFloat(promoCode.minSpend)) {
+      throw new ValidationError(
+        `Promo code requires a minimum spend of $${parseFloat(promoCode.minSpend).toFixed(2)}`
+      );
+    }
+
+    const allowedCategories = toList(parseJson(promoCode.categories, []));
+    if (allowedCategories.length > 0) {
+      const categories = toList(parseJson(targeting, {})?.categories);
+      if (categories.length === 0 || categories.some((category) => !allowedCategories.includes(category))) {
+        throw new ValidationError(`Promo code is only valid for ads in: ${allowedCategories.join(', ')}`);
+      }
+    }
+
+    if (promoCode.maxUsesPerUser !== null) {
+      const used = await client.promoCodeRedemption.count({
+        where: {
+          promoCodeId: promoCode.id,
+          userId,
+          releasedAt: null,
+          ...(adId && { adId: { not: adId } }),
+        },
+      });
+
+      if (used >= promoCode.maxUsesPerUser) {
+        throw new ValidationError('You have already used this promo code');
+      }
+    }
+
+    if (promoCode.firstCampaignOnly) {
+      const campaigns = await client.ad.count({
+        where: {
+          advertiserId: userId,
+          status: { in: CAMPAIGN_STATUSES },
+          ...(adId && { id: { not: adId } }),
+        },
+      });
+
+      if (campaigns > 0) {
+        throw new ValidationError('Promo code is only valid for your first campaign');
+      }
+    }
+  }
+
+  // ==================== REDEMPTIONS ====================
+
+  /**
+   * Redeem the ad's promo code on submit. Rules are checked again with the code row locked,
+   * so concurrent submits cannot go over maxUses / maxUsesPerUser.
+   */
+  async redeem(ad) {
+    return prisma.$transaction(async (tx) => {
+      const active = await tx.promoCodeRedemption.findFirst({
+        where: { adId: ad.id, releasedAt: null },
+      });
+      if (active) return active;
+
+      const [locked] = await tx.$queryRaw`
+        SELECT id FROM promo_codes WHERE LOWER(code) = LOWER(${ad.promoCodeUsed}) FOR UPDATE
+      `;
+      if (!locked) {
+        throw new ValidationError('Promo code no longer exists');
+      }
+
+      const promoCode = await tx.promoCode.findUnique({ where: { id: locked.id } });
+      const discount = parseFloat(ad.discount);
+
+      await this.checkEligibility(promoCode, {
+        userId: ad.advertiserId,
+        baseCost: parseFloat(ad.totalCost) + discount,
+        targeting: ad.targeting,
+        adId: ad.id,
+      }, tx);
+
+      const redemption = await tx.promoCodeRedemption.create({
+        data: {
+          promoCodeId: promoCode.id,
+          userId: ad.advertiserId,
+          adId: ad.id,
+          code: promoCode.code,
+          discount,
+        },
+      });
+
+      await tx.promoCode.update({
+        where: { id: promoCode.id },
+        data: { usedCount: { increment: 1 } },
+      });
+
+      logger.info(`Promo code redeemed: ${promoCode.code}, ad=${ad.id}, discount=$${discount}`);
+      return redemption;
+    });
+  }
+
+  /**
+   * Give the use back (ad rejected, deleted before delivery, or not submitted after all).
+   * Safe to call for ads without a redemption.
+   */
+  async release(adId, reason) {
+    return prisma.$transaction(async (tx) => {
+      const redemption = await tx.promoCodeRedemption.findFirst({
+        where: { adId, releasedAt: null },
+      });
+      if (!redemption) return null;
+
+      const released = await tx.promoCodeRedemption.update({
+        where: { id: redemption.id },
+        data: { releasedAt: new Date(), releaseReason: reason },
+      });
+
+      await tx.promoCode.updateMany({
+        where: { id: redemption.promoCodeId, usedCount: { gt: 0 } },
+        data: { usedCount: { decrement: 1 } },
+      });
+
+      logger.info(`Promo code released: ${redemption.code}, ad=${adId}, reason=${reason}`);
+      return released;
+    });
+  }
+}
+
+const promoCodeService = new PromoCodeService();
+export default promoCodeService;
@@ -4,6 +4,7 @@ import logger from '../../utils/logger.js';
 import encryption from '../../utils/encryption.js';
 import telegramAPI from '../../utils/telegram-api.js';
 import walletService from '../wallet/walletService.js';
+import revenueShareService from '../distribution/revenueShareService.js';
 
 class BroadcastService {
   /**
@@ -27,6 +28,9 @@ class BroadcastService {
       if (!bot || bot.status !== 'ACTIVE') {
         throw new Error('Bot is not active or not found');
       }
+      if (!bot.tokenEncrypted) {
+        throw new Error('Broadcasts need the bot token; this bot uses fetch mode');
+      }
 
       // 2. Find target users
       const threshold = new Date();
@@ -56,8 +60,14 @@ class BroadcastService {
       const baseFee = 0.50; // Minimal protocol fee
       const pricePerMessage = 0.05; 
       const totalCost = (actualTargetCount * pricePerMessage) + baseFee;
-      const platformFee = totalCost * 0.30;
-      const botOwnerEarn = (actualTargetCount * pricePerMessage) * 0.70;
+
+      // Bot owner gets their revenue share of the message cost; the base fee stays with the platform
+      const { platformFeePercentage } = await revenueShareService.resolve(botId);
+      const { botOwnerEarns: botOwnerEarn } = revenueShareService.split(
+        actualTargetCount * pricePerMessage,
+        platformFeePercentage
+      );
+      const platformFee = totalCost - botOwnerEarn;
 
       // 4. Charge advertiser
       await walletService.debit(advertiserId, totalCost, 'AD_SPEND', 'Broadcast');
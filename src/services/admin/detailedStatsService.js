@@ -150,6 +150,7 @@ class DetailedStatsService {
         botId,
         adId,
         search,
+        valid,
         limit = 50,
         offset = 0,
       } = filters;
@@ -158,6 +159,7 @@ class DetailedStatsService {
 
       if (botId) where.botId = botId;
       if (adId) where.adId = adId;
+      if (valid !== undefined) where.isValid = valid === true || valid === 'true';
 
       if (search) {
         where.OR = [
@@ -279,6 +281,9 @@ class DetailedStatsService {
         'Ad Text': (c.ad?.text || '').slice(0, 60),
         'URL': c.originalUrl || '',
         'Clicked At': c.clickedAt ? new Date(c.clickedAt).toISOString() : '',
+        'Valid': c.isValid ? 'yes' : 'no',
+        'Fraud Score': c.fraudScore,
+        'Fraud Reasons': Array.isArray(c.fraudReasons) ? c.fraudReasons.join(', ') : '',
       }));
     } catch (error) {
       logger.error('Get clicks export failed:', error);
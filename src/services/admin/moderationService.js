@@ -1,6 +1,10 @@
 import adModerationService from '../ad/adModerationService.js';
 import prisma from '../../config/database.js';
+import adIndexService from '../distribution/adIndexService.js';
 import logger from '../../utils/logger.js';
+import { enqueueNotificationSafe } from '../../jobs/queues/notificationQueue.js';
+import webhookService from '../webhook/webhookService.js';
+import { NOTIFICATION_TYPES, WEBHOOKS } from '../../config/constants.js';
 
 /**
  * Content Moderation Service
@@ -12,9 +16,10 @@ class ModerationService {
    */
   async getModerationQueue() {
     try {
-      const [pendingAds, pendingBots, pendingWithdrawals] = await Promise.all([
+      const [pendingAds, pendingBots, quarantinedBots, pendingWithdrawals] = await Promise.all([
         prisma.ad.count({ where: { status: 'SUBMITTED' } }),
         prisma.bot.count({ where: { status: 'PENDING' } }),
+        prisma.bot.count({ where: { status: 'QUARANTINED' } }),
         prisma.withdrawRequest.count({ 
           where: { status: { in: ['REQUESTED', 'PENDING_REVIEW'] } } 
         }),
@@ -23,8 +28,9 @@ class ModerationService {
       return {
         ads: pendingAds,
         bots: pendingBots,
+        quarantinedBots,
         withdrawals: pendingWithdrawals,
-        total: pendingAds + pendingBots + pendingWithdrawals,
+        total: pendingAds + pendingBots + quarantinedBots + pendingWithdrawals,
       };
     } catch (error) {
       logger.error('Get moderation queue failed:', error);
@@ -135,6 +141,8 @@ class ModerationService {
         },
       });
 
+      await adIndexService.invalidateBot(botId);
+
       // Create audit log
       await prisma.auditLog.create({
         data: {
@@ -146,6 +154,12 @@ class ModerationService {
         },
       });
 
+      await enqueueNotificationSafe(NOTIFICATION_TYPES.BOT_APPROVED, { botId });
+      await webhookService.emitSafe(bot.ownerId, WEBHOOKS.EVENTS.BOT_APPROVED, {
+        botId,
+        username: bot.username,
+      });
+
       logger.info(`Bot approved: ${botId}`);
       return bot;
     } catch (error) {
@@ -164,6 +178,8 @@ class ModerationService {
         data: { status: 'REJECTED' },
       });
 
+      await adIndexService.invalidateBot(botId);
+
       // Create audit log
       await prisma.auditLog.create({
         data: {
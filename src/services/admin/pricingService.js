@@ -2,6 +2,7 @@
 import prisma from '../../config/database.js';
 import logger from '../../utils/logger.js';
 import pricingCalculator from '../../utils/pricing.js';
+import revenueShareService from '../distribution/revenueShareService.js';
 import { NotFoundError, ConflictError, ValidationError } from '../../utils/errors.js';
 
 /**
@@ -187,16 +188,7 @@ class PricingService {
    * Get platform fee percentage
    */
   async getPlatformFee() {
-    try {
-      const setting = await prisma.platformSettings.findUnique({
-        where: { key: 'platform_fee_percentage' },
-      });
-
-      return parseFloat(setting?.value || '20');
-    } catch (error) {
-      logger.error('Get platform fee failed:', error);
-      return 20; // Default
-    }
+    return revenueShareService.getDefaultPlatformFee();
   }
 
   /**
@@ -224,6 +216,8 @@ class PricingService {
         },
       });
 
+      revenueShareService.invalidate();
+
       logger.info(`💰 Platform fee updated to ${percentage}% by ${updatedBy}`);
       return setting;
     } catch (error) {
@@ -232,6 +226,114 @@ class PricingService {
     }
   }
 
+  /**
+   * Get revenue share: platform default + per-bot and per-owner overrides
+   */
+  async getRevenueShare() {
+    try {
+      const [defaultPlatformFee, bots, owners] = await Promise.all([
+        this.getPlatformFee(),
+        prisma.bot.findMany({
+          where: { platformFeePercentage: { not: null } },
+          select: { id: true, username: true, ownerId: true, platformFeePercentage: true },
+          orderBy: { username: 'asc' },
+        }),
+        prisma.user.findMany({
+          where: { platformFeePercentage: { not: null } },
+          select: { id: true, username: true, firstName: true, platformFeePercentage: true },
+          orderBy: { createdAt: 'asc' },
+        }),
+      ]);
+
+      return {
+        defaultPlatformFeePercentage: defaultPlatformFee,
+        botOverrides: bots.map(bot => ({ ...bot, platformFeePercentage: parseFloat(bot.platformFeePercentage) })),
+        ownerOverrides: owners.map(owner => ({ ...owner, platformFeePercentage: parseFloat(owner.platformFeePercentage) })),
+      };
+    } catch (error) {
+      logger.error('Get revenue share failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set (or clear with null) a bot's revenue share override
+   */
+  async setBotRevenueShare(botId, percentage, updatedBy) {
+    try {
+      this.validateRevenueShare(percentage);
+
+      const bot = await prisma.bot.findUnique({ where: { id: botId } });
+      if (!bot) {
+        throw new NotFoundError('Bot not found');
+      }
+
+      const updated = await prisma.bot.update({
+        where: { id: botId },
+        data: { platformFeePercentage: percentage },
+        select: { id: true, username: true, ownerId: true, platformFeePercentage: true },
+      });
+
+      await this.logRevenueShareChange('bot', botId, bot.platformFeePercentage, percentage, updatedBy);
+
+      logger.info(`💰 Bot ${botId} platform fee override: ${percentage ?? 'default'} by ${updatedBy}`);
+      return updated;
+    } catch (error) {
+      logger.error('Set bot revenue share failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set (or clear with null) a bot owner's revenue share override
+   */
+  async setOwnerRevenueShare(userId, percentage, updatedBy) {
+    try {
+      this.validateRevenueShare(percentage);
+
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const updated = await prisma.user.update({
+        where: { id: userId },
+        data: { platformFeePercentage: percentage },
+        select: { id: true, username: true, firstName: true, platformFeePercentage: true },
+      });
+
+      await this.logRevenueShareChange('user', userId, user.platformFeePercentage, percentage, updatedBy);
+
+      logger.info(`💰 Owner ${userId} platform fee override: ${percentage ?? 'default'} by ${updatedBy}`);
+      return updated;
+    } catch (error) {
+      logger.error('Set owner revenue share failed:', error);
+      throw error;
+    }
+  }
+
+  validateRevenueShare(percentage) {
+    if (percentage !== null && (percentage < 0 || percentage > 50)) {
+      throw new ValidationError('Platform fee must be between 0% and 50%');
+    }
+  }
+
+  async logRevenueShareChange(entityType, entityId, from, to, adminId) {
+    await prisma.auditLog.create({
+      data: {
+        userId: adminId,
+        action: 'PRICING_UPDATED',
+        entityType,
+        entityId,
+        metadata: {
+          field: 'platformFeePercentage',
+          from: from === null ? null : parseFloat(from),
+          to,
+        },
+      },
+    });
+  }
+
   /**
    * Calculate price preview (for frontend)
    */
@@ -1,6 +1,8 @@
 import prisma from '../../config/database.js';
 import logger from '../../utils/logger.js';
 import { NotFoundError } from '../../utils/errors.js';
+import revenueShareService from '../distribution/revenueShareService.js';
+import earningsHoldService from '../wallet/earningsHoldService.js';
 
 /**
  * Platform Settings Service
@@ -76,6 +78,9 @@ class SettingsService {
         },
       });
 
+      revenueShareService.invalidate();
+      earningsHoldService.invalidate();
+
       logger.info(`Setting updated: ${key} = ${value}`);
       return setting;
     } catch (error) {
@@ -107,6 +112,8 @@ class SettingsService {
       );
 
       await prisma.$transaction(updates);
+      revenueShareService.invalidate();
+      earningsHoldService.invalidate();
 
       // Create audit log
       await prisma.auditLog.create({
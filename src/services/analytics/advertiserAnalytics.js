@@ -2,6 +2,8 @@
 import prisma from '../../config/database.js';
 import ExcelJS from 'exceljs';
 import logger from '../../utils/logger.js';
+import conversionService from '../ad/conversionService.js';
+import exportService from './exportService.js';
 
 /**
  * Advertiser Analytics Service
@@ -98,15 +100,34 @@ class AdvertiserAnalytics {
 
       const botsMap = Object.fromEntries(bots.map(b => [b.id, b]));
 
-      const breakdown = impressionsByBot.map(item => ({
-        bot: botsMap[item.botId],
-        impressions: item._count.id,
-        revenue: parseFloat(item._sum.revenue || 0),
-      }));
+      // Get conversions by bot
+      const conversionsByBot = await conversionService.getBotTotals(adId);
+
+      const breakdown = impressionsByBot.map(item => {
+        const revenue = parseFloat(item._sum.revenue || 0);
+        const converted = conversionsByBot.get(item.botId) || { conversions: 0, conversionValue: 0 };
+
+        return {
+          bot: botsMap[item.botId],
+          impressions: item._count.id,
+          revenue,
+          conversions: converted.conversions,
+          conversionValue: converted.conversionValue,
+          cpa: converted.conversions > 0 ? parseFloat((revenue / converted.conversions).toFixed(4)) : null,
+        };
+      });
 
       // Get clicks
       const totalClicks = await prisma.clickEvent.count({
-        where: { adId, clicked: true },
+        where: { adId, clicked: true, isValid: true },
+      });
+
+      const spent = breakdown.reduce((sum, item) => sum + item.revenue, 0);
+      const conversionMetrics = conversionService.calculateMetrics({
+        spent,
+        clicks: totalClicks,
+        conversions: ad.conversions,
+        conversionValue: parseFloat(ad.conversionValue),
       });
 
       return {
@@ -120,6 +141,8 @@ class AdvertiserAnalytics {
           ctr: parseFloat(ad.ctr),
           totalCost: parseFloat(ad.totalCost),
           remainingBudget: parseFloat(ad.remainingBudget),
+          spent: parseFloat(spent.toFixed(6)),
+          ...conversionMetrics,
         },
         botBreakdown: breakdown,
         totalClicks,
@@ -193,6 +216,8 @@ class AdvertiserAnalytics {
         fgColor: { argb: 'FFE0E0E0' },
       };
 
+      await exportService.addConversionSheets(workbook, ad);
+
       // Generate buffer
       const buffer = await workbook.xlsx.writeBuffer();
 
@@ -36,6 +36,7 @@ class DailyStatsService {
         FROM click_events
         WHERE ad_id = ${adId} 
           AND clicked = true
+          AND is_valid = true
           AND clicked_at >= ${startDate}
         GROUP BY DATE(clicked_at)
         ORDER BY date ASC
@@ -105,6 +106,7 @@ class DailyStatsService {
           SELECT id FROM ads WHERE advertiser_id = ${userId}
         )
           AND clicked = true
+          AND is_valid = true
           AND clicked_at >= ${startDate}
         GROUP BY CAST(clicked_at AS DATE)
         ORDER BY date ASC
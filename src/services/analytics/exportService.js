@@ -2,6 +2,16 @@
 import ExcelJS from 'exceljs';
 import prisma from '../../config/database.js';
 import logger from '../../utils/logger.js';
+import conversionService from '../ad/conversionService.js';
+
+const styleHeader = (worksheet) => {
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFE0E0E0' },
+  };
+};
 
 /**
  * Export Service
@@ -51,12 +61,10 @@ class ExportService {
       });
 
       // Style
-      worksheet.getRow(1).font = { bold: true };
-      worksheet.getRow(1).fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: 'FFE0E0E0' },
-      };
+      styleHeader(worksheet);
+
+      const ad = await prisma.ad.findUnique({ where: { id: adId } });
+      if (ad) await this.addConversionSheets(workbook, ad);
 
       const buffer = await workbook.xlsx.writeBuffer();
       return buffer;
@@ -72,9 +80,10 @@ class ExportService {
   async exportClicksToExcel(adId) {
     try {
       const clicks = await prisma.clickEvent.findMany({
-        where: { adId, clicked: true },
+        where: { adId, clicked: true, isValid: true },
         include: {
           bot: { select: { username: true } },
+          conversions: { select: { value: true } },
         },
         orderBy: { clickedAt: 'desc' },
       });
@@ -90,6 +99,8 @@ class ExportService {
         { header: 'IP Address', key: 'ip', width: 15 },
         { header: 'User Agent', key: 'userAgent', width: 40 },
         { header: 'URL', key: 'url', width: 50 },
+        { header: 'Конверсии', key: 'conversions', width: 12 },
+        { header: 'Ценность конверсий ($)', key: 'conversionValue', width: 20 },
       ];
 
       clicks.forEach((click, index) => {
@@ -101,15 +112,12 @@ class ExportService {
           ip: click.ipAddress || '',
           userAgent: click.userAgent || '',
           url: click.originalUrl,
+          conversions: click.conversions.length,
+          conversionValue: click.conversions.reduce((sum, c) => sum + parseFloat(c.value), 0),
         });
       });
 
-      worksheet.getRow(1).font = { bold: true };
-      worksheet.getRow(1).fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: 'FFE0E0E0' },
-      };
+      styleHeader(worksheet);
 
       const buffer = await workbook.xlsx.writeBuffer();
       return buffer;
@@ -118,6 +126,78 @@ class ExportService {
       throw error;
     }
   }
+
+  /**
+   * Add "Summary" (CPA / ROAS) and "Conversions" sheets to an ad export
+   * @param {ExcelJS.Workbook} workbook
+   * @param {Object} ad - ad row
+   */
+  async addConversionSheets(workbook, ad) {
+    const totals = await prisma.impression.aggregate({
+      where: { adId: ad.id },
+      _sum: { revenue: true },
+    });
+
+    const spent = parseFloat(totals._sum.revenue || 0);
+    const metrics = conversionService.calculateMetrics({
+      spent,
+      clicks: ad.clicks,
+      conversions: ad.conversions,
+      conversionValue: parseFloat(ad.conversionValue),
+    });
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [
+      { header: 'Показатель', key: 'metric', width: 25 },
+      { header: 'Значение', key: 'value', width: 20 },
+    ];
+    summary.addRows([
+      { metric: 'Показы', value: ad.deliveredImpressions },
+      { metric: 'Клики', value: ad.clicks },
+      { metric: 'CTR (%)', value: parseFloat(ad.ctr) },
+      { metric: 'Потрачено ($)', value: parseFloat(spent.toFixed(6)) },
+      { metric: 'Конверсии', value: metrics.conversions },
+      { metric: 'Конверсия кликов (%)', value: metrics.conversionRate },
+      { metric: 'Ценность конверсий ($)', value: metrics.conversionValue },
+      { metric: 'CPA ($)', value: metrics.cpa ?? '' },
+      { metric: 'ROAS', value: metrics.roas ?? '' },
+    ]);
+    styleHeader(summary);
+
+    const conversions = await prisma.conversion.findMany({
+      where: { adId: ad.id },
+      include: {
+        bot: { select: { username: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const worksheet = workbook.addWorksheet('Conversions');
+    worksheet.columns = [
+      { header: 'ID', key: 'id', width: 10 },
+      { header: 'Дата и время', key: 'datetime', width: 20 },
+      { header: 'Бот', key: 'bot', width: 20 },
+      { header: 'Событие', key: 'event', width: 15 },
+      { header: 'Ценность ($)', key: 'value', width: 12 },
+      { header: 'ID транзакции', key: 'transactionId', width: 25 },
+      { header: 'Источник', key: 'source', width: 12 },
+    ];
+
+    conversions.forEach((conversion, index) => {
+      worksheet.addRow({
+        id: index + 1,
+        datetime: conversion.createdAt.toLocaleString('ru-RU'),
+        bot: `@${conversion.bot.username}`,
+        event: conversion.event,
+        value: parseFloat(conversion.value),
+        transactionId: conversion.transactionId || '',
+        source: conversion.source,
+      });
+    });
+    styleHeader(worksheet);
+
+    return workbook;
+  }
 }
 
 const exportService = new ExportService();
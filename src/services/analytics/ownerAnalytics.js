@@ -39,6 +39,7 @@ class OwnerAnalytics {
       return {
         wallet: {
           available: wallet?.available || 0,
+          pending: wallet?.pending || 0,
           totalEarned: wallet?.totalEarned || 0,
           totalWithdrawn: wallet?.totalWithdrawn || 0,
         },
@@ -2,18 +2,64 @@ import jwtUtil from '../../utils/jwt.js';
 import encryption from '../../utils/encryption.js';
 import prisma from '../../config/database.js';
 import logger from '../../utils/logger.js';
-import { NotFoundError, AuthenticationError } from '../../utils/errors.js';
+import { NotFoundError, AuthenticationError, AuthorizationError, ValidationError } from '../../utils/errors.js';
+import { AUDIT_ACTIONS, BOT_API_KEYS } from '../../config/constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const ALL_SCOPES = Object.values(BOT_API_KEYS.SCOPES);
+
+const ipv4ToInt = (ip) => {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0;
+  for (const part of parts) {
+    const octet = Number(part);
+    if (!/^\d{1,3}$/.test(part) || octet > 255) return null;
+    value = value * 256 + octet;
+  }
+  return value;
+};
+
+// Exact IP, or an IPv4 CIDR range
+const ipMatches = (entry, ip) => {
+  if (!entry.includes('/')) return entry === ip;
+
+  const [range, bits] = entry.split('/');
+  const start = ipv4ToInt(range);
+  const value = ipv4ToInt(ip);
+  if (start === null || value === null) return false;
+
+  const size = 2 ** (32 - Number(bits));
+  return Math.floor(value / size) === Math.floor(start / size);
+};
+
+const isValidAllowlistEntry = (entry) => {
+  if (typeof entry !== 'string') return false;
+  const [ip, bits] = entry.split('/');
+  if (bits !== undefined) {
+    return ipv4ToInt(ip) !== null && /^\d{1,2}$/.test(bits) && Number(bits) <= 32;
+  }
+  return ipv4ToInt(ip) !== null || /^[0-9a-f:]+$/i.test(ip);
+};
 
 /**
  * Bot API Key Service
  * Manages bot API keys
+ *
+ * A bot has up to BOT_API_KEYS.MAX_PER_BOT named keys (BotApiKey), each with scopes,
+ * an optional IP allowlist and expiry. Bot.apiKey is the bot's primary key — the one
+ * shown on registration and rotated by regenerate-api-key.
+ *
+ * Rotation issues a new key and leaves the old one working for a grace period,
+ * so a bot can be redeployed without dropping requests.
  */
 class BotApiKeyService {
   /**
    * Generate API key for bot
    */
-  generateApiKey(bot) {
-    const apiKey = jwtUtil.generateBotApiKey(bot);
+  generateApiKey(bot, expiresAt = null) {
+    const apiKey = jwtUtil.generateBotApiKey(bot, expiresAt);
     const apiKeyHash = encryption.hash(apiKey);
 
     return {
@@ -23,61 +69,177 @@ class BotApiKeyService {
   }
 
   /**
-   * Verify API key
+   * Look up the key of an authenticated request
+   * @returns {Promise<Object>} - BotApiKey with bot and owner
    */
-  async verifyApiKey(apiKey) {
+  async verifyApiKey(apiKey, ipAddress = null) {
+    let decoded;
     try {
-      const decoded = jwtUtil.verifyBotApiKey(apiKey);
+      decoded = jwtUtil.verifyBotApiKey(apiKey);
+    } catch (error) {
+      throw new AuthenticationError('Invalid or expired API key');
+    }
 
-      // Get bot
-      const bot = await prisma.bot.findUnique({
-        where: { id: decoded.botId },
-        include: { owner: true },
-      });
+    const key = await prisma.botApiKey.findUnique({
+      where: { keyHash: encryption.hash(apiKey) },
+      include: {
+        bot: {
+          include: {
+            owner: {
+              select: {
+                id: true,
+                isActive: true,
+                isBanned: true,
+              },
+            },
+          },
+        },
+      },
+    });
 
-      if (!bot) {
-        throw new NotFoundError('Bot not found');
-      }
+    if (!key || key.botId !== decoded.botId) {
+      throw new AuthenticationError('Invalid or expired API key');
+    }
 
-      // Check if API key is revoked
-      if (bot.apiKeyRevoked) {
-        throw new AuthenticationError('API key has been revoked');
-      }
+    if (key.revokedAt || key.bot.apiKeyRevoked) {
+      throw new AuthenticationError('API key has been revoked');
+    }
 
-      // Check bot status
-      if (bot.status !== 'ACTIVE') {
-        throw new AuthenticationError('Bot is not active');
-      }
+    if (key.expiresAt && key.expiresAt <= new Date()) {
+      throw new AuthenticationError('API key has expired');
+    }
 
-      // Check if paused
-      if (bot.isPaused) {
-        throw new AuthenticationError('Bot is paused');
-      }
+    if (!this.isIpAllowed(key, ipAddress)) {
+      throw new AuthorizationError('API key is not allowed from this IP address');
+    }
 
-      // Check owner status
-      if (bot.owner.isBanned || !bot.owner.isActive) {
-        throw new AuthenticationError('Bot owner account is inactive');
-      }
+    return key;
+  }
 
-      return {
-        valid: true,
-        bot,
-      };
-    } catch (error) {
-      logger.error('Verify API key failed:', error);
-      throw error;
+  isIpAllowed(key, ipAddress) {
+    if (!key.allowedIps?.length) return true;
+    if (!ipAddress) return false;
+
+    const ip = ipAddress.replace(/^::ffff:/i, '');
+    return key.allowedIps.some((entry) => ipMatches(entry, ip));
+  }
+
+  /**
+   * Record key usage without a write on every request:
+   * lastUsedAt is only refreshed once it is LAST_USED_RESOLUTION_MS old
+   */
+  touch(key, ipAddress = null) {
+    const now = new Date();
+    if (key.lastUsedAt && now - key.lastUsedAt < BOT_API_KEYS.LAST_USED_RESOLUTION_MS) return;
+
+    prisma.botApiKey
+      .updateMany({
+        where: {
+          id: key.id,
+          OR: [
+            { lastUsedAt: null },
+            { lastUsedAt: { lt: new Date(now.getTime() - BOT_API_KEYS.LAST_USED_RESOLUTION_MS) } },
+          ],
+        },
+        data: { lastUsedAt: now, lastUsedIp: ipAddress },
+      })
+      .catch((error) => logger.error('Update API key last used failed:', error));
+  }
+
+  // ==================== OWNER ====================
+
+  async listKeys(botId, ownerId) {
+    const bot = await this.getOwnedBot(botId, ownerId);
+
+    const keys = await prisma.botApiKey.findMany({
+      where: { botId },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return keys.map((key) => this.format(key, bot));
+  }
+
+  /**
+   * Create a named key; the key itself is returned only here
+   */
+  async createKey(botId, ownerId, data) {
+    const bot = await this.getOwnedBot(botId, ownerId);
+
+    const count = await prisma.botApiKey.count({
+      where: { botId, revokedAt: null },
+    });
+    if (count >= BOT_API_KEYS.MAX_PER_BOT) {
+      throw new ValidationError(`A bot can have up to ${BOT_API_KEYS.MAX_PER_BOT} API keys`);
     }
+
+    const { key, apiKey } = await this.issueKey(bot, this.normalize(data));
+    await this.audit(ownerId, AUDIT_ACTIONS.BOT_API_KEY_CREATED, key, { scopes: key.scopes });
+
+    logger.info(`API key created for bot ${botId}: ${key.id} (${key.name})`);
+    return { key: this.format(key, bot), apiKey };
+  }
+
+  async updateKey(botId, ownerId, keyId, data) {
+    const bot = await this.getOwnedBot(botId, ownerId);
+    const key = await this.getActiveKey(botId, keyId);
+
+    const changes = this.normalize({ ...key, ...data });
+    const updated = await prisma.botApiKey.update({
+      where: { id: key.id },
+      data: {
+        name: changes.name,
+        scopes: changes.scopes,
+        allowedIps: changes.allowedIps,
+      },
+    });
+
+    return this.format(updated, bot);
+  }
+
+  /**
+   * Replace a key: the new one has the same name, scopes and allowlist,
+   * the old one keeps working for graceHours
+   */
+  async rotateKey(botId, ownerId, keyId, graceHours = BOT_API_KEYS.DEFAULT_GRACE_HOURS) {
+    const bot = await this.getOwnedBot(botId, ownerId);
+    const key = await this.getActiveKey(botId, keyId);
+
+    return this.rotate(bot, key, graceHours, ownerId);
+  }
+
+  /**
+   * Stop a key at once
+   */
+  async revokeKey(botId, ownerId, keyId) {
+    await this.getOwnedBot(botId, ownerId);
+    const key = await this.getActiveKey(botId, keyId);
+
+    await prisma.botApiKey.update({
+      where: { id: key.id },
+      data: { revokedAt: new Date() },
+    });
+    await this.audit(ownerId, AUDIT_ACTIONS.BOT_API_KEY_REVOKED, key);
+
+    logger.info(`API key revoked for bot ${botId}: ${key.id}`);
+    return { id: key.id };
   }
 
   /**
    * Revoke API key
+   * Kill switch for every key of the bot (Bot.apiKeyRevoked)
    */
   async revokeApiKey(botId) {
     try {
-      await prisma.bot.update({
-        where: { id: botId },
-        data: { apiKeyRevoked: true },
-      });
+      await prisma.$transaction([
+        prisma.bot.update({
+          where: { id: botId },
+          data: { apiKeyRevoked: true },
+        }),
+        prisma.botApiKey.updateMany({
+          where: { botId, revokedAt: null },
+          data: { revokedAt: new Date() },
+        }),
+      ]);
 
       logger.info(`API key revoked for bot: ${botId}`);
       return true;
@@ -89,30 +251,22 @@ class BotApiKeyService {
 
   /**
    * Regenerate API key
+   * Rotates the primary key (Bot.apiKey); the previous one works for graceHours
    */
-  async regenerateApiKey(botId, ownerId) {
+  async regenerateApiKey(botId, ownerId, graceHours = BOT_API_KEYS.DEFAULT_GRACE_HOURS) {
     try {
-      const bot = await prisma.bot.findFirst({
-        where: { id: botId, ownerId },
-      });
-
-      if (!bot) {
-        throw new NotFoundError('Bot not found');
-      }
-
-      const { apiKey, apiKeyHash } = this.generateApiKey(bot);
+      const bot = await this.getOwnedBot(botId, ownerId);
 
-      await prisma.bot.update({
-        where: { id: botId },
-        data: {
-          apiKey,
-          apiKeyHash,
-          apiKeyRevoked: false,
-        },
+      const primary = await prisma.botApiKey.findFirst({
+        where: { botId, keyHash: bot.apiKeyHash, revokedAt: null },
       });
 
+      const result = primary
+        ? await this.rotate(bot, primary, graceHours, ownerId)
+        : await this.issuePrimaryKey(bot);
+
       logger.info(`API key regenerated for bot: ${botId}`);
-      return apiKey;
+      return result.apiKey;
     } catch (error) {
       logger.error('Regenerate API key failed:', error);
       throw error;
@@ -120,19 +274,172 @@ class BotApiKeyService {
   }
 
   /**
-   * Update last used timestamp
+   * Primary key of a newly registered bot (or one without a key row yet):
+   * every scope, no allowlist, no expiry
    */
-  async updateLastUsed(botId) {
-    try {
-      await prisma.bot.update({
-        where: { id: botId },
-        data: { apiKeyLastUsed: new Date() },
+  async issuePrimaryKey(bot) {
+    const { key, apiKey } = await this.issueKey(bot, {
+      name: 'Default',
+      scopes: ALL_SCOPES,
+      allowedIps: [],
+      expiresAt: null,
+    });
+
+    await prisma.bot.update({
+      where: { id: bot.id },
+      data: { apiKey, apiKeyHash: key.keyHash, apiKeyRevoked: false },
+    });
+
+    return { key, apiKey };
+  }
+
+  // ==================== HELPERS ====================
+
+  async issueKey(bot, { name, scopes, allowedIps, expiresAt }, tx = prisma) {
+    const { apiKey, apiKeyHash } = this.generateApiKey(bot, expiresAt);
+
+    const key = await tx.botApiKey.create({
+      data: {
+        botId: bot.id,
+        name,
+        keyHash: apiKeyHash,
+        keyPreview: apiKey.slice(-6),
+        scopes,
+        allowedIps,
+        expiresAt,
+      },
+    });
+
+    return { key, apiKey };
+  }
+
+  async rotate(bot, key, graceHours, actorId) {
+    const hours = Math.min(Math.max(Number(graceHours) || 0, 0), BOT_API_KEYS.MAX_GRACE_HOURS);
+    const graceEndsAt = new Date(Date.now() + hours * HOUR_MS);
+    const isPrimary = key.keyHash === bot.apiKeyHash;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const issued = await this.issueKey(
+        bot,
+        { name: key.name, scopes: key.scopes, allowedIps: key.allowedIps, expiresAt: key.expiresAt },
+        tx
+      );
+
+      await tx.botApiKey.update({
+        where: { id: key.id },
+        data: {
+          // Never extend a key that expires before the grace period ends
+          expiresAt: key.expiresAt && key.expiresAt < graceEndsAt ? key.expiresAt : graceEndsAt,
+          revokedAt: hours === 0 ? new Date() : null,
+        },
       });
-    } catch (error) {
-      logger.error('Update last used failed:', error);
+
+      if (isPrimary) {
+        await tx.bot.update({
+          where: { id: bot.id },
+          data: { apiKey: issued.apiKey, apiKeyHash: issued.key.keyHash, apiKeyRevoked: false },
+        });
+      }
+
+      return issued;
+    });
+
+    await this.audit(actorId, AUDIT_ACTIONS.BOT_API_KEY_ROTATED, key, {
+      newKeyId: result.key.id,
+      graceHours: hours,
+    });
+
+    logger.info(`API key rotated for bot ${bot.id}: ${key.id} → ${result.key.id}, grace ${hours}h`);
+    const current = isPrimary ? { ...bot, apiKeyHash: result.key.keyHash } : bot;
+    return {
+      key: this.format(result.key, current),
+      apiKey: result.apiKey,
+      previousKeyExpiresAt: hours === 0 ? new Date() : graceEndsAt,
+    };
+  }
+
+  normalize({ name, scopes, allowedIps = [], expiresAt = null }) {
+    if (!name || !String(name).trim()) {
+      throw new ValidationError('API key name is required');
+    }
+
+    const scopeList = [...new Set(scopes?.length ? scopes : ALL_SCOPES)];
+    if (scopeList.some((scope) => !ALL_SCOPES.includes(scope))) {
+      throw new ValidationError(`Scopes must be one of: ${ALL_SCOPES.join(', ')}`);
+    }
+
+    const ips = [...new Set(allowedIps || [])];
+    if (ips.length > BOT_API_KEYS.MAX_ALLOWED_IPS) {
+      throw new ValidationError(`Up to ${BOT_API_KEYS.MAX_ALLOWED_IPS} allowed IPs per key`);
     }
+    const invalidIp = ips.find((entry) => !isValidAllowlistEntry(entry));
+    if (invalidIp) {
+      throw new ValidationError(`Invalid IP address: ${invalidIp}`);
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && !(expiry > new Date())) {
+      throw new ValidationError('expiresAt must be in the future');
+    }
+
+    return { name: String(name).trim(), scopes: scopeList, allowedIps: ips, expiresAt: expiry };
+  }
+
+  async getOwnedBot(botId, ownerId) {
+    const bot = await prisma.bot.findFirst({
+      where: { id: botId, ownerId },
+    });
+
+    if (!bot) {
+      throw new NotFoundError('Bot not found');
+    }
+
+    return bot;
+  }
+
+  async getActiveKey(botId, keyId) {
+    const key = await prisma.botApiKey.findFirst({
+      where: { id: keyId, botId, revokedAt: null },
+    });
+
+    if (!key || (key.expiresAt && key.expiresAt <= new Date())) {
+      throw new NotFoundError('API key not found');
+    }
+
+    return key;
+  }
+
+  async audit(userId, action, key, metadata = {}) {
+    await prisma.auditLog.create({
+      data: {
+        userId,
+        action,
+        entityType: 'bot_api_key',
+        entityId: key.id,
+        metadata: { botId: key.botId, name: key.name, ...metadata },
+      },
+    });
+  }
+
+  format(key, bot) {
+    const now = new Date();
+
+    return {
+      id: key.id,
+      name: key.name,
+      keyPreview: `…${key.keyPreview}`,
+      scopes: key.scopes,
+      allowedIps: key.allowedIps,
+      expiresAt: key.expiresAt,
+      revokedAt: key.revokedAt,
+      active: !key.revokedAt && (!key.expiresAt || key.expiresAt > now),
+      primary: key.keyHash === bot.apiKeyHash,
+      lastUsedAt: key.lastUsedAt,
+      lastUsedIp: key.lastUsedIp,
+      createdAt: key.createdAt,
+    };
   }
 }
 
 const botApiKeyService = new BotApiKeyService();
-export default botApiKeyService;
\ No newline at end of file
+export default botApiKeyService;
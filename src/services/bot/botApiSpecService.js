@@ -0,0 +1,402 @@
+// src/services/bot/botApiSpecService.js
+import { authenticateBotApiKey } from '../../middleware/auth.js';
+import { botApiRateLimiter } from '../../middleware/rateLimiter.js';
+import { describeRequest, getRouteSchemas, listRoutes, toOpenApiPath } from '../../utils/openapi.js';
+import {
+  AD_FETCH,
+  BOT_API_BATCH,
+  BOT_API_QUOTAS,
+  BOT_CONFIRM_RESULTS,
+  BOT_FETCH_RESULTS,
+  BOT_SEND_POST_RESULTS,
+} from '../../config/constants.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Result codes of the Bot API and what a client should do with each.
+ * `retry: true` — worth trying again later (with backoff); the code is not final for this user/chat.
+ */
+const RESULT_ENUMS = {
+  SendPostResult: {
+    values: BOT_SEND_POST_RESULTS,
+    guidance: {
+      UNDEFINED: { description: 'No ad for this user right now', retry: false },
+      SUCCESS: { description: 'Ad sent', retry: false },
+      REVOKED_TOKEN_ERROR: { description: 'Telegram rejected the bot token; update it in the dashboard', retry: false },
+      USER_FORBIDDEN_ERROR: { description: 'The user blocked the bot or never started it', retry: false },
+      TOO_MANY_REQUESTS_ERROR: { description: 'Telegram flood limit for the bot; try this chat again later', retry: true },
+      OTHER_BOT_API_ERROR: { description: 'Telegram refused the message (chat not found, etc.)', retry: false },
+      OTHER_ERROR: { description: 'Temporary error on our side; try again later', retry: true },
+    },
+  },
+  FetchResult: {
+    values: BOT_FETCH_RESULTS,
+    guidance: {
+      NO_AD: { description: 'No ad for this user right now', retry: false },
+      SUCCESS: {
+        description: `Send the creative, then Confirm within ${AD_FETCH.IMPRESSION_TTL_SECONDS} seconds`,
+        retry: false,
+      },
+      OTHER_ERROR: { description: 'Temporary error on our side; try again later', retry: true },
+    },
+  },
+  ConfirmResult: {
+    values: BOT_CONFIRM_RESULTS,
+    guidance: {
+      SUCCESS: { description: 'Impression recorded', retry: false },
+      INVALID_IMPRESSION: { description: 'ImpressionId was not issued to this bot', retry: false },
+      EXPIRED: { description: 'ImpressionId expired; Fetch a new ad next time', retry: false },
+      ALREADY_CONFIRMED: { description: 'Already recorded — a repeated Confirm is harmless', retry: false },
+      REFUSED: {
+        description: 'Not recorded: the ad stopped or a frequency cap was reached since Fetch; nothing is charged',
+        retry: false,
+      },
+      OTHER_ERROR: { description: 'Temporary error; Confirm again with the same ImpressionId', retry: true },
+    },
+  },
+};
+
+/**
+ * What the routes cannot tell: names, texts and response bodies.
+ * Request bodies and query parameters come from the validation schema of the route itself
+ * (validateSchema), so every Bot API route declares its fields that way.
+ * `idempotent` — safe to repeat after a timeout or 5xx (SendPost may already have sent the ad).
+ */
+const OPERATIONS = {
+  'post /ad/SendPost': {
+    operationId: 'SendPost',
+    tag: 'SendPost',
+    summary: 'Send an ad to a user from the bot',
+    description: 'Picks an ad for the user and sends it with the bot token stored at registration.',
+    idempotent: false,
+    response: {
+      type: 'object',
+      properties: { SendPostResult: ref('SendPostResult') },
+    },
+  },
+  'post /ad/SendPostBatch': {
+    operationId: 'SendPostBatch',
+    tag: 'SendPost',
+    summary: `SendPost for up to ${BOT_API_BATCH.MAX_CHATS} chats`,
+    description: 'Sends are paced to Telegram limits. Each chat counts against the quota; results keep request order.',
+    idempotent: false,
+    response: {
+      type: 'object',
+      properties: {
+        Results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              SendToChatId: { type: 'integer', format: 'int64' },
+              SendPostResult: ref('SendPostResult'),
+            },
+          },
+        },
+      },
+    },
+  },
+  'post /v2/ad/Fetch': {
+    operationId: 'Fetch',
+    tag: 'Fetch',
+    summary: 'Get an ad creative for the bot to send itself',
+    description: 'Nothing is charged until the ImpressionId is confirmed. No bot token is needed.',
+    idempotent: true,
+    response: {
+      type: 'object',
+      properties: {
+        FetchResult: ref('FetchResult'),
+        ImpressionId: { type: 'string', description: 'Pass to Confirm after sending' },
+        ExpiresAt: { type: 'string', format: 'date-time' },
+        Ad: ref('AdCreative'),
+      },
+    },
+  },
+  'post /v2/ad/Confirm': {
+    operationId: 'Confirm',
+    tag: 'Fetch',
+    summary: 'Confirm a fetched ad was sent',
+    description: 'Records the impression. Each ImpressionId is counted once, so retries are safe.',
+    idempotent: true,
+    response: {
+      type: 'object',
+      properties: { ConfirmResult: ref('ConfirmResult') },
+    },
+  },
+  'get /bot/Stats': {
+    operationId: 'Stats',
+    tag: 'Stats',
+    summary: 'Daily impressions, clicks and revenue of the bot',
+    idempotent: true,
+    response: ref('BotStats'),
+  },
+};
+
+const SCHEMAS = {
+  AdCreative: {
+    type: 'object',
+    description: 'Pass these fields to sendMessage / sendPhoto / sendVideo / sendPoll',
+    properties: {
+      text: { type: 'string' },
+      parseMode: { type: 'string', nullable: true },
+      media: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          type: { type: 'string', enum: ['photo', 'video'] },
+          url: { type: 'string', format: 'uri' },
+        },
+      },
+      poll: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          question: { type: 'string' },
+          options: { type: 'array', items: { type: 'string' } },
+        },
+      },
+      replyMarkup: { type: 'object', nullable: true, description: 'Telegram InlineKeyboardMarkup' },
+    },
+  },
+  BotStats: {
+    type: 'object',
+    properties: {
+      period: {
+        type: 'object',
+        properties: {
+          days: { type: 'integer' },
+          startDate: { type: 'string', format: 'date-time' },
+        },
+      },
+      daily: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', format: 'date' },
+            impressions: { type: 'integer' },
+            uniqueUsers: { type: 'integer' },
+            clicks: { type: 'integer' },
+            revenue: { type: 'string', description: 'USD, decimal string' },
+          },
+        },
+      },
+      totals: {
+        type: 'object',
+        properties: {
+          impressions: { type: 'integer' },
+          uniqueUsers: { type: 'integer' },
+          clicks: { type: 'integer' },
+          revenue: { type: 'number' },
+        },
+      },
+    },
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            message: { type: 'string' },
+            location: { type: 'string' },
+          },
+        },
+      },
+      timestamp: { type: 'string', format: 'date-time' },
+    },
+  },
+};
+
+const RATE_LIMIT_HEADERS = {
+  'RateLimit-Limit': { description: 'Requests (chats) allowed per window', schema: { type: 'integer' } },
+  'RateLimit-Remaining': { description: 'Left in the current window', schema: { type: 'integer' } },
+  'RateLimit-Reset': { description: 'Seconds until the window resets', schema: { type: 'integer' } },
+};
+
+const errorResponse = (description, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema: ref('Error') } },
+});
+
+const RESPONSES = {
+  Unauthorized: errorResponse('API key missing, invalid, expired or revoked. Do not retry with the same key.'),
+  Forbidden: errorResponse(
+    'Bot not active or paused, key without the required scope, or request from an IP outside the key allowlist. Do not retry.'
+  ),
+  ValidationFailed: errorResponse('Invalid request fields (see errors). Fix the request; do not retry as is.'),
+  RateLimited: errorResponse(
+    'Quota of the bot used up for this window. Nothing was sent; retry after RateLimit-Reset seconds.',
+    RATE_LIMIT_HEADERS
+  ),
+};
+
+/**
+ * Bot API OpenAPI Service
+ * The Bot API document is built from the public router: every route behind authenticateBotApiKey,
+ * its validators (request schema), scope checks and rate limiter. A Bot API route without an
+ * OPERATIONS entry — or an entry without a route — fails the build, so the document cannot drift.
+ */
+class BotApiSpecService {
+  constructor() {
+    this.cache = new WeakMap();
+  }
+
+  /**
+   * @param {import('express').Router} router - public routes (mounted at /api)
+   */
+  getSpec(router) {
+    if (!this.cache.has(router)) {
+      this.cache.set(router, this.build(router));
+    }
+    return this.cache.get(router);
+  }
+
+  getBaseUrl() {
+    return `${process.env.APP_URL || 'https://akhmads.net'}/api`;
+  }
+
+  build(router) {
+    const paths = {};
+    const documented = new Set();
+
+    for (const route of listRoutes(router)) {
+      if (!route.handlers.includes(authenticateBotApiKey)) continue;
+
+      const key = `${route.method} ${route.path}`;
+      const operation = OPERATIONS[key];
+      if (!operation) {
+        throw new Error(`Bot API route without an OpenAPI description: ${key.toUpperCase()}`);
+      }
+
+      if (getRouteSchemas(route).length === 0) {
+        throw new Error(`Bot API route without a validation schema: ${key.toUpperCase()}`);
+      }
+
+      documented.add(key);
+      const path = toOpenApiPath(route.path);
+      paths[path] = { ...paths[path], [route.method]: this.buildOperation(route, operation) };
+    }
+
+    const missing = Object.keys(OPERATIONS).filter((key) => !documented.has(key));
+    if (missing.length > 0) {
+      throw new Error(`Bot API operations without a route: ${missing.join(', ')}`);
+    }
+
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: 'AKHMADS.NET Bot API',
+        version: '1.0.0',
+        description: this.buildDescription(),
+      },
+      servers: [{ url: this.getBaseUrl() }],
+      security: [{ botApiKey: [] }],
+      tags: [
+        { name: 'SendPost', description: 'We send the ad with the bot token (SEND_POST delivery mode)' },
+        { name: 'Fetch', description: 'The bot sends the ad itself and confirms it (FETCH delivery mode)' },
+        { name: 'Stats', description: 'Bot statistics' },
+      ],
+      paths,
+      components: {
+        securitySchemes: {
+          botApiKey: {
+            type: 'http',
+            scheme: 'bearer',
+            description: 'Bot API key from the dashboard: Authorization: Bearer <key>',
+          },
+        },
+        schemas: { ...this.buildResultSchemas(), ...SCHEMAS },
+        responses: RESPONSES,
+      },
+    };
+  }
+
+  buildOperation(route, operation) {
+    const { body, parameters } = describeRequest(route.method, getRouteSchemas(route));
+    const scopes = route.handlers.filter((handler) => handler.scope).map((handler) => handler.scope);
+    const rateLimited = route.handlers.includes(botApiRateLimiter);
+
+    return {
+      operationId: operation.operationId,
+      tags: [operation.tag],
+      summary: operation.summary,
+      description: [
+        operation.description,
+        scopes.length > 0 && `Key scope: ${scopes.join(', ')}.`,
+        operation.idempotent
+          ? 'Safe to retry after a timeout or 5xx.'
+          : 'Do not retry after a timeout or 5xx: the ad may already have been sent.',
+      ].filter(Boolean).join(' '),
+      'x-scopes': scopes,
+      'x-idempotent': operation.idempotent,
+      ...(parameters.length > 0 && { parameters }),
+      ...(body && {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: body } },
+        },
+      }),
+      responses: {
+        200: {
+          description: 'Result',
+          ...(rateLimited && { headers: RATE_LIMIT_HEADERS }),
+          content: { 'application/json': { schema: operation.response } },
+        },
+        401: { $ref: '#/components/responses/Unauthorized' },
+        403: { $ref: '#/components/responses/Forbidden' },
+        ...((body || parameters.length > 0) && { 422: { $ref: '#/components/responses/ValidationFailed' } }),
+        ...(rateLimited && { 429: { $ref: '#/components/responses/RateLimited' } }),
+      },
+    };
+  }
+
+  /**
+   * Integer enums with names (x-enum-varnames), per-code guidance and the codes worth retrying
+   */
+  buildResultSchemas() {
+    return Object.fromEntries(Object.entries(RESULT_ENUMS).map(([name, { values, guidance }]) => {
+      const members = Object.entries(values);
+      return [name, {
+        type: 'integer',
+        enum: members.map(([, value]) => value),
+        description: members
+          .map(([member, value]) => `${value} = ${member}: ${guidance[member].description}`)
+          .join('\n'),
+        'x-enum-varnames': members.map(([member]) => member),
+        'x-enum-descriptions': members.map(([member]) => guidance[member].description),
+        'x-retryable': members.filter(([member]) => guidance[member].retry).map(([, value]) => value),
+      }];
+    }));
+  }
+
+  buildDescription() {
+    const tiers = BOT_API_QUOTAS.TIERS
+      .map((tier) => `${tier.max}/min from ${tier.minActiveMembers} active members`)
+      .join(', ');
+
+    return [
+      'Authenticate with the bot API key: `Authorization: Bearer <key>`.',
+      '',
+      `**Quota** — per bot, per ${BOT_API_QUOTAS.WINDOW_MS / 1000} s window, scaled by the bot audience (${tiers}).`,
+      'Every chat of SendPostBatch counts. Each response carries RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset.',
+      '',
+      '**Retries**',
+      '- 429: nothing was done; wait RateLimit-Reset seconds and send the same request again.',
+      '- 401, 403, 422: fix the key, bot or request; repeating it will not help.',
+      '- 5xx or timeout: retry with exponential backoff (1 s, 2 s, 4 s) only operations marked safe to retry',
+      '  (x-idempotent). SendPost / SendPostBatch may already have sent the ad.',
+      '- Result codes listed in x-retryable are temporary for that chat: try it again later, not in a loop.',
+    ].join('\n');
+  }
+}
+
+const botApiSpecService = new BotApiSpecService();
+export default botApiSpecService;
@@ -1,323 +1,662 @@
-import logger from '../../utils/logger.js';
+import publicRoutes from '../../routes/public.routes.js';
+import botApiSpecService from './botApiSpecService.js';
+
+const MAX_ATTEMPTS = 3;
+const TIMEOUT_SECONDS = 15;
+
+const camelCase = (name) => name.charAt(0).toLowerCase() + name.slice(1);
+const snakeCase = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+
+const fieldList = (fields) => fields
+  .map((field) => (field.required ? `${field.name} (required)` : field.name))
+  .join(', ');
 
 /**
  * Bot Integration Service
- * Generates integration code for different languages
+ * Client code for the Bot API in several languages, rendered from the OpenAPI document
+ * (botApiSpecService) — endpoints, fields, result codes and retry rules follow the routes.
  */
 class BotIntegrationService {
   /**
    * Get integration code
    */
   getIntegrationCode(apiKey, language = 'python') {
-    const codes = {
-      python: this.getPythonCode(apiKey),
-      javascript: this.getJavaScriptCode(apiKey),
-      typescript: this.getTypeScriptCode(apiKey),
-      php: this.getPhpCode(apiKey),
-      csharp: this.getCSharpCode(apiKey),
+    const model = this.getClientModel();
+    const renderers = {
+      python: () => this.getPythonCode(apiKey, model),
+      javascript: () => this.getJavaScriptCode(apiKey, model),
+      typescript: () => this.getTypeScriptCode(apiKey, model),
+      php: () => this.getPhpCode(apiKey, model),
+      csharp: () => this.getCSharpCode(apiKey, model),
+    };
+
+    return (renderers[language] || renderers.python)();
+  }
+
+  getSpec() {
+    return botApiSpecService.getSpec(publicRoutes);
+  }
+
+  /**
+   * Operations and result enums of the spec in the shape the templates need
+   */
+  getClientModel() {
+    const spec = this.getSpec();
+
+    const operations = Object.entries(spec.paths).flatMap(([path, methods]) =>
+      Object.entries(methods).map(([method, operation]) => {
+        const body = operation.requestBody?.content['application/json'].schema;
+        const fields = body
+          ? Object.entries(body.properties).map(([name, schema]) => ({
+            name,
+            schema,
+            required: Boolean(body.required?.includes(name)),
+          }))
+          : (operation.parameters || []).map((parameter) => ({
+            name: parameter.name,
+            schema: parameter.schema,
+            required: parameter.required,
+          }));
+
+        return {
+          name: operation.operationId,
+          method: method.toUpperCase(),
+          path,
+          summary: operation.summary,
+          inBody: Boolean(body),
+          fields,
+          idempotent: operation['x-idempotent'],
+        };
+      })
+    );
+
+    const enums = Object.entries(spec.components.schemas)
+      .filter(([, schema]) => schema['x-enum-varnames'])
+      .map(([name, schema]) => ({
+        name,
+        members: schema['x-enum-varnames'].map((member, i) => ({
+          name: member,
+          value: schema.enum[i],
+          description: schema['x-enum-descriptions'][i],
+        })),
+        retryable: schema['x-retryable'],
+      }));
+
+    return {
+      baseUrl: spec.servers[0].url,
+      specUrl: `${spec.servers[0].url}/openapi.json`,
+      operations,
+      enums,
     };
+  }
 
-    return codes[language] || codes.python;
+  /**
+   * First operation and its required fields, for the usage comment
+   */
+  getUsageExample(model) {
+    const operation = model.operations[0];
+    return {
+      operation,
+      fields: operation.fields.filter((field) => field.required).map((field) => field.name),
+    };
   }
 
   /**
    * Python integration code
    */
-  getPythonCode(apiKey) {
-    return `import aiohttp
+  getPythonCode(apiKey, model) {
+    const enums = model.enums.map((result) => [
+      `class ${result.name}:`,
+      ...result.members.map((member) => `    ${member.name} = ${member.value}  # ${member.description}`),
+      `    RETRYABLE = frozenset({${result.retryable.join(', ')}})  # temporary for this chat: try again later`,
+    ].join('\n')).join('\n\n\n');
+
+    const methods = model.operations.map((operation) => {
+      const required = operation.fields.some((field) => field.required);
+      return [
+        `    async def ${snakeCase(operation.name)}(self, payload: ${required ? 'dict' : 'Optional[dict] = None'}) -> dict:`,
+        `        """${operation.summary}`,
+        '',
+        `        Fields: ${fieldList(operation.fields)}`,
+        '        """',
+        `        return await self._request("${operation.method}", "${operation.path}", payload, ` +
+          `in_body=${operation.inBody ? 'True' : 'False'}, idempotent=${operation.idempotent ? 'True' : 'False'})`,
+      ].join('\n');
+    }).join('\n\n');
+
+    const usage = this.getUsageExample(model);
+
+    return `# AKHMADS.NET Bot API client — generated from ${model.specUrl}
+import asyncio
 import logging
+from typing import Optional
+
+import aiohttp
 
 logger = logging.getLogger(__name__)
 
+
+${enums}
+
+
+class AkhmadsApiError(Exception):
+    def __init__(self, status: int, message: str):
+        super().__init__(f"{status}: {message}")
+        self.status = status
+
+
 class AkhmadsAdClient:
+    BASE_URL = "${model.baseUrl}"
+    MAX_ATTEMPTS = ${MAX_ATTEMPTS}
+
     def __init__(self, api_key: str):
         self.api_key = api_key
-        self.base_url = "https://akhmads.net/api/v1"
-    
-    async def show_ad(self, chat_id: int) -> dict:
-        """
-        Show ad to user
-        
-        Returns:
-            dict with keys:
-                - SendPostResult: int (0-6)
-                - success: bool
-        """
-        async with aiohttp.ClientSession() as session:
+
+    async def _request(self, method: str, path: str, payload: Optional[dict], *, in_body: bool, idempotent: bool) -> dict:
+        for attempt in range(1, self.MAX_ATTEMPTS + 1):
+            last = attempt == self.MAX_ATTEMPTS
             try:
-                async with session.post(
-                    f"{self.base_url}/ad/SendPost",
-                    headers={
-                        "Authorization": f"Bearer ${apiKey}",
-                        "Content-Type": "application/json"
-                    },
-                    json={"SendToChatId": chat_id}
-                ) as response:
-                    if response.status == 200:
-                        data = await response.json()
-                        return {
-                            "SendPostResult": data.get("SendPostResult", 0),
-                            "success": data.get("SendPostResult") == 1
-                        }
-                    else:
-                        logger.error(f"Ad API error: {response.status}")
-                        return {"SendPostResult": 6, "success": False}
-            except Exception as e:
-                logger.error(f"Failed to show ad: {e}")
-                return {"SendPostResult": 6, "success": False}
-
-# Usage example:
-# ad_client = AkhmadsAdClient("${apiKey}")
-# result = await ad_client.show_ad(user_id)
-# if result["success"]:
-#     print("Ad shown successfully")`;
+                async with aiohttp.ClientSession(timeout=aiohttp.ClientTimeout(total=${TIMEOUT_SECONDS})) as session:
+                    async with session.request(
+                        method,
+                        self.BASE_URL + path,
+                        headers={"Authorization": f"Bearer {self.api_key}"},
+                        json=payload if in_body else None,
+                        params=None if in_body else payload,
+                    ) as response:
+                        if response.status == 429 and not last:
+                            # Quota window is full and nothing was sent: wait for the reset
+                            await asyncio.sleep(int(response.headers.get("RateLimit-Reset", "1")))
+                            continue
+                        if response.status >= 500 and idempotent and not last:
+                            await asyncio.sleep(2 ** (attempt - 1))
+                            continue
+                        data = await response.json(content_type=None)
+                        if response.status >= 400:
+                            message = data.get("message", "") if isinstance(data, dict) else ""
+                            raise AkhmadsApiError(response.status, message)
+                        return data
+            except (aiohttp.ClientError, asyncio.TimeoutError) as error:
+                # A send is not repeated after a timeout: the ad may already be delivered
+                if not idempotent or last:
+                    raise
+                logger.warning(f"Akhmads API request failed, retrying: {error}")
+                await asyncio.sleep(2 ** (attempt - 1))
+
+${methods}
+
+
+# Usage:
+# client = AkhmadsAdClient("${apiKey}")
+# result = await client.${snakeCase(usage.operation.name)}({${usage.fields.map((field) => `"${field}": ...`).join(', ')}})`;
   }
 
   /**
    * JavaScript integration code
    */
-  getJavaScriptCode(apiKey) {
-    return `const axios = require('axios');
+  getJavaScriptCode(apiKey, model) {
+    const methods = model.operations.map((operation) => [
+      '  /**',
+      `   * ${operation.summary}`,
+      `   * @param {Object} payload - ${fieldList(operation.fields)}`,
+      '   */',
+      `  ${camelCase(operation.name)}(payload) {`,
+      `    return this.request('${operation.method}', '${operation.path}', payload, ` +
+        `{ inBody: ${operation.inBody}, idempotent: ${operation.idempotent} });`,
+      '  }',
+    ].join('\n')).join('\n\n');
+
+    const usage = this.getUsageExample(model);
+
+    return `// AKHMADS.NET Bot API client — generated from ${model.specUrl}
+const axios = require('axios');
+
+${this.renderJsEnums(model)}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class AkhmadsApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
 
 class AkhmadsAdClient {
   constructor(apiKey) {
     this.apiKey = apiKey;
-    this.baseUrl = 'https://akhmads.net/api/v1';
+    this.baseUrl = '${model.baseUrl}';
+    this.maxAttempts = ${MAX_ATTEMPTS};
   }
 
-  async showAd(chatId) {
-    try {
-      const response = await axios.post(
-        \`\${this.baseUrl}/ad/SendPost\`,
-        { SendToChatId: chatId },
-        {
-          headers: {
-            'Authorization': \`Bearer ${apiKey}\`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      return {
-        SendPostResult: response.data.SendPostResult || 0,
-        success: response.data.SendPostResult === 1
-      };
-    } catch (error) {
-      console.error('Failed to show ad:', error.message);
-      return { SendPostResult: 6, success: false };
-    }
-  }
+${this.renderJsRequest(false)}
+
+${methods}
 }
 
 // Usage:
-// const adClient = new AkhmadsAdClient('${apiKey}');
-// const result = await adClient.showAd(userId);
-// if (result.success) {
-//   console.log('Ad shown successfully');
-// }
-
-module.exports = AkhmadsAdClient;`;
+// const client = new AkhmadsAdClient('${apiKey}');
+// const result = await client.${camelCase(usage.operation.name)}({ ${usage.fields.map((field) => `${field}: ...`).join(', ')} });
+
+module.exports = {
+  AkhmadsAdClient,
+  AkhmadsApiError,
+  ${model.enums.map((result) => result.name).join(',\n  ')},
+  RETRYABLE_RESULTS,
+};`;
   }
 
   /**
    * TypeScript integration code
    */
-  getTypeScriptCode(apiKey) {
-    return `import axios, { AxiosResponse } from 'axios';
+  getTypeScriptCode(apiKey, model) {
+    const tsType = (schema = {}) => {
+      if (schema.enum) return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+      if (schema.type === 'integer' || schema.type === 'number') return 'number';
+      if (schema.type === 'boolean') return 'boolean';
+      if (schema.type === 'array') return `Array<${tsType(schema.items)}>`;
+      if (schema.type === 'object' && schema.properties) {
+        const fields = Object.entries(schema.properties).map(([name, property]) =>
+          `${name}${schema.required?.includes(name) ? '' : '?'}: ${tsType(property)}`);
+        return `{ ${fields.join('; ')} }`;
+      }
+      if (schema.type === 'object') return 'Record<string, unknown>';
+      return 'string';
+    };
 
-interface AdResponse {
-  SendPostResult: number;
-  success: boolean;
-}
+    const interfaces = model.operations.map((operation) => [
+      `export interface ${operation.name}Request {`,
+      ...operation.fields.map((field) => `  ${field.name}${field.required ? '' : '?'}: ${tsType(field.schema)};`),
+      '}',
+    ].join('\n')).join('\n\n');
 
-class AkhmadsAdClient {
-  private apiKey: string;
-  private baseUrl: string = 'https://akhmads.net/api/v1';
+    const methods = model.operations.map((operation) => {
+      const required = operation.fields.some((field) => field.required);
+      return [
+        `  /** ${operation.summary} */`,
+        `  ${camelCase(operation.name)}(payload${required ? '' : '?'}: ${operation.name}Request): Promise<any> {`,
+        `    return this.request('${operation.method}', '${operation.path}', payload, ` +
+          `{ inBody: ${operation.inBody}, idempotent: ${operation.idempotent} });`,
+        '  }',
+      ].join('\n');
+    }).join('\n\n');
 
-  constructor(apiKey: string) {
-    this.apiKey = apiKey;
-  }
+    const usage = this.getUsageExample(model);
 
-  async showAd(chatId: number): Promise<AdResponse> {
-    try {
-      const response: AxiosResponse = await axios.post(
-        \`\${this.baseUrl}/ad/SendPost\`,
-        { SendToChatId: chatId },
-        {
-          headers: {
-            'Authorization': \`Bearer ${apiKey}\`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      return {
-        SendPostResult: response.data.SendPostResult || 0,
-        success: response.data.SendPostResult === 1
-      };
-    } catch (error) {
-      console.error('Failed to show ad:', error);
-      return { SendPostResult: 6, success: false };
-    }
+    return `// AKHMADS.NET Bot API client — generated from ${model.specUrl}
+import axios from 'axios';
+
+${this.renderJsEnums(model, 'export ')}
+
+${interfaces}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class AkhmadsApiError extends Error {
+  constructor(public status: number, message: string) {
+    super(message);
   }
 }
 
-export default AkhmadsAdClient;
+export default class AkhmadsAdClient {
+  private baseUrl = '${model.baseUrl}';
+  private maxAttempts = ${MAX_ATTEMPTS};
+
+  constructor(private apiKey: string) {}
+
+${this.renderJsRequest(true)}
+
+${methods}
+}
 
 // Usage:
-// const adClient = new AkhmadsAdClient('${apiKey}');
-// const result = await adClient.showAd(userId);`;
+// const client = new AkhmadsAdClient('${apiKey}');
+// const result = await client.${camelCase(usage.operation.name)}({ ${usage.fields.map((field) => `${field}: ...`).join(', ')} });`;
+  }
+
+  /**
+   * Result code constants for JavaScript / TypeScript
+   */
+  renderJsEnums(model, exportKeyword = '') {
+    const enums = model.enums.map((result) => [
+      `${exportKeyword}const ${result.name} = Object.freeze({`,
+      ...result.members.map((member) => `  ${member.name}: ${member.value}, // ${member.description}`),
+      '});',
+    ].join('\n')).join('\n\n');
+
+    const retryable = [
+      '// Result codes that are temporary for the chat: try again later, not in a loop',
+      `${exportKeyword}const RETRYABLE_RESULTS = Object.freeze({`,
+      ...model.enums.map((result) => `  ${result.name}: [${result.retryable.join(', ')}],`),
+      '});',
+    ].join('\n');
+
+    return `${enums}\n\n${retryable}`;
+  }
+
+  /**
+   * Shared request method with the retry rules of the spec (429 → wait for reset; 5xx / network → backoff if idempotent)
+   */
+  renderJsRequest(typed) {
+    const signature = typed
+      ? 'private async request(method: string, path: string, payload: object | undefined, ' +
+        '{ inBody, idempotent }: { inBody: boolean; idempotent: boolean }): Promise<any> {'
+      : 'async request(method, path, payload, { inBody, idempotent }) {';
+
+    return [
+      `  ${signature}`,
+      '    for (let attempt = 1; ; attempt++) {',
+      '      const last = attempt >= this.maxAttempts;',
+      `      let response${typed ? ': any' : ''};`,
+      '      try {',
+      '        response = await axios.request({',
+      '          method,',
+      '          url: this.baseUrl + path,',
+      "          headers: { Authorization: 'Bearer ' + this.apiKey },",
+      '          ...(inBody ? { data: payload } : { params: payload }),',
+      `          timeout: ${TIMEOUT_SECONDS * 1000},`,
+      '          validateStatus: () => true,',
+      '        });',
+      '      } catch (error) {',
+      '        // A send is not repeated after a timeout: the ad may already be delivered',
+      '        if (!idempotent || last) throw error;',
+      '        await sleep(2 ** (attempt - 1) * 1000);',
+      '        continue;',
+      '      }',
+      '',
+      '      if (response.status === 429 && !last) {',
+      '        // Quota window is full and nothing was sent: wait for the reset',
+      "        await sleep(Number(response.headers['ratelimit-reset'] || 1) * 1000);",
+      '        continue;',
+      '      }',
+      '      if (response.status >= 500 && idempotent && !last) {',
+      '        await sleep(2 ** (attempt - 1) * 1000);',
+      '        continue;',
+      '      }',
+      '      if (response.status >= 400) {',
+      "        throw new AkhmadsApiError(response.status, response.data?.message || 'HTTP ' + response.status);",
+      '      }',
+      '      return response.data;',
+      '    }',
+      '  }',
+    ].join('\n');
   }
 
   /**
    * PHP integration code
    */
-  getPhpCode(apiKey) {
+  getPhpCode(apiKey, model) {
+    const enums = model.enums.map((result) => [
+      `final class ${result.name}`,
+      '{',
+      ...result.members.map((member) => `    public const ${member.name} = ${member.value}; // ${member.description}`),
+      `    public const RETRYABLE = [${result.retryable.join(', ')}]; // temporary for this chat: try again later`,
+      '}',
+    ].join('\n')).join('\n\n');
+
+    const methods = model.operations.map((operation) => [
+      '    /**',
+      `     * ${operation.summary}`,
+      `     * Fields: ${fieldList(operation.fields)}`,
+      '     */',
+      `    public function ${camelCase(operation.name)}(array $payload${operation.fields.some((field) => field.required) ? '' : ' = []'}): array`,
+      '    {',
+      `        return $this->request('${operation.method}', '${operation.path}', $payload, ` +
+        `${operation.inBody}, ${operation.idempotent});`,
+      '    }',
+    ].join('\n')).join('\n\n');
+
+    const usage = this.getUsageExample(model);
+
     return `<?php
+// AKHMADS.NET Bot API client — generated from ${model.specUrl}
 
-class AkhmadsAdClient {
-    private $apiKey;
-    private $baseUrl = 'https://akhmads.net/api/v1';
+${enums}
+
+class AkhmadsApiException extends RuntimeException
+{
+}
+
+class AkhmadsAdClient
+{
+    private const BASE_URL = '${model.baseUrl}';
+    private const MAX_ATTEMPTS = ${MAX_ATTEMPTS};
+
+    private string $apiKey;
 
-    public function __construct($apiKey) {
+    public function __construct(string $apiKey)
+    {
         $this->apiKey = $apiKey;
     }
 
-    public function showAd($chatId) {
-        $ch = curl_init($this->baseUrl . '/ad/SendPost');
-        
-        curl_setopt($ch, CURLOPT_POST, 1);
-        curl_setopt($ch, CURLOPT_POSTFIELDS, json_encode([
-            'SendToChatId' => $chatId
-        ]));
-        curl_setopt($ch, CURLOPT_HTTPHEADER, [
-            'Content-Type: application/json',
-            'Authorization: Bearer ${apiKey}'
-        ]);
-        curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
-        
-        $response = curl_exec($ch);
-        $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
-        curl_close($ch);
-        
-        if ($httpCode === 200) {
-            $data = json_decode($response, true);
-            return [
-                'SendPostResult' => $data['SendPostResult'] ?? 0,
-                'success' => ($data['SendPostResult'] ?? 0) === 1
-            ];
+    private function request(string $method, string $path, array $payload, bool $inBody, bool $idempotent): array
+    {
+        for ($attempt = 1; ; $attempt++) {
+            $last = $attempt >= self::MAX_ATTEMPTS;
+            $url = self::BASE_URL . $path . ($inBody || !$payload ? '' : '?' . http_build_query($payload));
+            $headers = [];
+
+            $ch = curl_init($url);
+            curl_setopt_array($ch, [
+                CURLOPT_CUSTOMREQUEST => $method,
+                CURLOPT_RETURNTRANSFER => true,
+                CURLOPT_TIMEOUT => ${TIMEOUT_SECONDS},
+                CURLOPT_HTTPHEADER => ['Content-Type: application/json', 'Authorization: Bearer ' . $this->apiKey],
+                CURLOPT_HEADERFUNCTION => function ($ch, $line) use (&$headers) {
+                    $parts = explode(':', $line, 2);
+                    if (count($parts) === 2) {
+                        $headers[strtolower(trim($parts[0]))] = trim($parts[1]);
+                    }
+                    return strlen($line);
+                },
+            ]);
+            if ($inBody) {
+                curl_setopt($ch, CURLOPT_POSTFIELDS, json_encode($payload));
+            }
+
+            $body = curl_exec($ch);
+            $status = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+            $error = curl_error($ch);
+            curl_close($ch);
+
+            if ($body === false) {
+                // A send is not repeated after a timeout: the ad may already be delivered
+                if (!$idempotent || $last) {
+                    throw new AkhmadsApiException($error);
+                }
+                sleep(2 ** ($attempt - 1));
+                continue;
+            }
+            if ($status === 429 && !$last) {
+                // Quota window is full and nothing was sent: wait for the reset
+                sleep((int) ($headers['ratelimit-reset'] ?? 1));
+                continue;
+            }
+            if ($status >= 500 && $idempotent && !$last) {
+                sleep(2 ** ($attempt - 1));
+                continue;
+            }
+
+            $data = json_decode($body, true) ?? [];
+            if ($status >= 400) {
+                throw new AkhmadsApiException($data['message'] ?? 'HTTP ' . $status, $status);
+            }
+            return $data;
         }
-        
-        return ['SendPostResult' => 6, 'success' => false];
     }
+
+${methods}
 }
 
 // Usage:
-// $adClient = new AkhmadsAdClient('${apiKey}');
-// $result = $adClient->showAd($userId);
-// if ($result['success']) {
-//     echo "Ad shown successfully";
-// }
-
-?>`;
+// $client = new AkhmadsAdClient('${apiKey}');
+// $result = $client->${camelCase(usage.operation.name)}([${usage.fields.map((field) => `'${field}' => ...`).join(', ')}]);`;
   }
 
   /**
    * C# integration code
    */
-  getCSharpCode(apiKey) {
-    return `using System;
+  getCSharpCode(apiKey, model) {
+    const enums = model.enums.map((result) => [
+      `public static class ${result.name}`,
+      '{',
+      ...result.members.map((member) => `    public const int ${member.name} = ${member.value}; // ${member.description}`),
+      `    public static readonly int[] RETRYABLE = { ${result.retryable.join(', ')} }; // temporary for this chat: try again later`,
+      '}',
+    ].join('\n')).join('\n\n');
+
+    const methods = model.operations.map((operation) => {
+      const payloadType = operation.inBody ? 'object' : 'IDictionary<string, object>';
+      const optional = operation.fields.some((field) => field.required) ? '' : ' = null';
+      const httpMethod = operation.method.charAt(0) + operation.method.slice(1).toLowerCase();
+      return [
+        `    /// <summary>${operation.summary}</summary>`,
+        `    /// <param name="payload">${fieldList(operation.fields)}</param>`,
+        `    public Task<JsonElement> ${operation.name}Async(${payloadType} payload${optional}) =>`,
+        `        RequestAsync(HttpMethod.${httpMethod}, "${operation.path}", payload, ` +
+          `${operation.inBody}, ${operation.idempotent});`,
+      ].join('\n');
+    }).join('\n\n');
+
+    const usage = this.getUsageExample(model);
+
+    return `// AKHMADS.NET Bot API client — generated from ${model.specUrl}
+using System;
+using System.Collections.Generic;
+using System.Linq;
 using System.Net.Http;
 using System.Text;
 using System.Text.Json;
 using System.Threading.Tasks;
 
+${enums}
+
+public class AkhmadsApiException : Exception
+{
+    public int? Status { get; }
+
+    public AkhmadsApiException(string message, int? status = null) : base(message)
+    {
+        Status = status;
+    }
+}
+
 public class AkhmadsAdClient
 {
-    private readonly string _apiKey;
+    private const string BaseUrl = "${model.baseUrl}";
+    private const int MaxAttempts = ${MAX_ATTEMPTS};
     private readonly HttpClient _httpClient;
-    private const string BaseUrl = "https://akhmads.net/api/v1";
 
     public AkhmadsAdClient(string apiKey)
     {
-        _apiKey = apiKey;
-        _httpClient = new HttpClient();
-        _httpClient.DefaultRequestHeaders.Add("Authorization", $"Bearer ${apiKey}");
+        _httpClient = new HttpClient { Timeout = TimeSpan.FromSeconds(${TIMEOUT_SECONDS}) };
+        _httpClient.DefaultRequestHeaders.Add("Authorization", "Bearer " + apiKey);
     }
 
-    public async Task<AdResponse> ShowAdAsync(long chatId)
+    private async Task<JsonElement> RequestAsync(HttpMethod method, string path, object payload, bool inBody, bool idempotent)
     {
-        try
+        for (var attempt = 1; ; attempt++)
         {
-            var content = new StringContent(
-                JsonSerializer.Serialize(new { SendToChatId = chatId }),
-                Encoding.UTF8,
-                "application/json"
-            );
-
-            var response = await _httpClient.PostAsync($"{BaseUrl}/ad/SendPost", content);
-            
-            if (response.IsSuccessStatusCode)
+            var last = attempt >= MaxAttempts;
+            var url = BaseUrl + path;
+            if (!inBody && payload is IDictionary<string, object> query && query.Count > 0)
             {
-                var json = await response.Content.ReadAsStringAsync();
-                var data = JsonSerializer.Deserialize<JsonElement>(json);
-                var result = data.GetProperty("SendPostResult").GetInt32();
-                
-                return new AdResponse
-                {
-                    SendPostResult = result,
-                    Success = result == 1
-                };
+                url += "?" + string.Join("&", query.Select(p => p.Key + "=" + Uri.EscapeDataString(Convert.ToString(p.Value))));
             }
-        }
-        catch (Exception ex)
-        {
-            Console.WriteLine($"Failed to show ad: {ex.Message}");
-        }
 
-        return new AdResponse { SendPostResult = 6, Success = false };
-    }
+            var request = new HttpRequestMessage(method, url);
+            if (inBody)
+            {
+                request.Content = new StringContent(JsonSerializer.Serialize(payload), Encoding.UTF8, "application/json");
+            }
 
-    public class AdResponse
-    {
-        public int SendPostResult { get; set; }
-        public bool Success { get; set; }
+            HttpResponseMessage response;
+            try
+            {
+                response = await _httpClient.SendAsync(request);
+            }
+            catch (Exception ex) when (ex is HttpRequestException || ex is TaskCanceledException)
+            {
+                // A send is not repeated after a timeout: the ad may already be delivered
+                if (!idempotent || last) throw;
+                await Task.Delay(1000 * (1 << (attempt - 1)));
+                continue;
+            }
+
+            var status = (int)response.StatusCode;
+            if (status == 429 && !last)
+            {
+                // Quota window is full and nothing was sent: wait for the reset
+                var reset = response.Headers.TryGetValues("RateLimit-Reset", out var values) ? int.Parse(values.First()) : 1;
+                await Task.Delay(reset * 1000);
+                continue;
+            }
+            if (status >= 500 && idempotent && !last)
+            {
+                await Task.Delay(1000 * (1 << (attempt - 1)));
+                continue;
+            }
+
+            var data = JsonSerializer.Deserialize<JsonElement>(await response.Content.ReadAsStringAsync());
+            if (status >= 400)
+            {
+                var message = data.ValueKind == JsonValueKind.Object && data.TryGetProperty("message", out var m)
+                    ? m.GetString()
+                    : response.ReasonPhrase;
+                throw new AkhmadsApiException(message, status);
+            }
+            return data;
+        }
     }
+
+${methods}
 }
 
 // Usage:
-// var adClient = new AkhmadsAdClient("${apiKey}");
-// var result = await adClient.ShowAdAsync(userId);
-// if (result.Success) {
-//     Console.WriteLine("Ad shown successfully");
-// }`;
+// var client = new AkhmadsAdClient("${apiKey}");
+// var result = await client.${usage.operation.name}Async(new { ${usage.fields.map((field) => `${field} = ...`).join(', ')} });`;
   }
 
   /**
    * Get documentation
    */
   getDocumentation() {
+    const spec = this.getSpec();
+    const model = this.getClientModel();
+    const sendPost = model.operations.find((operation) => operation.name === 'SendPost');
+    const sendPostResult = model.enums.find((result) => result.name === 'SendPostResult');
+
     return {
-      endpoint: 'POST https://akhmads.net/api/v1/ad/SendPost',
+      openapi: model.specUrl,
+      baseUrl: model.baseUrl,
+      endpoint: `${sendPost.method} ${model.baseUrl}${sendPost.path}`,
       authentication: 'Bearer token in Authorization header',
-      requestBody: {
-        SendToChatId: 'number - Telegram chat ID',
-      },
+      requestBody: Object.fromEntries(sendPost.fields.map((field) => [
+        field.name,
+        `${field.schema.type}${field.required ? '' : ' (optional)'}`,
+      ])),
       response: {
-        SendPostResult: 'number - Result code (0-6)',
-        codes: {
-          0: 'No ads available',
-          1: 'Success',
-          2: 'Revoked token error',
-          3: 'User blocked bot',
-          4: 'Too many requests',
-          5: 'Bot API error',
-          6: 'Other error',
-        },
+        SendPostResult: `number - Result code (${sendPostResult.members.map((member) => member.value).join(', ')})`,
+        codes: Object.fromEntries(sendPostResult.members.map((member) => [member.value, member.description])),
       },
+      endpoints: model.operations.map((operation) => ({
+        operationId: operation.name,
+        endpoint: `${operation.method} ${model.baseUrl}${operation.path}`,
+        summary: operation.summary,
+        fields: fieldList(operation.fields),
+        safeToRetry: operation.idempotent,
+      })),
+      resultCodes: Object.fromEntries(model.enums.map((result) => [
+        result.name,
+        {
+          codes: Object.fromEntries(result.members.map((member) => [member.value, `${member.name}: ${member.description}`])),
+          retryable: result.retryable,
+        },
+      ])),
+      retryGuidance: spec.info.description,
     };
   }
 }
 
 const botIntegrationService = new BotIntegrationService();
-export default botIntegrationService;
\ No newline at end of file
+export default botIntegrationService;
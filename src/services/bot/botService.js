@@ -1,13 +1,15 @@
 import prisma from '../../config/database.js';
 import telegramAPI from '../../utils/telegram-api.js';
 import botStatsService from './botStatsService.js';
+import botApiKeyService from './botApiKeyService.js';
 import encryption from '../../utils/encryption.js';
-import jwtUtil from '../../utils/jwt.js';
 import logger from '../../utils/logger.js';
-import { NotFoundError, ConflictError, ExternalServiceError } from '../../utils/errors.js';
+import { NotFoundError, ConflictError, ExternalServiceError, ValidationError } from '../../utils/errors.js';
 import axios from 'axios';
 import storageService from '../storage/storageService.js';
+import adIndexService from '../distribution/adIndexService.js';
 import { nanoid } from 'nanoid';
+import { BOT_DELIVERY_MODES } from '../../config/constants.js';
 
 /**
  * Bot Service
@@ -54,14 +56,34 @@ class BotService {
     }
   }
 
+  /**
+   * Bot identity for a FETCH mode registration without a token
+   */
+  fetchModeBotInfo(data) {
+    if (!data.username || !data.telegramBotId) {
+      throw new ValidationError('username and telegramBotId are required without a bot token');
+    }
+
+    return {
+      telegramBotId: data.telegramBotId.toString(),
+      username: data.username.replace(/^@/, ''),
+      firstName: data.firstName || data.username.replace(/^@/, ''),
+    };
+  }
+
   /**
    * Register new bot
    * ✅ Returns bot + apiKey
+   * FETCH mode bots send ads themselves (Bot API v2), so their token is never stored
    */
   async registerBot(ownerId, data) {
     try {
+      const fetchMode = data.deliveryMode === BOT_DELIVERY_MODES.FETCH;
+
       // Verify token
-      const botInfo = await this.verifyBotToken(data.token);
+      const botInfo = data.token
+        ? await this.verifyBotToken(data.token)
+        : this.fetchModeBotInfo(data);
 
       // Check if bot already exists
       const existing = await prisma.bot.findUnique({
@@ -73,7 +95,7 @@ class BotService {
       }
 
       // Encrypt token
-      const tokenEncrypted = encryption.encrypt(data.token);
+      const tokenEncrypted = fetchMode ? null : encryption.encrypt(data.token);
 
       // --- Fetch Avatar and BotStat data ---
       let avatarUrl = null;
@@ -82,7 +104,7 @@ class BotService {
       let activeMembers = 0;
 
       try {
-        const photoUrl = await telegramAPI.getBotProfilePhotoUrl(data.token);
+        const photoUrl = data.token ? await telegramAPI.getBotProfilePhotoUrl(data.token) : null;
         if (photoUrl) {
           const response = await axios.get(photoUrl, { responseType: 'arraybuffer' });
           const buffer = Buffer.from(response.data, 'binary');
@@ -108,6 +130,7 @@ class BotService {
           username: botInfo.username,
           firstName: botInfo.firstName,
           tokenEncrypted,
+          deliveryMode: fetchMode ? BOT_DELIVERY_MODES.FETCH : BOT_DELIVERY_MODES.SEND_POST,
           apiKey: 'temp_' + nanoid(), // Placeholder
           apiKeyHash: 'temp_' + nanoid(), // Placeholder
           shortDescription: data.shortDescription || null,
@@ -122,22 +145,9 @@ class BotService {
         },
       });
 
-      // 2. Now generate the real API key using the actual bot.id
-      const apiKey = jwtUtil.generateBotApiKey({
-        id: bot.id,
-        ownerId,
-        telegramBotId: bot.telegramBotId,
-        username: bot.username,
-      });
-
-      // 3. Update the bot record with the real apiKey and its hash
-      const updatedBot = await prisma.bot.update({
-        where: { id: bot.id },
-        data: {
-          apiKey,
-          apiKeyHash: encryption.hash(apiKey),
-        },
-      });
+      // 2. Now issue the real (primary) API key using the actual bot.id
+      const { apiKey } = await botApiKeyService.issuePrimaryKey(bot);
+      const updatedBot = await prisma.bot.findUnique({ where: { id: bot.id } });
 
       logger.info(`Bot registered and token generated: ${bot.id}`);
 
@@ -174,7 +184,7 @@ class BotService {
 
           // Get clicks count
           const clicksCount = await prisma.clickEvent.count({
-            where: { botId: bot.id, clicked: true },
+            where: { botId: bot.id, clicked: true, isValid: true },
           });
 
           // Calculate CTR
@@ -226,7 +236,7 @@ class BotService {
 
       // Get clicks count
       const clicksCount = await prisma.clickEvent.count({
-        where: { botId: bot.id, clicked: true },
+        where: { botId: bot.id, clicked: true, isValid: true },
       });
 
       // Calculate CTR
@@ -283,6 +293,7 @@ class BotService {
       });
 
       logger.info(`Bot updated: ${botId}`);
+      await adIndexService.invalidateBot(botId);
       return updated;
     } catch (error) {
       logger.error('Update bot failed:', error);
@@ -301,6 +312,7 @@ class BotService {
       });
 
       logger.info(`Bot ${isPaused ? 'paused' : 'resumed'}: ${botId}`);
+      await adIndexService.invalidateBot(botId);
       return bot;
     } catch (error) {
       logger.error('Toggle bot pause failed:', error);
@@ -310,31 +322,12 @@ class BotService {
 
   /**
    * Regenerate API key
+   * The previous key keeps working for graceHours (see botApiKeyService)
    */
-  async regenerateApiKey(botId, ownerId) {
+  async regenerateApiKey(botId, ownerId, graceHours) {
     try {
-      const bot = await this.getBotById(botId);
-
-      if (bot.ownerId !== ownerId) {
-        throw new NotFoundError('Bot not found');
-      }
-
-      // Generate new API key
-      const newApiKey = jwtUtil.generateBotApiKey({
-        id: botId,
-        ownerId,
-        telegramBotId: bot.telegramBotId,
-        username: bot.username,
-      });
-
-      const updated = await prisma.bot.update({
-        where: { id: botId },
-        data: {
-          apiKey: newApiKey,
-          apiKeyHash: encryption.hash(newApiKey),
-          apiKeyRevoked: false,
-        },
-      });
+      const newApiKey = await botApiKeyService.regenerateApiKey(botId, ownerId, graceHours);
+      const updated = await prisma.bot.findUnique({ where: { id: botId } });
 
       logger.info(`API key regenerated: ${botId}`);
       return { bot: updated, newApiKey };
@@ -371,6 +364,7 @@ class BotService {
       });
 
       logger.info(`Bot token updated: ${botId}`);
+      await adIndexService.invalidateBot(botId);
       return updated;
     } catch (error) {
       logger.error('Update bot token failed:', error);
@@ -383,11 +377,27 @@ class BotService {
    */
   async deleteBot(botId, ownerId) {
     try {
+      const bot = await prisma.bot.findFirst({
+        where: { id: botId, ownerId },
+        select: { status: true },
+      });
+
+      // Held earnings of a deleted bot keep maturing, so a bot under review cannot escape it
+      if (bot?.status === 'QUARANTINED') {
+        throw new ValidationError('Bot is under review and cannot be deleted');
+      }
+
+      // Impressions cascade on delete, and the owner's earnings are reconciled against them
+      if (bot && await prisma.impression.count({ where: { botId } }) > 0) {
+        throw new ValidationError('Bot has delivered ads and cannot be deleted; pause it instead');
+      }
+
       await prisma.bot.delete({
         where: { id: botId, ownerId },
       });
 
       logger.info(`Bot deleted: ${botId}`);
+      await adIndexService.invalidateBot(botId);
       return true;
     } catch (error) {
       logger.error('Delete bot failed:', error);
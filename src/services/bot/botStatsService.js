@@ -40,6 +40,7 @@ class BotStatsService {
         where: {
           botId,
           clicked: true,
+          isValid: true,
           clickedAt: {
             gte: startDate,
             lte: endDate,
@@ -0,0 +1,200 @@
+// src/services/distribution/adFetchService.js
+import prisma from '../../config/database.js';
+import { redisClient } from '../../config/redis.js';
+import jwtUtil from '../../utils/jwt.js';
+import logger from '../../utils/logger.js';
+import distributionService from './distributionService.js';
+import adIndexService from './adIndexService.js';
+import frequencyCapService from './frequencyCapService.js';
+import adVariantService from '../ad/adVariantService.js';
+import { AD_FETCH, BOT_CONFIRM_RESULTS, BOT_FETCH_RESULTS } from '../../config/constants.js';
+import { parseJson } from '../../utils/json.js';
+
+/**
+ * Ad Fetch Service (Bot API v2)
+ * The bot renders and sends the ad itself, so we never need its token:
+ *
+ *   Fetch   — auction as in SendPost, returns the creative and a signed impression id
+ *   Confirm — the bot sent it: caps are checked again, then frequency counters, pacing and
+ *             the impression are recorded
+ *
+ * A creative that is fetched but never confirmed costs the advertiser nothing.
+ * Each impression id is confirmed at most once (Impression.fetchId).
+ */
+class AdFetchService {
+  /**
+   * @returns {Promise<{code: number, impressionId?: string, expiresAt?: Date, ad?: Object}>}
+   */
+  async fetchAd(botId, { chatId, telegramUserId, languageCode = null, userInfo = {} }) {
+    const auction = await distributionService.selectAdForUser(botId, telegramUserId, languageCode);
+
+    if (!auction) {
+      return { code: BOT_FETCH_RESULTS.NO_AD };
+    }
+
+    const { ad } = auction;
+    const variant = adVariantService.pickVariant(ad);
+    const creative = adVariantService.getCreative(ad, variant);
+    const message = await distributionService.prepareAdMessage(creative, botId, telegramUserId, variant?.id);
+
+    const impressionId = jwtUtil.generateImpressionToken(
+      {
+        adId: ad.id,
+        botId,
+        telegramUserId,
+        chatId,
+        variantId: variant?.id ?? null,
+        languageCode,
+        userInfo,
+        bidCpm: auction.bidCpm,
+        clearingCpm: auction.clearingCpm,
+      },
+      AD_FETCH.IMPRESSION_TTL_SECONDS
+    );
+
+    return {
+      code: BOT_FETCH_RESULTS.SUCCESS,
+      impressionId,
+      expiresAt: new Date(Date.now() + AD_FETCH.IMPRESSION_TTL_SECONDS * 1000),
+      ad: this.formatCreative(creative, message),
+    };
+  }
+
+  /**
+   * The bot has sent the fetched creative
+   * @returns {Promise<{code: number}>}
+   */
+  async confirm(botId, impressionId, messageId) {
+    let payload;
+    try {
+      payload = jwtUtil.verifyImpressionToken(impressionId);
+    } catch (error) {
+      return {
+        code: error.message === 'Impression expired'
+          ? BOT_CONFIRM_RESULTS.EXPIRED
+          : BOT_CONFIRM_RESULTS.INVALID_IMPRESSION,
+      };
+    }
+
+    if (payload.botId !== botId) {
+      return { code: BOT_CONFIRM_RESULTS.INVALID_IMPRESSION };
+    }
+
+    if (!(await this.claim(payload))) {
+      return { code: BOT_CONFIRM_RESULTS.ALREADY_CONFIRMED };
+    }
+
+    const [bot, ad] = await Promise.all([
+      adIndexService.getBot(botId),
+      prisma.ad.findUnique({
+        where: { id: payload.adId },
+        select: { id: true, status: true, targeting: true },
+      }),
+    ]);
+    const parsedAd = ad && { ...ad, targeting: parseJson(ad.targeting, {}) };
+
+    if (!(await this.isDeliverable(bot, parsedAd, payload.telegramUserId))) {
+      logger.warn(`Fetched ad refused at confirm: ad=${payload.adId}, bot=${botId}, user=${payload.telegramUserId}`);
+      return { code: BOT_CONFIRM_RESULTS.REFUSED };
+    }
+
+    adIndexService.recordDelivery(ad.id, payload.clearingCpm / 1000, payload.variantId);
+    await frequencyCapService.recordImpression(parsedAd, payload.telegramUserId);
+    await frequencyCapService.recordBotDelivery(bot, payload.telegramUserId);
+
+    await distributionService.queueImpression({
+      adId: payload.adId,
+      botId,
+      telegramUserId: payload.telegramUserId,
+      chatId: payload.chatId,
+      messageId,
+      userInfo: payload.userInfo || {},
+      languageCode: payload.languageCode,
+      auction: { bidCpm: payload.bidCpm, clearingCpm: payload.clearingCpm },
+      variantId: payload.variantId,
+      fetchId: payload.jti,
+    });
+
+    logger.info(`Fetched ad confirmed: ad=${payload.adId}, bot=${botId}, message=${messageId}`);
+    return { code: BOT_CONFIRM_RESULTS.SUCCESS };
+  }
+
+  /**
+   * Fetch checked the same, but several impression ids can be fetched for one user before any
+   * is confirmed, and the ad can stop in between. The per-user gap is reserved last and atomically,
+   * so only one of them is charged.
+   */
+  async isDeliverable(bot, ad, telegramUserId) {
+    if (!bot || bot.status !== 'ACTIVE' || bot.isPaused) return false;
+    if (!ad || ad.status !== 'RUNNING') return false;
+
+    if (await frequencyCapService.isBotHourlyCapReached(bot.id)) return false;
+
+    const capped = await frequencyCapService.getCappedAdIds([ad], telegramUserId);
+    if (capped.has(ad.id)) return false;
+
+    return frequencyCapService.reserveUserGap(bot, telegramUserId);
+  }
+
+  /**
+   * First confirmation of the impression id wins. Redis answers repeated confirms right away;
+   * when Redis is down the claim is a row with the impression id as its key, so concurrent
+   * confirms cannot both count caps. The unique Impression.fetchId is the final guarantee.
+   */
+  async claim(payload) {
+    let claimed = false;
+
+    if (redisClient.isOpen) {
+      try {
+        const ttl = Math.max(payload.exp - Math.floor(Date.now() / 1000), 1);
+        if (await redisClient.set(`adfetch:${payload.jti}`, '1', { NX: true, EX: ttl }) === null) return false;
+        claimed = true;
+      } catch (error) {
+        logger.error('Ad fetch claim failed:', error);
+      }
+    }
+
+    if (!claimed) {
+      try {
+        await prisma.adFetchClaim.create({
+          data: { fetchId: payload.jti, expiresAt: new Date(payload.exp * 1000) },
+        });
+      } catch (error) {
+        if (error.code === 'P2002') return false;
+        throw error;
+      }
+    }
+
+    const existing = await prisma.impression.findUnique({
+      where: { fetchId: payload.jti },
+      select: { id: true },
+    });
+    return !existing;
+  }
+
+  /**
+   * Creative in Bot API terms — the bot passes these fields to sendMessage / sendPhoto / sendVideo / sendPoll
+   */
+  formatCreative(creative, message) {
+    let media = null;
+    if (creative.contentType === 'MEDIA' && creative.mediaUrl) {
+      if (creative.mediaType?.startsWith('image')) media = { type: 'photo', url: creative.mediaUrl };
+      else if (creative.mediaType?.startsWith('video')) media = { type: 'video', url: creative.mediaUrl };
+    }
+
+    const poll = creative.contentType === 'POLL' && creative.poll
+      ? parseJson(creative.poll, null)
+      : null;
+
+    return {
+      text: message.text,
+      parseMode: message.parseMode,
+      media,
+      poll: poll && { question: poll.question, options: poll.options },
+      replyMarkup: message.replyMarkup,
+    };
+  }
+}
+
+const adFetchService = new AdFetchService();
+export default adFetchService;
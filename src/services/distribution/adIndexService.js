@@ -0,0 +1,261 @@
+import prisma from '../../config/database.js';
+import { redisClient } from '../../config/redis.js';
+import logger from '../../utils/logger.js';
+import { AD_INDEX } from '../../config/constants.js';
+import { parseJson } from '../../utils/json.js';
+
+const ADS_VERSION_KEY = 'adindex:ads:version';
+const BOTS_VERSION_KEY = 'adindex:bots:version';
+
+const toArray = (value) => (Array.isArray(value) ? value : []);
+
+const addTo = (map, key, id) => {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(id);
+};
+
+/**
+ * Ad Index Service
+ * In-process index of RUNNING ads keyed by specific bot, language and category, plus a bot
+ * settings cache, so SendPost selects candidates without database queries.
+ *
+ * Every process keeps its own copy. Writers call invalidateAds() / invalidateBot(), which bump a
+ * version in Redis; readers poll the versions (at most once per VERSION_CHECK_MS) and rebuild.
+ * The index is also rebuilt every TTL_MS to pick up delivery progress recorded by the workers.
+ */
+class AdIndexService {
+  constructor() {
+    this.index = null;
+    this.building = null;
+    this.generation = 0;
+    this.bots = new Map();
+    this.versions = { ads: null, bots: null };
+    this.versionsCheckedAt = 0;
+  }
+
+  /**
+   * Drop local caches when another process bumped a version
+   */
+  async syncVersions() {
+    if (Date.now() - this.versionsCheckedAt < AD_INDEX.VERSION_CHECK_MS) return;
+    this.versionsCheckedAt = Date.now();
+
+    if (!redisClient.isOpen) return;
+
+    try {
+      const [ads, bots] = await redisClient.mGet([ADS_VERSION_KEY, BOTS_VERSION_KEY]);
+
+      if (ads !== this.versions.ads) {
+        this.versions.ads = ads;
+        this.dropIndex();
+      }
+      if (bots !== this.versions.bots) {
+        this.versions.bots = bots;
+        this.bots.clear();
+      }
+    } catch (error) {
+      logger.error('Ad index version check failed:', error);
+    }
+  }
+
+  dropIndex() {
+    this.index = null;
+    this.generation++;
+  }
+
+  /**
+   * Current index, rebuilt when stale (concurrent callers share one rebuild)
+   */
+  async getIndex() {
+    await this.syncVersions();
+
+    if (this.index && Date.now() - this.index.builtAt < AD_INDEX.TTL_MS) {
+      return this.index;
+    }
+
+    if (!this.building) {
+      const generation = this.generation;
+      this.building = this.build()
+        .then((index) => {
+          // Invalidated while loading — serve it once, but do not keep it
+          if (generation === this.generation) this.index = index;
+          return index;
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+
+    return this.building;
+  }
+
+  /**
+   * Load RUNNING ads and build the lookup maps
+   */
+  async build() {
+    const ads = await prisma.ad.findMany({
+      where: {
+        status: 'RUNNING',
+        remainingBudget: { gt: 0 },
+      },
+      include: {
+        variants: {
+          where: { isActive: true },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const index = {
+      builtAt: Date.now(),
+      ads: new Map(),
+      position: new Map(),
+      anyBot: new Set(),
+      byBot: new Map(),
+      anyLanguage: new Set(),
+      byLanguage: new Map(),
+      byCategory: new Map(),
+    };
+
+    ads.forEach((row, position) => {
+      if (row.deliveredImpressions >= row.targetImpressions) return;
+
+      const ad = {
+        ...row,
+        targeting: parseJson(row.targeting, {}) || {},
+        excludedUserIds: toArray(parseJson(row.excludedUserIds, [])),
+        specificBotIds: toArray(parseJson(row.specificBotIds, [])),
+        excludedBotIds: toArray(parseJson(row.excludedBotIds, [])),
+        scheduleActiveDays: parseJson(row.scheduleActiveDays, null),
+        scheduleActiveHours: parseJson(row.scheduleActiveHours, null),
+      };
+      const { targeting, specificBotIds } = ad;
+      const languages = toArray(targeting.languages);
+
+      index.ads.set(ad.id, ad);
+      index.position.set(ad.id, position);
+
+      if (specificBotIds.length > 0) {
+        specificBotIds.forEach((botId) => addTo(index.byBot, botId, ad.id));
+      } else {
+        index.anyBot.add(ad.id);
+      }
+
+      if (languages.length > 0) {
+        languages.forEach((language) => addTo(index.byLanguage, language, ad.id));
+      } else {
+        index.anyLanguage.add(ad.id);
+      }
+
+      toArray(targeting.categories).forEach((category) => addTo(index.byCategory, category, ad.id));
+    });
+
+    logger.debug(`Ad index built: ${index.ads.size} ads`);
+    return index;
+  }
+
+  /**
+   * Ads eligible for this bot and language, in creation order, with Json columns parsed
+   * (per-user checks — excluded users, pacing, frequency caps — stay with the caller)
+   */
+  async getCandidates(bot, languageCode = null) {
+    const index = await this.getIndex();
+
+    const allowedCategories = toArray(parseJson(bot.allowedCategories, []));
+    const blockedCategories = toArray(parseJson(bot.blockedCategories, []));
+    const blockedAdIds = new Set(toArray(parseJson(bot.blockedAdIds, [])));
+
+    const ids = [...index.anyBot, ...(index.byBot.get(bot.id) || [])];
+    const candidates = [];
+
+    for (const id of ids) {
+      if (blockedAdIds.has(id)) continue;
+
+      // LanguageCode yuborilmagan bo'lsa (eski botlar) — til filtri o'tkazib yuboriladi
+      if (languageCode && !index.anyLanguage.has(id) && !index.byLanguage.get(languageCode)?.has(id)) {
+        continue;
+      }
+
+      if (allowedCategories.length > 0 &&
+        !allowedCategories.some((category) => index.byCategory.get(category)?.has(id))) {
+        continue;
+      }
+
+      if (blockedCategories.some((category) => index.byCategory.get(category)?.has(id))) {
+        continue;
+      }
+
+      const ad = index.ads.get(id);
+      if (ad.deliveredImpressions >= ad.targetImpressions || parseFloat(ad.remainingBudget) <= 0) {
+        continue;
+      }
+      if (ad.excludedBotIds.includes(bot.id)) continue;
+
+      candidates.push(ad);
+    }
+
+    return candidates.sort((a, b) => index.position.get(a.id) - index.position.get(b.id));
+  }
+
+  /**
+   * Bot row from cache
+   */
+  async getBot(botId) {
+    await this.syncVersions();
+
+    const cached = this.bots.get(botId);
+    if (cached && Date.now() - cached.cachedAt < AD_INDEX.BOT_TTL_MS) {
+      return cached.bot;
+    }
+
+    const bot = await prisma.bot.findUnique({ where: { id: botId } });
+    this.bots.set(botId, { bot, cachedAt: Date.now() });
+    return bot;
+  }
+
+  /**
+   * Reflect a delivery in the local copy until the next rebuild, so pacing and
+   * targetImpressions checks do not lag behind this process's own sends
+   */
+  recordDelivery(adId, cost = 0, variantId = null) {
+    const ad = this.index?.ads.get(adId);
+    if (!ad) return;
+
+    ad.deliveredImpressions += 1;
+    ad.remainingBudget = Math.max(0, parseFloat(ad.remainingBudget) - cost);
+
+    const variant = variantId && ad.variants.find((v) => v.id === variantId);
+    if (variant) variant.impressions += 1;
+  }
+
+  /**
+   * An ad entered or left RUNNING, or its targeting changed
+   */
+  async invalidateAds() {
+    this.dropIndex();
+    this.versions.ads = await this.bumpVersion(ADS_VERSION_KEY, this.versions.ads);
+  }
+
+  /**
+   * Bot settings or status changed
+   */
+  async invalidateBot(botId) {
+    this.bots.delete(botId);
+    this.versions.bots = await this.bumpVersion(BOTS_VERSION_KEY, this.versions.bots);
+  }
+
+  async bumpVersion(key, current) {
+    if (!redisClient.isOpen) return current;
+
+    try {
+      return String(await redisClient.incr(key));
+    } catch (error) {
+      logger.error('Ad index invalidation failed:', error);
+      return current;
+    }
+  }
+}
+
+const adIndexService = new AdIndexService();
+export default adIndexService;
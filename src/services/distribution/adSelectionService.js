@@ -1,5 +1,7 @@
 import prisma from '../../config/database.js';
 import logger from '../../utils/logger.js';
+import frequencyCapService from './frequencyCapService.js';
+import adIndexService from './adIndexService.js';
 
 /**
  * Ad Selection Service
@@ -11,104 +13,34 @@ class AdSelectionService {
    */
   async selectBestAd(botId, telegramUserId) {
     try {
-      const bot = await prisma.bot.findUnique({
-        where: { id: botId },
-      });
+      const bot = await adIndexService.getBot(botId);
 
       if (!bot || bot.status !== 'ACTIVE' || bot.isPaused) {
         return null;
       }
 
-      // Parse bot settings
-      const allowedCategories = JSON.parse(bot.allowedCategories || '[]');
-      const blockedCategories = JSON.parse(bot.blockedCategories || '[]');
-      const blockedAdIds = JSON.parse(bot.blockedAdIds || '[]');
-
-      // Build query
-      const where = {
-        status: 'RUNNING',
-        remainingBudget: { gt: 0 },
-        deliveredImpressions: {
-          lt: prisma.raw('target_impressions'),
-        },
-      };
-
-      // Apply bot's post filter
-      if (bot.postFilter === 'not_mine') {
-        where.advertiserId = { not: bot.ownerId };
-      } else if (bot.postFilter === 'only_mine') {
-        where.advertiserId = bot.ownerId;
-      }
-
-      // Get eligible ads
-      const ads = await prisma.ad.findMany({
-        where,
-        orderBy: [
-          { cpmBid: 'desc' },
-          { createdAt: 'asc' },
-        ],
-        take: 20,
-      });
+      // Eligible ads from the index (specific bots, excluded bots, blocked ads and categories applied)
+      const ads = (await adIndexService.getCandidates(bot))
+        .sort((a, b) => parseFloat(b.cpmBid) - parseFloat(a.cpmBid));
 
-      // Filter ads
       for (const ad of ads) {
-        // 1. Check if Bot Owner blocked this specific ad
-        if (blockedAdIds.includes(ad.id)) {
-          continue;
-        }
-
-        // 2. Check Excluded users
-        const excludedUsers = JSON.parse(ad.excludedUserIds || '[]');
-        if (excludedUsers.includes(telegramUserId)) {
-          continue;
-        }
+        // Apply bot's post filter
+        if (bot.postFilter === 'not_mine' && ad.advertiserId === bot.ownerId) continue;
+        if (bot.postFilter === 'only_mine' && ad.advertiserId !== bot.ownerId) continue;
 
-        // 3. Check specific bot targeting (Advertiser requested ONLY these bots)
-        const specificBotIds = JSON.parse(ad.specificBotIds || '[]');
-        if (specificBotIds.length > 0 && !specificBotIds.includes(botId)) {
+        // Check Excluded users
+        if (ad.excludedUserIds.includes(telegramUserId)) {
           continue;
         }
 
-        // 4. Check excluded bots (Advertiser blocked this bot)
-        const excludedBotIds = JSON.parse(ad.excludedBotIds || '[]');
-        if (excludedBotIds.length > 0 && excludedBotIds.includes(botId)) {
-          continue;
-        }
-
-        // Check category filters
-        const targeting = JSON.parse(ad.targeting || '{}');
-        const adCategories = targeting.categories || [];
-
-        if (allowedCategories.length > 0) {
-          const hasAllowedCategory = adCategories.some(cat =>
-            allowedCategories.includes(cat)
-          );
-          if (!hasAllowedCategory) continue;
-        }
-
-        if (blockedCategories.length > 0) {
-          const hasBlockedCategory = adCategories.some(cat =>
-            blockedCategories.includes(cat)
-          );
-          if (hasBlockedCategory) continue;
-        }
-
         // Check frequency cap
         if (await this.checkFrequencyCap(ad.id, botId, telegramUserId, bot.frequencyMinutes)) {
           continue;
         }
 
-        // Check unique frequency
-        if (targeting.frequency === 'unique') {
-          const alreadyShown = await prisma.impression.findFirst({
-            where: {
-              adId: ad.id,
-              telegramUserId,
-            },
-          });
-
-          if (alreadyShown) continue;
-        }
+        // Check per-user frequency cap (unique / daily / weekly / monthly)
+        const cappedAdIds = await frequencyCapService.getCappedAdIds([ad], telegramUserId);
+        if (cappedAdIds.has(ad.id)) continue;
 
         return ad;
       }
@@ -153,13 +85,11 @@ class AdSelectionService {
    */
   async getRunningAds() {
     try {
-      return await prisma.ad.findMany({
+      // Prisma cannot compare two columns, so deliveredImpressions < targetImpressions is checked here
+      const ads = await prisma.ad.findMany({
         where: {
           status: 'RUNNING',
           remainingBudget: { gt: 0 },
-          deliveredImpressions: {
-            lt: prisma.raw('target_impressions'),
-          },
         },
         include: {
           advertiser: {
@@ -167,6 +97,8 @@ class AdSelectionService {
           },
         },
       });
+
+      return ads.filter((ad) => ad.deliveredImpressions < ad.targetImpressions);
     } catch (error) {
       logger.error('Get running ads failed:', error);
       return [];
@@ -4,9 +4,27 @@ import encryption from '../../utils/encryption.js';
 import telegramAPI from '../../utils/telegram-api.js';
 import tracking from '../../utils/tracking.js';
 import logger from '../../utils/logger.js';
-import walletService from '../wallet/walletService.js';
+import earningsHoldService from '../wallet/earningsHoldService.js';
 import redis from '../../config/redis.js';
-import { MINIMUM_FREQUENCY_MINUTES, MAX_IMPRESSIONS_PER_BOT_HOUR } from '../../config/constants.js';
+import adAuction from '../../utils/auction.js';
+import pacingService from './pacingService.js';
+import frequencyCapService from './frequencyCapService.js';
+import adIndexService from './adIndexService.js';
+import geoTargetingService from './geoTargetingService.js';
+import adSchedulingService from '../ad/adSchedulingService.js';
+import revenueShareService from './revenueShareService.js';
+import adCloseoutService from '../ad/adCloseoutService.js';
+import adVariantService from '../ad/adVariantService.js';
+import botFraudService from '../fraud/botFraudService.js';
+import { enqueueTrackImpression } from '../../jobs/queues/analyticsQueue.js';
+import webhookService from '../webhook/webhookService.js';
+import {
+  AB_TEST,
+  BOT_API_BATCH,
+  BOT_SEND_POST_RESULTS,
+  CLOSEOUT_REASONS,
+  WEBHOOKS,
+} from '../../config/constants.js';
 
 /**
  * Distribution Service
@@ -15,133 +33,71 @@ import { MINIMUM_FREQUENCY_MINUTES, MAX_IMPRESSIONS_PER_BOT_HOUR } from '../../c
 class DistributionService {
   /**
    * Select best ad for bot/user combination
+   * Runs a second-price auction over every eligible RUNNING ad
+   * @returns {object|null} - Auction result ({ ad, bidCpm, clearingCpm, ... }) or null
    */
   async selectAdForUser(botId, telegramUserId, userLanguageCode = null) {
     try {
-      const bot = await prisma.bot.findUnique({
-        where: { id: botId },
-      });
+      const bot = await adIndexService.getBot(botId);
 
       if (!bot || bot.status !== 'ACTIVE' || bot.isPaused) {
         return null;
       }
 
-      // Bot sozlamalari (Json? fieldlar Prisma tomonidan avtomatik parse qilinadi)
-      const allowedCategories = bot.allowedCategories || [];
-      const blockedCategories = bot.blockedCategories || [];
-
-      // Frequency cap: bu bot orqali bu userga oxirgi reklama qachon ko'rsatilgan
-      const lastImpression = await prisma.impression.findFirst({
-        where: { botId, telegramUserId },
-        orderBy: { createdAt: 'desc' },
-      });
-
-      if (lastImpression) {
-        const timeSince = Date.now() - lastImpression.createdAt.getTime();
-        // Enforce absolute minimum gap regardless of bot's frequencyMinutes setting
-        const effectiveMinutes = Math.max(bot.frequencyMinutes, MINIMUM_FREQUENCY_MINUTES);
-        const minInterval = effectiveMinutes * 60 * 1000;
-        if (timeSince < minInterval) {
-          return null; // Hali erta
-        }
+      // Frequency cap: bu bot orqali bu userga oxirgi reklamadan beri minimal vaqt o'tdimi
+      if (await frequencyCapService.isUserThrottled(bot, telegramUserId)) {
+        return null; // Hali erta
       }
 
       // Per-bot hourly impression cap (anti-abuse)
-      const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
-      const hourlyCount = await prisma.impression.count({
-        where: { botId, createdAt: { gte: hourAgo } },
-      });
-      if (hourlyCount >= MAX_IMPRESSIONS_PER_BOT_HOUR) {
+      if (await frequencyCapService.isBotHourlyCapReached(botId)) {
         return null;
       }
 
-      // Asosiy query — deliveredImpressions < targetImpressions ni Prisma field
-      // comparison qilib bo'lmaydi, shuning uchun loop ichida tekshiramiz
-      const where = {
-        status: 'RUNNING',
-        remainingBudget: { gt: 0 },
-      };
-
-      // postFilter sozlamasi
-      if (bot.postFilter === 'not_mine') {
-        where.advertiserId = { not: bot.ownerId };
-      } else if (bot.postFilter === 'only_mine') {
-        where.advertiserId = bot.ownerId;
-      }
+      // Indeksdan nomzodlar: bot, til va kategoriya filtrlari allaqachon qo'llangan
+      const ads = await adIndexService.getCandidates(bot, userLanguageCode);
 
-      // Reklamalarni olish:
-      // - finalCpm bo'yicha (cpmBid emas, chunki default 0 bo'lishi mumkin)
-      // - Teng CPM'larda deliveredImpressions ASC: kamroq ko'rsatilgan reklama avval chiqadi (fair rotation)
-      const ads = await prisma.ad.findMany({
-        where,
-        orderBy: [
-          { finalCpm: 'desc' },
-          { deliveredImpressions: 'asc' },
-          { createdAt: 'asc' },
-        ],
-        take: 50,
-      });
+      const candidates = [];
+      const now = new Date();
+      let location = null;
 
       for (const ad of ads) {
-        // deliveredImpressions < targetImpressions tekshiruvi
-        if (ad.deliveredImpressions >= ad.targetImpressions) {
-          continue;
-        }
+        // postFilter sozlamasi
+        if (bot.postFilter === 'not_mine' && ad.advertiserId === bot.ownerId) continue;
+        if (bot.postFilter === 'only_mine' && ad.advertiserId !== bot.ownerId) continue;
 
-        // Excluded userlar
-        const excludedUsers = ad.excludedUserIds || [];
-        if (excludedUsers.includes(telegramUserId)) {
+        // Dayparting: reklama o'z timezone'ida faol kun/soatlardan tashqarida bo'lsa
+        if (!adSchedulingService.isAdActive(ad, now)) {
           continue;
         }
 
-        // Kategoriya filtri
-        const targeting = ad.targeting || {};
-        const adCategories = targeting.categories || [];
-
-        // Bot faqat muayyan kategoriyalarga ruxsat bergan bo'lsa
-        if (allowedCategories.length > 0) {
-          const hasAllowedCategory = adCategories.some(cat =>
-            allowedCategories.includes(cat)
-          );
-          if (!hasAllowedCategory) continue;
-        }
-
-        // Bot ba'zi kategoriyalarni bloklagan bo'lsa
-        if (blockedCategories.length > 0) {
-          const hasBlockedCategory = adCategories.some(cat =>
-            blockedCategories.includes(cat)
-          );
-          if (hasBlockedCategory) continue;
-        }
-
-        // Language filtri: reklama muayyan tillarga mo'ljallangan bo'lsa,
-        // faqat shu tildagi userlarga ko'rsatiladi.
-        // LanguageCode yuborilmagan bo'lsa (eski botlar) — o'tkazib yuboriladi.
-        const adLanguages = targeting.languages || [];
-        if (adLanguages.length > 0 && userLanguageCode) {
-          if (!adLanguages.includes(userLanguageCode)) {
-            continue;
-          }
+        // Budget pacing: schedule oynasidagi egri chiziqdan oldinda bo'lsa, navbatni o'tkazadi
+        if (pacingService.isAheadOfPace(ad)) {
+          continue;
         }
 
-        // Muayyan botlarga mo'ljallangan reklama tekshiruvi
-        const specificBotIds = ad.specificBotIds || [];
-        if (specificBotIds.length > 0 && !specificBotIds.includes(botId)) {
+        // Excluded userlar
+        const excludedUsers = ad.excludedUserIds || [];
+        if (excludedUsers.includes(telegramUserId)) {
           continue;
         }
 
-        // Unique frequency: bu userga bu reklama ilgari ko'rsatilganmi
-        if (targeting.frequency === 'unique') {
-          const alreadyShown = await prisma.impression.findFirst({
-            where: { adId: ad.id, telegramUserId },
-          });
-          if (alreadyShown) continue;
+        // Geo targeting: userning oxirgi ma'lum joylashuvi (BotUser) bo'yicha
+        if (geoTargetingService.hasGeoTargeting(ad.targeting)) {
+          location = location || await geoTargetingService.getUserLocation(telegramUserId);
+          if (!geoTargetingService.matches(ad.targeting, location)) continue;
         }
 
-        return ad;
+        candidates.push(ad);
       }
 
-      return null;
+      // Frequency cap: bu userga davr ichida necha marta ko'rsatilgan (Redis hisoblagichlari).
+      // Barcha nomzodlarga qo'llanadi — limit bilan kesilsa, eski reklamalar capped bo'lganda
+      // yangilari auksionga umuman kirmay qolardi
+      const cappedAdIds = await frequencyCapService.getCappedAdIds(candidates, telegramUserId);
+
+      // Auksion: tartiblash bid × quality score bo'yicha, yaratilgan vaqt bo'yicha emas
+      return adAuction.run(candidates.filter((ad) => !cappedAdIds.has(ad.id)));
     } catch (error) {
       logger.error('Select ad for user failed:', error);
       return null;
@@ -153,48 +109,56 @@ class DistributionService {
    */
   async deliverAd(botId, telegramUserId, chatId, userLanguageCode = null, userInfo = {}) {
     try {
-      // Select ad
-      const ad = await this.selectAdForUser(botId, telegramUserId, userLanguageCode);
+      const bot = await adIndexService.getBot(botId);
 
-      if (!ad) {
+      // Fetch-only bot: no token stored, ads go through /api/v2/ad/Fetch
+      if (bot && !bot.tokenEncrypted) {
+        return { success: false, code: 2 };
+      }
+
+      // Select ad (auction winner)
+      const auction = await this.selectAdForUser(botId, telegramUserId, userLanguageCode);
+
+      if (!auction) {
         return { success: false, code: 0 }; // No ads available
       }
 
-      // Get bot
-      const bot = await prisma.bot.findUnique({
-        where: { id: botId },
-      });
+      const { ad } = auction;
 
       // Decrypt bot token
       const botToken = encryption.decrypt(bot.tokenEncrypted);
 
+      // A/B test: the ad's budget and bid, the variant's creative
+      const variant = adVariantService.pickVariant(ad);
+      const creative = adVariantService.getCreative(ad, variant);
+
       // Prepare message
-      const message = await this.prepareAdMessage(ad, botId, telegramUserId);
+      const message = await this.prepareAdMessage(creative, botId, telegramUserId, variant?.id);
 
       // Send via Telegram bot token (always use the registered bot)
       try {
         let sentMessage;
 
-        if (ad.contentType === 'MEDIA' && ad.mediaUrl) {
-          if (ad.mediaType?.startsWith('image')) {
+        if (creative.contentType === 'MEDIA' && creative.mediaUrl) {
+          if (creative.mediaType?.startsWith('image')) {
             sentMessage = await telegramAPI.sendPhoto(botToken, {
               chat_id: chatId,
-              photo: ad.mediaUrl,
+              photo: creative.mediaUrl,
               caption: message.text,
               parse_mode: message.parseMode,
               reply_markup: message.replyMarkup,
             });
-          } else if (ad.mediaType?.startsWith('video')) {
+          } else if (creative.mediaType?.startsWith('video')) {
             sentMessage = await telegramAPI.sendVideo(botToken, {
               chat_id: chatId,
-              video: ad.mediaUrl,
+              video: creative.mediaUrl,
               caption: message.text,
               parse_mode: message.parseMode,
               reply_markup: message.replyMarkup,
             });
           }
-        } else if (ad.contentType === 'POLL' && ad.poll) {
-          const poll = JSON.parse(ad.poll);
+        } else if (creative.contentType === 'POLL' && creative.poll) {
+          const poll = JSON.parse(creative.poll);
           sentMessage = await telegramAPI.sendPoll(botToken, {
             chat_id: chatId,
             question: poll.question,
@@ -211,16 +175,32 @@ class DistributionService {
           });
         }
 
-        // Record impression
-        await this.recordImpression(ad.id, botId, telegramUserId, sentMessage.message_id, userInfo, userLanguageCode);
+        adIndexService.recordDelivery(ad.id, auction.clearingCpm / 1000, variant?.id);
+        await frequencyCapService.recordImpression(ad, telegramUserId);
+        await frequencyCapService.recordBotDelivery(bot, telegramUserId);
+
+        // Record impression (written by the analytics worker)
+        await this.queueImpression({
+          adId: ad.id,
+          botId,
+          telegramUserId,
+          chatId,
+          messageId: sentMessage.message_id,
+          userInfo,
+          languageCode: userLanguageCode,
+          auction,
+          variantId: variant?.id ?? null,
+        });
 
         return { success: true, code: 1 };
       } catch (error) {
         if (error.message === 'USER_BLOCKED_BOT') {
+          // A high blocked rate is an impression fraud signal (made-up chat ids)
+          await botFraudService.recordBlocked(botId);
           return { success: false, code: 3 };
         }
         if (error.message === 'RATE_LIMITED') {
-          return { success: false, code: 4 };
+          return { success: false, code: 4, retryAfter: error.retryAfter ?? null };
         }
 
         logger.error('Telegram send error:', error);
@@ -232,10 +212,57 @@ class DistributionService {
     }
   }
 
+  /**
+   * Deliver ads to many chats (SendPostBatch)
+   * Selection runs for every chat as in deliverAd. Telegram sends are paced to
+   * BOT_API_BATCH.SENDS_PER_SECOND; a 429 pauses for retry_after and retries that chat once,
+   * unless the wait is longer than MAX_RETRY_AFTER_SECONDS — then the rest of the batch gets code 4.
+   * @param {Array<{chatId: string, languageCode?: string, userInfo?: object}>} chats
+   * @returns {Promise<Array<{chatId: string, code: number}>>}
+   */
+  async deliverBatch(botId, chats) {
+    const interval = 1000 / BOT_API_BATCH.SENDS_PER_SECOND;
+    const results = [];
+
+    for (let i = 0; i < chats.length; i++) {
+      const { chatId, languageCode = null, userInfo = {} } = chats[i];
+      const startedAt = Date.now();
+
+      let result = await this.deliverAd(botId, chatId, chatId, languageCode, userInfo);
+
+      if (result.code === BOT_SEND_POST_RESULTS.TOO_MANY_REQUESTS_ERROR) {
+        const retryAfter = result.retryAfter ?? 1;
+
+        if (retryAfter > BOT_API_BATCH.MAX_RETRY_AFTER_SECONDS) {
+          logger.warn(`SendPostBatch stopped: bot=${botId}, retry_after=${retryAfter}s, ${chats.length - i} chats left`);
+          for (const rest of chats.slice(i)) {
+            results.push({ chatId: rest.chatId, code: BOT_SEND_POST_RESULTS.TOO_MANY_REQUESTS_ERROR });
+          }
+          break;
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
+        result = await this.deliverAd(botId, chatId, chatId, languageCode, userInfo);
+      }
+
+      results.push({ chatId, code: result.code });
+
+      // No ad or no token means nothing was sent to Telegram — no need to wait
+      const sent = result.code !== BOT_SEND_POST_RESULTS.UNDEFINED
+        && result.code !== BOT_SEND_POST_RESULTS.REVOKED_TOKEN_ERROR;
+      const wait = interval - (Date.now() - startedAt);
+      if (sent && wait > 0 && i < chats.length - 1) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Prepare ad message with tracking
    */
-  async prepareAdMessage(ad, botId, telegramUserId = null) {
+  async prepareAdMessage(ad, botId, telegramUserId = null, variantId = null) {
     try {
       let text = ad.text;
 
@@ -253,7 +280,7 @@ class DistributionService {
       if (ad.buttons) {
         const buttons = ad.buttons;
         const processedButtons = ad.trackingEnabled
-          ? tracking.wrapButtonsWithTracking(buttons, ad.id, botId, telegramUserId)
+          ? tracking.wrapButtonsWithTracking(buttons, ad.id, botId, telegramUserId, variantId)
           : buttons;
 
         replyMarkup = {
@@ -289,120 +316,219 @@ class DistributionService {
     }
   }
 
+  /**
+   * Queue impression write for the analytics worker
+   * Falls back to an inline write when the queue is unavailable — the message is already sent
+   */
+  async queueImpression(impression) {
+    const { auction } = impression;
+
+    // Only the prices are needed downstream, not the full auction candidate list
+    const data = {
+      ...impression,
+      chatId: impression.chatId?.toString(),
+      messageId: impression.messageId?.toString(),
+      auction: auction ? { bidCpm: auction.bidCpm, clearingCpm: auction.clearingCpm } : null,
+    };
+
+    try {
+      await enqueueTrackImpression(data);
+    } catch (error) {
+      logger.error('Enqueue impression failed, recording inline:', error);
+      await this.recordImpression(data);
+    }
+  }
+
   /**
    * Record impression
+   * Charges the auction clearing price (finalCpm when no auction ran), split by the bot's revenue share,
+   * in a single transaction:
+   * impression, BotUser, ad budget, bot earnings and owner wallet either all change or none do.
+   * Idempotent on bot + chat + message id, and on fetchId for Bot API v2 confirmations.
+   *
+   * @returns {Promise<{recorded: boolean, reason?: string, impressionId?: string}>}
    */
-  async recordImpression(adId, botId, telegramUserId, messageId, userInfo = {}, languageCode = null) {
+  async recordImpression({
+    adId,
+    botId,
+    telegramUserId,
+    chatId = null,
+    messageId = null,
+    userInfo = {},
+    languageCode = null,
+    auction = null,
+    variantId = null,
+    fetchId = null,
+  }) {
+    chatId = chatId?.toString() ?? telegramUserId?.toString() ?? null;
+    messageId = messageId?.toString() ?? null;
+
     try {
-      const ad = await prisma.ad.findUnique({
-        where: { id: adId },
-      });
+      const result = await prisma.$transaction(async (tx) => {
+        if (messageId) {
+          const existing = await tx.impression.findUnique({
+            where: { botId_chatId_messageId: { botId, chatId, messageId } },
+            select: { id: true },
+          });
+          if (existing) return { recorded: false, reason: 'DUPLICATE', impressionId: existing.id };
+        }
 
-      // Calculate revenue (70/30 split)
-      const revenuePerImpression = parseFloat(ad.finalCpm) / 1000;
-      const platformFee = revenuePerImpression * 0.30; // 30% platform
-      const botOwnerEarns = revenuePerImpression * 0.70; // 70% bot owner
+        if (fetchId) {
+          const confirmed = await tx.impression.findUnique({ where: { fetchId }, select: { id: true } });
+          if (confirmed) return { recorded: false, reason: 'DUPLICATE', impressionId: confirmed.id };
+        }
 
-      // Create impression
-      await prisma.impression.create({
-        data: {
-          adId,
-          botId,
-          telegramUserId,
-          firstName: userInfo.firstName,
-          lastName: userInfo.lastName,
-          username: userInfo.username,
-          country: userInfo.country,
-          languageCode: languageCode,
-          revenue: revenuePerImpression,
-          platformFee,
-          botOwnerEarns,
-          messageId: messageId?.toString(),
-        },
-      });
+        // Lock the ad row: concurrent impressions of the same ad are charged one at a time
+        const [locked] = await tx.$queryRaw`
+          SELECT advertiser_id, final_cpm, total_cost, remaining_budget, delivered_impressions, target_impressions
+          FROM ads WHERE id = ${adId} FOR UPDATE
+        `;
+        if (!locked) return { recorded: false, reason: 'AD_NOT_FOUND' };
 
-      // Update/Create BotUser (Active User)
-      try {
-        await prisma.botUser.upsert({
-          where: {
-            botId_telegramUserId: {
-              botId,
-              telegramUserId,
-            },
-          },
-          create: {
+        const remainingBudget = parseFloat(locked.remaining_budget);
+        if (remainingBudget <= 0 || locked.delivered_impressions >= locked.target_impressions) {
+          return { recorded: false, reason: 'AD_EXHAUSTED' };
+        }
+
+        const bidCpm = auction ? auction.bidCpm : parseFloat(locked.final_cpm);
+        const clearingCpm = auction ? auction.clearingCpm : parseFloat(locked.final_cpm);
+
+        // Never charge more than what is left of the budget
+        const revenue = Math.min(clearingCpm / 1000, remainingBudget);
+
+        // Revenue split: bot / owner override or platform default, snapshotted on the impression
+        const { platformFeePercentage } = await revenueShareService.resolve(botId, tx);
+        const { platformFee, botOwnerEarns } = revenueShareService.split(revenue, platformFeePercentage);
+
+        const impression = await tx.impression.create({
+          data: {
+            adId,
             botId,
             telegramUserId,
+            chatId,
             firstName: userInfo.firstName,
             lastName: userInfo.lastName,
             username: userInfo.username,
             country: userInfo.country,
             languageCode: languageCode,
-            lastSeenAt: new Date(),
+            revenue,
+            platformFee,
+            botOwnerEarns,
+            platformFeePercentage,
+            bidCpm,
+            clearingCpm,
+            messageId,
+            variantId,
+            fetchId,
           },
-          update: {
+        });
+
+        if (variantId) {
+          await tx.adVariant.updateMany({
+            where: { id: variantId, adId },
+            data: { impressions: { increment: 1 } },
+          });
+        }
+
+        // Update/Create BotUser (Active User)
+        if (telegramUserId) {
+          const profile = {
             firstName: userInfo.firstName,
             lastName: userInfo.lastName,
             username: userInfo.username,
-            country: userInfo.country,
+            // Do not overwrite the geoip location from clicks when the bot did not send one
+            ...(userInfo.country && { country: userInfo.country }),
             languageCode: languageCode,
             lastSeenAt: new Date(),
-          },
-        });
-      } catch (userErr) {
-        logger.error('Failed to update bot user:', userErr);
-      }
+          };
 
-      // Update ad stats
-      await prisma.ad.update({
-        where: { id: adId },
-        data: {
-          deliveredImpressions: { increment: 1 },
-          remainingBudget: { decrement: revenuePerImpression },
-        },
-      });
+          await tx.botUser.upsert({
+            where: { botId_telegramUserId: { botId, telegramUserId } },
+            create: { botId, telegramUserId, ...profile },
+            update: profile,
+          });
+        }
 
-      // Update bot earnings
-      await prisma.bot.update({
-        where: { id: botId },
-        data: {
-          totalEarnings: { increment: botOwnerEarns },
-          pendingEarnings: { increment: botOwnerEarns },
-        },
-      });
+        const delivered = locked.delivered_impressions + 1;
+        const left = remainingBudget - revenue;
+        const exhausted = delivered >= locked.target_impressions || left <= 0;
 
-      // Check if ad completed
-      const updatedAd = await prisma.ad.findUnique({
-        where: { id: adId },
-      });
+        // The row is locked, so exactly one impression sees the budget cross the threshold
+        const lowBudgetThreshold = parseFloat(locked.total_cost) * WEBHOOKS.BUDGET_LOW_PERCENT / 100;
+        const budgetLow = !exhausted && remainingBudget > lowBudgetThreshold && left <= lowBudgetThreshold;
 
-      if (
-        updatedAd.deliveredImpressions >= updatedAd.targetImpressions ||
-        updatedAd.remainingBudget <= 0
-      ) {
-        await prisma.ad.update({
+        await tx.ad.update({
           where: { id: adId },
           data: {
-            status: 'COMPLETED',
-            completedAt: new Date(),
+            deliveredImpressions: { increment: 1 },
+            remainingBudget: { decrement: revenue },
+            ...(exhausted && { status: 'COMPLETED', completedAt: new Date() }),
           },
         });
 
-        logger.info(`Ad completed: ${adId}`);
-      }
+        const bot = await tx.bot.update({
+          where: { id: botId },
+          data: {
+            totalEarnings: { increment: botOwnerEarns },
+            pendingEarnings: { increment: botOwnerEarns },
+          },
+          select: { ownerId: true },
+        });
 
-      logger.info(`Impression recorded: ad=${adId}, bot=${botId}, user=${telegramUserId}`);
+        // Credit bot owner's wallet (Wallet.pending until the hold period ends)
+        if (bot.ownerId && botOwnerEarns > 0) {
+          await earningsHoldService.holdImpressionEarnings(tx, {
+            userId: bot.ownerId,
+            botId,
+            amount: botOwnerEarns,
+            impressionId: impression.id,
+          });
+        }
 
-      // Credit bot owner's wallet
-      try {
-        const bot = await prisma.bot.findUnique({ where: { id: botId } });
-        if (bot && bot.ownerId) {
-          await walletService.credit(bot.ownerId, botOwnerEarns, 'EARNINGS', adId);
+        return {
+          recorded: true,
+          impressionId: impression.id,
+          bidCpm,
+          clearingCpm,
+          exhausted,
+          budgetLow,
+          advertiserId: locked.advertiser_id,
+          remainingBudget: left,
+          totalCost: parseFloat(locked.total_cost),
+          evaluateVariants: Boolean(variantId) && delivered % AB_TEST.EVALUATE_EVERY === 0,
+        };
+      });
+
+      if (result.recorded) {
+        logger.info(`Impression recorded: ad=${adId}, bot=${botId}, user=${telegramUserId}, bid=${result.bidCpm}, clearing=${result.clearingCpm}`);
+        if (result.exhausted) {
+          logger.info(`Ad completed: ${adId}`);
+          await adIndexService.invalidateAds();
+          // Budget left over from the final clearing price goes back to the advertiser
+          await adCloseoutService.scheduleCloseout(adId, CLOSEOUT_REASONS.COMPLETED);
         }
-      } catch (creditErr) {
-        logger.error('Failed to credit bot owner wallet:', creditErr);
+        if (result.budgetLow) {
+          await webhookService.emitSafe(result.advertiserId, WEBHOOKS.EVENTS.AD_BUDGET_LOW, {
+            adId,
+            remainingBudget: result.remainingBudget,
+            totalCost: result.totalCost,
+          });
+        }
+        if (result.evaluateVariants && !result.exhausted) {
+          await adVariantService.evaluateWinner(adId);
+        }
+      } else {
+        logger.warn(`Impression not recorded (${result.reason}): ad=${adId}, bot=${botId}, message=${messageId}`);
       }
+
+      return result;
     } catch (error) {
+      // Unique (bot, chat, message) or fetchId hit by a concurrent write of the same impression
+      if (error.code === 'P2002') {
+        logger.warn(`Duplicate impression ignored: bot=${botId}, chat=${chatId}, message=${messageId}`);
+        return { recorded: false, reason: 'DUPLICATE' };
+      }
+
       logger.error('Record impression failed:', error);
       throw error;
     }
@@ -0,0 +1,287 @@
+import prisma from '../../config/database.js';
+import { redisClient } from '../../config/redis.js';
+import logger from '../../utils/logger.js';
+import {
+  FREQUENCY_PERIODS,
+  MINIMUM_FREQUENCY_MINUTES,
+  MAX_IMPRESSIONS_PER_BOT_HOUR,
+} from '../../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIQUE_TTL_SECONDS = 180 * 24 * 60 * 60; // lifetime counters outlive any campaign
+const EXPIRY_BUFFER_SECONDS = 60 * 60;
+
+/**
+ * Frequency Cap Service
+ * "Max N impressions of this ad per user per period" (targeting.frequency + targeting.frequencyCap).
+ * Periods are calendar UTC day / ISO week / month, or the ad lifetime for `unique`.
+ *
+ * Counters live in Redis: freq:{adId}:{telegramUserId}:{period}.
+ * A missing counter is seeded once from the impressions table; without Redis the table is used directly.
+ *
+ * Also holds the bot-level throttles checked before selection: the minimum gap between two ads
+ * to the same user through a bot, and the per-bot hourly impression cap.
+ */
+class FrequencyCapService {
+  /**
+   * Cap configured on the ad, null when uncapped
+   * @returns {{period: string, max: number}|null}
+   */
+  getCap(ad) {
+    const targeting = ad.targeting || {};
+    if (!Object.values(FREQUENCY_PERIODS).includes(targeting.frequency)) return null;
+
+    const max = parseInt(targeting.frequencyCap, 10);
+    return { period: targeting.frequency, max: max > 0 ? max : 1 };
+  }
+
+  /**
+   * Start of the current period (null for unique — all time)
+   */
+  getPeriodStart(period, now = new Date()) {
+    const y = now.getUTCFullYear();
+    const m = now.getUTCMonth();
+    const d = now.getUTCDate();
+
+    switch (period) {
+      case FREQUENCY_PERIODS.DAILY:
+        return new Date(Date.UTC(y, m, d));
+      case FREQUENCY_PERIODS.WEEKLY: {
+        const isoDay = now.getUTCDay() || 7; // Monday = 1 ... Sunday = 7
+        return new Date(Date.UTC(y, m, d - isoDay + 1));
+      }
+      case FREQUENCY_PERIODS.MONTHLY:
+        return new Date(Date.UTC(y, m, 1));
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * End of the current period (exclusive, null for unique)
+   */
+  getPeriodEnd(period, now = new Date()) {
+    const start = this.getPeriodStart(period, now);
+    if (!start) return null;
+
+    switch (period) {
+      case FREQUENCY_PERIODS.DAILY:
+        return new Date(start.getTime() + DAY_MS);
+      case FREQUENCY_PERIODS.WEEKLY:
+        return new Date(start.getTime() + 7 * DAY_MS);
+      default:
+        return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    }
+  }
+
+  /**
+   * Redis key for the counter of the current period
+   */
+  getKey(adId, telegramUserId, period, now = new Date()) {
+    const start = this.getPeriodStart(period, now);
+    const suffix = start ? `${period}:${start.toISOString().slice(0, 10)}` : period;
+    return `freq:${adId}:${telegramUserId}:${suffix}`;
+  }
+
+  getTtlSeconds(period, now = new Date()) {
+    const end = this.getPeriodEnd(period, now);
+    if (!end) return UNIQUE_TTL_SECONDS;
+    return Math.ceil((end.getTime() - now.getTime()) / 1000) + EXPIRY_BUFFER_SECONDS;
+  }
+
+  /**
+   * Impressions of the ad to the user in the current period, from the database
+   */
+  async countFromDatabase(adId, telegramUserId, period, now = new Date()) {
+    const start = this.getPeriodStart(period, now);
+    return prisma.impression.count({
+      where: {
+        adId,
+        telegramUserId,
+        ...(start && { createdAt: { gte: start } }),
+      },
+    });
+  }
+
+  /**
+   * Ids of the ads this user has reached the cap for
+   * @returns {Promise<Set<string>>}
+   */
+  async getCappedAdIds(ads, telegramUserId, now = new Date()) {
+    const capped = new Set();
+    if (!telegramUserId) return capped;
+
+    const checks = ads
+      .map((ad) => ({ ad, cap: this.getCap(ad) }))
+      .filter(({ cap }) => cap);
+    if (checks.length === 0) return capped;
+
+    let counts = null;
+    if (redisClient.isOpen) {
+      try {
+        const keys = checks.map(({ ad, cap }) => this.getKey(ad.id, telegramUserId, cap.period, now));
+        counts = await redisClient.mGet(keys);
+      } catch (error) {
+        logger.error('Frequency cap MGET failed:', error);
+      }
+    }
+
+    for (let i = 0; i < checks.length; i++) {
+      const { ad, cap } = checks[i];
+      let count = counts?.[i];
+
+      if (count === null || count === undefined) {
+        count = await this.countFromDatabase(ad.id, telegramUserId, cap.period, now);
+        if (counts) await this.seed(ad.id, telegramUserId, cap.period, count, now);
+      }
+
+      if (parseInt(count, 10) >= cap.max) capped.add(ad.id);
+    }
+
+    return capped;
+  }
+
+  /**
+   * Store a counter computed from the database; NX keeps increments that raced ahead of us
+   */
+  async seed(adId, telegramUserId, period, count, now = new Date()) {
+    try {
+      await redisClient.set(this.getKey(adId, telegramUserId, period, now), String(count), {
+        NX: true,
+        EX: this.getTtlSeconds(period, now),
+      });
+    } catch (error) {
+      logger.error('Frequency cap seed failed:', error);
+    }
+  }
+
+  /**
+   * Count an impression delivered to the user
+   */
+  async recordImpression(ad, telegramUserId, now = new Date()) {
+    const cap = this.getCap(ad);
+    if (!cap || !telegramUserId || !redisClient.isOpen) return;
+
+    const key = this.getKey(ad.id, telegramUserId, cap.period, now);
+    try {
+      await redisClient
+        .multi()
+        .incr(key)
+        .expire(key, this.getTtlSeconds(cap.period, now))
+        .exec();
+    } catch (error) {
+      logger.error('Frequency cap INCR failed:', error);
+    }
+  }
+
+  /**
+   * Minimum gap per bot per user (bot.frequencyMinutes, never below MINIMUM_FREQUENCY_MINUTES)
+   */
+  getBotGapSeconds(bot) {
+    return Math.max(bot.frequencyMinutes, MINIMUM_FREQUENCY_MINUTES) * 60;
+  }
+
+  getHourKey(botId, now = new Date()) {
+    return `freq:bot:${botId}:hour:${now.toISOString().slice(0, 13)}`;
+  }
+
+  /**
+   * True when this bot showed the user an ad less than the gap ago
+   */
+  async isUserThrottled(bot, telegramUserId, now = new Date()) {
+    if (redisClient.isOpen) {
+      try {
+        return (await redisClient.exists(`freq:bot:${bot.id}:user:${telegramUserId}`)) === 1;
+      } catch (error) {
+        logger.error('Frequency gap check failed:', error);
+      }
+    }
+
+    const lastImpression = await prisma.impression.findFirst({
+      where: { botId: bot.id, telegramUserId },
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true },
+    });
+
+    return !!lastImpression &&
+      now.getTime() - lastImpression.createdAt.getTime() < this.getBotGapSeconds(bot) * 1000;
+  }
+
+  /**
+   * Start the per-user gap only when it is not running (SET NX), so of several deliveries
+   * to the same user at once only one gets through. Without Redis the impressions table decides.
+   * @returns {Promise<boolean>} false when the user is still throttled
+   */
+  async reserveUserGap(bot, telegramUserId, now = new Date()) {
+    if (redisClient.isOpen) {
+      try {
+        const reserved = await redisClient.set(`freq:bot:${bot.id}:user:${telegramUserId}`, '1', {
+          NX: true,
+          EX: this.getBotGapSeconds(bot),
+        });
+        return reserved !== null;
+      } catch (error) {
+        logger.error('Frequency gap reservation failed:', error);
+      }
+    }
+
+    return !(await this.isUserThrottled(bot, telegramUserId, now));
+  }
+
+  /**
+   * True when the bot reached MAX_IMPRESSIONS_PER_BOT_HOUR in the current UTC hour
+   */
+  async isBotHourlyCapReached(botId, now = new Date()) {
+    const hourStart = new Date(now.toISOString().slice(0, 13) + ':00:00.000Z');
+    let count = null;
+
+    if (redisClient.isOpen) {
+      try {
+        count = await redisClient.get(this.getHourKey(botId, now));
+      } catch (error) {
+        logger.error('Bot hourly cap check failed:', error);
+      }
+    }
+
+    if (count === null) {
+      count = await prisma.impression.count({
+        where: { botId, createdAt: { gte: hourStart } },
+      });
+
+      if (redisClient.isOpen) {
+        try {
+          await redisClient.set(this.getHourKey(botId, now), String(count), {
+            NX: true,
+            EX: Math.ceil((hourStart.getTime() + 60 * 60 * 1000 - now.getTime()) / 1000) + 60,
+          });
+        } catch (error) {
+          logger.error('Bot hourly cap seed failed:', error);
+        }
+      }
+    }
+
+    return parseInt(count, 10) >= MAX_IMPRESSIONS_PER_BOT_HOUR;
+  }
+
+  /**
+   * Start the per-user gap and count the delivery towards the bot's hour
+   */
+  async recordBotDelivery(bot, telegramUserId, now = new Date()) {
+    if (!redisClient.isOpen) return;
+
+    const hourKey = this.getHourKey(bot.id, now);
+    try {
+      await redisClient
+        .multi()
+        .set(`freq:bot:${bot.id}:user:${telegramUserId}`, '1', { EX: this.getBotGapSeconds(bot) })
+        .incr(hourKey)
+        .expire(hourKey, 2 * 60 * 60)
+        .exec();
+    } catch (error) {
+      logger.error('Bot delivery counters failed:', error);
+    }
+  }
+}
+
+const frequencyCapService = new FrequencyCapService();
+export default frequencyCapService;
@@ -0,0 +1,129 @@
+import prisma from '../../config/database.js';
+import redis from '../../config/redis.js';
+import logger from '../../utils/logger.js';
+import { GEO_TARGETING } from '../../config/constants.js';
+
+const UNKNOWN = 'Unknown';
+
+const toList = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Geo Targeting Service
+ * targeting.countries / targeting.cities: { include: [...], exclude: [...] }
+ * Countries are ISO 3166-1 alpha-2 codes, cities are names as resolved by geoip-lite.
+ *
+ * A user's location is the last one geoip resolved for them on any bot (BotUser.country / city,
+ * filled on ad clicks). Users without a known location never match an include list.
+ */
+class GeoTargetingService {
+  /**
+   * Include / exclude lists from targeting, normalized for matching (null when no geo targeting)
+   */
+  getRules(targeting) {
+    const countries = targeting?.countries || {};
+    const cities = targeting?.cities || {};
+
+    const rules = {
+      includeCountries: toList(countries.include).map((code) => code.toUpperCase()),
+      excludeCountries: toList(countries.exclude).map((code) => code.toUpperCase()),
+      includeCities: toList(cities.include).map((city) => city.toLowerCase()),
+      excludeCities: toList(cities.exclude).map((city) => city.toLowerCase()),
+    };
+
+    return Object.values(rules).some((list) => list.length > 0) ? rules : null;
+  }
+
+  hasGeoTargeting(targeting) {
+    return this.getRules(targeting) !== null;
+  }
+
+  /**
+   * Does a location satisfy the ad's geo targeting
+   * @param {Object} targeting
+   * @param {{country: string|null, city: string|null}|null} location
+   */
+  matches(targeting, location) {
+    const rules = this.getRules(targeting);
+    if (!rules) return true;
+
+    const country = location?.country ? location.country.toUpperCase() : null;
+    const city = location?.city ? location.city.toLowerCase() : null;
+
+    if (rules.includeCountries.length > 0 && !rules.includeCountries.includes(country)) return false;
+    if (country && rules.excludeCountries.includes(country)) return false;
+    if (rules.includeCities.length > 0 && !rules.includeCities.includes(city)) return false;
+    if (city && rules.excludeCities.includes(city)) return false;
+
+    return true;
+  }
+
+  /**
+   * Last known location of a Telegram user (cached in Redis)
+   * @returns {Promise<{country: string|null, city: string|null}>}
+   */
+  async getUserLocation(telegramUserId) {
+    const cacheKey = `geo:user:${telegramUserId}`;
+
+    const cached = await redis.get(cacheKey);
+    if (cached) return JSON.parse(cached);
+
+    const botUser = await prisma.botUser.findFirst({
+      where: {
+        telegramUserId,
+        country: { notIn: [UNKNOWN] },
+      },
+      orderBy: { lastSeenAt: 'desc' },
+      select: { country: true, city: true },
+    });
+
+    const location = {
+      country: botUser?.country || null,
+      city: botUser?.city && botUser.city !== UNKNOWN ? botUser.city : null,
+    };
+
+    await redis.set(cacheKey, JSON.stringify(location), GEO_TARGETING.LOCATION_CACHE_TTL);
+    return location;
+  }
+
+  /**
+   * Countries and cities with known users, largest audiences first
+   */
+  async getGeoOptions() {
+    try {
+      const [countries, cities] = await Promise.all([
+        prisma.botUser.groupBy({
+          by: ['country'],
+          where: { country: { notIn: [UNKNOWN] } },
+          _count: { _all: true },
+          orderBy: { _count: { telegramUserId: 'desc' } },
+          take: GEO_TARGETING.OPTIONS_LIMIT,
+        }),
+        prisma.botUser.groupBy({
+          by: ['country', 'city'],
+          where: {
+            country: { notIn: [UNKNOWN] },
+            city: { notIn: [UNKNOWN] },
+          },
+          _count: { _all: true },
+          orderBy: { _count: { telegramUserId: 'desc' } },
+          take: GEO_TARGETING.OPTIONS_LIMIT,
+        }),
+      ]);
+
+      return {
+        countries: countries
+          .filter((row) => row.country)
+          .map((row) => ({ code: row.country, users: row._count._all })),
+        cities: cities
+          .filter((row) => row.country && row.city)
+          .map((row) => ({ country: row.country, name: row.city, users: row._count._all })),
+      };
+    } catch (error) {
+      logger.error('Get geo options failed:', error);
+      return { countries: [], cities: [] };
+    }
+  }
+}
+
+const geoTargetingService = new GeoTargetingService();
+export default geoTargetingService;
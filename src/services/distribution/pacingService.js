@@ -0,0 +1,79 @@
+import { PACING_MODES, PACING_TOLERANCE } from '../../config/constants.js';
+
+/**
+ * Pacing Service
+ * Spreads ad spend over the schedule window (scheduleStartDate → scheduleEndDate)
+ */
+class PacingService {
+  /**
+   * Share of the schedule window already elapsed (0..1), null if the ad has no window
+   */
+  getElapsedRatio(ad, now = new Date()) {
+    if (!ad.scheduleStartDate || !ad.scheduleEndDate) return null;
+
+    const start = new Date(ad.scheduleStartDate).getTime();
+    const end = new Date(ad.scheduleEndDate).getTime();
+    if (end <= start) return null;
+
+    const ratio = (now.getTime() - start) / (end - start);
+    return Math.min(1, Math.max(0, ratio));
+  }
+
+  /**
+   * Share of the budget that should be spent by now according to the pacing mode
+   */
+  getTargetSpendRatio(ad, now = new Date()) {
+    const elapsed = this.getElapsedRatio(ad, now);
+    if (elapsed === null) return 1;
+
+    switch (ad.pacingMode) {
+      case PACING_MODES.ACCELERATED:
+        return 1;
+      case PACING_MODES.FRONT_LOADED:
+        return 1 - (1 - elapsed) ** 2;
+      case PACING_MODES.EVEN:
+      default:
+        return elapsed;
+    }
+  }
+
+  /**
+   * Share of the budget actually spent
+   */
+  getSpendRatio(ad) {
+    const totalCost = parseFloat(ad.totalCost || 0);
+    if (totalCost <= 0) return 0;
+
+    const spent = totalCost - parseFloat(ad.remainingBudget || 0);
+    return Math.min(1, Math.max(0, spent / totalCost));
+  }
+
+  /**
+   * True when the ad spent more than its curve allows — it should sit out this request
+   */
+  isAheadOfPace(ad, now = new Date()) {
+    if (ad.pacingMode === PACING_MODES.ACCELERATED) return false;
+    if (this.getElapsedRatio(ad, now) === null) return false;
+
+    return this.getSpendRatio(ad) > this.getTargetSpendRatio(ad, now) + PACING_TOLERANCE;
+  }
+
+  /**
+   * Pacing snapshot for dashboards
+   */
+  getPacingStatus(ad, now = new Date()) {
+    const targetSpendRatio = this.getTargetSpendRatio(ad, now);
+    const spendRatio = this.getSpendRatio(ad);
+
+    return {
+      mode: ad.pacingMode || PACING_MODES.EVEN,
+      elapsedRatio: this.getElapsedRatio(ad, now),
+      targetSpendRatio: parseFloat(targetSpendRatio.toFixed(4)),
+      spendRatio: parseFloat(spendRatio.toFixed(4)),
+      aheadOfPace: this.isAheadOfPace(ad, now),
+    };
+  }
+}
+
+const pacingService = new PacingService();
+export default pacingService;
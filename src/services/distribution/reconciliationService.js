@@ -0,0 +1,343 @@
+import prisma from '../../config/database.js';
+import earningsHoldService from '../wallet/earningsHoldService.js';
+import logger from '../../utils/logger.js';
+import { RECONCILIATION } from '../../config/constants.js';
+
+const drifted = (actual, expected) => Math.abs(actual - expected) > RECONCILIATION.TOLERANCE;
+
+/**
+ * Reconciliation Service
+ * Impressions are the source of truth. Detects and repairs drift between Impression sums and
+ * Ad (deliveredImpressions, remainingBudget), Bot (totalEarnings) and
+ * Wallet (impression earnings) totals.
+ *
+ * Each repair re-checks under a row lock, so it is safe to run while impressions are recorded.
+ */
+class ReconciliationService {
+  /**
+   * Run all checks
+   */
+  async reconcileAll() {
+    const ads = await this.reconcileAds();
+    const bots = await this.reconcileBots();
+    const wallets = await this.reconcileWallets();
+
+    logger.info(`Reconciliation finished: ads=${ads}, bots=${bots}, wallets=${wallets} repaired`);
+    return { ads, bots, wallets };
+  }
+
+  /**
+   * Ad.deliveredImpressions = COUNT(impressions),
+   * Ad.remainingBudget = totalCost − SUM(revenue) − unspent budget already refunded at closeout
+   */
+  async reconcileAds() {
+    const sums = await prisma.impression.groupBy({
+      by: ['adId'],
+      _count: { _all: true },
+      _sum: { revenue: true },
+    });
+
+    let repaired = 0;
+
+    for (let i = 0; i < sums.length; i += RECONCILIATION.BATCH_SIZE) {
+      const batch = sums.slice(i, i + RECONCILIATION.BATCH_SIZE);
+      const ads = await prisma.ad.findMany({
+        where: { id: { in: batch.map((row) => row.adId) } },
+        select: { id: true, totalCost: true, remainingBudget: true, deliveredImpressions: true },
+      });
+      const adsById = new Map(ads.map((ad) => [ad.id, ad]));
+      const refunds = await this.getCloseoutRefunds(batch.map((row) => row.adId));
+
+      for (const row of batch) {
+        const ad = adsById.get(row.adId);
+        if (!ad) continue;
+
+        const expectedRemaining = Math.max(
+          0,
+          parseFloat(ad.totalCost) - parseFloat(row._sum.revenue || 0) - (refunds.get(ad.id) || 0)
+        );
+        if (
+          ad.deliveredImpressions === row._count._all &&
+          !drifted(parseFloat(ad.remainingBudget), expectedRemaining)
+        ) {
+          continue;
+        }
+
+        if (await this.repairAd(ad.id)) repaired++;
+      }
+    }
+
+    return repaired;
+  }
+
+  async repairAd(adId) {
+    return prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM ads WHERE id = ${adId} FOR UPDATE`;
+
+      const ad = await tx.ad.findUnique({
+        where: { id: adId },
+        select: { totalCost: true, remainingBudget: true, deliveredImpressions: true },
+      });
+      const totals = await tx.impression.aggregate({
+        where: { adId },
+        _count: { _all: true },
+        _sum: { revenue: true },
+      });
+
+      const refunded = (await this.getCloseoutRefunds([adId], tx)).get(adId) || 0;
+
+      const delivered = totals._count._all;
+      const remainingBudget = Math.max(
+        0,
+        parseFloat(ad.totalCost) - parseFloat(totals._sum.revenue || 0) - refunded
+      );
+
+      if (ad.deliveredImpressions === delivered && !drifted(parseFloat(ad.remainingBudget), remainingBudget)) {
+        return false;
+      }
+
+      await tx.ad.update({
+        where: { id: adId },
+        data: { deliveredImpressions: delivered, remainingBudget },
+      });
+
+      logger.warn(
+        `Ad reconciled: ${adId}, delivered ${ad.deliveredImpressions} → ${delivered}, ` +
+        `remainingBudget ${ad.remainingBudget} → ${remainingBudget}`
+      );
+      return true;
+    });
+  }
+
+  /**
+   * ad id → unspent budget refunded to the advertiser when the ad was closed
+   */
+  async getCloseoutRefunds(adIds, client = prisma) {
+    const rows = await client.ledgerEntry.groupBy({
+      by: ['refId'],
+      where: {
+        type: 'AD_REFUND',
+        refType: 'AD_CLOSEOUT',
+        refId: { in: adIds },
+      },
+      _sum: { amount: true },
+    });
+
+    return new Map(rows.map((row) => [row.refId, parseFloat(row._sum.amount || 0)]));
+  }
+
+  /**
+   * Bot.totalEarnings = SUM(impressions.botOwnerEarns)
+   * (pendingEarnings follows the bot's earnings holds and is not touched here)
+   */
+  async reconcileBots() {
+    const sums = await prisma.impression.groupBy({
+      by: ['botId'],
+      _sum: { botOwnerEarns: true },
+    });
+
+    let repaired = 0;
+
+    for (let i = 0; i < sums.length; i += RECONCILIATION.BATCH_SIZE) {
+      const batch = sums.slice(i, i + RECONCILIATION.BATCH_SIZE);
+      const bots = await prisma.bot.findMany({
+        where: { id: { in: batch.map((row) => row.botId) } },
+        select: { id: true, totalEarnings: true },
+      });
+      const botsById = new Map(bots.map((bot) => [bot.id, bot]));
+
+      for (const row of batch) {
+        const bot = botsById.get(row.botId);
+        if (!bot) continue;
+
+        if (!drifted(parseFloat(bot.totalEarnings), parseFloat(row._sum.botOwnerEarns || 0))) continue;
+
+        if (await this.repairBot(bot.id)) repaired++;
+      }
+    }
+
+    return repaired;
+  }
+
+  async repairBot(botId) {
+    return prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM bots WHERE id = ${botId} FOR UPDATE`;
+
+      const bot = await tx.bot.findUnique({
+        where: { id: botId },
+        select: { totalEarnings: true },
+      });
+      const totals = await tx.impression.aggregate({
+        where: { botId },
+        _sum: { botOwnerEarns: true },
+      });
+
+      const expected = parseFloat(totals._sum.botOwnerEarns || 0);
+      const delta = expected - parseFloat(bot.totalEarnings);
+      if (!drifted(delta, 0)) return false;
+
+      await tx.bot.update({
+        where: { id: botId },
+        data: { totalEarnings: expected },
+      });
+
+      logger.warn(`Bot reconciled: ${botId}, totalEarnings ${bot.totalEarnings} → ${expected}`);
+      return true;
+    });
+  }
+
+  /**
+   * Impression earnings credited to each owner's wallet (EARNINGS ledger entries for ads,
+   * impressions and previous repairs) = SUM(impressions.botOwnerEarns) over the owner's bots
+   */
+  async reconcileWallets() {
+    const expectedByOwner = await this.getExpectedEarningsByOwner();
+    const creditedByOwner = await this.getCreditedEarningsByOwner();
+
+    const owners = new Set([...expectedByOwner.keys(), ...creditedByOwner.keys()]);
+    let repaired = 0;
+
+    for (const userId of owners) {
+      const expected = expectedByOwner.get(userId) || 0;
+      const credited = creditedByOwner.get(userId) || 0;
+      if (!drifted(credited, expected)) continue;
+
+      if (await this.repairWallet(userId)) repaired++;
+    }
+
+    return repaired;
+  }
+
+  /**
+   * Repairs go through the earnings holds: a missing credit is held (per bot, so a quarantined
+   * bot's share stays unreleased), an over-credit is taken from pending before available.
+   */
+  async repairWallet(userId) {
+    return prisma.$transaction(async (tx) => {
+      // Same order as recordImpression (bot, then wallet)
+      await tx.$queryRaw`SELECT id FROM bots WHERE owner_id = ${userId} ORDER BY id FOR UPDATE`;
+      await tx.$queryRaw`SELECT id FROM wallets WHERE user_id = ${userId} FOR UPDATE`;
+
+      const expected = (await this.getExpectedEarningsByOwner(tx, userId)).get(userId) || 0;
+      const credited = (await this.getCreditedEarningsByOwner(tx, userId)).get(userId) || 0;
+
+      const delta = expected - credited;
+      if (!drifted(delta, 0)) return false;
+
+      const note = `Impression earnings reconciliation: credited $${credited}, expected $${expected}`;
+
+      if (delta < 0) {
+        const taken = await earningsHoldService.reverseRepair(tx, { userId, amount: -delta, note });
+        return taken > 0;
+      }
+
+      for (const { botId, amount } of await this.allocateToBots(tx, userId, delta)) {
+        await earningsHoldService.holdRepair(tx, { userId, botId, amount, note });
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Split a missing credit over the owner's bots: each bot's impression earnings without a ledger
+   * entry first, the rest to the bot with the largest gap (no bot left → held without a bot)
+   * @returns {Promise<Array<{botId: string|null, amount: number}>>}
+   */
+  async allocateToBots(tx, userId, amount) {
+    const bots = await tx.$queryRaw`
+      SELECT b.id AS "botId",
+        COALESCE((SELECT SUM(i.bot_owner_earns) FROM impressions i WHERE i.bot_id = b.id), 0)
+        - COALESCE((
+          SELECT SUM(le.amount)
+          FROM ledger_entries le
+          JOIN impressions i ON i.id = le.ref_id
+          WHERE le.ref_type = 'IMPRESSION'
+            AND le.type IN ('EARNINGS', 'EARNINGS_PENDING')
+            AND i.bot_id = b.id
+        ), 0) AS gap
+      FROM bots b
+      WHERE b.owner_id = ${userId}
+      ORDER BY gap DESC, b.id
+    `;
+
+    if (bots.length === 0) return [{ botId: null, amount }];
+
+    const allocations = new Map();
+    let left = amount;
+
+    for (const bot of bots) {
+      const share = Math.min(parseFloat(bot.gap), left);
+      if (share <= 0) break;
+      allocations.set(bot.botId, share);
+      left -= share;
+    }
+
+    if (drifted(left, 0)) {
+      const botId = bots[0].botId;
+      allocations.set(botId, (allocations.get(botId) || 0) + left);
+    }
+
+    return [...allocations].map(([botId, share]) => ({ botId, amount: share }));
+  }
+
+  /**
+   * owner id → SUM(botOwnerEarns) of impressions on their bots
+   */
+  async getExpectedEarningsByOwner(client = prisma, userId = null) {
+    const rows = userId
+      ? await client.$queryRaw`
+          SELECT b.owner_id AS "userId", COALESCE(SUM(i.bot_owner_earns), 0) AS total
+          FROM impressions i
+          JOIN bots b ON b.id = i.bot_id
+          WHERE b.owner_id = ${userId}
+          GROUP BY b.owner_id
+        `
+      : await client.$queryRaw`
+          SELECT b.owner_id AS "userId", COALESCE(SUM(i.bot_owner_earns), 0) AS total
+          FROM impressions i
+          JOIN bots b ON b.id = i.bot_id
+          GROUP BY b.owner_id
+        `;
+
+    return new Map(rows.map((row) => [row.userId, parseFloat(row.total)]));
+  }
+
+  /**
+   * owner id → SUM of ledger EARNINGS / EARNINGS_PENDING that stem from ad impressions
+   * (legacy entries reference the ad id, newer ones the impression id). Releases only move
+   * money from pending to available, and clawbacks are deliberate, so neither is counted.
+   * Like the expected side, entries of impressions that no longer exist (deleted ad or bot)
+   * are left out, so a delete never reads as an over-credit.
+   */
+  async getCreditedEarningsByOwner(client = prisma, userId = null) {
+    const rows = userId
+      ? await client.$queryRaw`
+          SELECT le.user_id AS "userId", COALESCE(SUM(le.amount), 0) AS total
+          FROM ledger_entries le
+          WHERE le.type IN ('EARNINGS', 'EARNINGS_PENDING')
+            AND le.user_id = ${userId}
+            AND (
+              le.ref_type = 'RECONCILIATION'
+              OR (le.ref_type = 'IMPRESSION' AND EXISTS (SELECT 1 FROM impressions i WHERE i.id = le.ref_id))
+              OR (le.ref_type = 'AD' AND EXISTS (SELECT 1 FROM ads a WHERE a.id = le.ref_id))
+            )
+          GROUP BY le.user_id
+        `
+      : await client.$queryRaw`
+          SELECT le.user_id AS "userId", COALESCE(SUM(le.amount), 0) AS total
+          FROM ledger_entries le
+          WHERE le.type IN ('EARNINGS', 'EARNINGS_PENDING')
+            AND (
+              le.ref_type = 'RECONCILIATION'
+              OR (le.ref_type = 'IMPRESSION' AND EXISTS (SELECT 1 FROM impressions i WHERE i.id = le.ref_id))
+              OR (le.ref_type = 'AD' AND EXISTS (SELECT 1 FROM ads a WHERE a.id = le.ref_id))
+            )
+          GROUP BY le.user_id
+        `;
+
+    return new Map(rows.map((row) => [row.userId, parseFloat(row.total)]));
+  }
+}
+
+const reconciliationService = new ReconciliationService();
+export default reconciliationService;
@@ -0,0 +1,87 @@
+import prisma from '../../config/database.js';
+import logger from '../../utils/logger.js';
+import { DEFAULT_PLATFORM_SETTINGS } from '../../config/constants.js';
+
+const SETTING_KEY = 'platform_fee_percentage';
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Revenue Share Service
+ * Resolves the platform / bot owner split for a bot:
+ *   Bot.platformFeePercentage → owner User.platformFeePercentage → PlatformSettings.platform_fee_percentage
+ */
+class RevenueShareService {
+  constructor() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Platform-wide fee percentage (cached for a minute; other processes pick up changes after the TTL)
+   */
+  async getDefaultPlatformFee() {
+    if (this.cached !== null && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cached;
+    }
+
+    let percentage = parseFloat(DEFAULT_PLATFORM_SETTINGS[SETTING_KEY]);
+    try {
+      const setting = await prisma.platformSettings.findUnique({ where: { key: SETTING_KEY } });
+      if (setting) percentage = parseFloat(setting.value);
+    } catch (error) {
+      logger.error('Get platform fee setting failed:', error);
+    }
+
+    this.cached = percentage;
+    this.cachedAt = Date.now();
+    return percentage;
+  }
+
+  /**
+   * Drop the cached default (after an admin update)
+   */
+  invalidate() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Resolve the platform fee percentage for a bot
+   * @param {string} botId
+   * @param {Object} client - prisma or a transaction client
+   * @returns {Promise<{platformFeePercentage: number, source: 'bot'|'owner'|'platform'}>}
+   */
+  async resolve(botId, client = prisma) {
+    const bot = await client.bot.findUnique({
+      where: { id: botId },
+      select: {
+        platformFeePercentage: true,
+        owner: { select: { platformFeePercentage: true } },
+      },
+    });
+
+    if (bot?.platformFeePercentage != null) {
+      return { platformFeePercentage: parseFloat(bot.platformFeePercentage), source: 'bot' };
+    }
+
+    if (bot?.owner?.platformFeePercentage != null) {
+      return { platformFeePercentage: parseFloat(bot.owner.platformFeePercentage), source: 'owner' };
+    }
+
+    return { platformFeePercentage: await this.getDefaultPlatformFee(), source: 'platform' };
+  }
+
+  /**
+   * Split an amount between platform and bot owner
+   */
+  split(amount, platformFeePercentage) {
+    const platformFee = (amount * platformFeePercentage) / 100;
+    return {
+      platformFee,
+      botOwnerEarns: amount - platformFee,
+    };
+  }
+}
+
+const revenueShareService = new RevenueShareService();
+export default revenueShareService;
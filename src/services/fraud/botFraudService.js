@@ -0,0 +1,400 @@
+// src/services/fraud/botFraudService.js
+import prisma from '../../config/database.js';
+import { redisClient } from '../../config/redis.js';
+import earningsHoldService from '../wallet/earningsHoldService.js';
+import adIndexService from '../distribution/adIndexService.js';
+import logger from '../../utils/logger.js';
+import { NotFoundError, ValidationError } from '../../utils/errors.js';
+import { enqueueNotificationSafe } from '../../jobs/queues/notificationQueue.js';
+import { AUDIT_ACTIONS, BOT_FRAUD, NOTIFICATION_TYPES } from '../../config/constants.js';
+import { parseJson } from '../../utils/json.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const round = (value, digits = 4) => parseFloat(value.toFixed(digits));
+
+/**
+ * Bot Fraud Service
+ * SendPost accepts any SendToChatId, so impressions can be inflated by bots messaging made-up or
+ * scripted chats. A periodic scan scores every monetized bot over the last WINDOW_HOURS:
+ *   NEW_USERS         — most users in the window were never seen by the bot before
+ *   MEMBER_RATIO_JUMP — impressions per member far above the bot's own recent average
+ *   UNIFORM_TIMING    — gaps between impressions are machine-regular
+ *   LOW_CTR           — plenty of impressions, (almost) no valid clicks
+ *   HIGH_BLOCK_RATE   — many sends fail with USER_BLOCKED_BOT
+ *
+ * Bots scoring BOT_FRAUD.THRESHOLD or more are QUARANTINED: they get no ads and their held
+ * earnings (pendingEarnings) are not released until an admin releases the bot or bans it
+ * (optionally clawing the earnings back).
+ */
+class BotFraudService {
+  // ==================== SIGNAL COLLECTION ====================
+
+  /**
+   * Count a USER_BLOCKED_BOT send failure (hourly Redis buckets)
+   */
+  async recordBlocked(botId, now = new Date()) {
+    if (!redisClient.isOpen) return;
+
+    try {
+      const key = this.getBlockedKey(botId, now);
+      await redisClient.incr(key);
+      await redisClient.expire(key, BOT_FRAUD.WINDOW_HOURS * 60 * 60 + 3600);
+    } catch (error) {
+      logger.error('Record blocked send failed:', error);
+    }
+  }
+
+  /**
+   * USER_BLOCKED_BOT failures in the window (null without Redis)
+   */
+  async getBlockedCount(botId, now = new Date()) {
+    if (!redisClient.isOpen) return null;
+
+    const keys = [];
+    for (let i = 0; i < BOT_FRAUD.WINDOW_HOURS; i++) {
+      keys.push(this.getBlockedKey(botId, new Date(now.getTime() - i * HOUR_MS)));
+    }
+
+    const counts = await redisClient.mGet(keys);
+    return counts.reduce((sum, count) => sum + (parseInt(count, 10) || 0), 0);
+  }
+
+  getBlockedKey(botId, date) {
+    return `botfraud:blocked:${botId}:${date.toISOString().slice(0, 13)}`;
+  }
+
+  /**
+   * Traffic metrics of one bot over the window
+   */
+  async collectMetrics(bot, now = new Date()) {
+    const since = new Date(now.getTime() - BOT_FRAUD.WINDOW_HOURS * HOUR_MS);
+    const previousSince = new Date(since.getTime() - 7 * DAY_MS);
+
+    const [audience] = await prisma.$queryRaw`
+      SELECT COUNT(*)::int AS impressions,
+             COUNT(DISTINCT i.telegram_user_id)::int AS users,
+             COUNT(DISTINCT i.telegram_user_id) FILTER (WHERE bu.created_at >= ${since})::int AS new_users
+      FROM impressions i
+      LEFT JOIN bot_users bu ON bu.bot_id = i.bot_id AND bu.telegram_user_id = i.telegram_user_id
+      WHERE i.bot_id = ${bot.id} AND i.created_at >= ${since}
+    `;
+
+    const previousImpressions = await prisma.impression.count({
+      where: { botId: bot.id, createdAt: { gte: previousSince, lt: since } },
+    });
+
+    const knownUsers = await prisma.botUser.count({ where: { botId: bot.id } });
+
+    const latest = await prisma.impression.findMany({
+      where: { botId: bot.id, createdAt: { gte: since } },
+      select: { createdAt: true },
+      orderBy: { createdAt: 'desc' },
+      take: BOT_FRAUD.TIMING_SAMPLE,
+    });
+
+    const clicks = await prisma.clickEvent.count({
+      where: { botId: bot.id, clicked: true, isValid: true, createdAt: { gte: since } },
+    });
+
+    const blocked = await this.getBlockedCount(bot.id, now);
+
+    return {
+      impressions: audience?.impressions || 0,
+      users: audience?.users || 0,
+      newUsers: audience?.new_users || 0,
+      members: Math.max(bot.totalMembers || 0, knownUsers),
+      previousDailyAverage: previousImpressions / 7,
+      timestamps: latest.map((impression) => impression.createdAt.getTime()),
+      clicks,
+      blocked,
+      botAgeDays: (now.getTime() - (bot.verifiedAt || bot.createdAt).getTime()) / DAY_MS,
+    };
+  }
+
+  // ==================== SCORING ====================
+
+  /**
+   * Signals raised by the metrics
+   * @returns {Array<{signal: string, value: number, limit: number}>}
+   */
+  evaluate(metrics) {
+    const reasons = [];
+    if (metrics.impressions < BOT_FRAUD.MIN_IMPRESSIONS) return reasons;
+
+    if (metrics.botAgeDays >= BOT_FRAUD.MIN_BOT_AGE_DAYS && metrics.users > 0) {
+      const ratio = metrics.newUsers / metrics.users;
+      if (ratio >= BOT_FRAUD.NEW_USER_RATIO) {
+        reasons.push({ signal: 'NEW_USERS', value: round(ratio), limit: BOT_FRAUD.NEW_USER_RATIO });
+      }
+    }
+
+    const perMember = metrics.impressions / Math.max(metrics.members, 1);
+    const jumped = metrics.previousDailyAverage === 0 ||
+      metrics.impressions >= metrics.previousDailyAverage * BOT_FRAUD.JUMP_FACTOR;
+    if (perMember >= BOT_FRAUD.MEMBER_RATIO && jumped) {
+      reasons.push({ signal: 'MEMBER_RATIO_JUMP', value: round(perMember), limit: BOT_FRAUD.MEMBER_RATIO });
+    }
+
+    const cv = this.timingVariation(metrics.timestamps);
+    if (cv !== null && cv < BOT_FRAUD.UNIFORM_TIMING_CV) {
+      reasons.push({ signal: 'UNIFORM_TIMING', value: round(cv), limit: BOT_FRAUD.UNIFORM_TIMING_CV });
+    }
+
+    if (metrics.impressions >= BOT_FRAUD.MIN_IMPRESSIONS_FOR_CTR) {
+      const ctr = metrics.clicks / metrics.impressions;
+      if (ctr < BOT_FRAUD.MIN_CTR) {
+        reasons.push({ signal: 'LOW_CTR', value: round(ctr, 6), limit: BOT_FRAUD.MIN_CTR });
+      }
+    }
+
+    if (metrics.blocked !== null && metrics.blocked > 0) {
+      const rate = metrics.blocked / (metrics.blocked + metrics.impressions);
+      if (rate >= BOT_FRAUD.BLOCKED_RATE) {
+        reasons.push({ signal: 'HIGH_BLOCK_RATE', value: round(rate), limit: BOT_FRAUD.BLOCKED_RATE });
+      }
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Coefficient of variation of the gaps between impressions (null when the sample is too small)
+   * @param {number[]} timestamps - ms, any order
+   */
+  timingVariation(timestamps) {
+    if (timestamps.length < 50) return null;
+
+    const sorted = [...timestamps].sort((a, b) => a - b);
+    const gaps = sorted.slice(1).map((time, i) => time - sorted[i]);
+    const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    if (mean === 0) return 0;
+
+    const variance = gaps.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / gaps.length;
+    return Math.sqrt(variance) / mean;
+  }
+
+  score(reasons) {
+    return reasons.reduce((sum, reason) => sum + (BOT_FRAUD.SIGNALS[reason.signal] || 0), 0);
+  }
+
+  // ==================== SCAN ====================
+
+  /**
+   * Score every active bot with traffic in the window; quarantine the suspicious ones
+   * (scheduled job). Bots go least recently scanned first (never scanned before all), so
+   * with more candidates than SCAN_BATCH_SIZE every bot still gets its turn.
+   */
+  async scanBots(now = new Date()) {
+    const since = new Date(now.getTime() - BOT_FRAUD.WINDOW_HOURS * HOUR_MS);
+    const graceSince = new Date(now.getTime() - BOT_FRAUD.REVIEW_GRACE_HOURS * HOUR_MS);
+
+    const active = await prisma.impression.groupBy({
+      by: ['botId'],
+      where: { createdAt: { gte: since } },
+      _count: { _all: true },
+      having: { botId: { _count: { gte: BOT_FRAUD.MIN_IMPRESSIONS } } },
+    });
+
+    const bots = await prisma.bot.findMany({
+      where: {
+        id: { in: active.map((row) => row.botId) },
+        status: 'ACTIVE',
+        OR: [{ fraudReviewedAt: null }, { fraudReviewedAt: { lt: graceSince } }],
+      },
+      orderBy: [{ fraudScannedAt: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }],
+      take: BOT_FRAUD.SCAN_BATCH_SIZE,
+    });
+
+    let quarantined = 0;
+
+    for (const bot of bots) {
+      try {
+        const reasons = this.evaluate(await this.collectMetrics(bot, now));
+        const score = this.score(reasons);
+
+        if (score >= BOT_FRAUD.THRESHOLD) {
+          await this.quarantine(bot, score, reasons);
+          quarantined++;
+        } else if (score !== bot.fraudScore) {
+          await prisma.bot.update({
+            where: { id: bot.id },
+            data: { fraudScore: score, fraudReasons: reasons.length > 0 ? reasons : undefined },
+          });
+        }
+      } catch (error) {
+        logger.error(`Bot fraud scan failed for ${bot.id}:`, error);
+      }
+
+      // A failed bot also moves to the back, so it cannot hold up the rest
+      await prisma.bot.update({ where: { id: bot.id }, data: { fraudScannedAt: now } })
+        .catch((error) => logger.error(`Bot fraud scan time not stored for ${bot.id}:`, error));
+    }
+
+    logger.info(`Bot fraud scan: ${bots.length} bots scored, ${quarantined} quarantined`);
+    return { scanned: bots.length, quarantined };
+  }
+
+  /**
+   * Move a bot to QUARANTINED
+   */
+  async quarantine(bot, score, reasons) {
+    await prisma.bot.update({
+      where: { id: bot.id },
+      data: {
+        status: 'QUARANTINED',
+        fraudScore: score,
+        fraudReasons: reasons,
+        quarantinedAt: new Date(),
+      },
+    });
+
+    await adIndexService.invalidateBot(bot.id);
+
+    const owner = await prisma.user.findUnique({
+      where: { id: bot.ownerId },
+      select: { telegramId: true },
+    });
+
+    if (owner?.telegramId) {
+      await enqueueNotificationSafe(NOTIFICATION_TYPES.TELEGRAM_MESSAGE, {
+        chatId: owner.telegramId,
+        text: `⚠️ @${bot.username} is under review: unusual ad traffic was detected. ` +
+          'The bot receives no ads and its pending earnings are not released until the review is finished.',
+      });
+    }
+
+    logger.warn(`Bot quarantined: ${bot.id} (@${bot.username}), score=${score}, signals=${reasons.map((r) => r.signal).join(',')}`);
+  }
+
+  // ==================== ADMIN REVIEW ====================
+
+  /**
+   * Quarantined bots, oldest first
+   */
+  async getQuarantinedBots(limit = 20, offset = 0) {
+    const where = { status: 'QUARANTINED' };
+
+    const [bots, total] = await Promise.all([
+      prisma.bot.findMany({
+        where,
+        include: {
+          owner: {
+            select: { id: true, firstName: true, lastName: true, username: true },
+          },
+        },
+        orderBy: { quarantinedAt: 'asc' },
+        take: limit,
+        skip: offset,
+      }),
+      prisma.bot.count({ where }),
+    ]);
+
+    return {
+      bots: bots.map(({ tokenEncrypted, apiKey, apiKeyHash, ...bot }) => ({
+        ...bot,
+        fraudReasons: parseJson(bot.fraudReasons, []),
+        withheldEarnings: parseFloat(bot.pendingEarnings),
+      })),
+      total,
+    };
+  }
+
+  /**
+   * Release: traffic is legitimate, the bot gets ads and its held earnings mature again
+   */
+  async release(botId, adminId, note = null) {
+    const bot = await this.findQuarantined(botId);
+
+    const updated = await prisma.bot.update({
+      where: { id: botId },
+      data: {
+        status: 'ACTIVE',
+        fraudScore: 0,
+        quarantinedAt: null,
+        fraudReviewedAt: new Date(),
+        fraudReviewedBy: adminId,
+      },
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: adminId,
+        action: AUDIT_ACTIONS.BOT_QUARANTINE_RELEASED,
+        entityType: 'bot',
+        entityId: botId,
+        metadata: { botUsername: bot.username, score: bot.fraudScore, note },
+      },
+    });
+
+    await adIndexService.invalidateBot(botId);
+
+    logger.info(`Bot released from quarantine: ${botId} by ${adminId}`);
+    return updated;
+  }
+
+  /**
+   * Ban: traffic is fraudulent. With forfeit, the bot's held earnings are clawed back from the
+   * owner's Wallet.pending; without it they are released when their hold period ends.
+   */
+  async ban(botId, adminId, { reason, forfeit = false }) {
+    const bot = await this.findQuarantined(botId);
+
+    const result = await prisma.$transaction(async (tx) => {
+      let forfeited = 0;
+
+      if (forfeit) {
+        forfeited = await earningsHoldService.clawbackBot(
+          tx,
+          bot,
+          `Bot @${bot.username} banned for fraudulent traffic: ${reason}`
+        );
+      }
+
+      const updated = await tx.bot.update({
+        where: { id: botId },
+        data: {
+          status: 'BANNED',
+          monetized: false,
+          fraudReviewedAt: new Date(),
+          fraudReviewedBy: adminId,
+        },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminId,
+          action: AUDIT_ACTIONS.BOT_QUARANTINE_BANNED,
+          entityType: 'bot',
+          entityId: botId,
+          metadata: { botUsername: bot.username, score: bot.fraudScore, reason, forfeited },
+        },
+      });
+
+      return { bot: updated, forfeited };
+    });
+
+    await adIndexService.invalidateBot(botId);
+
+    logger.warn(`Bot banned after quarantine: ${botId} by ${adminId}, forfeited=$${result.forfeited}`);
+    return result;
+  }
+
+  async findQuarantined(botId) {
+    const bot = await prisma.bot.findUnique({ where: { id: botId } });
+
+    if (!bot) {
+      throw new NotFoundError('Bot not found');
+    }
+
+    if (bot.status !== 'QUARANTINED') {
+      throw new ValidationError('Bot is not in quarantine');
+    }
+
+    return bot;
+  }
+}
+
+const botFraudService = new BotFraudService();
+export default botFraudService;
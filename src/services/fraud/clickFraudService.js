@@ -0,0 +1,210 @@
+// src/services/fraud/clickFraudService.js
+import prisma from '../../config/database.js';
+import logger from '../../utils/logger.js';
+import { CLICK_FRAUD } from '../../config/constants.js';
+import { DATACENTER_RANGES } from '../../config/datacenterRanges.js';
+
+// Crawlers, HTTP libraries and headless browsers
+const BOT_USER_AGENT = /bot\b|crawler|spider|scraper|curl|wget|python-requests|python-urllib|aiohttp|httpx|go-http-client|java\/|okhttp|axios|node-fetch|undici|postman|headless|phantomjs|selenium|puppeteer|playwright/i;
+
+const ipv4ToInt = (ip) => {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0;
+  for (const part of parts) {
+    const octet = Number(part);
+    if (!/^\d{1,3}$/.test(part) || octet > 255) return null;
+    value = value * 256 + octet;
+  }
+  return value;
+};
+
+const parseCidr = (cidr) => {
+  const [range, bits] = cidr.split('/');
+  const size = 2 ** (32 - Number(bits));
+  const start = Math.floor(ipv4ToInt(range) / size) * size;
+  return { start, end: start + size - 1 };
+};
+
+/**
+ * Click Fraud Service
+ * Scores every new click on /t/:token. Each signal adds its CLICK_FRAUD.SIGNALS weight; clicks
+ * scoring CLICK_FRAUD.THRESHOLD or more are stored with isValid = false — the user is still
+ * redirected, but the click is not counted in ad / variant clicks or CTR.
+ *
+ * Signals:
+ *   DUPLICATE_USER     — same Telegram user clicked the ad within the duplicate window
+ *   DUPLICATE_IP       — MAX_CLICKS_PER_IP clicks on the ad from the IP within the window
+ *   DATACENTER_IP      — IP in a hosting / cloud range (config/datacenterRanges.js)
+ *   BOT_USER_AGENT     — crawler, HTTP library or headless browser
+ *   MISSING_USER_AGENT — no user agent at all
+ *   NO_IMPRESSION      — the user was never shown the ad by this bot
+ *   TOO_FAST           — clicked less than MIN_SECONDS_AFTER_SEND after the post was sent
+ */
+class ClickFraudService {
+  constructor() {
+    this.datacenterRanges = DATACENTER_RANGES.map(parseCidr);
+  }
+
+  /**
+   * Score a click before it is stored
+   * @param {Object} click
+   * @param {string} click.adId
+   * @param {string} click.botId
+   * @param {string} click.telegramUserId - from the tracking token (optional)
+   * @param {string} click.ipAddress
+   * @param {string} click.userAgent
+   * @param {number} click.sentAt - tracking token timestamp (ms), i.e. when the post was sent
+   * @returns {Promise<{isValid: boolean, fraudScore: number, fraudReasons: string[]}>}
+   */
+  async evaluate(click) {
+    try {
+      const reasons = [
+        ...this.checkRequest(click),
+        ...(await this.checkHistory(click)),
+      ];
+
+      return this.score(reasons);
+    } catch (error) {
+      // Never block a click because scoring failed
+      logger.error('Click fraud scoring failed:', error);
+      return { isValid: true, fraudScore: 0, fraudReasons: [] };
+    }
+  }
+
+  /**
+   * Signals from the request itself (no database)
+   */
+  checkRequest({ ipAddress, userAgent, sentAt }, now = Date.now()) {
+    const reasons = [];
+
+    if (!userAgent || !userAgent.trim()) {
+      reasons.push('MISSING_USER_AGENT');
+    } else if (BOT_USER_AGENT.test(userAgent)) {
+      reasons.push('BOT_USER_AGENT');
+    }
+
+    if (this.isDatacenterIp(ipAddress)) {
+      reasons.push('DATACENTER_IP');
+    }
+
+    if (sentAt && now - sentAt < CLICK_FRAUD.MIN_SECONDS_AFTER_SEND * 1000) {
+      reasons.push('TOO_FAST');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Signals from earlier clicks and impressions
+   */
+  async checkHistory({ adId, botId, telegramUserId, ipAddress }) {
+    const reasons = [];
+    const since = new Date(Date.now() - CLICK_FRAUD.DUPLICATE_WINDOW_MINUTES * 60 * 1000);
+    const userId = telegramUserId ? String(telegramUserId) : null;
+
+    if (userId) {
+      const userClicks = await prisma.clickEvent.count({
+        where: { adId, telegramUserId: userId, createdAt: { gte: since } },
+      });
+      if (userClicks > 0) reasons.push('DUPLICATE_USER');
+
+      const impression = await prisma.impression.findFirst({
+        where: { adId, botId, telegramUserId: userId },
+        select: { id: true },
+      });
+      if (!impression) reasons.push('NO_IMPRESSION');
+    }
+
+    if (ipAddress) {
+      const ipClicks = await prisma.clickEvent.count({
+        where: { adId, ipAddress, createdAt: { gte: since } },
+      });
+      if (ipClicks >= CLICK_FRAUD.MAX_CLICKS_PER_IP) reasons.push('DUPLICATE_IP');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Sum signal weights
+   */
+  score(reasons) {
+    const fraudScore = reasons.reduce((sum, reason) => sum + (CLICK_FRAUD.SIGNALS[reason] || 0), 0);
+
+    return {
+      isValid: fraudScore < CLICK_FRAUD.THRESHOLD,
+      fraudScore,
+      fraudReasons: reasons,
+    };
+  }
+
+  /**
+   * IP in a datacenter range (IPv4 and IPv4-mapped IPv6)
+   */
+  isDatacenterIp(ipAddress) {
+    if (!ipAddress) return false;
+
+    const value = ipv4ToInt(ipAddress.replace(/^::ffff:/i, ''));
+    if (value === null) return false;
+
+    return this.datacenterRanges.some(({ start, end }) => value >= start && value <= end);
+  }
+
+  /**
+   * Invalid clicks per bot (admin)
+   * @param {Object} options
+   * @param {number} options.days - look-back period
+   * @param {number} options.limit - bots with the most invalid clicks first
+   */
+  async getBotSummary({ days = 7, limit = 50 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const totals = await prisma.$queryRaw`
+      SELECT bot_id,
+             COUNT(*)::int AS clicks,
+             COUNT(*) FILTER (WHERE is_valid = false)::int AS invalid_clicks
+      FROM click_events
+      WHERE clicked = true AND created_at >= ${since}
+      GROUP BY bot_id
+      HAVING COUNT(*) FILTER (WHERE is_valid = false) > 0
+      ORDER BY invalid_clicks DESC
+      LIMIT ${limit}
+    `;
+
+    if (totals.length === 0) return [];
+
+    const botIds = totals.map((row) => row.bot_id);
+
+    const reasons = await prisma.$queryRaw`
+      SELECT bot_id, reason, COUNT(*)::int AS count
+      FROM click_events, jsonb_array_elements_text(fraud_reasons) AS reason
+      WHERE is_valid = false AND created_at >= ${since} AND bot_id = ANY(${botIds})
+      GROUP BY bot_id, reason
+    `;
+
+    const bots = await prisma.bot.findMany({
+      where: { id: { in: botIds } },
+      select: { id: true, username: true, firstName: true, ownerId: true },
+    });
+
+    const botsMap = Object.fromEntries(bots.map((bot) => [bot.id, bot]));
+
+    return totals.map((row) => ({
+      bot: botsMap[row.bot_id] || { id: row.bot_id },
+      clicks: row.clicks,
+      invalidClicks: row.invalid_clicks,
+      invalidRate: parseFloat(((row.invalid_clicks / row.clicks) * 100).toFixed(2)),
+      reasons: Object.fromEntries(
+        reasons
+          .filter((reason) => reason.bot_id === row.bot_id)
+          .sort((a, b) => b.count - a.count)
+          .map((reason) => [reason.reason, reason.count])
+      ),
+    }));
+  }
+}
+
+const clickFraudService = new ClickFraudService();
+export default clickFraudService;
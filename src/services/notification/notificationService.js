@@ -2,6 +2,7 @@ import nodemailer from 'nodemailer';
 import logger from '../../utils/logger.js';
 import adApprovedTemplate from './templates/adApproved.js';
 import adRejectedTemplate from './templates/adRejected.js';
+import adCompletedTemplate from './templates/adCompleted.js';
 import botApprovedTemplate from './templates/botApproved.js';
 import withdrawalCompleteTemplate from './templates/withdrawalComplete.js';
 
@@ -97,6 +98,24 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send campaign finished notification with the closeout report
+   */
+  async notifyAdCompleted(user, ad, report) {
+    try {
+      const html = adCompletedTemplate(user, ad, report);
+      await this.sendEmail(
+        user.email,
+        'Your Campaign Has Finished 🏁',
+        html
+      );
+
+      logger.info(`Ad completed notification sent to ${user.email}`);
+    } catch (error) {
+      logger.error('Notify ad completed failed:', error);
+    }
+  }
+
   /**
    * Send bot approved notification
    */
@@ -0,0 +1,52 @@
+export default function adCompletedTemplate(user, ad, report) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #2196F3; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+    .button { display: inline-block; padding: 12px 24px; background: #2196F3; color: white; text-decoration: none; border-radius: 4px; margin: 20px 0; }
+    .stats { background: white; padding: 15px; border-radius: 4px; margin: 15px 0; }
+    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🏁 Your Campaign Has Finished</h1>
+    </div>
+    <div class="content">
+      <p>Hi ${user.firstName},</p>
+      
+      <p>Your ad "<strong>${ad.title}</strong>" has finished running. Here is the final report.</p>
+      
+      <div class="stats">
+        <h3>Final Report:</h3>
+        <p><strong>Impressions:</strong> ${report.impressions.toLocaleString()} of ${report.targetImpressions.toLocaleString()} (${report.deliveryRate}%)</p>
+        <p><strong>Unique Users:</strong> ${report.uniqueUsers.toLocaleString()}</p>
+        <p><strong>Clicks:</strong> ${report.clicks.toLocaleString()} (CTR ${report.ctr}%)</p>
+        <p><strong>Spent:</strong> $${report.spent.toFixed(2)} of $${report.budget.toFixed(2)}</p>
+        <p><strong>Effective CPM:</strong> $${report.effectiveCpm.toFixed(2)}</p>
+      </div>
+      
+      ${report.refunded > 0 ? `<p>The unspent budget of <strong>$${report.refunded.toFixed(2)}</strong> has been returned to your wallet.</p>` : ''}
+      
+      <a href="${process.env.FRONTEND_URL}/ads/${ad.id}" class="button">View Full Report</a>
+      
+      <p>Thank you for using AKHMADS.NET!</p>
+      
+      <p>Best regards,<br>The AKHMADS.NET Team</p>
+    </div>
+    <div class="footer">
+      <p>AKHMADS.NET - Telegram Ad Distribution Platform</p>
+      <p><a href="${process.env.FRONTEND_URL}">Visit Dashboard</a></p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
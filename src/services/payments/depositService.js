@@ -2,6 +2,7 @@
 import prisma from '../../config/database.js';
 import walletService from '../wallet/walletService.js';
 import paymeService from './providers/paymeService.js';
+import clickService from './providers/clickService.js';
 import cryptoPayService from './providers/cryptoPayService.js';
 import logger from '../../utils/logger.js';
 import { PaymentError, ValidationError } from '../../utils/errors.js';
@@ -20,8 +21,8 @@ class DepositService {
       const { provider, amount, coin, network } = data;
 
       // Validate provider
-      if (!['PAYME', 'CRYPTO'].includes(provider)) {
-        throw new ValidationError('Invalid provider. Use PAYME or CRYPTO');
+      if (!['CLICK', 'PAYME', 'CRYPTO'].includes(provider)) {
+        throw new ValidationError('Invalid provider. Use CLICK, PAYME or CRYPTO');
       }
 
       // Validate minimum deposit
@@ -30,6 +31,9 @@ class DepositService {
         throw new PaymentError(`Minimum deposit is $${minDeposit}`);
       }
 
+      // Click is paid in UZS: the quoted amount is checked on prepare/complete
+      const amountUzs = provider === 'CLICK' ? clickService.usdToUzs(amount) : null;
+
       // Create transaction
       const transaction = await prisma.transaction.create({
         data: {
@@ -40,6 +44,9 @@ class DepositService {
           network: network || null,
           amount,
           status: 'PENDING',
+          metadata: amountUzs
+            ? { amount_uzs: amountUzs, usd_to_uzs_rate: clickService.usdToUzsRate }
+            : undefined,
         },
       });
 
@@ -48,7 +55,15 @@ class DepositService {
       // Generate payment URL based on provider
       let paymentData = {};
 
-      if (provider === 'PAYME') {
+      if (provider === 'CLICK') {
+        const payment = clickService.createPayment({ transactionId: transaction.id, amountUzs });
+        paymentData = {
+          paymentUrl: payment.paymentUrl,
+          provider: 'CLICK',
+          amountUzs,
+          description: 'To\'lov Click orqali amalga oshiriladi',
+        };
+      } else if (provider === 'PAYME') {
         // Payme checkout URL
         const paymentUrl = paymeService.createPaymentUrl(transaction.id, amount);
         paymentData = {
@@ -0,0 +1,236 @@
+// src/services/payments/payoutAddressService.js
+import prisma from '../../config/database.js';
+import telegramBot from '../../config/telegram.js';
+import logger from '../../utils/logger.js';
+import { InlineKeyboard } from 'grammy';
+import { ConflictError, NotFoundError, ValidationError } from '../../utils/errors.js';
+import {
+  AUDIT_ACTIONS,
+  DEFAULT_PLATFORM_SETTINGS,
+  PAYOUT_ADDRESS,
+  WITHDRAWAL_NETWORKS,
+} from '../../config/constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const { PENDING_CONFIRMATION, CONFIRMED } = PAYOUT_ADDRESS.STATUSES;
+
+/**
+ * Payout Address Service
+ * Address book of withdrawal destinations per network.
+ *
+ *   add()     → PENDING_CONFIRMATION, the login bot asks the user to confirm (pa_confirm_ / pa_cancel_)
+ *   confirm() → CONFIRMED, availableAt = now + payout_address_cooldown_hours (24-48h)
+ *   withdrawService.requestWithdrawal({ payoutAddressId }) accepts it once availableAt has passed
+ *
+ * Every change is written to AuditLog with the owner as actor.
+ */
+class PayoutAddressService {
+  /**
+   * Cooldown after confirmation, clamped to PAYOUT_ADDRESS.MIN/MAX_COOLDOWN_HOURS
+   */
+  async getCooldownHours() {
+    let hours = parseInt(DEFAULT_PLATFORM_SETTINGS[PAYOUT_ADDRESS.SETTING_KEY], 10);
+    try {
+      const setting = await prisma.platformSettings.findUnique({ where: { key: PAYOUT_ADDRESS.SETTING_KEY } });
+      const value = setting ? parseInt(setting.value, 10) : NaN;
+      if (Number.isInteger(value)) hours = value;
+    } catch (error) {
+      logger.error('Get payout address cooldown failed:', error);
+    }
+
+    return Math.min(Math.max(hours, PAYOUT_ADDRESS.MIN_COOLDOWN_HOURS), PAYOUT_ADDRESS.MAX_COOLDOWN_HOURS);
+  }
+
+  async list(userId) {
+    const addresses = await prisma.payoutAddress.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const now = new Date();
+    return addresses.map((entry) => this.format(entry, now));
+  }
+
+  /**
+   * Save a new address and send the Telegram confirmation
+   */
+  async add(userId, { network, address, label = null }) {
+    const networkConfig = WITHDRAWAL_NETWORKS[network];
+    if (!networkConfig) {
+      throw new ValidationError(`Unsupported network: ${network}`);
+    }
+    if (!address || !networkConfig.addressPattern.test(address)) {
+      throw new ValidationError(`Invalid ${networkConfig.label} address`);
+    }
+
+    const [user, count] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId }, select: { telegramId: true } }),
+      prisma.payoutAddress.count({ where: { userId } }),
+    ]);
+
+    if (!user?.telegramId) {
+      throw new ValidationError('Link your Telegram account to confirm payout addresses');
+    }
+    if (count >= PAYOUT_ADDRESS.MAX_PER_USER) {
+      throw new ValidationError(`You can save up to ${PAYOUT_ADDRESS.MAX_PER_USER} payout addresses`);
+    }
+
+    let entry;
+    try {
+      entry = await prisma.payoutAddress.create({
+        data: { userId, network, address, label },
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new ConflictError('This address is already saved');
+      }
+      throw error;
+    }
+
+    await this.audit(userId, AUDIT_ACTIONS.PAYOUT_ADDRESS_ADDED, entry);
+    await this.sendConfirmation(user.telegramId, entry);
+
+    logger.info(`Payout address added: ${entry.id} (${network}) by user ${userId}`);
+    return this.format(entry);
+  }
+
+  /**
+   * Confirmation from the login bot; only the owner's Telegram account can confirm
+   */
+  async confirm(addressId, telegramId, now = new Date()) {
+    const entry = await this.findForTelegramUser(addressId, telegramId);
+    const cooldownHours = await this.getCooldownHours();
+    const availableAt = new Date(now.getTime() + cooldownHours * HOUR_MS);
+
+    const claimed = await prisma.payoutAddress.updateMany({
+      where: { id: entry.id, status: PENDING_CONFIRMATION },
+      data: { status: CONFIRMED, confirmedAt: now, availableAt },
+    });
+
+    if (claimed.count === 0) {
+      throw new ValidationError('Address is already confirmed');
+    }
+
+    const confirmed = { ...entry, status: CONFIRMED, confirmedAt: now, availableAt };
+    await this.audit(entry.userId, AUDIT_ACTIONS.PAYOUT_ADDRESS_CONFIRMED, confirmed, { cooldownHours });
+
+    logger.info(`Payout address confirmed: ${entry.id}, available at ${availableAt.toISOString()}`);
+    return this.format(confirmed, now);
+  }
+
+  /**
+   * "Not me" from the login bot — the unconfirmed address is removed
+   */
+  async cancel(addressId, telegramId) {
+    const entry = await this.findForTelegramUser(addressId, telegramId);
+
+    if (entry.status !== PENDING_CONFIRMATION) {
+      throw new ValidationError('Address is already confirmed');
+    }
+
+    return this.delete(entry, { via: 'telegram' });
+  }
+
+  async remove(userId, addressId) {
+    const entry = await prisma.payoutAddress.findFirst({ where: { id: addressId, userId } });
+    if (!entry) throw new NotFoundError('Payout address not found');
+
+    return this.delete(entry);
+  }
+
+  /**
+   * Saved address for requestWithdrawal — must be confirmed and past its cooldown
+   */
+  async getUsable(userId, addressId, now = new Date()) {
+    const entry = await prisma.payoutAddress.findFirst({ where: { id: addressId, userId } });
+
+    if (!entry) throw new NotFoundError('Payout address not found');
+    if (entry.status !== CONFIRMED) {
+      throw new ValidationError('Confirm this address in Telegram first');
+    }
+    if (entry.availableAt > now) {
+      const hours = Math.ceil((entry.availableAt - now) / HOUR_MS);
+      throw new ValidationError(`New payout address can be used in ${hours}h`);
+    }
+
+    return entry;
+  }
+
+  // ==================== HELPERS ====================
+
+  async findForTelegramUser(addressId, telegramId) {
+    const entry = await prisma.payoutAddress.findUnique({
+      where: { id: addressId },
+      include: { user: { select: { telegramId: true } } },
+    });
+
+    if (!entry || entry.user.telegramId !== String(telegramId)) {
+      throw new NotFoundError('Payout address not found');
+    }
+
+    const { user, ...address } = entry;
+    return address;
+  }
+
+  async delete(entry, metadata = {}) {
+    await prisma.payoutAddress.delete({ where: { id: entry.id } });
+    await this.audit(entry.userId, AUDIT_ACTIONS.PAYOUT_ADDRESS_REMOVED, entry, metadata);
+
+    logger.info(`Payout address removed: ${entry.id} (user ${entry.userId})`);
+    return { id: entry.id };
+  }
+
+  async audit(userId, action, entry, metadata = {}) {
+    await prisma.auditLog.create({
+      data: {
+        userId,
+        action,
+        entityType: 'payout_address',
+        entityId: entry.id,
+        metadata: { network: entry.network, address: entry.address, label: entry.label, ...metadata },
+      },
+    });
+  }
+
+  async sendConfirmation(telegramId, entry) {
+    const message =
+      `🔐 <b>Yangi yechish manzili</b>\n\n` +
+      `🌐 Tarmoq: ${WITHDRAWAL_NETWORKS[entry.network].label}\n` +
+      `🔗 Manzil: <code>${entry.address}</code>\n` +
+      (entry.label ? `🏷 Nomi: ${entry.label}\n` : '') +
+      `\nBu manzilni siz qo'shdingizmi? Tasdiqlangandan keyin u ` +
+      `${await this.getCooldownHours()} soatdan so'ng ishlatilishi mumkin.`;
+
+    const keyboard = new InlineKeyboard()
+      .text('✅ Tasdiqlash', `pa_confirm_${entry.id}`)
+      .text('❌ Men emas', `pa_cancel_${entry.id}`);
+
+    try {
+      await telegramBot.bot.api.sendMessage(telegramId, message, {
+        parse_mode: 'HTML',
+        reply_markup: keyboard,
+      });
+    } catch (error) {
+      // The address stays unconfirmed; the user can remove it and add it again
+      logger.warn(`Payout address confirmation not sent to ${telegramId}: ${error.message}`);
+    }
+  }
+
+  format(entry, now = new Date()) {
+    return {
+      id: entry.id,
+      network: entry.network,
+      networkLabel: WITHDRAWAL_NETWORKS[entry.network]?.label || entry.network,
+      address: entry.address,
+      label: entry.label,
+      status: entry.status,
+      confirmedAt: entry.confirmedAt,
+      availableAt: entry.availableAt,
+      usable: entry.status === CONFIRMED && entry.availableAt <= now,
+      createdAt: entry.createdAt,
+    };
+  }
+}
+
+const payoutAddressService = new PayoutAddressService();
+export default payoutAddressService;
@@ -0,0 +1,232 @@
+// src/services/payments/payoutService.js
+import prisma from '../../config/database.js';
+import withdrawService from './withdrawService.js';
+import nowpaymentsService from './providers/nowpaymentService.js';
+import mockPayoutService from './providers/mockPayoutService.js';
+import logger from '../../utils/logger.js';
+import { PayoutRejectedError } from '../../utils/errors.js';
+import { PAYOUT_PROVIDERS, PAYOUT_RESULTS, PAYOUT_SUBMIT, WITHDRAWAL_NETWORKS } from '../../config/constants.js';
+
+/**
+ * Payout Service
+ * Automated USDT payouts for approved withdrawals (PAYOUT_PROVIDER=nowpayments | mock).
+ *
+ *   approveWithdrawal → APPROVED, processWithdrawal(PAYOUT) job → submit()
+ *   submit            → SENT, provider payout created (funds stay reserved)
+ *                       no definite answer → stays SENT with payoutStatus UNKNOWN until IPN / pollPayouts
+ *   IPN FINISHED      → COMPLETED, txHash stored, reserved funds leave the wallet
+ *   IPN FAILED        → back to REQUESTED (flagged: PENDING_REVIEW, two fresh approvals) with reserved
+ *                       funds intact; admins re-approve or reject
+ */
+class PayoutService {
+  constructor() {
+    this.providers = {
+      [PAYOUT_PROVIDERS.NOWPAYMENTS]: nowpaymentsService,
+      [PAYOUT_PROVIDERS.MOCK]: mockPayoutService,
+    };
+  }
+
+  /**
+   * Configured provider name, null = manual payouts
+   */
+  getProviderName() {
+    const name = (process.env.PAYOUT_PROVIDER || '').toLowerCase();
+
+    if (name === PAYOUT_PROVIDERS.MOCK && process.env.NODE_ENV === 'production') {
+      return null;
+    }
+
+    return this.providers[name] ? name : null;
+  }
+
+  isAutomated() {
+    return this.getProviderName() !== null;
+  }
+
+  /**
+   * Submit the payout of an APPROVED withdrawal (processWithdrawal job).
+   * APPROVED → SENT is claimed first, so a retried job never pays twice.
+   */
+  async submit(withdrawalId) {
+    const providerName = this.getProviderName();
+
+    const claimed = await prisma.withdrawRequest.updateMany({
+      where: { id: withdrawalId, status: 'APPROVED' },
+      data: { status: 'SENT', payoutProvider: providerName, payoutId: null, payoutStatus: null },
+    });
+
+    if (claimed.count === 0) {
+      logger.warn(`Payout skipped: withdrawal ${withdrawalId} is not APPROVED`);
+      return { skipped: true };
+    }
+
+    const withdrawal = await prisma.withdrawRequest.findUnique({ where: { id: withdrawalId } });
+    const network = WITHDRAWAL_NETWORKS[withdrawal.network];
+
+    if (!providerName || !network) {
+      const reason = providerName ? `Unsupported network: ${withdrawal.network}` : 'Automated payouts are disabled';
+      await withdrawService.failPayout(withdrawal, reason);
+      return { withdrawalId, result: PAYOUT_RESULTS.FAILED };
+    }
+
+    let payout;
+    try {
+      payout = await this.providers[providerName].createPayout({
+        withdrawalId,
+        address: withdrawal.address,
+        amount: parseFloat(withdrawal.netAmount),
+        currency: network.payoutCurrency,
+      });
+    } catch (error) {
+      if (error instanceof PayoutRejectedError) {
+        logger.error(`Payout rejected: ${withdrawalId}`, error);
+        await withdrawService.failPayout(withdrawal, error.message);
+        return { withdrawalId, result: PAYOUT_RESULTS.FAILED };
+      }
+
+      // Timeout, connection reset, 5xx: the provider may have accepted it, so the withdrawal
+      // must not go back to REQUESTED (a re-approval would pay twice). IPN or pollPayouts settles it.
+      logger.error(`Payout result unknown: ${withdrawalId}`, error);
+      await prisma.withdrawRequest.updateMany({
+        where: { id: withdrawalId, status: 'SENT', payoutId: null },
+        data: { payoutStatus: PAYOUT_SUBMIT.UNKNOWN_STATUS },
+      });
+      return { withdrawalId, result: PAYOUT_RESULTS.PENDING, unknown: true };
+    }
+
+    await prisma.withdrawRequest.update({
+      where: { id: withdrawalId },
+      data: { payoutId: payout.id, payoutStatus: payout.status },
+    });
+
+    logger.info(`Payout submitted: ${withdrawalId} via ${providerName}, payout ${payout.id} (${payout.status})`);
+
+    return this.applyResult({ ...withdrawal, status: 'SENT', payoutId: payout.id }, payout);
+  }
+
+  /**
+   * Settle SENT withdrawals whose payout request got no definite answer (pollPayouts job):
+   * payoutStatus UNKNOWN, or no payoutId long after the claim (crash right after it).
+   * Looked up by unique_external_id; a payout the provider still does not know
+   * after NOT_FOUND_FAIL_AFTER_MS never arrived and the withdrawal goes back to admins.
+   */
+  async pollPayouts() {
+    const now = Date.now();
+
+    const withdrawals = await prisma.withdrawRequest.findMany({
+      where: {
+        status: 'SENT',
+        payoutProvider: { not: null },
+        OR: [
+          { payoutStatus: PAYOUT_SUBMIT.UNKNOWN_STATUS },
+          { payoutId: null, updatedAt: { lt: new Date(now - PAYOUT_SUBMIT.TIMEOUT_MS * 2) } },
+        ],
+      },
+      orderBy: { updatedAt: 'asc' },
+      take: PAYOUT_SUBMIT.POLL_BATCH,
+    });
+
+    let settled = 0;
+
+    for (const withdrawal of withdrawals) {
+      const provider = this.providers[withdrawal.payoutProvider];
+      if (!provider) continue;
+
+      let payout;
+      try {
+        payout = await provider.findPayout(withdrawal);
+      } catch (error) {
+        logger.warn(`Payout status poll failed: ${withdrawal.id} - ${error.message}`);
+        continue;
+      }
+
+      if (payout) {
+        if (!withdrawal.payoutId && payout.id) {
+          await prisma.withdrawRequest.update({ where: { id: withdrawal.id }, data: { payoutId: payout.id } });
+        }
+        await this.applyResult({ ...withdrawal, payoutId: withdrawal.payoutId || payout.id }, payout);
+        settled++;
+      } else if (now - withdrawal.updatedAt.getTime() > PAYOUT_SUBMIT.NOT_FOUND_FAIL_AFTER_MS) {
+        await withdrawService.failPayout(withdrawal, 'Payout not found at the provider');
+        settled++;
+      }
+    }
+
+    if (withdrawals.length > 0) {
+      logger.info(`Payout poll: ${settled}/${withdrawals.length} settled`);
+    }
+
+    return { checked: withdrawals.length, settled };
+  }
+
+  /**
+   * Payout status callback from the provider
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async handleIpn(providerName, signature, body) {
+    const provider = this.providers[providerName];
+    if (!provider) {
+      return { success: false, error: 'Unknown payout provider' };
+    }
+
+    if (!provider.verifyIpnSignature(body, signature)) {
+      logger.warn(`Invalid payout IPN signature (${providerName})`);
+      return { success: false, error: 'Invalid signature' };
+    }
+
+    const payout = provider.parsePayoutIpn(body);
+
+    const withdrawal = await prisma.withdrawRequest.findFirst({
+      where: {
+        payoutProvider: providerName,
+        OR: [
+          ...(payout.id ? [{ payoutId: payout.id }] : []),
+          // Payout created but its id not stored (crash right after createPayout)
+          ...(payout.externalId ? [{ id: payout.externalId, payoutId: null }] : []),
+        ],
+      },
+    });
+
+    if (!withdrawal) {
+      logger.warn(`Payout IPN: withdrawal not found for payout ${payout.id}`);
+      return { success: false, error: 'Payout not found' };
+    }
+
+    await this.applyResult(withdrawal, payout);
+    return { success: true };
+  }
+
+  /**
+   * Apply a normalized provider status to a SENT withdrawal (repeated callbacks are no-ops)
+   */
+  async applyResult(withdrawal, payout) {
+    if (withdrawal.status !== 'SENT') {
+      return { withdrawalId: withdrawal.id, skipped: true };
+    }
+
+    switch (payout.result) {
+      case PAYOUT_RESULTS.FINISHED:
+        await withdrawService.completeWithdrawal(withdrawal, {
+          fromStatuses: ['SENT'],
+          txHash: payout.txHash,
+          payoutStatus: payout.status,
+        });
+        break;
+
+      case PAYOUT_RESULTS.FAILED:
+        await withdrawService.failPayout(withdrawal, payout.error || `Payout ${payout.status}`, payout.status);
+        break;
+
+      default:
+        await prisma.withdrawRequest.update({
+          where: { id: withdrawal.id },
+          data: { payoutStatus: payout.status, ...(payout.id && !withdrawal.payoutId && { payoutId: payout.id }) },
+        });
+    }
+
+    return { withdrawalId: withdrawal.id, result: payout.result };
+  }
+}
+
+const payoutService = new PayoutService();
+export default payoutService;
@@ -1,41 +1,72 @@
 import crypto from 'crypto';
-import axios from 'axios';
+import prisma from '../../../config/database.js';
+import walletService from '../../wallet/walletService.js';
 import logger from '../../../utils/logger.js';
 import { PaymentError } from '../../../utils/errors.js';
 
+// Click SHOP API error codes
+const CLICK_ERRORS = {
+  SUCCESS: { error: 0, error_note: 'Success' },
+  SIGN_CHECK_FAILED: { error: -1, error_note: 'SIGN CHECK FAILED!' },
+  INCORRECT_AMOUNT: { error: -2, error_note: 'Incorrect parameter amount' },
+  ACTION_NOT_FOUND: { error: -3, error_note: 'Action not found' },
+  ALREADY_PAID: { error: -4, error_note: 'Already paid' },
+  ORDER_NOT_FOUND: { error: -5, error_note: 'User does not exist' },
+  TRANSACTION_NOT_FOUND: { error: -6, error_note: 'Transaction does not exist' },
+  UPDATE_FAILED: { error: -7, error_note: 'Failed to update user' },
+  TRANSACTION_CANCELLED: { error: -9, error_note: 'Transaction cancelled' },
+};
+
+const ACTIONS = { PREPARE: 0, COMPLETE: 1 };
+
 /**
  * Click Payment Provider
  * Uzbekistan's leading payment system
  * Docs: https://docs.click.uz
+ *
+ * FLOW:
+ * 1. Frontend: POST /deposit/initiate (provider CLICK) → paymentUrl with the amount in UZS
+ * 2. User: Opens paymentUrl → pays on Click
+ * 3. Click: POST /webhooks/click/prepare → POST /webhooks/click/complete
+ * 4. Wallet: credited once on complete; repeated callbacks get the same answer
+ *
+ * The USD Transaction keeps the UZS amount quoted at initiation (metadata.amount_uzs),
+ * so a rate change between initiation and payment does not break the amount check.
  */
 class ClickService {
   constructor() {
     this.merchantId = process.env.CLICK_MERCHANT_ID;
     this.secretKey = process.env.CLICK_SECRET_KEY;
     this.serviceId = process.env.CLICK_SERVICE_ID;
-    this.baseUrl = 'https://api.click.uz/v2';
+    this.baseUrl = 'https://my.click.uz/services/pay';
+
+    // 1 USD = UZS (same rate as Payme)
+    this.usdToUzsRate = parseFloat(process.env.USD_TO_UZS_RATE || '12700');
+  }
+
+  /**
+   * Convert USD to UZS (whole sum)
+   */
+  usdToUzs(usd) {
+    return Math.round(usd * this.usdToUzsRate);
   }
 
   /**
    * Generate payment URL
    */
-  async createPayment(data) {
+  createPayment({ transactionId, amountUzs }) {
     try {
-      const { userId, amount, transactionId } = data;
-
-      // Create payment URL
       const params = new URLSearchParams({
         service_id: this.serviceId,
         merchant_id: this.merchantId,
-        amount: amount,
+        amount: amountUzs.toFixed(2),
         transaction_param: transactionId,
         return_url: `${process.env.FRONTEND_URL}/payment/success`,
-        cancel_url: `${process.env.FRONTEND_URL}/payment/cancel`,
       });
 
-      const paymentUrl = `https://my.click.uz/services/pay?${params.toString()}`;
+      const paymentUrl = `${this.baseUrl}?${params.toString()}`;
 
-      logger.info(`Click payment created: ${transactionId}`);
+      logger.info(`Click payment created: ${transactionId}, amount=${amountUzs} UZS`);
 
       return {
         paymentUrl,
@@ -49,6 +80,8 @@ class ClickService {
 
   /**
    * Verify webhook signature
+   * prepare:  md5(click_trans_id + service_id + SECRET_KEY + merchant_trans_id + amount + action + sign_time)
+   * complete: the same with merchant_prepare_id after merchant_trans_id
    */
   verifySignature(params) {
     try {
@@ -56,19 +89,23 @@ class ClickService {
         click_trans_id,
         service_id,
         merchant_trans_id,
+        merchant_prepare_id,
         amount,
         action,
         sign_time,
         sign_string,
       } = params;
 
-      // Build sign string
-      const signString = `${click_trans_id}${service_id}${this.secretKey}${merchant_trans_id}${amount}${action}${sign_time}`;
+      if (!this.secretKey || !sign_string) return false;
+      if (this.serviceId && String(service_id) !== String(this.serviceId)) return false;
+
+      const prepareId = Number(action) === ACTIONS.COMPLETE ? merchant_prepare_id : '';
+      const signString =
+        `${click_trans_id}${service_id}${this.secretKey}${merchant_trans_id}${prepareId}${amount}${action}${sign_time}`;
 
-      // Generate MD5 hash
       const hash = crypto.createHash('md5').update(signString).digest('hex');
 
-      return hash === sign_string;
+      return hash === String(sign_string).toLowerCase();
     } catch (error) {
       logger.error('Click signature verification failed:', error);
       return false;
@@ -77,155 +114,177 @@ class ClickService {
 
   /**
    * Process webhook - Prepare
+   * Binds the Click transaction to our deposit; repeating it is harmless.
    */
   async processPrepare(params) {
     try {
-      const {
-        click_trans_id,
-        merchant_trans_id,
-        amount,
-        action,
-        error,
-        error_note,
-      } = params;
+      const { click_trans_id, click_paydoc_id, merchant_trans_id, amount, action } = params;
 
-      // Verify signature
-      if (!this.verifySignature(params)) {
-        return {
-          error: -1,
-          error_note: 'Invalid signature',
-        };
+      if (Number(action) !== ACTIONS.PREPARE) {
+        return this.reply(params, CLICK_ERRORS.ACTION_NOT_FOUND);
       }
 
-      // Check if transaction exists
-      const prisma = (await import('../../../config/database.js')).default;
-      const transaction = await prisma.transaction.findUnique({
-        where: { id: merchant_trans_id },
-      });
+      if (!this.verifySignature(params)) {
+        logger.warn(`Click prepare: invalid signature for ${merchant_trans_id}`);
+        return this.reply(params, CLICK_ERRORS.SIGN_CHECK_FAILED);
+      }
 
+      const transaction = await this.findDeposit(merchant_trans_id);
       if (!transaction) {
-        return {
-          error: -5,
-          error_note: 'Transaction not found',
-        };
+        return this.reply(params, CLICK_ERRORS.ORDER_NOT_FOUND);
       }
 
-      // Check if already processed
       if (transaction.status === 'SUCCESS') {
-        return {
-          error: -4,
-          error_note: 'Already paid',
-        };
+        return this.reply(params, CLICK_ERRORS.ALREADY_PAID);
+      }
+      if (transaction.status !== 'PENDING') {
+        return this.reply(params, CLICK_ERRORS.TRANSACTION_CANCELLED);
       }
 
-      // Check amount
-      if (parseFloat(amount) !== parseFloat(transaction.amount)) {
-        return {
-          error: -2,
-          error_note: 'Incorrect amount',
-        };
+      if (!this.amountMatches(transaction, amount)) {
+        logger.warn(`Click prepare: amount mismatch for ${transaction.id}: ${amount} UZS`);
+        return this.reply(params, CLICK_ERRORS.INCORRECT_AMOUNT);
       }
 
-      // Success response
-      return {
-        click_trans_id,
-        merchant_trans_id,
-        merchant_prepare_id: transaction.id,
-        error: 0,
-        error_note: 'Success',
-      };
+      // A new attempt replaces an earlier prepare that never completed
+      if (transaction.providerTxId !== String(click_trans_id)) {
+        await prisma.transaction.update({
+          where: { id: transaction.id },
+          data: {
+            providerTxId: String(click_trans_id),
+            metadata: {
+              ...(transaction.metadata || {}),
+              click_paydoc_id,
+              prepare_time: Date.now(),
+            },
+          },
+        });
+      }
+
+      return this.reply(params, CLICK_ERRORS.SUCCESS, { merchant_prepare_id: transaction.id });
     } catch (error) {
       logger.error('Click prepare failed:', error);
-      return {
-        error: -9,
-        error_note: 'System error',
-      };
+      return this.reply(params, CLICK_ERRORS.UPDATE_FAILED);
     }
   }
 
   /**
    * Process webhook - Complete
+   * The PENDING → SUCCESS claim makes sure the wallet is credited once.
    */
   async processComplete(params) {
     try {
-      const {
-        click_trans_id,
-        merchant_trans_id,
-        merchant_prepare_id,
-        amount,
-        action,
-        error,
-      } = params;
+      const { click_trans_id, merchant_trans_id, merchant_prepare_id, amount, action, error } = params;
 
-      // Verify signature
-      if (!this.verifySignature(params)) {
-        return {
-          error: -1,
-          error_note: 'Invalid signature',
-        };
+      if (Number(action) !== ACTIONS.COMPLETE) {
+        return this.reply(params, CLICK_ERRORS.ACTION_NOT_FOUND);
       }
 
-      const prisma = (await import('../../../config/database.js')).default;
-      
-      // Get transaction
-      const transaction = await prisma.transaction.findUnique({
-        where: { id: merchant_trans_id },
-      });
+      if (!this.verifySignature(params)) {
+        logger.warn(`Click complete: invalid signature for ${merchant_trans_id}`);
+        return this.reply(params, CLICK_ERRORS.SIGN_CHECK_FAILED);
+      }
 
+      const transaction = await this.findDeposit(merchant_trans_id);
       if (!transaction) {
-        return {
-          error: -5,
-          error_note: 'Transaction not found',
-        };
+        return this.reply(params, CLICK_ERRORS.ORDER_NOT_FOUND);
       }
 
-      // If payment failed
-      if (error < 0) {
-        await prisma.transaction.update({
-          where: { id: transaction.id },
-          data: {
-            status: 'FAILED',
-            providerTxId: click_trans_id,
-          },
+      // Complete must follow our prepare of the same Click transaction
+      if (merchant_prepare_id !== transaction.id || transaction.providerTxId !== String(click_trans_id)) {
+        return this.reply(params, CLICK_ERRORS.TRANSACTION_NOT_FOUND);
+      }
+
+      // Repeated complete of a paid deposit — same answer, no second credit
+      if (transaction.status === 'SUCCESS') {
+        return this.reply(params, CLICK_ERRORS.SUCCESS, { merchant_confirm_id: transaction.id });
+      }
+
+      if (transaction.status !== 'PENDING') {
+        return this.reply(params, CLICK_ERRORS.TRANSACTION_CANCELLED);
+      }
+
+      if (!this.amountMatches(transaction, amount)) {
+        return this.reply(params, CLICK_ERRORS.INCORRECT_AMOUNT);
+      }
+
+      // Payment failed on Click side
+      if (Number(error) < 0) {
+        await prisma.transaction.updateMany({
+          where: { id: transaction.id, status: 'PENDING' },
+          data: { status: 'FAILED' },
         });
 
-        return {
-          error: -9,
-          error_note: 'Payment failed',
-        };
+        logger.info(`Click payment failed: ${transaction.id}, error=${error}`);
+        return this.reply(params, CLICK_ERRORS.TRANSACTION_CANCELLED);
       }
 
-      // Update transaction
-      await prisma.transaction.update({
-        where: { id: transaction.id },
+      const claimed = await prisma.transaction.updateMany({
+        where: { id: transaction.id, status: 'PENDING' },
         data: {
           status: 'SUCCESS',
-          providerTxId: click_trans_id,
+          metadata: { ...(transaction.metadata || {}), perform_time: Date.now() },
         },
       });
 
-      // Credit wallet
-      const walletService = (await import('../walletService.js')).default;
-      await walletService.credit(transaction.userId, parseFloat(amount), 'DEPOSIT', transaction.id);
+      // A concurrent complete got here first
+      if (claimed.count === 0) {
+        const current = await prisma.transaction.findUnique({ where: { id: transaction.id } });
+        return current.status === 'SUCCESS'
+          ? this.reply(params, CLICK_ERRORS.SUCCESS, { merchant_confirm_id: current.id })
+          : this.reply(params, CLICK_ERRORS.TRANSACTION_CANCELLED);
+      }
 
-      logger.info(`Click payment completed: ${merchant_trans_id}`);
+      try {
+        await walletService.credit(
+          transaction.userId,
+          parseFloat(transaction.amount),
+          'DEPOSIT',
+          transaction.id
+        );
+      } catch (creditError) {
+        // Back to PENDING so Click's retry of complete credits the wallet
+        await prisma.transaction.update({
+          where: { id: transaction.id },
+          data: { status: 'PENDING' },
+        });
+        logger.error(`Click complete: wallet credit failed for ${transaction.id}`, creditError);
+        return this.reply(params, CLICK_ERRORS.UPDATE_FAILED);
+      }
 
-      return {
-        click_trans_id,
-        merchant_trans_id,
-        merchant_confirm_id: transaction.id,
-        error: 0,
-        error_note: 'Success',
-      };
+      logger.info(`✅ Click payment completed: ${transaction.id}, amount=$${transaction.amount}, user=${transaction.userId}`);
+
+      return this.reply(params, CLICK_ERRORS.SUCCESS, { merchant_confirm_id: transaction.id });
     } catch (error) {
       logger.error('Click complete failed:', error);
-      return {
-        error: -9,
-        error_note: 'System error',
-      };
+      return this.reply(params, CLICK_ERRORS.UPDATE_FAILED);
     }
   }
+
+  // ==================== HELPERS ====================
+
+  async findDeposit(transactionId) {
+    if (!transactionId) return null;
+
+    return prisma.transaction.findFirst({
+      where: { id: String(transactionId), type: 'DEPOSIT', provider: 'CLICK' },
+    });
+  }
+
+  amountMatches(transaction, amountUzs) {
+    const expected = transaction.metadata?.amount_uzs ?? this.usdToUzs(parseFloat(transaction.amount));
+    return Math.abs(parseFloat(amountUzs) - expected) < 0.01;
+  }
+
+  reply(params, result, ids = {}) {
+    return {
+      click_trans_id: params.click_trans_id,
+      merchant_trans_id: params.merchant_trans_id,
+      ...ids,
+      ...result,
+    };
+  }
 }
 
 const clickService = new ClickService();
-export default clickService;
\ No newline at end of file
+export default clickService;
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import logger from '../../../utils/logger.js';
+import { PaymentError, PayoutRejectedError } from '../../../utils/errors.js';
+import { PAYOUT_RESULTS } from '../../../config/constants.js';
+
+/**
+ * Mock Payout Provider
+ * Local stand-in for NOWPayments payouts (PAYOUT_PROVIDER=mock, never in production).
+ *
+ * MOCK_PAYOUT_RESULT decides what a new payout does:
+ *   finished (default) — settles at once with a fake txHash
+ *   failed             — rejected at once
+ *   pending            — stays WAITING until an IPN is posted to /api/v1/webhooks/payouts/mock,
+ *                        e.g. { "id": "<payoutId>", "status": "FINISHED", "hash": "0xabc" }
+ *   rejected           — createPayout is refused (PayoutRejectedError, nothing sent)
+ *   error              — createPayout throws an ambiguous error (provider unreachable)
+ */
+class MockPayoutService {
+  constructor() {
+    // withdrawalId → payout, for findPayout (lost on restart)
+    this.payouts = new Map();
+  }
+
+  async createPayout({ address, amount, currency, withdrawalId }) {
+    const mode = (process.env.MOCK_PAYOUT_RESULT || 'finished').toLowerCase();
+
+    if (mode === 'rejected') {
+      throw new PayoutRejectedError('Mock payout rejected');
+    }
+    if (mode === 'error') {
+      throw new PaymentError('Mock payout provider unavailable');
+    }
+
+    const status = { finished: 'FINISHED', failed: 'FAILED' }[mode] || 'WAITING';
+    const payout = {
+      id: `mock_${crypto.randomBytes(8).toString('hex')}`,
+      batchId: null,
+      status,
+      result: this.normalizePayoutStatus(status),
+      txHash: status === 'FINISHED' ? `0x${crypto.randomBytes(32).toString('hex')}` : null,
+      error: status === 'FAILED' ? 'Mock payout rejected' : null,
+    };
+
+    this.payouts.set(withdrawalId, payout);
+    logger.info(`Mock payout ${payout.id}: ${amount} ${currency} → ${address} (${withdrawalId}), ${status}`);
+    return payout;
+  }
+
+  async findPayout(withdrawal) {
+    return this.payouts.get(withdrawal.id) || null;
+  }
+
+  verifyIpnSignature() {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  parsePayoutIpn(body) {
+    return {
+      id: body.id?.toString(),
+      externalId: body.unique_external_id || null,
+      status: body.status,
+      result: this.normalizePayoutStatus(body.status),
+      txHash: body.hash || null,
+      error: body.error || null,
+    };
+  }
+
+  normalizePayoutStatus(status) {
+    switch ((status || '').toUpperCase()) {
+      case 'FINISHED':
+        return PAYOUT_RESULTS.FINISHED;
+      case 'FAILED':
+      case 'REJECTED':
+        return PAYOUT_RESULTS.FAILED;
+      default:
+        return PAYOUT_RESULTS.PENDING;
+    }
+  }
+}
+
+const mockPayoutService = new MockPayoutService();
+export default mockPayoutService;
@@ -1,7 +1,11 @@
 import axios from 'axios';
 import crypto from 'crypto';
 import logger from '../../../utils/logger.js';
-import { PaymentError } from '../../../utils/errors.js';
+import { PaymentError, PayoutRejectedError } from '../../../utils/errors.js';
+import { PAYOUT_RESULTS, PAYOUT_SUBMIT } from '../../../config/constants.js';
+
+// JWT from /auth is valid for 5 minutes
+const AUTH_TOKEN_TTL_MS = 4 * 60 * 1000;
 
 /**
  * NOWPayments Service
@@ -12,7 +16,11 @@ class NowPaymentsService {
   constructor() {
     this.apiKey = process.env.NOWPAYMENTS_API_KEY;
     this.ipnSecret = process.env.NOWPAYMENTS_IPN_SECRET;
+    this.email = process.env.NOWPAYMENTS_EMAIL;
+    this.password = process.env.NOWPAYMENTS_PASSWORD;
     this.isSandbox = process.env.NOWPAYMENTS_SANDBOX === 'true';
+    this.authToken = null;
+    this.authTokenAt = 0;
     this.baseUrl = this.isSandbox
       ? 'https://api-sandbox.nowpayments.io/v1'
       : 'https://api.nowpayments.io/v1';
@@ -210,39 +218,144 @@ class NowPaymentsService {
     }
   }
 
+  /**
+   * JWT for payout endpoints (cached)
+   */
+  async getAuthToken() {
+    if (this.authToken && Date.now() - this.authTokenAt < AUTH_TOKEN_TTL_MS) {
+      return this.authToken;
+    }
+
+    const response = await axios.post(`${this.baseUrl}/auth`, {
+      email: this.email,
+      password: this.password,
+    });
+
+    this.authToken = response.data.token;
+    this.authTokenAt = Date.now();
+    return this.authToken;
+  }
+
   /**
    * Create payout (for withdrawals)
+   * Payout 2FA verification must be disabled for the API key, otherwise the batch waits
+   * for a manual confirmation in the NOWPayments dashboard.
+   * Throws PayoutRejectedError only when nothing was sent (no auth token, 4xx answer with an error body);
+   * any other error is ambiguous — the payout may exist, look it up with findPayout().
+   * @param {Object} data
+   * @param {string} data.withdrawalId - sent as unique_external_id
+   * @param {string} data.address
+   * @param {number} data.amount - USDT the user receives
+   * @param {string} data.currency - NOWPayments currency code (WITHDRAWAL_NETWORKS.payoutCurrency)
+   * @returns {Promise<{id: string, batchId: string, status: string, result: string}>}
    */
   async createPayout(data) {
+    const { address, amount, currency, withdrawalId } = data;
+    const ipnCallbackUrl = `${process.env.APP_URL}/api/v1/webhooks/payouts/nowpayments`;
+
+    let authToken;
     try {
-      const { address, amount, coin, withdrawalId } = data;
+      authToken = await this.getAuthToken();
+    } catch (error) {
+      logger.error('Payout auth failed:', error.response?.data || error.message);
+      throw new PayoutRejectedError('NOWPayments payout authentication failed');
+    }
 
-      const response = await axios.post(
+    let response;
+    try {
+      response = await axios.post(
         `${this.baseUrl}/payout`,
         {
+          ipn_callback_url: ipnCallbackUrl,
           withdrawals: [
             {
               address,
-              currency: coin.toLowerCase(),
+              currency,
               amount,
-              extra_id: withdrawalId,
+              ipn_callback_url: ipnCallbackUrl,
+              unique_external_id: withdrawalId,
             },
           ],
         },
         {
           headers: {
             'x-api-key': this.apiKey,
+            Authorization: `Bearer ${authToken}`,
             'Content-Type': 'application/json',
           },
+          timeout: PAYOUT_SUBMIT.TIMEOUT_MS,
         }
       );
+    } catch (error) {
+      const { status, data: body } = error.response || {};
+      logger.error('Create payout failed:', body || error.message);
 
-      logger.info(`Crypto payout created: ${withdrawalId}`);
+      if (status >= 400 && status < 500 && body) {
+        throw new PayoutRejectedError(body.message || `NOWPayments rejected the payout (HTTP ${status})`);
+      }
+      throw new PaymentError(`Payout result unknown: ${body?.message || error.code || error.message}`);
+    }
 
-      return response.data;
-    } catch (error) {
-      logger.error('Create payout failed:', error);
-      throw new PaymentError('Failed to create crypto payout');
+    const [payout] = response.data.withdrawals;
+
+    logger.info(`Crypto payout created: ${withdrawalId}, payout ${payout.id}`);
+
+    return {
+      id: payout.id.toString(),
+      batchId: response.data.id?.toString(),
+      status: payout.status,
+      result: this.normalizePayoutStatus(payout.status),
+    };
+  }
+
+  /**
+   * Look up a payout by the unique_external_id it was created with (withdrawal id)
+   * @param {Object} withdrawal - id, updatedAt (set when it went SENT; a day earlier is searched for clock skew)
+   * @returns {Promise<Object|null>} normalized like parsePayoutIpn, null = no such payout
+   */
+  async findPayout(withdrawal) {
+    const response = await axios.get(`${this.baseUrl}/payout`, {
+      headers: {
+        'x-api-key': this.apiKey,
+        Authorization: `Bearer ${await this.getAuthToken()}`,
+      },
+      params: {
+        date_from: new Date(withdrawal.updatedAt.getTime() - 24 * 60 * 60 * 1000).toISOString(),
+        limit: 500,
+      },
+      timeout: PAYOUT_SUBMIT.TIMEOUT_MS,
+    });
+
+    const payout = (response.data.payouts || []).find((item) => item.unique_external_id === withdrawal.id);
+    return payout ? this.parsePayoutIpn(payout) : null;
+  }
+
+  /**
+   * Payout IPN body → { id, externalId, status, result, txHash, error }
+   */
+  parsePayoutIpn(body) {
+    return {
+      id: body.id?.toString(),
+      externalId: body.unique_external_id || null,
+      status: body.status,
+      result: this.normalizePayoutStatus(body.status),
+      txHash: body.hash || null,
+      error: body.error || null,
+    };
+  }
+
+  /**
+   * WAITING / PROCESSING / SENDING → PENDING, FINISHED, FAILED / REJECTED → FAILED
+   */
+  normalizePayoutStatus(status) {
+    switch ((status || '').toUpperCase()) {
+      case 'FINISHED':
+        return PAYOUT_RESULTS.FINISHED;
+      case 'FAILED':
+      case 'REJECTED':
+        return PAYOUT_RESULTS.FAILED;
+      default:
+        return PAYOUT_RESULTS.PENDING;
     }
   }
 }
@@ -5,19 +5,34 @@ import telegramBot from '../../config/telegram.js';
 import logger from '../../utils/logger.js';
 import { InlineKeyboard } from 'grammy';
 import { InsufficientFundsError, ValidationError } from '../../utils/errors.js';
-
-// BEP-20 manzil formati: 0x + 40 hex belgi
-const BEP20_REGEX = /^0x[a-fA-F0-9]{40}$/;
+import { enqueueWithdrawalEvent } from '../../jobs/queues/withdrawalQueue.js';
+import payoutService from './payoutService.js';
+import withdrawalRiskService from './withdrawalRiskService.js';
+import payoutAddressService from './payoutAddressService.js';
+import webhookService from '../webhook/webhookService.js';
+import {
+  AUDIT_ACTIONS,
+  WEBHOOKS,
+  WITHDRAWAL_EVENTS,
+  WITHDRAWAL_NETWORKS,
+  WITHDRAWAL_RISK,
+} from '../../config/constants.js';
 
 /**
  * Withdraw Service
  * LOGIKA:
- *  - Faqat BEP-20 USDT qabul qilinadi
+ *  - USDT: BEP-20, TRC-20 yoki TON (WITHDRAWAL_NETWORKS)
+ *  - Manzil: so'rovda (address) yoki saqlangan manzil (payoutAddressId — tasdiqlangan va cooldown o'tgan)
  *  - Fee: $3 FIXED (foiz emas!)
  *  - User so'ragan miqdor: amount
  *  - Hisobdan yechiladi: amount + $3 (fee)
  *  - User oladi: amount - $3 (netAmount)
- *  - Admin qo'lda USDT jo'natadi
+ *  - PAYOUT_PROVIDER yo'q — admin qo'lda USDT jo'natadi va tasdiqlaydi (→ COMPLETED)
+ *  - PAYOUT_PROVIDER bor — tasdiqlash payout job'ini ishga tushiradi (payoutService):
+ *      APPROVED → SENT → COMPLETED (txHash bilan) yoki xatoda yana REQUESTED (pul reserved da qoladi)
+ *  - Risk qoidasiga tushgan so'rov (withdrawalRiskService) → PENDING_REVIEW,
+ *    WITHDRAWAL_RISK.REQUIRED_APPROVALS ta turli admin tasdiqlamaguncha pul jo'natilmaydi
+ *    (payout xatosidan keyin yana PENDING_REVIEW — har bir urinishga yangi tasdiqlar)
  *  - Approve/Reject → User ga Telegram xabar
  */
 class WithdrawService {
@@ -27,13 +42,24 @@ class WithdrawService {
   // ─────────────────────────────────────────────
 
   async requestWithdrawal(userId, data) {
-    const { amount, bep20Address } = data;
+    const { amount, payoutAddressId = null } = data;
+    let network = data.network || 'BEP20';
+    let address = data.address || data.bep20Address; // bep20Address — eski klientlar uchun
+
+    // 0. Saqlangan manzil — tarmoq va manzil undan olinadi
+    if (payoutAddressId) {
+      const saved = await payoutAddressService.getUsable(userId, payoutAddressId);
+      network = saved.network;
+      address = saved.address;
+    }
 
-    // 1. BEP-20 manzil validatsiya
-    if (!bep20Address || !BEP20_REGEX.test(bep20Address)) {
-      throw new ValidationError(
-        'To\'g\'ri BEP-20 manzil kiriting (0x bilan boshlanuvchi 42 belgili)'
-      );
+    // 1. Tarmoq va manzil validatsiya
+    const networkConfig = WITHDRAWAL_NETWORKS[network];
+    if (!networkConfig) {
+      throw new ValidationError(`Tarmoq qo'llab-quvvatlanmaydi: ${network}`);
+    }
+    if (!address || !networkConfig.addressPattern.test(address)) {
+      throw new ValidationError(`To'g'ri ${networkConfig.label} manzil kiriting`);
     }
 
     // 2. Sozlamalarni olish
@@ -62,28 +88,47 @@ class WithdrawService {
       throw new ValidationError(`Yechish miqdori fee dan katta bo'lishi kerak ($${fee})`);
     }
 
-    // 6. Pulni rezerv qilish (available → reserved)
+    // 6. Risk qoidalari — birortasiga tushsa, ikki admin tekshiradi
+    const riskFlags = await withdrawalRiskService.evaluate(userId, { amount, address }, settings);
+
+    // 7. Pulni rezerv qilish (available → reserved)
     // walletService.reserve ichida balans tekshiriladi va xatolik otiladi
     await walletService.reserve(userId, totalRequired);
 
-    // 7. Withdraw so'rovi yaratish
+    // 8. Withdraw so'rovi yaratish
     const withdrawal = await prisma.withdrawRequest.create({
       data: {
         userId,
         method: 'CRYPTO',
         provider: 'CRYPTO',
         coin: 'USDT',
-        network: 'BEP20',
-        address: bep20Address,
+        network,
+        address,
+        payoutAddressId,
         amount,           // user so'ragan
         fee,              // $3
         netAmount,        // user oladi
-        status: 'REQUESTED',
+        status: riskFlags.length > 0 ? 'PENDING_REVIEW' : 'REQUESTED',
+        riskFlags: riskFlags.length > 0 ? riskFlags : undefined,
       },
     });
 
-    // 9. Admin larga Telegram xabar
-    await this.notifyAdminsNewWithdrawal(withdrawal, userId);
+    if (riskFlags.length > 0) {
+      await prisma.auditLog.create({
+        data: {
+          userId,
+          action: AUDIT_ACTIONS.WITHDRAWAL_FLAGGED,
+          entityType: 'withdrawal',
+          entityId: withdrawal.id,
+          metadata: JSON.stringify({ amount, address, network, riskFlags }),
+        },
+      });
+    }
+
+    // 9. Admin larga Telegram xabar (worker orqali)
+    await this.dispatchEvent(withdrawal.id, WITHDRAWAL_EVENTS.REQUESTED, {}, () =>
+      this.notifyAdminsNewWithdrawal(withdrawal, userId)
+    );
 
     logger.info(`Withdraw so'rovi: ${withdrawal.id}, user: ${userId}, amount: $${amount}, fee: $${fee}`);
     return withdrawal;
@@ -111,60 +156,252 @@ class WithdrawService {
       throw new ValidationError('Bu withdraw allaqachon qayta ishlangan');
     }
 
-    const totalAmount = parseFloat(withdrawal.amount) + parseFloat(withdrawal.fee);
+    // Tekshiruvdagi so'rov — yetarli tasdiq yig'ilmaguncha PENDING_REVIEW da qoladi
+    if (withdrawal.status === 'PENDING_REVIEW') {
+      const approvals = await this.recordReviewApproval(withdrawal, adminId);
+      if (approvals < WITHDRAWAL_RISK.REQUIRED_APPROVALS) {
+        return {
+          ...withdrawal,
+          approvals,
+          approvalsRequired: WITHDRAWAL_RISK.REQUIRED_APPROVALS,
+        };
+      }
+    }
 
-    // Reserved pulni tizimdan chiqarish (reserved → exit)
-    await walletService.confirmReserved(withdrawal.userId, totalAmount);
+    // Avtomatik payout: pul reserved da qoladi, job provider orqali jo'natadi
+    if (payoutService.isAutomated()) {
+      return this.approveForPayout(withdrawal, adminId);
+    }
 
-    // Tranzaksiya yozuvi
-    await prisma.transaction.create({
+    const updated = await this.completeWithdrawal(withdrawal, {
+      fromStatuses: ['REQUESTED', 'PENDING_REVIEW'],
+      adminId,
+    });
+
+    if (!updated) throw new ValidationError('Bu withdraw allaqachon qayta ishlangan');
+
+    // Audit log
+    await prisma.auditLog.create({
       data: {
-        userId: withdrawal.userId,
-        type: 'WITHDRAW',
-        provider: 'CRYPTO',
-        coin: 'USDT',
-        network: 'BEP20',
-        amount: withdrawal.amount,
-        fee: withdrawal.fee,
-        status: 'SUCCESS',
-        address: withdrawal.address,
-        metadata: JSON.stringify({ withdrawalId, approvedBy: adminId }),
+        userId: adminId,
+        action: 'WITHDRAWAL_APPROVED',
+        entityType: 'withdrawal',
+        entityId: withdrawalId,
+        metadata: JSON.stringify({
+          amount: withdrawal.amount,
+          netAmount: withdrawal.netAmount,
+          address: withdrawal.address,
+          userId: withdrawal.userId,
+        }),
       },
     });
 
-    // Status yangilash
-    const updated = await prisma.withdrawRequest.update({
-      where: { id: withdrawalId },
+    logger.info(`Withdraw tasdiqlandi: ${withdrawalId} by admin ${adminId}`);
+    return updated;
+  }
+
+  /**
+   * PENDING_REVIEW so'rovi uchun bitta admin tasdig'i
+   * @returns {Promise<number>} shu paytgacha tasdiqlagan adminlar soni
+   */
+  async recordReviewApproval(withdrawal, adminId) {
+    if (withdrawal.userId === adminId) {
+      throw new ValidationError('O\'z withdraw so\'rovingizni tasdiqlay olmaysiz');
+    }
+
+    try {
+      await prisma.withdrawalApproval.create({
+        data: { withdrawalId: withdrawal.id, adminId, round: withdrawal.payoutAttempts },
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new ValidationError('Siz bu so\'rovni allaqachon tasdiqlagansiz, boshqa admin kerak');
+      }
+      throw error;
+    }
+
+    // Faqat joriy raund tasdiqlari (muvaffaqiyatsiz payoutdan keyin yangi juftlik kerak)
+    const approvals = await prisma.withdrawalApproval.count({
+      where: { withdrawalId: withdrawal.id, round: withdrawal.payoutAttempts },
+    });
+
+    await prisma.auditLog.create({
       data: {
-        status: 'COMPLETED',
+        userId: adminId,
+        action: AUDIT_ACTIONS.WITHDRAWAL_REVIEW_APPROVED,
+        entityType: 'withdrawal',
+        entityId: withdrawal.id,
+        metadata: JSON.stringify({
+          amount: withdrawal.amount,
+          address: withdrawal.address,
+          userId: withdrawal.userId,
+          riskFlags: withdrawalRiskService.getFlags(withdrawal),
+          approvals,
+          approvalsRequired: WITHDRAWAL_RISK.REQUIRED_APPROVALS,
+        }),
+      },
+    });
+
+    logger.info(`Withdraw tekshiruvi: ${withdrawal.id} admin ${adminId} tasdiqladi (${approvals}/${WITHDRAWAL_RISK.REQUIRED_APPROVALS})`);
+    return approvals;
+  }
+
+  /**
+   * Tasdiqlash → APPROVED, payout job navbatga qo'yiladi
+   */
+  async approveForPayout(withdrawal, adminId) {
+    const claimed = await prisma.withdrawRequest.updateMany({
+      where: { id: withdrawal.id, status: { in: ['REQUESTED', 'PENDING_REVIEW'] } },
+      data: {
+        status: 'APPROVED',
         approvedBy: adminId,
         approvedAt: new Date(),
+        reason: null,
+        payoutAttempts: { increment: 1 },
       },
     });
 
+    if (claimed.count === 0) throw new ValidationError('Bu withdraw allaqachon qayta ishlangan');
+
+    const updated = await prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+
     // Audit log
     await prisma.auditLog.create({
       data: {
         userId: adminId,
         action: 'WITHDRAWAL_APPROVED',
         entityType: 'withdrawal',
-        entityId: withdrawalId,
+        entityId: withdrawal.id,
         metadata: JSON.stringify({
           amount: withdrawal.amount,
           netAmount: withdrawal.netAmount,
           address: withdrawal.address,
+          network: withdrawal.network,
           userId: withdrawal.userId,
+          payoutProvider: payoutService.getProviderName(),
+          payoutAttempt: updated.payoutAttempts,
         }),
       },
     });
 
-    // User ga Telegram xabar
-    await this.notifyUserApproved(withdrawal);
+    await this.dispatchEvent(
+      withdrawal.id,
+      WITHDRAWAL_EVENTS.PAYOUT,
+      { attempt: updated.payoutAttempts },
+      () => payoutService.submit(withdrawal.id)
+    );
 
-    logger.info(`Withdraw tasdiqlandi: ${withdrawalId} by admin ${adminId}`);
+    logger.info(`Withdraw tasdiqlandi (avtomatik payout): ${withdrawal.id} by admin ${adminId}`);
     return updated;
   }
 
+  /**
+   * Withdraw yakunlandi: reserved pul tizimdan chiqadi, tranzaksiya yoziladi, user ga xabar.
+   * Status atomik o'zgartiriladi — allaqachon yakunlangan bo'lsa null qaytadi.
+   */
+  async completeWithdrawal(withdrawal, { fromStatuses, adminId = null, txHash = null, payoutStatus = null }) {
+    const claimed = await prisma.withdrawRequest.updateMany({
+      where: { id: withdrawal.id, status: { in: fromStatuses } },
+      data: {
+        status: 'COMPLETED',
+        ...(adminId && { approvedBy: adminId, approvedAt: new Date() }),
+        ...(txHash && { txHash }),
+        ...(payoutStatus && { payoutStatus }),
+      },
+    });
+
+    if (claimed.count === 0) return null;
+
+    const totalAmount = parseFloat(withdrawal.amount) + parseFloat(withdrawal.fee);
+
+    // Reserved pulni tizimdan chiqarish (reserved → exit)
+    await walletService.confirmReserved(withdrawal.userId, totalAmount);
+
+    // Tranzaksiya yozuvi
+    await prisma.transaction.create({
+      data: {
+        userId: withdrawal.userId,
+        type: 'WITHDRAW',
+        provider: 'CRYPTO',
+        coin: 'USDT',
+        network: withdrawal.network || 'BEP20',
+        amount: withdrawal.amount,
+        fee: withdrawal.fee,
+        status: 'SUCCESS',
+        address: withdrawal.address,
+        txHash,
+        metadata: JSON.stringify({
+          withdrawalId: withdrawal.id,
+          approvedBy: adminId || withdrawal.approvedBy,
+          ...(withdrawal.payoutId && { payoutProvider: withdrawal.payoutProvider, payoutId: withdrawal.payoutId }),
+        }),
+      },
+    });
+
+    // User ga Telegram xabar (worker orqali)
+    await this.dispatchEvent(withdrawal.id, WITHDRAWAL_EVENTS.APPROVED, {}, async () =>
+      this.notifyUserApproved(await this.findWithUser(withdrawal.id))
+    );
+
+    await webhookService.emitSafe(withdrawal.userId, WEBHOOKS.EVENTS.WITHDRAWAL_APPROVED, {
+      withdrawalId: withdrawal.id,
+      amount: parseFloat(withdrawal.amount),
+      fee: parseFloat(withdrawal.fee),
+      network: withdrawal.network,
+      address: withdrawal.address,
+      txHash,
+    });
+
+    return prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+  }
+
+  /**
+   * Payout muvaffaqiyatsiz: so'rov yana REQUESTED, pul reserved da qoladi —
+   * admin qayta tasdiqlashi yoki rad etishi mumkin.
+   * riskFlags bor so'rov PENDING_REVIEW ga qaytadi: payoutAttempts oshgani uchun
+   * eski tasdiqlar hisobga olinmaydi, yana ikki admin tasdiqlashi kerak
+   */
+  async failPayout(withdrawal, error, payoutStatus = null) {
+    const flagged = withdrawalRiskService.getFlags(withdrawal).length > 0;
+
+    const claimed = await prisma.withdrawRequest.updateMany({
+      where: { id: withdrawal.id, status: { in: ['APPROVED', 'SENT'] } },
+      data: {
+        status: flagged ? 'PENDING_REVIEW' : 'REQUESTED',
+        approvedBy: null,
+        approvedAt: null,
+        reason: `Payout failed: ${error}`,
+        ...(payoutStatus && { payoutStatus }),
+      },
+    });
+
+    if (claimed.count === 0) return null;
+
+    await this.dispatchEvent(
+      withdrawal.id,
+      WITHDRAWAL_EVENTS.PAYOUT_FAILED,
+      { attempt: withdrawal.payoutAttempts, reason: error },
+      () => this.notifyAdminsPayoutFailed(withdrawal, error)
+    );
+
+    logger.warn(`Payout muvaffaqiyatsiz: ${withdrawal.id}, sabab: ${error}`);
+    return true;
+  }
+
+  async findWithUser(withdrawalId) {
+    return prisma.withdrawRequest.findUnique({
+      where: { id: withdrawalId },
+      include: {
+        user: {
+          select: {
+            id: true, firstName: true, lastName: true,
+            username: true, telegramId: true,
+          },
+        },
+      },
+    });
+  }
+
   // ─────────────────────────────────────────────
   // ADMIN: Rad etish
   // ─────────────────────────────────────────────
@@ -218,8 +455,10 @@ class WithdrawService {
       },
     });
 
-    // User ga Telegram xabar
-    await this.notifyUserRejected(withdrawal, reason);
+    // User ga Telegram xabar (worker orqali)
+    await this.dispatchEvent(withdrawalId, WITHDRAWAL_EVENTS.REJECTED, { reason }, () =>
+      this.notifyUserRejected(withdrawal, reason)
+    );
 
     logger.info(`Withdraw rad etildi: ${withdrawalId}, sabab: ${reason}`);
     return updated;
@@ -239,6 +478,14 @@ class WithdrawService {
             username: true, telegramId: true,
           },
         },
+        approvals: {
+          select: {
+            round: true,
+            createdAt: true,
+            admin: { select: { id: true, firstName: true, username: true } },
+          },
+          orderBy: { createdAt: 'asc' },
+        },
       },
       orderBy: { createdAt: 'asc' },
       take: limit,
@@ -249,7 +496,15 @@ class WithdrawService {
       where: { status: { in: ['REQUESTED', 'PENDING_REVIEW'] } },
     });
 
-    return { withdrawals, total };
+    return {
+      withdrawals: withdrawals.map((w) => ({
+        ...w,
+        approvals: w.approvals.filter((approval) => approval.round === w.payoutAttempts),
+        riskFlags: withdrawalRiskService.getFlags(w),
+        approvalsRequired: w.status === 'PENDING_REVIEW' ? WITHDRAWAL_RISK.REQUIRED_APPROVALS : 1,
+      })),
+      total,
+    };
   }
 
   // ─────────────────────────────────────────────
@@ -276,14 +531,17 @@ class WithdrawService {
     const settings = await this.getWithdrawalSettings();
     return {
       method: 'CRYPTO',
-      network: 'BEP-20 (BSC)',
+      network: WITHDRAWAL_NETWORKS.BEP20.label,
+      networks: Object.entries(WITHDRAWAL_NETWORKS).map(([id, network]) => ({ id, label: network.label })),
       coin: 'USDT',
       feeType: 'fixed',
       feeAmount: settings.withdrawalFeeFixed,
       feeDescription: `$${settings.withdrawalFeeFixed} fixed fee`,
       minWithdraw: settings.minWithdraw,
       maxDailyWithdraw: settings.maxDailyWithdraw,
-      processingTime: '1-24 soat (qo\'lda tasdiqlash)',
+      processingTime: payoutService.isAutomated()
+        ? '1-24 soat (tasdiqlangach avtomatik jo\'natiladi)'
+        : '1-24 soat (qo\'lda tasdiqlash)',
       example: {
         request: 50,
         fee: settings.withdrawalFeeFixed,
@@ -304,7 +562,7 @@ class WithdrawService {
       where: {
         userId,
         createdAt: { gte: today },
-        status: { in: ['REQUESTED', 'PENDING_REVIEW', 'COMPLETED'] },
+        status: { in: ['REQUESTED', 'PENDING_REVIEW', 'APPROVED', 'SENT', 'COMPLETED'] },
       },
       _sum: { amount: true },
     });
@@ -320,7 +578,12 @@ class WithdrawService {
     try {
       const settings = await prisma.platformSettings.findMany({
         where: {
-          key: { in: ['min_withdraw_usd', 'max_daily_withdraw_usd', 'withdrawal_fee_fixed_usd'] },
+          key: {
+            in: [
+              'min_withdraw_usd', 'max_daily_withdraw_usd', 'withdrawal_fee_fixed_usd',
+              'withdrawal_review_threshold_usd', 'withdrawal_min_account_age_days',
+            ],
+          },
         },
       });
 
@@ -330,9 +593,33 @@ class WithdrawService {
         minWithdraw: map.min_withdraw_usd || 10,
         maxDailyWithdraw: map.max_daily_withdraw_usd || 5000,
         withdrawalFeeFixed: map.withdrawal_fee_fixed_usd || 3,  // $3 FIXED
+        reviewThreshold: map.withdrawal_review_threshold_usd || 500,
+        minAccountAgeDays: Number.isFinite(map.withdrawal_min_account_age_days)
+          ? map.withdrawal_min_account_age_days   // 0 — tekshirilmaydi
+          : 7,
       };
     } catch {
-      return { minWithdraw: 10, maxDailyWithdraw: 5000, withdrawalFeeFixed: 3 };
+      return {
+        minWithdraw: 10, maxDailyWithdraw: 5000, withdrawalFeeFixed: 3,
+        reviewThreshold: 500, minAccountAgeDays: 7,
+      };
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Hodisalar navbati
+  // ─────────────────────────────────────────────
+
+  /**
+   * Withdraw hodisasini processWithdrawal navbatiga qo'yish.
+   * Redis ishlamasa — xabar shu yerning o'zida yuboriladi.
+   */
+  async dispatchEvent(withdrawalId, event, extra, inlineFallback) {
+    try {
+      await enqueueWithdrawalEvent(withdrawalId, event, extra);
+    } catch (e) {
+      logger.error(`Withdraw hodisasi navbatga qo'yilmadi (${event}):`, e);
+      await inlineFallback();
     }
   }
 
@@ -363,9 +650,12 @@ class WithdrawService {
         `💳 Fee: $${withdrawal.fee}\n` +
         `📤 <b>Jo'natish kerak: $${withdrawal.netAmount} USDT</b>\n` +
         `🔗 Manzil: <code>${withdrawal.address}</code>\n` +
-        `🌐 Tarmoq: BEP-20 (BSC)\n` +
+        `🌐 Tarmoq: ${this.networkLabel(withdrawal.network)}\n` +
         `🆔 ID: <code>${withdrawal.id}</code>\n\n` +
-        `⚠️ USDT jo'nating, keyin tasdiqlang!`;
+        this.formatRiskFlags(withdrawal) +
+        (payoutService.isAutomated()
+          ? `⚙️ Tasdiqlangach USDT avtomatik jo'natiladi.`
+          : `⚠️ USDT jo'nating, keyin tasdiqlang!`);
 
       // ✅ Inline buttons: Tasdiqlash / Rad etish
       const keyboard = new InlineKeyboard()
@@ -385,16 +675,57 @@ class WithdrawService {
     }
   }
 
+  /**
+   * Payout xatosi — SUPER_ADMIN larga qayta tasdiqlash / rad etish tugmalari bilan
+   */
+  async notifyAdminsPayoutFailed(withdrawal, error) {
+    try {
+      const superAdmins = await prisma.user.findMany({
+        where: { role: 'SUPER_ADMIN', isActive: true },
+        select: { telegramId: true },
+      });
+
+      const message =
+        `🚨 <b>Payout Muvaffaqiyatsiz</b>\n\n` +
+        `💰 Jo'natilmadi: $${withdrawal.netAmount} USDT\n` +
+        `🔗 Manzil: <code>${withdrawal.address}</code>\n` +
+        `🌐 Tarmoq: ${this.networkLabel(withdrawal.network)}\n` +
+        `🆔 ID: <code>${withdrawal.id}</code>\n` +
+        `📋 Sabab: ${error}\n\n` +
+        `Pul user hisobida reserved holatda. Qayta tasdiqlang yoki rad eting.`;
+
+      const keyboard = new InlineKeyboard()
+        .text('🔁 Qayta tasdiqlash', `wd_approve_${withdrawal.id}`)
+        .text('❌ Rad etish', `wd_reject_${withdrawal.id}`);
+
+      for (const admin of superAdmins) {
+        if (admin.telegramId) {
+          await telegramBot.bot.api.sendMessage(admin.telegramId, message, {
+            parse_mode: 'HTML',
+            reply_markup: keyboard,
+          }).catch(e => logger.warn(`SuperAdmin ${admin.telegramId} ga xabar yuborilmadi: ${e.message}`));
+        }
+      }
+    } catch (e) {
+      logger.error('Payout failed notification xatosi:', e);
+    }
+  }
+
   async notifyUserApproved(withdrawal) {
     try {
       if (!withdrawal.user?.telegramId) return;
 
+      const explorerUrl = WITHDRAWAL_NETWORKS[withdrawal.network]?.explorerTxUrl;
+      const txLine = withdrawal.txHash && explorerUrl
+        ? `<a href="${explorerUrl}${withdrawal.txHash}">Tranzaksiyani ko'rish</a>`
+        : 'Tranzaksiyani blockchain explorer orqali tekshirishingiz mumkin.';
+
       const message =
         `<tg-emoji emoji-id="5465665476971471368">✅</tg-emoji> <b>Withdraw Tasdiqlandi!</b>\n\n` +
         `<tg-emoji emoji-id="5904462880941545555">💰</tg-emoji> Miqdor: <b>$${withdrawal.netAmount} USDT</b>\n` +
         `<tg-emoji emoji-id="5451732530049692482">🔗</tg-emoji> Manzil: <code>${withdrawal.address}</code>\n` +
-        `<tg-emoji emoji-id="5451732530049692482">🌐</tg-emoji> Tarmoq: BEP-20 (BSC)\n\n` +
-        `<blockquote>USDT hisobingizga tushdi. BSCScan orqali tekshirishingiz mumkin.</blockquote>`;
+        `<tg-emoji emoji-id="5451732530049692482">🌐</tg-emoji> Tarmoq: ${this.networkLabel(withdrawal.network)}\n\n` +
+        `<blockquote>USDT hisobingizga tushdi. ${txLine}</blockquote>`;
 
       await telegramBot.sendMessage(withdrawal.user.telegramId, message, { parse_mode: 'HTML' });
     } catch (e) {
@@ -402,6 +733,24 @@ class WithdrawService {
     }
   }
 
+  networkLabel(network) {
+    return WITHDRAWAL_NETWORKS[network || 'BEP20']?.label || network;
+  }
+
+  /**
+   * Admin xabari uchun risk belgilari (tekshiruv kerak bo'lmasa — bo'sh)
+   */
+  formatRiskFlags(withdrawal) {
+    const flags = withdrawalRiskService.getFlags(withdrawal);
+    if (flags.length === 0) return '';
+
+    return (
+      `🚩 <b>Tekshiruv kerak — ${WITHDRAWAL_RISK.REQUIRED_APPROVALS} ta admin tasdiqlashi shart</b>\n` +
+      flags.map((flag) => `• ${flag.rule}: ${flag.detail}`).join('\n') +
+      '\n\n'
+    );
+  }
+
   async notifyUserRejected(withdrawal, reason) {
     try {
       if (!withdrawal.user?.telegramId) return;
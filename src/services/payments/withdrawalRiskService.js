@@ -0,0 +1,76 @@
+// src/services/payments/withdrawalRiskService.js
+import prisma from '../../config/database.js';
+import { WITHDRAWAL_RISK } from '../../config/constants.js';
+import { parseJson } from '../../utils/json.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const { RULES } = WITHDRAWAL_RISK;
+
+/**
+ * Withdrawal Risk Service
+ * Rules evaluated on requestWithdrawal. A request hitting any rule is created as PENDING_REVIEW
+ * and is paid out only after WITHDRAWAL_RISK.REQUIRED_APPROVALS distinct admins approve it.
+ */
+class WithdrawalRiskService {
+  /**
+   * @param {string} userId
+   * @param {Object} request
+   * @param {number} request.amount
+   * @param {string} request.address
+   * @param {Object} settings - withdrawService.getWithdrawalSettings()
+   * @returns {Promise<Array<{rule: string, detail: string}>>} empty = no review needed
+   */
+  async evaluate(userId, { amount, address }, settings, now = new Date()) {
+    const [user, previousToAddress, quarantinedBots, otherUsers] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId }, select: { createdAt: true } }),
+      prisma.withdrawRequest.count({
+        where: { userId, address: { equals: address, mode: 'insensitive' }, status: 'COMPLETED' },
+      }),
+      prisma.bot.count({ where: { ownerId: userId, status: 'QUARANTINED' } }),
+      prisma.withdrawRequest.findMany({
+        where: { userId: { not: userId }, address: { equals: address, mode: 'insensitive' } },
+        distinct: ['userId'],
+        select: { userId: true },
+        take: 5,
+      }),
+    ]);
+
+    const flags = [];
+
+    if (previousToAddress === 0) {
+      flags.push({ rule: RULES.NEW_ADDRESS, detail: 'No completed withdrawal to this address' });
+    }
+
+    if (amount >= settings.reviewThreshold) {
+      flags.push({ rule: RULES.LARGE_AMOUNT, detail: `$${amount} ≥ $${settings.reviewThreshold}` });
+    }
+
+    const accountAgeDays = user ? (now - user.createdAt) / DAY_MS : 0;
+    if (accountAgeDays < settings.minAccountAgeDays) {
+      flags.push({
+        rule: RULES.NEW_ACCOUNT,
+        detail: `Account is ${Math.floor(accountAgeDays)} days old (< ${settings.minAccountAgeDays})`,
+      });
+    }
+
+    if (quarantinedBots > 0) {
+      flags.push({ rule: RULES.QUARANTINED_BOT, detail: `${quarantinedBots} bot(s) in quarantine` });
+    }
+
+    if (otherUsers.length > 0) {
+      flags.push({
+        rule: RULES.SHARED_ADDRESS,
+        detail: `Address used by: ${otherUsers.map((row) => row.userId).join(', ')}`,
+      });
+    }
+
+    return flags;
+  }
+
+  getFlags(withdrawal) {
+    return parseJson(withdrawal.riskFlags, []);
+  }
+}
+
+const withdrawalRiskService = new WithdrawalRiskService();
+export default withdrawalRiskService;
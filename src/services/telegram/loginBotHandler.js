@@ -11,7 +11,10 @@ import logger from '../../utils/logger.js';
 import i18n from '../../utils/i18n.js';
 import { messageToHtml } from '../../utils/telegram-html.js';
 import walletService from '../wallet/walletService.js';
+import adIndexService from '../distribution/adIndexService.js';
 import adminNotificationService from './adminNotificationService.js';
+import webhookService from '../webhook/webhookService.js';
+import { WEBHOOKS } from '../../config/constants.js';
 
 /**
  * Login Bot Handler - GramAds Style
@@ -195,6 +198,15 @@ class LoginBotHandler {
         await this.handleDraftInteractions(ctx, data);
         return;
       }
+      // ✅ User: yangi yechish manzilini tasdiqlash / bekor qilish
+      if (data.startsWith('pa_confirm_')) {
+        await this.handlePayoutAddress(ctx, data.replace('pa_confirm_', ''), true);
+        return;
+      }
+      if (data.startsWith('pa_cancel_')) {
+        await this.handlePayoutAddress(ctx, data.replace('pa_cancel_', ''), false);
+        return;
+      }
       // ✅ Admin: Withdraw approve/reject
       if (data.startsWith('wd_approve_')) {
         await this.handleWithdrawApprove(ctx, data.replace('wd_approve_', ''));
@@ -1042,7 +1054,16 @@ class LoginBotHandler {
       }
 
       const { default: withdrawService } = await import('../payments/withdrawService.js');
-      await withdrawService.approveWithdrawal(withdrawalId, admin.id);
+      const result = await withdrawService.approveWithdrawal(withdrawalId, admin.id);
+
+      // Tekshiruvdagi so'rov: boshqa admin tasdig'i kutilmoqda
+      if (result.status === 'PENDING_REVIEW') {
+        await ctx.answerCallbackQuery(
+          `✅ Tasdiqlandi (${result.approvals}/${result.approvalsRequired}) — yana boshqa admin kerak`
+        );
+        logger.info(`Withdrawal ${withdrawalId} review-approved via bot by admin ${admin.id}`);
+        return;
+      }
 
       await ctx.answerCallbackQuery('✅ Tasdiqlandi!');
       const originalText = ctx.callbackQuery.message?.text || ctx.callbackQuery.message?.caption || '';
@@ -1098,6 +1119,39 @@ class LoginBotHandler {
     }
   }
 
+  // ─────────────────────────────────────────────────────────────────
+  // USER ACTIONS: Payout address confirmation
+  // ─────────────────────────────────────────────────────────────────
+
+  async handlePayoutAddress(ctx, addressId, confirm) {
+    try {
+      const { default: payoutAddressService } = await import('../payments/payoutAddressService.js');
+      const originalText = ctx.callbackQuery.message?.text || '';
+
+      if (confirm) {
+        const address = await payoutAddressService.confirm(addressId, ctx.from.id.toString());
+        const availableAt = address.availableAt.toISOString().slice(0, 16).replace('T', ' ');
+
+        await ctx.answerCallbackQuery('✅ Manzil tasdiqlandi');
+        await ctx.editMessageText(
+          `${originalText}\n\n✅ <b>TASDIQLANDI</b> — ${availableAt} UTC dan ishlatish mumkin`,
+          { parse_mode: 'HTML' }
+        ).catch(() => {});
+      } else {
+        await payoutAddressService.cancel(addressId, ctx.from.id.toString());
+
+        await ctx.answerCallbackQuery('❌ Manzil o\'chirildi');
+        await ctx.editMessageText(
+          `${originalText}\n\n❌ <b>BEKOR QILINDI</b> — manzil o'chirildi. Siz qo'shmagan bo'lsangiz, qo'llab-quvvatlash xizmatiga yozing.`,
+          { parse_mode: 'HTML' }
+        ).catch(() => {});
+      }
+    } catch (error) {
+      logger.error('Payout address confirmation error:', error);
+      await ctx.answerCallbackQuery(`❌ Xatolik: ${error.message?.substring(0, 50)}`);
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────
   // ADMIN ACTIONS: Ad Approve / Reject / Edit Request
   // ─────────────────────────────────────────────────────────────────
@@ -1284,6 +1338,12 @@ class LoginBotHandler {
         where: { id: botId },
         data: { status: 'ACTIVE', verifiedAt: new Date() },
       });
+      await adIndexService.invalidateBot(botId);
+
+      await webhookService.emitSafe(bot.ownerId, WEBHOOKS.EVENTS.BOT_APPROVED, {
+        botId,
+        username: bot.username,
+      });
 
       await ctx.answerCallbackQuery('✅ Bot tasdiqlandi!');
       const originalText = ctx.callbackQuery.message?.text || '';
@@ -1331,6 +1391,7 @@ class LoginBotHandler {
         where: { id: botId },
         data: { status: 'REJECTED' },
       });
+      await adIndexService.invalidateBot(botId);
 
       await ctx.answerCallbackQuery('❌ Bot rad etildi!');
       const originalText = ctx.callbackQuery.message?.text || '';
@@ -89,6 +89,7 @@ class TelegramPreviewService {
     try {
       const bot = await prisma.bot.findUnique({ where: { id: botId } });
       if (!bot) throw new ValidationError('Bot not found');
+      if (!bot.tokenEncrypted) throw new ValidationError('Bot token is not stored for fetch mode bots');
 
       const decryptedToken = encryption.decrypt(bot.tokenEncrypted);
       const telegramBot = new Bot(decryptedToken);
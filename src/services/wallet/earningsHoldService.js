@@ -0,0 +1,386 @@
+// src/services/wallet/earningsHoldService.js
+import prisma from '../../config/database.js';
+import walletService from './walletService.js';
+import logger from '../../utils/logger.js';
+import { NotFoundError, ValidationError } from '../../utils/errors.js';
+import { enqueueNotificationSafe } from '../../jobs/queues/notificationQueue.js';
+import {
+  AUDIT_ACTIONS,
+  DEFAULT_PLATFORM_SETTINGS,
+  EARNINGS_HOLD,
+  NOTIFICATION_TYPES,
+} from '../../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_TTL_MS = 60 * 1000;
+const { PENDING, RELEASED, CLAWED_BACK } = EARNINGS_HOLD.STATUSES;
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Earnings Hold Service
+ * Bot owner earnings are credited to Wallet.pending and collected in one EarningsHold row per
+ * bot and UTC day. A day's hold is released to Wallet.available `earnings_hold_days` after the
+ * day ends, giving the fraud checks time to catch invalid traffic before it can be withdrawn.
+ *
+ *   PENDING     — in Wallet.pending and Bot.pendingEarnings
+ *   RELEASED    — moved to Wallet.available (holds of QUARANTINED bots are not released)
+ *   CLAWED_BACK — taken back by an admin, removed from Wallet.pending and totalEarned
+ *
+ * Reconciliation repairs go through here too (holdRepair / reverseRepair), never straight to available.
+ */
+class EarningsHoldService {
+  constructor() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Hold period in days (cached for a minute, like the platform fee)
+   */
+  async getHoldDays() {
+    if (this.cached !== null && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cached;
+    }
+
+    let days = parseInt(DEFAULT_PLATFORM_SETTINGS[EARNINGS_HOLD.SETTING_KEY], 10);
+    try {
+      const setting = await prisma.platformSettings.findUnique({ where: { key: EARNINGS_HOLD.SETTING_KEY } });
+      const value = setting ? parseInt(setting.value, 10) : NaN;
+      if (Number.isInteger(value) && value >= 0) days = Math.min(value, EARNINGS_HOLD.MAX_DAYS);
+    } catch (error) {
+      logger.error('Get earnings hold setting failed:', error);
+    }
+
+    this.cached = days;
+    this.cachedAt = Date.now();
+    return days;
+  }
+
+  /**
+   * Drop the cached hold period (after an admin update)
+   */
+  invalidate() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Earnings of a day are released `days` after the day ends
+   */
+  getReleaseAt(holdDate, days) {
+    return new Date(holdDate.getTime() + (days + 1) * DAY_MS);
+  }
+
+  /**
+   * Credit impression earnings to Wallet.pending and the bot's hold for today.
+   * `tx` — the recordImpression transaction, which has already locked the bot row
+   * (Bot.pendingEarnings update), so holds of one bot are never created twice.
+   */
+  async holdImpressionEarnings(tx, { userId, botId, amount, impressionId }, now = new Date()) {
+    const hold = await this.addToHold(tx, { userId, botId, amount }, now);
+
+    await walletService.creditImpressionEarnings(tx, userId, amount, impressionId, hold.releaseAt);
+    return hold;
+  }
+
+  /**
+   * Today's PENDING hold of the bot grown by `amount` (created when there is none)
+   */
+  async addToHold(tx, { userId, botId, amount }, now = new Date()) {
+    const holdDate = startOfUtcDay(now);
+
+    let hold = await tx.earningsHold.findFirst({
+      where: { userId, botId, holdDate, status: PENDING },
+      select: { id: true, releaseAt: true },
+    });
+
+    if (hold) {
+      await tx.earningsHold.update({
+        where: { id: hold.id },
+        data: { amount: { increment: amount } },
+      });
+    } else {
+      hold = await tx.earningsHold.create({
+        data: {
+          userId,
+          botId,
+          holdDate,
+          amount,
+          releaseAt: this.getReleaseAt(holdDate, await this.getHoldDays()),
+        },
+        select: { id: true, releaseAt: true },
+      });
+    }
+
+    return hold;
+  }
+
+  // ==================== RECONCILIATION ====================
+
+  /**
+   * Under-credited earnings found by reconciliation: held like impression earnings,
+   * so they wait for the hold period and stay unreleased while the bot is quarantined.
+   * `tx` — the repair transaction, which has locked the owner's bots and wallet.
+   */
+  async holdRepair(tx, { userId, botId, amount, note }, now = new Date()) {
+    const hold = await this.addToHold(tx, { userId, botId, amount }, now);
+
+    if (botId) {
+      await tx.bot.update({
+        where: { id: botId },
+        data: { pendingEarnings: { increment: amount } },
+      });
+    }
+
+    await walletService.creditEarningsRepair(tx, userId, amount, hold.id, hold.releaseAt, note);
+    return hold;
+  }
+
+  /**
+   * Over-credited earnings found by reconciliation: taken from the owner's PENDING holds first
+   * (newest first), the rest from Wallet.available, which never goes below zero.
+   * @returns {Promise<number>} amount taken back
+   */
+  async reverseRepair(tx, { userId, amount, note }) {
+    const holds = await tx.earningsHold.findMany({
+      where: { userId, status: PENDING, amount: { gt: 0 } },
+      orderBy: { holdDate: 'desc' },
+      select: { id: true, botId: true, amount: true },
+    });
+
+    let fromPending = 0;
+    for (const hold of holds) {
+      const take = Math.min(parseFloat(hold.amount), amount - fromPending);
+      if (take <= 0) break;
+
+      await tx.earningsHold.update({
+        where: { id: hold.id },
+        data: { amount: { decrement: take } },
+      });
+      if (hold.botId) {
+        await tx.bot.update({
+          where: { id: hold.botId },
+          data: { pendingEarnings: { decrement: take } },
+        });
+      }
+      fromPending += take;
+    }
+
+    return walletService.reverseEarnings(tx, userId, { fromPending, fromAvailable: amount - fromPending }, note);
+  }
+
+  // ==================== RELEASE ====================
+
+  /**
+   * Release every matured hold (scheduled job)
+   */
+  async releaseMatured(now = new Date()) {
+    let released = 0;
+    let amount = 0;
+
+    for (;;) {
+      const holds = await prisma.earningsHold.findMany({
+        where: {
+          status: PENDING,
+          releaseAt: { lte: now },
+          // Quarantined bots' earnings wait for the admin review
+          NOT: { bot: { is: { status: 'QUARANTINED' } } },
+        },
+        orderBy: { releaseAt: 'asc' },
+        take: EARNINGS_HOLD.RELEASE_BATCH_SIZE,
+      });
+
+      let batchReleased = 0;
+
+      for (const hold of holds) {
+        try {
+          const releasedAmount = await this.release(hold, now);
+          if (releasedAmount !== null) {
+            batchReleased++;
+            amount += releasedAmount;
+          }
+        } catch (error) {
+          logger.error(`Release earnings hold failed: ${hold.id}`, error);
+        }
+      }
+
+      released += batchReleased;
+
+      // Stop on a short batch, or when every hold of a full batch keeps failing
+      if (holds.length < EARNINGS_HOLD.RELEASE_BATCH_SIZE || batchReleased === 0) break;
+    }
+
+    if (released > 0) {
+      logger.info(`Earnings released: ${released} holds, $${amount.toFixed(6)}`);
+    }
+    return { released, amount };
+  }
+
+  /**
+   * @returns {Promise<number|null>} released amount, null if the hold is no longer PENDING
+   */
+  async release(hold, now = new Date()) {
+    return prisma.$transaction(async (tx) => {
+      if (hold.botId) {
+        await tx.$queryRaw`SELECT id FROM bots WHERE id = ${hold.botId} FOR UPDATE`;
+      }
+
+      // Re-read under the bot lock: the hold may have grown or been clawed back meanwhile
+      const current = await tx.earningsHold.findUnique({ where: { id: hold.id } });
+      if (!current || current.status !== PENDING) return null;
+
+      const amount = parseFloat(current.amount);
+
+      await tx.earningsHold.update({
+        where: { id: hold.id },
+        data: { status: RELEASED, releasedAt: now },
+      });
+
+      if (amount > 0) {
+        await walletService.releaseEarnings(tx, current.userId, amount, current.id);
+      }
+
+      if (current.botId) {
+        await tx.bot.update({
+          where: { id: current.botId },
+          data: { pendingEarnings: { decrement: amount } },
+        });
+      }
+
+      return amount;
+    });
+  }
+
+  // ==================== CLAWBACK ====================
+
+  /**
+   * Take back all held earnings of a bot.
+   * `tx` — caller's transaction (e.g. banning the bot); the bot row is locked here.
+   * @returns {Promise<number>} amount clawed back
+   */
+  async clawbackBot(tx, bot, note = '') {
+    await tx.$queryRaw`SELECT id FROM bots WHERE id = ${bot.id} FOR UPDATE`;
+
+    const holds = await tx.earningsHold.findMany({
+      where: { botId: bot.id, status: PENDING },
+      select: { id: true, amount: true },
+    });
+
+    const amount = holds.reduce((sum, hold) => sum + parseFloat(hold.amount), 0);
+    if (holds.length === 0) return 0;
+
+    await tx.earningsHold.updateMany({
+      where: { id: { in: holds.map((hold) => hold.id) } },
+      data: { status: CLAWED_BACK },
+    });
+
+    if (amount > 0) {
+      await walletService.clawbackEarnings(tx, bot.ownerId, amount, bot.id, note);
+    }
+
+    await tx.bot.update({
+      where: { id: bot.id },
+      data: { pendingEarnings: { decrement: amount } },
+    });
+
+    return amount;
+  }
+
+  /**
+   * Admin: the bot's traffic is invalid — claw back its held earnings without banning it
+   */
+  async clawback(botId, adminId, reason) {
+    const bot = await prisma.bot.findUnique({
+      where: { id: botId },
+      select: { id: true, ownerId: true, username: true },
+    });
+
+    if (!bot) {
+      throw new NotFoundError('Bot not found');
+    }
+
+    const amount = await prisma.$transaction(async (tx) => {
+      const clawedBack = await this.clawbackBot(
+        tx,
+        bot,
+        `Invalid traffic on @${bot.username}: ${reason}`
+      );
+
+      if (clawedBack === 0) {
+        throw new ValidationError('Bot has no pending earnings');
+      }
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminId,
+          action: AUDIT_ACTIONS.BOT_EARNINGS_CLAWED_BACK,
+          entityType: 'bot',
+          entityId: botId,
+          metadata: { botUsername: bot.username, reason, amount: clawedBack },
+        },
+      });
+
+      return clawedBack;
+    });
+
+    const owner = await prisma.user.findUnique({
+      where: { id: bot.ownerId },
+      select: { telegramId: true },
+    });
+
+    if (owner?.telegramId) {
+      await enqueueNotificationSafe(NOTIFICATION_TYPES.TELEGRAM_MESSAGE, {
+        chatId: owner.telegramId,
+        text: `⚠️ $${amount.toFixed(2)} of pending earnings of @${bot.username} were withdrawn ` +
+          `after a traffic review: ${reason}`,
+      });
+    }
+
+    logger.warn(`Bot earnings clawed back: ${botId} by ${adminId}, amount=$${amount}`);
+    return { botId, amount };
+  }
+
+  // ==================== OWNER VIEW ====================
+
+  /**
+   * Pending holds of a bot owner with their release dates
+   */
+  async getOwnerHolds(userId, limit = 50, offset = 0) {
+    const where = { userId, status: PENDING };
+
+    const [holds, total, sum, holdDays] = await Promise.all([
+      prisma.earningsHold.findMany({
+        where,
+        include: {
+          bot: { select: { id: true, username: true, firstName: true, status: true } },
+        },
+        orderBy: { releaseAt: 'asc' },
+        take: limit,
+        skip: offset,
+      }),
+      prisma.earningsHold.count({ where }),
+      prisma.earningsHold.aggregate({ where, _sum: { amount: true }, _min: { releaseAt: true } }),
+      this.getHoldDays(),
+    ]);
+
+    return {
+      holdDays,
+      pending: parseFloat(sum._sum.amount || 0),
+      nextReleaseAt: sum._min.releaseAt,
+      holds: holds.map((hold) => ({
+        id: hold.id,
+        bot: hold.bot,
+        holdDate: hold.holdDate,
+        amount: parseFloat(hold.amount),
+        releaseAt: hold.releaseAt,
+        // Released only after the admin review
+        underReview: hold.bot?.status === 'QUARANTINED',
+      })),
+      total,
+    };
+  }
+}
+
+const earningsHoldService = new EarningsHoldService();
+export default earningsHoldService;
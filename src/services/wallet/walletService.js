@@ -2,6 +2,8 @@
 import prisma from '../../config/database.js';
 import logger from '../../utils/logger.js';
 import { InsufficientFundsError, NotFoundError } from '../../utils/errors.js';
+import webhookService from '../webhook/webhookService.js';
+import { WEBHOOKS } from '../../config/constants.js';
 
 /**
  * Wallet Service
@@ -9,7 +11,7 @@ import { InsufficientFundsError, NotFoundError } from '../../utils/errors.js';
  * Balans holatlari:
  *   available  — foydalanish mumkin
  *   reserved   — to'xtatib qo'yilgan (withdraw yoki ad uchun)
- *   pending    — Payme'dan kutilayotgan (processing)
+ *   pending    — Payme'dan kutilayotgan (processing) va hold muddatidagi bot daromadi
  *
  * Ad Reserve workflow:
  *   1. User creates ad (DRAFT) - no charge
@@ -22,6 +24,13 @@ import { InsufficientFundsError, NotFoundError } from '../../utils/errors.js';
  *   requestWithdrawal  → reserve()         available -= X, reserved += X
  *   approveWithdrawal  → confirmReserved() reserved -= X, totalWithdrawn += X
  *   rejectWithdrawal   → releaseReserved() reserved -= X, available += X
+ *
+ * Bot earnings workflow (EARNINGS_HOLD):
+ *   impression  → creditImpressionEarnings() pending += X, totalEarned += X
+ *   hold tugadi → releaseEarnings()          pending -= X, available += X
+ *   clawback    → clawbackEarnings()         pending -= X, totalEarned -= X
+ *   reconcile   → creditEarningsRepair()     pending += X (hold orqali)
+ *               → reverseEarnings()          avval pending, keyin available -= X (0 dan pastga emas)
  */
 class WalletService {
 
@@ -79,6 +88,175 @@ class WalletService {
     return updated;
   }
 
+  // ─────────────────────────────────────────────
+  // Impression daromadi — recordImpression tranzaksiyasi ichida
+  // ─────────────────────────────────────────────
+
+  /**
+   * Bot egasiga impression daromadini yozish — hold muddati tugaguncha pending da turadi.
+   * `tx` — prisma.$transaction klienti: xato bo'lsa impression bilan birga bekor qilinadi.
+   * `releaseAt` — earningsHoldService hisoblagan chiqarish vaqti (ledger izohi uchun).
+   */
+  async creditImpressionEarnings(tx, userId, amount, impressionId, releaseAt) {
+    return this.creditHeldEarnings(tx, userId, amount, {
+      refId: impressionId,
+      refType: 'IMPRESSION',
+      description: `Releases ${releaseAt.toISOString()}`,
+    });
+  }
+
+  /**
+   * Reconciliation kam yozilgan daromadni topdi — u ham hold orqali pending ga tushadi
+   * (earningsHoldService.holdRepair), to'g'ridan-to'g'ri available ga emas
+   */
+  async creditEarningsRepair(tx, userId, amount, holdId, releaseAt, note = '') {
+    return this.creditHeldEarnings(tx, userId, amount, {
+      refId: holdId,
+      refType: 'RECONCILIATION',
+      description: `${note}. Releases ${releaseAt.toISOString()}`,
+    });
+  }
+
+  async creditHeldEarnings(tx, userId, amount, { refId, refType, description }) {
+    const updated = await tx.wallet.upsert({
+      where: { userId },
+      create: { userId, pending: amount, totalEarned: amount },
+      update: {
+        pending: { increment: amount },
+        totalEarned: { increment: amount },
+      },
+    });
+
+    await tx.ledgerEntry.create({
+      data: {
+        userId,
+        type: 'EARNINGS_PENDING',
+        amount,
+        balance: parseFloat(updated.available) + parseFloat(updated.reserved) + parseFloat(updated.pending),
+        refId,
+        refType,
+        description,
+      },
+    });
+
+    return updated;
+  }
+
+  /**
+   * Hold muddati tugagan daromad: pending → available
+   * `tx` — hold status yangilanishi bilan bitta tranzaksiya.
+   * earnings.credited webhook ham shu tranzaksiyada yoziladi (sweep yuboradi).
+   */
+  async releaseEarnings(tx, userId, amount, holdId) {
+    const updated = await tx.wallet.update({
+      where: { userId },
+      data: {
+        pending: { decrement: amount },
+        available: { increment: amount },
+      },
+    });
+
+    await tx.ledgerEntry.create({
+      data: {
+        userId,
+        type: 'EARNINGS_RELEASE',
+        amount,
+        balance: parseFloat(updated.available) + parseFloat(updated.reserved) + parseFloat(updated.pending),
+        refId: holdId,
+        refType: 'EARNINGS_HOLD',
+        description: `Earnings released: pending -$${amount}, available +$${amount}`,
+      },
+    });
+
+    await webhookService.emit(userId, WEBHOOKS.EVENTS.EARNINGS_CREDITED, {
+      holdId,
+      amount,
+      available: parseFloat(updated.available),
+    }, tx);
+
+    return updated;
+  }
+
+  /**
+   * Hold dagi daromadni qaytarib olish (admin bot trafigini yaroqsiz deb topganda)
+   * `tx` — hold va bot yangilanishi bilan bitta tranzaksiya.
+   */
+  async clawbackEarnings(tx, userId, amount, botId, note = '') {
+    const updated = await tx.wallet.update({
+      where: { userId },
+      data: {
+        pending: { decrement: amount },
+        totalEarned: { decrement: amount },
+      },
+    });
+
+    await tx.ledgerEntry.create({
+      data: {
+        userId,
+        type: 'EARNINGS_CLAWBACK',
+        amount: -amount,
+        balance: parseFloat(updated.available) + parseFloat(updated.reserved) + parseFloat(updated.pending),
+        refId: botId,
+        refType: 'BOT',
+        description: note || `Pending earnings clawed back: pending -$${amount} (botId: ${botId})`,
+      },
+    });
+
+    logger.warn(`🚫 Pending earnings clawed back: user=${userId}, bot=${botId}, amount=$${amount}`);
+    return updated;
+  }
+
+  /**
+   * Ortiqcha yozilgan daromadni qaytarib olish (reconciliation job, earningsHoldService.reverseRepair):
+   * `fromPending` — hold lardan allaqachon ayirilgan qism, `fromAvailable` — qolgani.
+   * available manfiy bo'lmaydi: yechib bo'lmagan qism keyingi reconciliation da yana ko'rinadi.
+   * `tx` — wallet qatori qulflangan tranzaksiya.
+   * @returns {Promise<number>} qaytarib olingan summa
+   */
+  async reverseEarnings(tx, userId, { fromPending, fromAvailable }, note = '') {
+    const wallet = await tx.wallet.findUnique({ where: { userId } });
+    if (!wallet) return 0;
+
+    const available = Math.min(fromAvailable, Math.max(parseFloat(wallet.available), 0));
+    const taken = fromPending + available;
+    if (taken <= 0) return 0;
+
+    const updated = await tx.wallet.update({
+      where: { userId },
+      data: {
+        pending: { decrement: fromPending },
+        available: { decrement: available },
+        totalEarned: { decrement: taken },
+      },
+    });
+
+    const balance = parseFloat(updated.available) + parseFloat(updated.reserved) + parseFloat(updated.pending);
+    const entries = [
+      { type: 'EARNINGS_PENDING', amount: fromPending },
+      { type: 'EARNINGS', amount: available },
+    ].filter((entry) => entry.amount > 0);
+
+    for (const entry of entries) {
+      await tx.ledgerEntry.create({
+        data: {
+          userId,
+          type: entry.type,
+          amount: -entry.amount,
+          balance,
+          refType: 'RECONCILIATION',
+          description: note,
+        },
+      });
+    }
+
+    if (available < fromAvailable) {
+      logger.warn(`⚖️ Earnings over-credit not recoverable yet: user=${userId}, $${fromAvailable - available}`);
+    }
+
+    logger.warn(`⚖️ Earnings reconciled: user=${userId}, pending -$${fromPending}, available -$${available}`);
+    return taken;
+  }
+
   // ─────────────────────────────────────────────
   // Debit — to'g'ridan-to'g'ri yechish (faqat earnings uchun)
   // ─────────────────────────────────────────────
@@ -209,6 +387,39 @@ class WalletService {
     return updated;
   }
 
+  // ─────────────────────────────────────────────
+  // Ishlatilmagan ad byudjetini qaytarish (ad yakunlanganda)
+  // ─────────────────────────────────────────────
+
+  /**
+   * Tasdiqlangan (totalSpent ga o'tgan) byudjetning sarflanmagan qismini qaytarish.
+   * `tx` — ad status yangilanishi bilan bitta tranzaksiya.
+   */
+  async refundUnspentAdBudget(tx, userId, adId, amount, note = '') {
+    const updated = await tx.wallet.update({
+      where: { userId },
+      data: {
+        available: { increment: amount },
+        totalSpent: { decrement: amount },
+      },
+    });
+
+    await tx.ledgerEntry.create({
+      data: {
+        userId,
+        type: 'AD_REFUND',
+        amount,
+        balance: parseFloat(updated.available) + parseFloat(updated.reserved) + parseFloat(updated.pending),
+        refId: adId,
+        refType: 'AD_CLOSEOUT',
+        description: note || `Unspent ad budget refunded: available +$${amount} (adId: ${adId})`,
+      },
+    });
+
+    logger.info(`🔄 Unspent ad budget refunded: user=${userId}, ad=${adId}, amount=$${amount}`);
+    return updated;
+  }
+
   // ─────────────────────────────────────────────
   // Withdraw - Reserve (withdraw so'rov uchun)
   // ─────────────────────────────────────────────
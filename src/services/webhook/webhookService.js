@@ -0,0 +1,544 @@
+// src/services/webhook/webhookService.js
+import crypto from 'crypto';
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+import prisma from '../../config/database.js';
+import encryption from '../../utils/encryption.js';
+import logger from '../../utils/logger.js';
+import { enqueueWebhookDelivery } from '../../jobs/queues/webhookQueue.js';
+import { NotFoundError, ValidationError } from '../../utils/errors.js';
+import { WEBHOOKS } from '../../config/constants.js';
+
+const EVENTS = Object.values(WEBHOOKS.EVENTS);
+
+const ENDPOINT_SELECT = {
+  id: true,
+  url: true,
+  events: true,
+  description: true,
+  isActive: true,
+  failureCount: true,
+  disabledAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const DELIVERY_SELECT = {
+  id: true,
+  endpointId: true,
+  event: true,
+  payload: true,
+  status: true,
+  attempts: true,
+  responseStatus: true,
+  responseBody: true,
+  error: true,
+  durationMs: true,
+  nextAttemptAt: true,
+  deliveredAt: true,
+  replayOf: true,
+  createdAt: true,
+};
+
+/**
+ * Webhook Service
+ * Users subscribe HTTPS endpoints to platform events; each event becomes one WebhookDelivery per endpoint.
+ *
+ *   emit()    → PENDING delivery rows, enqueued at once (inside a transaction the sweep picks them up)
+ *   deliver() → signed POST; 2xx = SUCCESS, anything else is retried after BACKOFF_BASE_MS * 2^(attempt-1)
+ *               until MAX_ATTEMPTS, then FAILED
+ *   replay()  → a new delivery of the same payload (same event id, so receivers can dedupe)
+ *
+ * Signature header: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">` with the endpoint secret.
+ * Hostnames are resolved at send time through lookup(), so a DNS record pointing at a private
+ * address (now or after registration) is refused before connecting.
+ */
+class WebhookService {
+  constructor() {
+    this.agent = new https.Agent({ lookup: (hostname, options, callback) => this.lookup(hostname, options, callback) });
+  }
+
+  // ==================== ENDPOINTS ====================
+
+  async listEndpoints(userId) {
+    return prisma.webhookEndpoint.findMany({
+      where: { userId },
+      select: ENDPOINT_SELECT,
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * @returns {Promise<{endpoint: Object, secret: string}>} the secret is only returned here and on rotation
+   */
+  async createEndpoint(userId, { url, events, description = null }) {
+    const count = await prisma.webhookEndpoint.count({ where: { userId } });
+    if (count >= WEBHOOKS.MAX_ENDPOINTS_PER_USER) {
+      throw new ValidationError(`You can add up to ${WEBHOOKS.MAX_ENDPOINTS_PER_USER} webhook endpoints`);
+    }
+
+    const secret = this.generateSecret();
+    const endpoint = await prisma.webhookEndpoint.create({
+      data: {
+        userId,
+        url: this.normalizeUrl(url),
+        events: this.normalizeEvents(events),
+        description,
+        secretEncrypted: encryption.encrypt(secret),
+      },
+      select: ENDPOINT_SELECT,
+    });
+
+    logger.info(`Webhook endpoint created: ${endpoint.id} by user ${userId}`);
+    return { endpoint, secret };
+  }
+
+  /**
+   * Re-enabling an endpoint clears its failure streak
+   */
+  async updateEndpoint(userId, endpointId, { url, events, description, isActive }) {
+    await this.getOwnedEndpoint(userId, endpointId);
+
+    return prisma.webhookEndpoint.update({
+      where: { id: endpointId },
+      data: {
+        ...(url !== undefined && { url: this.normalizeUrl(url) }),
+        ...(events !== undefined && { events: this.normalizeEvents(events) }),
+        ...(description !== undefined && { description }),
+        ...(isActive === true && { isActive: true, failureCount: 0, disabledAt: null }),
+        ...(isActive === false && { isActive: false }),
+      },
+      select: ENDPOINT_SELECT,
+    });
+  }
+
+  async deleteEndpoint(userId, endpointId) {
+    await this.getOwnedEndpoint(userId, endpointId);
+    await prisma.webhookEndpoint.delete({ where: { id: endpointId } });
+    logger.info(`Webhook endpoint deleted: ${endpointId} by user ${userId}`);
+  }
+
+  /**
+   * New signing secret; deliveries already queued are signed with it too
+   */
+  async rotateSecret(userId, endpointId) {
+    await this.getOwnedEndpoint(userId, endpointId);
+
+    const secret = this.generateSecret();
+    const endpoint = await prisma.webhookEndpoint.update({
+      where: { id: endpointId },
+      data: { secretEncrypted: encryption.encrypt(secret) },
+      select: ENDPOINT_SELECT,
+    });
+
+    return { endpoint, secret };
+  }
+
+  /**
+   * Send a webhook.test event to one endpoint, subscribed or not
+   */
+  async sendTest(userId, endpointId) {
+    await this.getOwnedEndpoint(userId, endpointId);
+
+    const delivery = await prisma.webhookDelivery.create({
+      data: {
+        endpointId,
+        event: WEBHOOKS.TEST_EVENT,
+        payload: this.buildPayload(WEBHOOKS.TEST_EVENT, { endpointId }),
+      },
+      select: DELIVERY_SELECT,
+    });
+
+    await this.enqueue(delivery);
+    return delivery;
+  }
+
+  // ==================== DELIVERY LOG ====================
+
+  async listDeliveries(userId, endpointId, { status, event, limit = 50, offset = 0 } = {}) {
+    await this.getOwnedEndpoint(userId, endpointId);
+
+    const where = {
+      endpointId,
+      ...(status && { status }),
+      ...(event && { event }),
+    };
+
+    const [deliveries, total] = await Promise.all([
+      prisma.webhookDelivery.findMany({
+        where,
+        select: DELIVERY_SELECT,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset,
+      }),
+      prisma.webhookDelivery.count({ where }),
+    ]);
+
+    return { deliveries, total };
+  }
+
+  /**
+   * Send a past delivery again as a new delivery
+   */
+  async replay(userId, deliveryId) {
+    const original = await prisma.webhookDelivery.findFirst({
+      where: { id: deliveryId, endpoint: { userId } },
+      select: { id: true, endpointId: true, event: true, payload: true },
+    });
+    if (!original) throw new NotFoundError('Webhook delivery not found');
+
+    const delivery = await prisma.webhookDelivery.create({
+      data: {
+        endpointId: original.endpointId,
+        event: original.event,
+        payload: original.payload,
+        replayOf: original.id,
+      },
+      select: DELIVERY_SELECT,
+    });
+
+    await this.enqueue(delivery);
+    logger.info(`Webhook delivery replayed: ${original.id} → ${delivery.id}`);
+    return delivery;
+  }
+
+  // ==================== EMIT ====================
+
+  /**
+   * One delivery per active endpoint of the user subscribed to the event.
+   * `tx` — caller's transaction: the rows commit with the change they describe and the sweep sends them.
+   * @returns {Promise<string[]>} delivery ids
+   */
+  async emit(userId, event, data, tx = null) {
+    if (!EVENTS.includes(event)) throw new Error(`Unknown webhook event: ${event}`);
+
+    const client = tx || prisma;
+    const endpoints = await client.webhookEndpoint.findMany({
+      where: { userId, isActive: true, events: { has: event } },
+      select: { id: true },
+    });
+    if (endpoints.length === 0) return [];
+
+    const payload = this.buildPayload(event, data);
+    const deliveries = [];
+    for (const endpoint of endpoints) {
+      deliveries.push(await client.webhookDelivery.create({
+        data: { endpointId: endpoint.id, event, payload },
+        select: { id: true, attempts: true },
+      }));
+    }
+
+    if (!tx) {
+      await Promise.all(deliveries.map((delivery) => this.enqueue(delivery)));
+    }
+
+    return deliveries.map((delivery) => delivery.id);
+  }
+
+  /**
+   * Emit without failing the caller — webhooks must not break moderation or payouts.
+   * Not for use inside a transaction: a failed query there aborts the whole transaction anyway.
+   */
+  async emitSafe(userId, event, data) {
+    try {
+      return await this.emit(userId, event, data);
+    } catch (error) {
+      logger.error(`Webhook ${event} not emitted for user ${userId}:`, error);
+      return [];
+    }
+  }
+
+  buildPayload(event, data) {
+    return {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+  }
+
+  // ==================== DELIVER ====================
+
+  /**
+   * One attempt. The row is claimed first (attempts + 1, nextAttemptAt pushed by LEASE_MS),
+   * so a duplicate job or the sweep cannot send the same attempt twice.
+   */
+  async deliver(deliveryId) {
+    const now = new Date();
+    const claimed = await prisma.webhookDelivery.updateMany({
+      where: { id: deliveryId, status: 'PENDING', nextAttemptAt: { lte: now } },
+      data: {
+        attempts: { increment: 1 },
+        nextAttemptAt: new Date(now.getTime() + WEBHOOKS.LEASE_MS),
+      },
+    });
+    if (claimed.count === 0) return { skipped: true };
+
+    const delivery = await prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId },
+      include: { endpoint: true },
+    });
+
+    if (!delivery.endpoint.isActive) {
+      await prisma.webhookDelivery.update({
+        where: { id: deliveryId },
+        data: { status: 'FAILED', error: 'Endpoint disabled', nextAttemptAt: null },
+      });
+      return { status: 'FAILED' };
+    }
+
+    const result = await this.send(delivery.endpoint, delivery);
+    const logged = {
+      responseStatus: result.status,
+      responseBody: result.body,
+      error: result.error,
+      durationMs: result.durationMs,
+    };
+
+    if (result.ok) {
+      await prisma.webhookDelivery.update({
+        where: { id: deliveryId },
+        data: { ...logged, status: 'SUCCESS', deliveredAt: new Date(), nextAttemptAt: null },
+      });
+      await prisma.webhookEndpoint.updateMany({
+        where: { id: delivery.endpointId, failureCount: { gt: 0 } },
+        data: { failureCount: 0 },
+      });
+      return { status: 'SUCCESS', attempts: delivery.attempts };
+    }
+
+    if (delivery.attempts >= WEBHOOKS.MAX_ATTEMPTS) {
+      await prisma.webhookDelivery.update({
+        where: { id: deliveryId },
+        data: { ...logged, status: 'FAILED', nextAttemptAt: null },
+      });
+      await this.recordFailure(delivery.endpoint);
+      logger.warn(`Webhook delivery failed after ${delivery.attempts} attempts: ${deliveryId}`);
+      return { status: 'FAILED', attempts: delivery.attempts };
+    }
+
+    const delay = this.getBackoffMs(delivery.attempts);
+    const nextAttemptAt = new Date(Date.now() + delay);
+    await prisma.webhookDelivery.update({
+      where: { id: deliveryId },
+      data: { ...logged, nextAttemptAt },
+    });
+    await this.enqueue({ id: deliveryId, attempts: delivery.attempts }, delay);
+
+    return { status: 'PENDING', attempts: delivery.attempts, nextAttemptAt };
+  }
+
+  /**
+   * POST the payload; never throws
+   * @returns {Promise<{ok: boolean, status: number|null, body: string|null, error: string|null, durationMs: number}>}
+   */
+  async send(endpoint, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const secret = encryption.decrypt(endpoint.secretEncrypted);
+    const startedAt = Date.now();
+
+    try {
+      // IP literals never reach lookup(); endpoints saved before a rule change are checked again
+      this.normalizeUrl(endpoint.url);
+
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AKHMADS-Webhooks/1.0',
+          [WEBHOOKS.SIGNATURE_HEADER]: this.sign(secret, timestamp, body),
+          'X-Akhmads-Event': delivery.event,
+          'X-Akhmads-Delivery': delivery.id,
+        },
+        timeout: WEBHOOKS.TIMEOUT_MS,
+        httpsAgent: this.agent,
+        proxy: false,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: (data) => data,
+        validateStatus: () => true,
+      });
+
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        ok,
+        status: response.status,
+        body: this.truncate(response.data),
+        error: ok ? null : `HTTP ${response.status}`,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        status: null,
+        body: null,
+        error: this.truncate(error.code ? `${error.code}: ${error.message}` : error.message),
+        durationMs: Date.now() - startedAt,
+      };
+    }
+  }
+
+  /**
+   * `t=<timestamp>,v1=<hex>` — receivers recompute the HMAC over "<t>.<raw body>" and compare
+   */
+  sign(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Delay before the attempt after `attempt`: 30s, 1m, 2m, 4m ...
+   */
+  getBackoffMs(attempt) {
+    return WEBHOOKS.BACKOFF_BASE_MS * 2 ** (attempt - 1);
+  }
+
+  /**
+   * A delivery used up its attempts: switch the endpoint off after DISABLE_AFTER_FAILURES in a row
+   */
+  async recordFailure(endpoint) {
+    const updated = await prisma.webhookEndpoint.update({
+      where: { id: endpoint.id },
+      data: { failureCount: { increment: 1 } },
+      select: { failureCount: true, isActive: true },
+    });
+
+    if (updated.isActive && updated.failureCount >= WEBHOOKS.DISABLE_AFTER_FAILURES) {
+      await prisma.webhookEndpoint.update({
+        where: { id: endpoint.id },
+        data: { isActive: false, disabledAt: new Date() },
+      });
+      logger.warn(`Webhook endpoint disabled after ${updated.failureCount} failed deliveries: ${endpoint.id}`);
+    }
+  }
+
+  // ==================== QUEUE ====================
+
+  /**
+   * Enqueue the next attempt; if Redis is down the sweep sends it once nextAttemptAt has passed
+   */
+  async enqueue(delivery, delay = 0) {
+    try {
+      await enqueueWebhookDelivery(delivery.id, delivery.attempts + 1, delay);
+    } catch (error) {
+      logger.error(`Webhook delivery ${delivery.id} not queued, left for the sweep:`, error);
+    }
+  }
+
+  /**
+   * Sweep: queue PENDING deliveries that are due (scheduler, every minute)
+   */
+  async dispatchDue() {
+    const due = await prisma.webhookDelivery.findMany({
+      where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+      select: { id: true, attempts: true },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: WEBHOOKS.SWEEP_BATCH,
+    });
+
+    for (const delivery of due) {
+      await this.enqueue(delivery);
+    }
+
+    if (due.length > 0) logger.info(`Webhook sweep: ${due.length} deliveries queued`);
+    return { dispatched: due.length };
+  }
+
+  // ==================== HELPERS ====================
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  async getOwnedEndpoint(userId, endpointId) {
+    const endpoint = await prisma.webhookEndpoint.findFirst({
+      where: { id: endpointId, userId },
+      select: { id: true },
+    });
+    if (!endpoint) throw new NotFoundError('Webhook endpoint not found');
+    return endpoint;
+  }
+
+  /**
+   * HTTPS only, and not to a private / loopback address given as an IP or localhost
+   */
+  normalizeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new ValidationError('Invalid webhook URL');
+    }
+
+    if (parsed.protocol !== 'https:') {
+      throw new ValidationError('Webhook URL must use HTTPS');
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || this.isPrivateIp(host)) {
+      throw new ValidationError('Webhook URL must be publicly reachable');
+    }
+
+    return parsed.toString();
+  }
+
+  /**
+   * dns.lookup for the webhook agent: fails when any resolved address is private / loopback / link-local
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.some((entry) => this.isPrivateIp(entry.address))) {
+        const blocked = new Error(`${hostname} resolves to a private address`);
+        blocked.code = 'EPRIVATEADDRESS';
+        return callback(blocked);
+      }
+
+      return callback(null, address, family);
+    });
+  }
+
+  isPrivateIp(host) {
+    const version = net.isIP(host);
+    if (version === 6) {
+      return host === '::1' || host === '::' || /^(fc|fd|fe80)/.test(host) || host.startsWith('::ffff:');
+    }
+    if (version !== 4) return false;
+
+    const [a, b] = host.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      a >= 224;
+  }
+
+  normalizeEvents(events) {
+    const unique = [...new Set(events || [])];
+    if (unique.length === 0) {
+      throw new ValidationError('Select at least one event');
+    }
+    const unknown = unique.filter((event) => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Events must be one of: ${EVENTS.join(', ')}`);
+    }
+    return unique;
+  }
+
+  truncate(text) {
+    if (text == null) return null;
+    const value = typeof text === 'string' ? text : JSON.stringify(text);
+    return value.length > WEBHOOKS.RESPONSE_BODY_LIMIT
+      ? value.slice(0, WEBHOOKS.RESPONSE_BODY_LIMIT)
+      : value;
+  }
+}
+
+const webhookService = new WebhookService();
+export default webhookService;
@@ -0,0 +1,86 @@
+// src/utils/auction.js
+import { AUCTION } from '../config/constants.js';
+
+/**
+ * Second-Price Ad Auction
+ * Ranks eligible ads by effective bid × predicted CTR quality score and
+ * charges the winner just enough to beat the runner-up
+ */
+class AdAuction {
+  /**
+   * Effective bid (CPM, USD) the advertiser committed to
+   */
+  getEffectiveBid(ad) {
+    return parseFloat(ad.finalCpm || 0);
+  }
+
+  /**
+   * Predicted CTR, smoothed towards the prior so new ads are not punished
+   */
+  predictCtr(ad) {
+    const clicks = parseInt(ad.clicks || 0);
+    const impressions = parseInt(ad.deliveredImpressions || 0);
+
+    return (clicks + AUCTION.CTR_PRIOR * AUCTION.CTR_PRIOR_WEIGHT) /
+      (impressions + AUCTION.CTR_PRIOR_WEIGHT);
+  }
+
+  /**
+   * Quality score — predicted CTR relative to the prior, clamped
+   */
+  getQualityScore(ad) {
+    const score = this.predictCtr(ad) / AUCTION.CTR_PRIOR;
+    return Math.min(AUCTION.MAX_QUALITY_SCORE, Math.max(AUCTION.MIN_QUALITY_SCORE, score));
+  }
+
+  /**
+   * Rank candidates, best first
+   * Ties go to the less delivered ad, then the older one (fair rotation)
+   */
+  rank(ads) {
+    return ads
+      .map((ad) => {
+        const bidCpm = this.getEffectiveBid(ad);
+        const qualityScore = this.getQualityScore(ad);
+        return { ad, bidCpm, qualityScore, rankScore: bidCpm * qualityScore };
+      })
+      .sort((a, b) =>
+        b.rankScore - a.rankScore ||
+        a.ad.deliveredImpressions - b.ad.deliveredImpressions ||
+        new Date(a.ad.createdAt) - new Date(b.ad.createdAt)
+      );
+  }
+
+  /**
+   * Run auction over eligible candidates
+   * @param {Array} ads - Eligible ads
+   * @returns {object|null} - { ad, bidCpm, clearingCpm, qualityScore, runnerUpAdId, candidates }
+   */
+  run(ads) {
+    if (!ads || ads.length === 0) return null;
+
+    const [winner, runnerUp] = this.rank(ads);
+
+    // Without competition the winner pays the reserve (its base CPM)
+    let clearingCpm = parseFloat(winner.ad.baseCpm || 0);
+
+    if (runnerUp) {
+      clearingCpm = runnerUp.rankScore / winner.qualityScore + AUCTION.PRICE_INCREMENT;
+    }
+
+    // Never charge more than the winner bid
+    clearingCpm = Math.min(winner.bidCpm, clearingCpm);
+
+    return {
+      ad: winner.ad,
+      bidCpm: parseFloat(winner.bidCpm.toFixed(4)),
+      clearingCpm: parseFloat(clearingCpm.toFixed(4)),
+      qualityScore: parseFloat(winner.qualityScore.toFixed(4)),
+      runnerUpAdId: runnerUp ? runnerUp.ad.id : null,
+      candidates: ads.length,
+    };
+  }
+}
+
+const adAuction = new AdAuction();
+export default adAuction;
@@ -56,6 +56,13 @@ export class PaymentError extends AppError {
   }
 }
 
+// The payout provider refused the payout (nothing was sent); other payout errors are ambiguous
+export class PayoutRejectedError extends PaymentError {
+  constructor(message = 'Payout rejected by provider') {
+    super(message);
+  }
+}
+
 export class ExternalServiceError extends AppError {
   constructor(message = 'External service error', service = 'unknown') {
     super(message, 503);
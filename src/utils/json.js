@@ -0,0 +1,17 @@
+// src/utils/json.js
+
+/**
+ * Read a Json column.
+ * Json columns are written both as objects and as JSON.stringify'd strings,
+ * so a string is parsed and anything else is returned as is.
+ * @param {*} value - Column value
+ * @param {*} fallback - Returned for null / undefined and unparseable strings
+ */
+export const parseJson = (value, fallback = null) => {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
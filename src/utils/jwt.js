@@ -97,10 +97,21 @@ class JWT {
 
     /**
      * Generate bot API key (long-lived JWT)
+     * Expiry and revocation live on the BotApiKey row; the JWT only expires with it
      * @param {object} bot - Bot object
+     * @param {Date|null} expiresAt - Key expiry, null for none
      * @returns {string} - API key
      */
-    generateBotApiKey(bot) {
+    generateBotApiKey(bot, expiresAt = null) {
+        const options = {
+            issuer: 'akhmads.net',
+            audience: 'bot-api',
+            jwtid: nanoid(),
+        };
+        if (expiresAt) {
+            options.expiresIn = Math.max(Math.ceil((expiresAt.getTime() - Date.now()) / 1000), 1);
+        }
+
         return jwt.sign(
             {
                 botId: bot.id,
@@ -109,12 +120,7 @@ class JWT {
                 username: bot.username,
             },
             this.secret,
-            {
-                expiresIn: '1y', // 1 year
-                issuer: 'akhmads.net',
-                audience: 'bot-api',
-                jwtid: nanoid(),
-            },
+            options,
         );
     }
 
@@ -136,6 +142,40 @@ class JWT {
             throw new Error('Invalid API key');
         }
     }
+
+    /**
+     * Generate signed impression id (Bot API v2 Fetch)
+     * @param {object} payload - Ad, bot, user and auction prices of the fetched creative
+     * @param {number} expiresIn - Seconds the bot has to send and confirm it
+     * @returns {string} - Impression id; its jwtid identifies the fetch
+     */
+    generateImpressionToken(payload, expiresIn) {
+        return jwt.sign(payload, this.secret, {
+            expiresIn,
+            issuer: 'akhmads.net',
+            audience: 'ad-impression',
+            jwtid: nanoid(),
+        });
+    }
+
+    /**
+     * Verify impression id
+     * @param {string} token - Impression id
+     * @returns {object} - Decoded payload
+     */
+    verifyImpressionToken(token) {
+        try {
+            return jwt.verify(token, this.secret, {
+                issuer: 'akhmads.net',
+                audience: 'ad-impression',
+            });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new Error('Impression expired');
+            }
+            throw new Error('Invalid impression');
+        }
+    }
 }
 
 const jwtUtil = new JWT();
@@ -0,0 +1,170 @@
+// src/utils/openapi.js
+
+/**
+ * OpenAPI helpers
+ * Reads an Express router and the express-validator schemas given to validateSchema()
+ * (middleware.schema, the same object checkSchema() validates with), so a document built from
+ * them follows the routes instead of being written by hand. Only the documented schema format is
+ * read — never express-validator internals.
+ */
+
+const INT32_MAX = 2147483647;
+
+// Validators that fix the type of a field
+const TYPES = {
+  isString: 'string',
+  isArray: 'array',
+  isObject: 'object',
+  isBoolean: 'boolean',
+  isInt: 'integer',
+  isFloat: 'number',
+  isDecimal: 'number',
+  isNumeric: 'number',
+};
+
+const FORMATS = {
+  isEmail: 'email',
+  isURL: 'uri',
+  isISO8601: 'date-time',
+  isUUID: 'uuid',
+  isIP: 'ip',
+};
+
+/**
+ * Express path → OpenAPI path: /bots/:id → /bots/{id}
+ */
+export const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Every route of a router
+ * @returns {Array<{method: string, path: string, handlers: Function[]}>}
+ */
+export function listRoutes(router) {
+  return router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) => Object.keys(layer.route.methods).map((method) => ({
+      method,
+      path: layer.route.path,
+      handlers: layer.route.stack.map((item) => item.handle),
+    })));
+}
+
+/**
+ * Validation schemas of a route (all validateSchema() middlewares)
+ * @returns {Array<{schema: Object, locations: string[]}>}
+ */
+export const getRouteSchemas = (route) => route.handlers.map((handler) => handler.schema).filter(Boolean);
+
+// checkSchema options: one argument as is, several as an array
+const firstOption = (definition) => (Array.isArray(definition?.options) ? definition.options[0] : definition?.options);
+
+/**
+ * JSON schema of one field from its checkSchema definition
+ */
+export function fieldSchema(definition) {
+  const schema = {};
+  let minLength;
+
+  for (const [name, value] of Object.entries(definition)) {
+    if (!value) continue;
+    const options = firstOption(value);
+
+    if (value.errorMessage !== undefined && schema.description === undefined) {
+      schema.description = String(value.errorMessage);
+    }
+
+    if (TYPES[name]) {
+      schema.type = TYPES[name];
+    } else if (FORMATS[name]) {
+      schema.type = 'string';
+      schema.format = FORMATS[name];
+    }
+
+    if (name === 'notEmpty') {
+      minLength = Math.max(minLength || 0, 1);
+    } else if (name === 'isInt' || name === 'isFloat') {
+      if (options?.min !== undefined) schema.minimum = options.min;
+      if (options?.max !== undefined) schema.maximum = options.max;
+      if (name === 'isInt' && options?.max > INT32_MAX) schema.format = 'int64';
+    } else if (name === 'isArray') {
+      if (options?.min !== undefined) schema.minItems = options.min;
+      if (options?.max !== undefined) schema.maxItems = options.max;
+    } else if (name === 'isIn') {
+      schema.enum = [...options];
+    } else if (name === 'isLength') {
+      if (options?.min !== undefined) minLength = Math.max(minLength || 0, options.min);
+      if (options?.max !== undefined) schema.maxLength = options.max;
+    }
+  }
+
+  if (definition.errorMessage !== undefined) schema.description = String(definition.errorMessage);
+  if (!schema.type && schema.enum) schema.type = typeof schema.enum[0];
+  if (minLength && (!schema.type || schema.type === 'string')) schema.minLength = minLength;
+
+  return schema;
+}
+
+/**
+ * Put a field schema at its path ("Chats.*.SendToChatId") inside an object schema
+ */
+function insertField(node, segments, leaf, required) {
+  const [segment, ...rest] = segments;
+
+  if (segment === '*') {
+    node.type = 'array';
+    node.items = node.items || {};
+    if (rest.length) return insertField(node.items, rest, leaf, required);
+    return Object.assign(node.items, leaf);
+  }
+
+  node.type = node.type || 'object';
+  node.properties = node.properties || {};
+  node.properties[segment] = node.properties[segment] || {};
+
+  if (required && !(node.required || []).includes(segment)) {
+    node.required = [...(node.required || []), segment];
+  }
+
+  if (rest.length) return insertField(node.properties[segment], rest, leaf, required);
+  return Object.assign(node.properties[segment], { ...leaf, ...node.properties[segment] });
+}
+
+/**
+ * Request body schema and query / path parameters of a route
+ * Fields checked in several locations are query parameters on GET, body fields otherwise.
+ * @param {string} method
+ * @param {Array<{schema: Object, locations: string[]}>} schemas - from getRouteSchemas()
+ * @returns {{ body: Object|null, parameters: Object[] }}
+ */
+export function describeRequest(method, schemas) {
+  let body = null;
+  const parameters = [];
+
+  for (const { schema: fields, locations: defaultLocations } of schemas) {
+    for (const [field, definition] of Object.entries(fields)) {
+      const locations = definition.in ? [].concat(definition.in) : defaultLocations;
+      const required = !definition.optional;
+      const schema = fieldSchema(definition);
+
+      const location = locations.length === 1
+        ? locations[0]
+        : (method === 'get' ? 'query' : 'body');
+
+      if (location === 'body') {
+        body = body || { type: 'object', properties: {} };
+        insertField(body, field.split('.'), schema, required);
+      } else if (location === 'query' || location === 'params') {
+        const { description, ...fieldType } = schema;
+        parameters.push({
+          name: field,
+          in: location === 'params' ? 'path' : 'query',
+          required: location === 'params' || required,
+          ...(description && { description }),
+          schema: fieldType,
+        });
+      }
+    }
+  }
+
+  return { body, parameters };
+}
@@ -1,5 +1,5 @@
 // src/utils/pricing.js
-import { AD_CATEGORIES, AI_SEGMENTS } from '../config/constants.js';
+import { AD_CATEGORIES, AI_SEGMENTS, GEO_TARGETING, PROMO_CODE_TYPES } from '../config/constants.js';
 import logger from './logger.js';
 
 /**
@@ -95,6 +95,13 @@ class PricingCalculator {
       multiplier *= 1.1;
     }
 
+    // Geo targeting (include lists narrow the audience; exclude-only is free)
+    if (Array.isArray(targeting.cities?.include) && targeting.cities.include.length > 0) {
+      multiplier *= GEO_TARGETING.CITY_MULTIPLIER;
+    } else if (Array.isArray(targeting.countries?.include) && targeting.countries.include.length > 0) {
+      multiplier *= GEO_TARGETING.COUNTRY_MULTIPLIER;
+    }
+
     return multiplier;
   }
 
@@ -143,12 +150,8 @@ class PricingCalculator {
       let finalCost = baseCost;
 
       if (promoCode && promoCode.isActive) {
-        if (promoCode.type === 'percentage') {
-          discount = (baseCost * parseFloat(promoCode.discount)) / 100;
-        } else if (promoCode.type === 'fixed') {
-          discount = parseFloat(promoCode.discount);
-        }
-        finalCost = Math.max(0, baseCost - discount);
+        discount = this.calculatePromoDiscount(promoCode, baseCost);
+        finalCost = baseCost - discount;
       }
 
       // 8. Calculate platform fee
@@ -180,6 +183,24 @@ class PricingCalculator {
     }
   }
 
+  /**
+   * Promo code discount on a base cost: percentage of it, or a fixed amount (never more than the cost)
+   */
+  calculatePromoDiscount(promoCode, baseCost) {
+    const value = parseFloat(promoCode.discount);
+    const type = String(promoCode.type || '').toLowerCase();
+
+    if (type === PROMO_CODE_TYPES.PERCENTAGE) {
+      return (baseCost * Math.min(value, 100)) / 100;
+    }
+    if (type === PROMO_CODE_TYPES.FIXED) {
+      return Math.min(value, baseCost);
+    }
+
+    logger.warn(`Unknown promo code type: ${promoCode.type}`);
+    return 0;
+  }
+
   /**
    * Calculate revenue per impression
    */
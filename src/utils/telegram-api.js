@@ -124,7 +124,9 @@ class TelegramAPI {
           throw new Error('CHAT_NOT_FOUND');
         }
         if (description.includes('Too Many Requests')) {
-          throw new Error('RATE_LIMITED');
+          const rateLimited = new Error('RATE_LIMITED');
+          rateLimited.retryAfter = error.response.data.parameters?.retry_after ?? null;
+          throw rateLimited;
         }
       }
 
@@ -1,6 +1,7 @@
 import CryptoJS from 'crypto-js';
 import { nanoid } from 'nanoid';
 import logger from './logger.js';
+import { CONVERSIONS } from '../config/constants.js';
 
 /**
  * Click Tracking Token Generator
@@ -18,6 +19,7 @@ class Tracking {
    * @param {string} data.botId - Bot ID
    * @param {string} data.originalUrl - Original destination URL
    * @param {string} data.telegramUserId - User's Telegram ID (optional)
+   * @param {string} data.variantId - A/B creative variant ID (optional)
    * @returns {string} - Encrypted token
    */
   generateToken(data) {
@@ -27,6 +29,7 @@ class Tracking {
         botId: data.botId,
         originalUrl: data.originalUrl,
         telegramUserId: data.telegramUserId || null,
+        variantId: data.variantId || null,
         timestamp: Date.now(),
         nonce: nanoid(8),
       };
@@ -80,15 +83,44 @@ class Tracking {
     return `${baseUrl}/t/${token}`;
   }
 
+  /**
+   * Generate click id (returned by advertisers in conversion postbacks, so it must be unguessable)
+   * @returns {string}
+   */
+  generateClickId() {
+    return nanoid(24);
+  }
+
+  /**
+   * Append click id to the destination URL
+   * @param {string} url - Original destination URL
+   * @param {string} clickId - Click id
+   * @returns {string} - URL with the click id parameter (non-http URLs are returned unchanged)
+   */
+  appendClickId(url, clickId) {
+    if (!clickId) return url;
+
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) return url;
+
+      parsed.searchParams.set(CONVERSIONS.CLICK_ID_PARAM, clickId);
+      return parsed.toString();
+    } catch {
+      return url;
+    }
+  }
+
   /**
    * Wrap button URLs with tracking
    * @param {array} buttons - Array of button objects
    * @param {string} adId - Ad ID
    * @param {string} botId - Bot ID
    * @param {string} telegramUserId - Telegram user ID (optional)
+   * @param {string} variantId - A/B creative variant ID (optional)
    * @returns {array} - Buttons with tracking URLs
    */
-  wrapButtonsWithTracking(buttons, adId, botId, telegramUserId = null) {
+  wrapButtonsWithTracking(buttons, adId, botId, telegramUserId = null, variantId = null) {
     if (!buttons || !Array.isArray(buttons)) {
       return [];
     }
@@ -101,6 +133,7 @@ class Tracking {
         botId,
         originalUrl: button.url,
         telegramUserId,
+        variantId,
       });
 
       return {
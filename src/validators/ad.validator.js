@@ -1,5 +1,70 @@
 import { body, param } from 'express-validator';
-import { LIMITS } from '../config/constants.js';
+import { LIMITS, PACING_MODES, FREQUENCY_PERIODS } from '../config/constants.js';
+
+/**
+ * targeting.countries / targeting.cities: { include: [...], exclude: [...] }
+ */
+const geoListValidators = (field, item) => [
+  body(`targeting.${field}`)
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage(`${field} must be an object with include / exclude lists`)
+    .custom((value) => {
+      const include = value.include || [];
+      const exclude = value.exclude || [];
+      if (include.some((entry) => exclude.includes(entry))) {
+        throw new Error(`The same ${field} cannot be both included and excluded`);
+      }
+      return true;
+    }),
+
+  ...['include', 'exclude'].flatMap((list) => [
+    body(`targeting.${field}.${list}`)
+      .optional()
+      .isArray({ max: LIMITS.MAX_GEO_TARGETS })
+      .withMessage(`${field}.${list} must be an array of at most ${LIMITS.MAX_GEO_TARGETS} entries`),
+    item(body(`targeting.${field}.${list}.*`)),
+  ]),
+];
+
+/**
+ * Targeting fields shared by create / update
+ */
+export const targetingValidators = [
+  body('targeting')
+    .optional()
+    .isObject()
+    .withMessage('Targeting must be an object'),
+
+  body('targeting.frequency')
+    .optional({ values: 'null' })
+    .isIn(Object.values(FREQUENCY_PERIODS))
+    .withMessage(`Frequency must be one of: ${Object.values(FREQUENCY_PERIODS).join(', ')}`),
+
+  body('targeting.frequencyCap')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: LIMITS.MAX_FREQUENCY_CAP })
+    .withMessage(`Frequency cap must be between 1 and ${LIMITS.MAX_FREQUENCY_CAP}`)
+    .custom((value, { req }) => {
+      if (!req.body.targeting?.frequency) {
+        throw new Error('Frequency cap requires a frequency period');
+      }
+      return true;
+    }),
+
+  ...geoListValidators('countries', (chain) => chain
+    .isString()
+    .trim()
+    .isISO31661Alpha2()
+    .withMessage('Countries must be ISO 3166-1 alpha-2 codes')
+    .toUpperCase()),
+
+  ...geoListValidators('cities', (chain) => chain
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('City names must be between 1 and 100 characters')),
+];
 
 /**
  * Ad Validators
@@ -102,10 +167,12 @@ export const adValidators = {
       .isFloat({ min: 0 })
       .withMessage('CPM bid must be a positive number'),
     
-    body('targeting')
+    ...targetingValidators,
+    
+    body('pacingMode')
       .optional()
-      .isObject()
-      .withMessage('Targeting must be an object'),
+      .isIn(Object.values(PACING_MODES))
+      .withMessage(`Pacing mode must be one of: ${Object.values(PACING_MODES).join(', ')}`),
     
     body('specificBotIds')
       .optional()
@@ -155,10 +222,19 @@ export const adValidators = {
         return true;
       }),
     
-    body('targeting')
+    ...targetingValidators,
+    
+    body('pacingMode')
       .optional()
-      .isObject()
-      .withMessage('Targeting must be an object'),
+      .isIn(Object.values(PACING_MODES))
+      .withMessage(`Pacing mode must be one of: ${Object.values(PACING_MODES).join(', ')}`),
+    
+    body('promoCode')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 50 })
+      .withMessage('Invalid promo code'),
   ],
 
   /**
@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+import request from 'supertest';
+import app from '../../src/app.js';
+import clickService from '../../src/services/payments/providers/clickService.js';
+import { createTestUser, generateAuthToken, prisma } from '../helpers.js';
+
+const SECRET_KEY = 'click-test-secret';
+const SERVICE_ID = '12345';
+
+// Click's signature: complete (action 1) includes merchant_prepare_id
+const sign = (params) => {
+  const prepareId = params.action === 1 ? params.merchant_prepare_id : '';
+  const signString = `${params.click_trans_id}${params.service_id}${SECRET_KEY}${params.merchant_trans_id}` +
+    `${prepareId}${params.amount}${params.action}${params.sign_time}`;
+  return { ...params, sign_string: crypto.createHash('md5').update(signString).digest('hex') };
+};
+
+describe('Click Deposit Integration Tests', () => {
+  let user, userToken;
+
+  const wallet = () => prisma.wallet.findUnique({ where: { userId: user.id } });
+
+  const initiate = async (amount = 20) => {
+    const res = await request(app)
+      .post('/api/v1/payments/deposit/initiate')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ provider: 'CLICK', amount });
+
+    return res.body.data;
+  };
+
+  const callback = (step, params) => request(app)
+    .post(`/api/v1/webhooks/click/${step}`)
+    .type('form')
+    .send(sign({
+      click_paydoc_id: 777,
+      service_id: SERVICE_ID,
+      sign_time: '2026-10-19 12:00:00',
+      error: 0,
+      error_note: 'Success',
+      ...params,
+    }));
+
+  const pay = async (transactionId, amount, clickTransId) => {
+    const prepared = await callback('prepare', {
+      click_trans_id: clickTransId,
+      merchant_trans_id: transactionId,
+      amount,
+      action: 0,
+    });
+
+    const completed = await callback('complete', {
+      click_trans_id: clickTransId,
+      merchant_trans_id: transactionId,
+      merchant_prepare_id: prepared.body.merchant_prepare_id,
+      amount,
+      action: 1,
+    });
+
+    return { prepared: prepared.body, completed: completed.body };
+  };
+
+  beforeAll(() => {
+    clickService.secretKey = SECRET_KEY;
+    clickService.serviceId = SERVICE_ID;
+  });
+
+  beforeEach(async () => {
+    user = await createTestUser();
+    userToken = generateAuthToken(user);
+  });
+
+  it('should initiate a Click deposit with the amount in UZS', async () => {
+    const { transaction, payment } = await initiate(20);
+
+    expect(transaction.provider).toBe('CLICK');
+    expect(payment.amountUzs).toBe(clickService.usdToUzs(20));
+    expect(payment.paymentUrl).toContain('my.click.uz');
+    expect(payment.paymentUrl).toContain(`transaction_param=${transaction.id}`);
+  });
+
+  it('should credit the wallet once on complete', async () => {
+    const { transaction, payment } = await initiate(20);
+
+    const { prepared, completed } = await pay(transaction.id, payment.amountUzs, 1001);
+    expect(prepared.error).toBe(0);
+    expect(completed.error).toBe(0);
+    expect(completed.merchant_confirm_id).toBe(transaction.id);
+
+    // Click retries complete — same answer, no second credit
+    const retried = await callback('complete', {
+      click_trans_id: 1001,
+      merchant_trans_id: transaction.id,
+      merchant_prepare_id: transaction.id,
+      amount: payment.amountUzs,
+      action: 1,
+    });
+    expect(retried.body.error).toBe(0);
+
+    expect(parseFloat((await wallet()).available)).toBe(20);
+    const deposit = await prisma.transaction.findUnique({ where: { id: transaction.id } });
+    expect(deposit.status).toBe('SUCCESS');
+    expect(deposit.providerTxId).toBe('1001');
+  });
+
+  it('should reject an invalid signature', async () => {
+    const { transaction, payment } = await initiate(20);
+
+    const res = await request(app)
+      .post('/api/v1/webhooks/click/prepare')
+      .type('form')
+      .send({
+        click_trans_id: 1002,
+        service_id: SERVICE_ID,
+        merchant_trans_id: transaction.id,
+        amount: payment.amountUzs,
+        action: 0,
+        sign_time: '2026-10-19 12:00:00',
+        sign_string: 'forged',
+      });
+
+    expect(res.body.error).toBe(-1);
+  });
+
+  it('should reject a wrong amount', async () => {
+    const { transaction, payment } = await initiate(20);
+
+    const { prepared } = await pay(transaction.id, payment.amountUzs - 1000, 1003);
+
+    expect(prepared.error).toBe(-2);
+    expect(parseFloat((await wallet()).available)).toBe(0);
+  });
+
+  it('should cancel the deposit when Click reports a failed payment', async () => {
+    const { transaction, payment } = await initiate(20);
+
+    await callback('prepare', {
+      click_trans_id: 1004,
+      merchant_trans_id: transaction.id,
+      amount: payment.amountUzs,
+      action: 0,
+    });
+    const res = await callback('complete', {
+      click_trans_id: 1004,
+      merchant_trans_id: transaction.id,
+      merchant_prepare_id: transaction.id,
+      amount: payment.amountUzs,
+      action: 1,
+      error: -5017,
+    });
+
+    expect(res.body.error).toBe(-9);
+    const deposit = await prisma.transaction.findUnique({ where: { id: transaction.id } });
+    expect(deposit.status).toBe('FAILED');
+
+    // A paid or cancelled deposit cannot be prepared again
+    const again = await callback('prepare', {
+      click_trans_id: 1005,
+      merchant_trans_id: transaction.id,
+      amount: payment.amountUzs,
+      action: 0,
+    });
+    expect(again.body.error).toBe(-9);
+  });
+});
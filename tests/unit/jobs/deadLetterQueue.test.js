@@ -0,0 +1,18 @@
+import { describe, it, expect } from '@jest/globals';
+import { isFinalAttempt } from '../../../src/jobs/queues/deadLetterQueue.js';
+
+describe('Dead-letter Queue', () => {
+  describe('isFinalAttempt', () => {
+    it('should be false while retries remain', () => {
+      expect(isFinalAttempt({ attemptsMade: 2, opts: { attempts: 5 } })).toBe(false);
+    });
+
+    it('should be true once all attempts are used', () => {
+      expect(isFinalAttempt({ attemptsMade: 5, opts: { attempts: 5 } })).toBe(true);
+    });
+
+    it('should treat jobs without retry options as single-attempt', () => {
+      expect(isFinalAttempt({ attemptsMade: 1, opts: {} })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, it, expect } from '@jest/globals';
+import { getBotApiQuota } from '../../../src/middleware/rateLimiter.js';
+
+describe('Bot API quota', () => {
+  it('should scale the per-minute quota with active members', () => {
+    expect(getBotApiQuota({ activeMembers: 0 })).toBe(30);
+    expect(getBotApiQuota({ activeMembers: 999 })).toBe(30);
+    expect(getBotApiQuota({ activeMembers: 1000 })).toBe(120);
+    expect(getBotApiQuota({ activeMembers: 25000 })).toBe(600);
+    expect(getBotApiQuota({ activeMembers: 2000000 })).toBe(1800);
+  });
+
+  it('should use the lowest tier for a bot without synced members', () => {
+    expect(getBotApiQuota({ activeMembers: null })).toBe(30);
+    expect(getBotApiQuota(undefined)).toBe(30);
+  });
+});
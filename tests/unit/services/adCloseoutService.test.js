@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import adCloseoutService from '../../../src/services/ad/adCloseoutService.js';
+import walletService from '../../../src/services/wallet/walletService.js';
+import { CLOSEOUT_REASONS } from '../../../src/config/constants.js';
+import { closeoutFinishedAds } from '../../../src/jobs/schedulers/distributionScheduler.js';
+import { createTestUser, createTestAd, prisma } from '../../helpers.js';
+
+describe('AdCloseoutService', () => {
+  let advertiser;
+
+  beforeEach(async () => {
+    advertiser = await createTestUser();
+  });
+
+  it('should refund the remaining budget with an AD_REFUND ledger entry', async () => {
+    const ad = await createTestAd(advertiser.id, { status: 'RUNNING', remainingBudget: 1.5 });
+
+    const result = await adCloseoutService.closeout(ad.id, CLOSEOUT_REASONS.STOPPED);
+
+    expect(result.closedOut).toBe(true);
+    expect(result.refunded).toBe(1.5);
+    expect(result.report.reason).toBe(CLOSEOUT_REASONS.STOPPED);
+
+    const closed = await prisma.ad.findUnique({ where: { id: ad.id } });
+    expect(closed.status).toBe('COMPLETED');
+    expect(parseFloat(closed.remainingBudget)).toBe(0);
+    expect(closed.closedOutAt).not.toBeNull();
+
+    const wallet = await walletService.getWallet(advertiser.id);
+    expect(parseFloat(wallet.available)).toBe(1.5);
+
+    const entries = await prisma.ledgerEntry.findMany({
+      where: { refId: ad.id, type: 'AD_REFUND', refType: 'AD_CLOSEOUT' },
+    });
+    expect(entries).toHaveLength(1);
+  });
+
+  it('should not refund twice when retried', async () => {
+    const ad = await createTestAd(advertiser.id, { status: 'PAUSED', remainingBudget: 1 });
+
+    await adCloseoutService.closeout(ad.id, CLOSEOUT_REASONS.COMPLETED);
+    const retry = await adCloseoutService.closeout(ad.id, CLOSEOUT_REASONS.COMPLETED);
+
+    expect(retry.closedOut).toBe(false);
+    expect(retry.reason).toBe('ALREADY_CLOSED');
+    expect(retry.report.refunded).toBe(1);
+
+    const wallet = await walletService.getWallet(advertiser.id);
+    expect(parseFloat(wallet.available)).toBe(1);
+  });
+
+  it('should skip ads whose budget was never confirmed', async () => {
+    const ad = await createTestAd(advertiser.id, { status: 'DRAFT' });
+
+    const result = await adCloseoutService.closeout(ad.id, CLOSEOUT_REASONS.DELETED);
+
+    expect(result).toEqual({ closedOut: false, reason: 'NOT_CLOSABLE' });
+  });
+
+  it('should send an unmoderated scheduled ad back to draft without a refund', async () => {
+    const ad = await createTestAd(advertiser.id, { status: 'SCHEDULED', remainingBudget: 2 });
+    await prisma.ad.update({ where: { id: ad.id }, data: { scheduleEndDate: new Date(Date.now() - 60000) } });
+
+    // The sweep leaves it alone
+    await closeoutFinishedAds();
+    expect((await prisma.ad.findUnique({ where: { id: ad.id } })).status).toBe('SCHEDULED');
+
+    const result = await adCloseoutService.closeout(ad.id, CLOSEOUT_REASONS.STOPPED);
+    expect(result).toEqual({ closedOut: false, reason: 'UNPAID_DRAFT' });
+
+    const reverted = await prisma.ad.findUnique({ where: { id: ad.id } });
+    expect(reverted.status).toBe('DRAFT');
+    expect(reverted.closedOutAt).toBeNull();
+
+    const wallet = await walletService.getWallet(advertiser.id);
+    expect(parseFloat(wallet.available)).toBe(0);
+    expect(await prisma.ledgerEntry.count({ where: { refId: ad.id, type: 'AD_REFUND' } })).toBe(0);
+  });
+
+  it('should close out a moderated scheduled ad', async () => {
+    const ad = await createTestAd(advertiser.id, { status: 'SCHEDULED', remainingBudget: 2 });
+    await prisma.ad.update({ where: { id: ad.id }, data: { moderatedAt: new Date() } });
+
+    const result = await adCloseoutService.closeout(ad.id, CLOSEOUT_REASONS.STOPPED);
+
+    expect(result.closedOut).toBe(true);
+    expect(result.refunded).toBe(2);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import adFetchService from '../../../src/services/distribution/adFetchService.js';
+import distributionService from '../../../src/services/distribution/distributionService.js';
+import frequencyCapService from '../../../src/services/distribution/frequencyCapService.js';
+import jwtUtil from '../../../src/utils/jwt.js';
+import { BOT_CONFIRM_RESULTS } from '../../../src/config/constants.js';
+import { createTestUser, createTestBot, createTestAd, prisma } from '../../helpers.js';
+
+describe('AdFetchService', () => {
+  const impressionToken = (data = {}, expiresIn = 300) => jwtUtil.generateImpressionToken(
+    {
+      adId: 'ad',
+      botId: 'bot',
+      telegramUserId: '1001',
+      chatId: '1001',
+      bidCpm: 2,
+      clearingCpm: 2,
+      ...data,
+    },
+    expiresIn
+  );
+
+  describe('confirm', () => {
+    it('should reject an impression id that was not issued by us', async () => {
+      const forged = jwt.sign({ botId: 'bot' }, 'other-secret', { audience: 'ad-impression' });
+
+      expect(await adFetchService.confirm('bot', forged, '1')).toEqual({
+        code: BOT_CONFIRM_RESULTS.INVALID_IMPRESSION,
+      });
+      expect(await adFetchService.confirm('bot', 'not-a-token', '1')).toEqual({
+        code: BOT_CONFIRM_RESULTS.INVALID_IMPRESSION,
+      });
+    });
+
+    it('should reject an impression id fetched by another bot', async () => {
+      const result = await adFetchService.confirm('other-bot', impressionToken(), '1');
+
+      expect(result).toEqual({ code: BOT_CONFIRM_RESULTS.INVALID_IMPRESSION });
+    });
+
+    it('should report an expired impression id', async () => {
+      const result = await adFetchService.confirm('bot', impressionToken({}, -1), '1');
+
+      expect(result).toEqual({ code: BOT_CONFIRM_RESULTS.EXPIRED });
+    });
+
+    describe('caps', () => {
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      const setup = async () => {
+        const advertiser = await createTestUser();
+        const owner = await createTestUser({ role: 'BOT_OWNER' });
+        const bot = await createTestBot(owner.id);
+        const ad = await createTestAd(advertiser.id, { status: 'RUNNING' });
+        const token = () => impressionToken({ adId: ad.id, botId: bot.id });
+        return { bot, ad, token };
+      };
+
+      it('should charge only one of several impression ids fetched for the same user', async () => {
+        const queued = jest.spyOn(distributionService, 'queueImpression').mockResolvedValue();
+        const { bot, token } = await setup();
+        const [first, second] = [token(), token()];
+
+        expect(await adFetchService.confirm(bot.id, first, '1')).toEqual({ code: BOT_CONFIRM_RESULTS.SUCCESS });
+        expect(await adFetchService.confirm(bot.id, second, '2')).toEqual({ code: BOT_CONFIRM_RESULTS.REFUSED });
+        expect(queued).toHaveBeenCalledTimes(1);
+      });
+
+      it('should count caps once for concurrent confirms of the same impression id', async () => {
+        const queued = jest.spyOn(distributionService, 'queueImpression').mockResolvedValue();
+        const counted = jest.spyOn(frequencyCapService, 'recordImpression');
+        const { bot, token } = await setup();
+        const impressionId = token();
+
+        const results = await Promise.all([
+          adFetchService.confirm(bot.id, impressionId, '1'),
+          adFetchService.confirm(bot.id, impressionId, '1'),
+        ]);
+
+        expect(results.map((result) => result.code).sort()).toEqual(
+          [BOT_CONFIRM_RESULTS.SUCCESS, BOT_CONFIRM_RESULTS.ALREADY_CONFIRMED].sort()
+        );
+        expect(queued).toHaveBeenCalledTimes(1);
+        expect(counted).toHaveBeenCalledTimes(1);
+      });
+
+      it('should not charge an ad that stopped after the fetch', async () => {
+        const queued = jest.spyOn(distributionService, 'queueImpression').mockResolvedValue();
+        const { bot, ad, token } = await setup();
+        const impressionId = token();
+
+        await prisma.ad.update({ where: { id: ad.id }, data: { status: 'PAUSED' } });
+
+        expect(await adFetchService.confirm(bot.id, impressionId, '1')).toEqual({ code: BOT_CONFIRM_RESULTS.REFUSED });
+        expect(queued).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('recordImpression with fetchId', () => {
+    it('should charge a fetched impression only once', async () => {
+      const advertiser = await createTestUser();
+      const owner = await createTestUser({ role: 'BOT_OWNER' });
+      const bot = await createTestBot(owner.id);
+      const ad = await createTestAd(advertiser.id, { status: 'RUNNING' });
+
+      const record = (messageId) => distributionService.recordImpression({
+        adId: ad.id,
+        botId: bot.id,
+        telegramUserId: '1001',
+        chatId: '1001',
+        messageId,
+        auction: { bidCpm: 2, clearingCpm: 2 },
+        fetchId: 'fetch-1',
+      });
+
+      expect((await record('1')).recorded).toBe(true);
+      expect(await record('2')).toMatchObject({ recorded: false, reason: 'DUPLICATE' });
+      expect(await adFetchService.claim({ jti: 'fetch-1', exp: Math.floor(Date.now() / 1000) + 60 }))
+        .toBe(false);
+
+      const updatedAd = await prisma.ad.findUnique({ where: { id: ad.id } });
+      expect(updatedAd.deliveredImpressions).toBe(1);
+    });
+  });
+
+  describe('formatCreative', () => {
+    it('should describe media and poll creatives in Bot API terms', () => {
+      const message = { text: 'Hi', parseMode: 'HTML', replyMarkup: null };
+
+      expect(adFetchService.formatCreative(
+        { contentType: 'MEDIA', mediaUrl: 'https://cdn/x.jpg', mediaType: 'image/jpeg' },
+        message
+      ).media).toEqual({ type: 'photo', url: 'https://cdn/x.jpg' });
+
+      expect(adFetchService.formatCreative(
+        { contentType: 'POLL', poll: JSON.stringify({ question: 'Q?', options: ['A', 'B'], correct: 0 }) },
+        message
+      ).poll).toEqual({ question: 'Q?', options: ['A', 'B'] });
+    });
+  });
+});
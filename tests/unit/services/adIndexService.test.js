@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import adIndexService from '../../../src/services/distribution/adIndexService.js';
+import moderationService from '../../../src/services/admin/moderationService.js';
+import { createTestUser, createTestBot, createTestAd, prisma } from '../../helpers.js';
+
+describe('AdIndexService', () => {
+  let advertiser;
+  let bot;
+
+  const runningAd = async (data = {}) => {
+    const ad = await createTestAd(advertiser.id, { status: 'RUNNING' });
+    return prisma.ad.update({ where: { id: ad.id }, data });
+  };
+
+  const candidateIds = async (languageCode = null) =>
+    (await adIndexService.getCandidates(bot, languageCode)).map((ad) => ad.id);
+
+  beforeEach(async () => {
+    advertiser = await createTestUser();
+    const owner = await createTestUser({ role: 'BOT_OWNER' });
+    bot = await createTestBot(owner.id);
+    await adIndexService.invalidateAds();
+  });
+
+  it('should only index RUNNING ads with budget left', async () => {
+    const running = await runningAd();
+    await createTestAd(advertiser.id, { status: 'PAUSED' });
+    await runningAd({ remainingBudget: 0 });
+
+    expect(await candidateIds()).toEqual([running.id]);
+  });
+
+  it('should filter by specific bots and language', async () => {
+    const other = await runningAd({ specificBotIds: ['another-bot'] });
+    const mine = await runningAd({ specificBotIds: [bot.id] });
+    const russian = await runningAd({ targeting: { languages: ['ru'] } });
+
+    const ids = await candidateIds('uz');
+    expect(ids).toContain(mine.id);
+    expect(ids).not.toContain(other.id);
+    expect(ids).not.toContain(russian.id);
+    expect(await candidateIds('ru')).toContain(russian.id);
+  });
+
+  it('should apply bot category settings, including stringified Json', async () => {
+    const tech = await runningAd({ targeting: JSON.stringify({ categories: ['tech'] }) });
+    const games = await runningAd({ targeting: { categories: ['games'] } });
+
+    bot = { ...bot, blockedCategories: ['games'] };
+    const ids = await candidateIds();
+    expect(ids).toContain(tech.id);
+    expect(ids).not.toContain(games.id);
+  });
+
+  it('should pick up status changes after invalidation', async () => {
+    const ad = await runningAd();
+    expect(await candidateIds()).toContain(ad.id);
+
+    await prisma.ad.update({ where: { id: ad.id }, data: { status: 'PAUSED' } });
+    await adIndexService.invalidateAds();
+
+    expect(await candidateIds()).not.toContain(ad.id);
+  });
+
+  it('should stop serving a cached bot once moderation rejects it', async () => {
+    const admin = await createTestUser({ role: 'ADMIN' });
+    expect((await adIndexService.getBot(bot.id)).status).toBe('ACTIVE');
+
+    await moderationService.rejectBot(bot.id, admin.id, 'spam');
+
+    expect((await adIndexService.getBot(bot.id)).status).toBe('REJECTED');
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from '@jest/globals';
+import adSchedulingService from '../../../src/services/ad/adSchedulingService.js';
+
+describe('AdSchedulingService dayparting', () => {
+  // Weekdays 09:00–18:00 in Tashkent (UTC+5)
+  const ad = {
+    scheduleTimezone: 'Asia/Tashkent',
+    scheduleActiveDays: JSON.stringify([1, 2, 3, 4, 5]),
+    scheduleActiveHours: JSON.stringify([{ start: 9, end: 18 }]),
+  };
+
+  it('should evaluate hours in the ad timezone', () => {
+    // Monday 07:00 / 10:00 Tashkent
+    expect(adSchedulingService.isAdActive(ad, new Date('2026-10-19T02:00:00Z'))).toBe(false);
+    expect(adSchedulingService.isAdActive(ad, new Date('2026-10-19T05:00:00Z'))).toBe(true);
+  });
+
+  it('should skip inactive days', () => {
+    // Sunday 10:00 Tashkent
+    expect(adSchedulingService.isAdActive(ad, new Date('2026-10-25T05:00:00Z'))).toBe(false);
+  });
+
+  it('should respect the schedule date range', () => {
+    const ranged = { ...ad, scheduleEndDate: new Date('2026-10-19T04:30:00Z') };
+    expect(adSchedulingService.isAdActive(ranged, new Date('2026-10-19T05:00:00Z'))).toBe(false);
+  });
+
+  it('should run everywhere without dayparting', () => {
+    expect(adSchedulingService.isAdActive({}, new Date())).toBe(true);
+  });
+
+  it('should preview the next windows', () => {
+    const windows = adSchedulingService.getNextWindows(ad, 2, new Date('2026-10-19T02:00:00Z'));
+
+    expect(windows).toEqual([
+      { start: new Date('2026-10-19T04:00:00Z'), end: new Date('2026-10-19T13:00:00Z') },
+      { start: new Date('2026-10-20T04:00:00Z'), end: new Date('2026-10-20T13:00:00Z') },
+    ]);
+  });
+
+  it('should skip the weekend in the preview', () => {
+    // Friday evening Tashkent → next window is Monday
+    const [next] = adSchedulingService.getNextWindows(ad, 1, new Date('2026-10-23T14:00:00Z'));
+    expect(next.start).toEqual(new Date('2026-10-26T04:00:00Z'));
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import distributionService from '../../../src/services/distribution/distributionService.js';
+import adIndexService from '../../../src/services/distribution/adIndexService.js';
+import frequencyCapService from '../../../src/services/distribution/frequencyCapService.js';
+
+describe('Ad selection', () => {
+  const bot = { id: 'bot', ownerId: 'owner', status: 'ACTIVE', isPaused: false, postFilter: 'all' };
+
+  const makeAd = (id, finalCpm, createdAt) => ({
+    id,
+    advertiserId: 'advertiser',
+    finalCpm,
+    baseCpm: 1.5,
+    clicks: 0,
+    deliveredImpressions: 0,
+    createdAt,
+    targeting: { frequency: 'unique' },
+    excludedUserIds: [],
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should apply frequency caps before picking the winner among many candidates', async () => {
+    // 300 older ads the user has already seen, then two newer ones
+    const seen = Array.from({ length: 300 }, (_, i) => makeAd(`seen-${i}`, 5, new Date(2026, 0, 1, 0, i)));
+    const fresh = [makeAd('fresh-low', 2, new Date(2026, 5, 1)), makeAd('fresh-high', 3, new Date(2026, 5, 2))];
+
+    jest.spyOn(adIndexService, 'getBot').mockResolvedValue(bot);
+    jest.spyOn(adIndexService, 'getCandidates').mockResolvedValue([...seen, ...fresh]);
+    jest.spyOn(frequencyCapService, 'isUserThrottled').mockResolvedValue(false);
+    jest.spyOn(frequencyCapService, 'isBotHourlyCapReached').mockResolvedValue(false);
+    const getCappedAdIds = jest.spyOn(frequencyCapService, 'getCappedAdIds')
+      .mockResolvedValue(new Set(seen.map((ad) => ad.id)));
+
+    const result = await distributionService.selectAdForUser('bot', '1001');
+
+    expect(getCappedAdIds.mock.calls[0][0]).toHaveLength(302);
+    expect(result.ad.id).toBe('fresh-high');
+    expect(result.runnerUpAdId).toBe('fresh-low');
+  });
+});
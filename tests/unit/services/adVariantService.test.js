@@ -0,0 +1,66 @@
+import { describe, it, expect } from '@jest/globals';
+import adVariantService from '../../../src/services/ad/adVariantService.js';
+
+describe('AdVariantService', () => {
+  const variant = (id, impressions, clicks) => ({ id, name: id, impressions, clicks });
+
+  describe('pickVariant', () => {
+    it('should return null for ads without variants', () => {
+      expect(adVariantService.pickVariant({ variants: [] })).toBeNull();
+    });
+
+    it('should rotate between variants', () => {
+      const ad = { variants: [variant('a', 0, 0), variant('b', 0, 0)] };
+
+      expect(adVariantService.pickVariant(ad, () => 0.1).id).toBe('a');
+      expect(adVariantService.pickVariant(ad, () => 0.9).id).toBe('b');
+    });
+
+    it('should always pick the winner once declared', () => {
+      const ad = { winnerVariantId: 'b', variants: [variant('a', 0, 0), variant('b', 0, 0)] };
+
+      expect(adVariantService.pickVariant(ad, () => 0.1).id).toBe('b');
+    });
+  });
+
+  describe('getCreative', () => {
+    it('should overlay the variant creative and parse buttons', () => {
+      const ad = { id: 'ad', text: 'Original text', mediaUrl: 'a.jpg', buttons: '[{"text":"Go","url":"https://a.b"}]' };
+
+      const creative = adVariantService.getCreative(ad, { text: 'Variant text', mediaUrl: null, buttons: null });
+
+      expect(creative.text).toBe('Variant text');
+      expect(creative.mediaUrl).toBe('a.jpg');
+      expect(creative.buttons).toEqual([{ text: 'Go', url: 'https://a.b' }]);
+    });
+  });
+
+  describe('findWinner', () => {
+    it('should wait for the minimum sample', () => {
+      const winner = adVariantService.findWinner(
+        [variant('a', 500, 50), variant('b', 500, 5)],
+        { minImpressions: 1000 }
+      );
+
+      expect(winner).toBeNull();
+    });
+
+    it('should pick a significantly better variant', () => {
+      const winner = adVariantService.findWinner(
+        [variant('a', 2000, 40), variant('b', 2000, 100), variant('c', 2000, 45)],
+        { minImpressions: 1000 }
+      );
+
+      expect(winner.id).toBe('b');
+    });
+
+    it('should not pick a winner when the difference is noise', () => {
+      const winner = adVariantService.findWinner(
+        [variant('a', 2000, 40), variant('b', 2000, 44)],
+        { minImpressions: 1000 }
+      );
+
+      expect(winner).toBeNull();
+    });
+  });
+});
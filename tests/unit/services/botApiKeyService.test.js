@@ -0,0 +1,86 @@
+import { describe, it, expect } from '@jest/globals';
+import botApiKeyService from '../../../src/services/bot/botApiKeyService.js';
+import { BOT_API_KEYS } from '../../../src/config/constants.js';
+import { createTestUser, createTestBot, prisma } from '../../helpers.js';
+
+describe('BotApiKeyService', () => {
+  const setup = async () => {
+    const owner = await createTestUser({ role: 'BOT_OWNER' });
+    const bot = await createTestBot(owner.id);
+    const { apiKey } = await botApiKeyService.issuePrimaryKey(bot);
+    return { owner, bot, apiKey };
+  };
+
+  it('should accept the primary key with every scope', async () => {
+    const { bot, apiKey } = await setup();
+
+    const key = await botApiKeyService.verifyApiKey(apiKey);
+
+    expect(key.bot.id).toBe(bot.id);
+    expect(key.scopes).toEqual(Object.values(BOT_API_KEYS.SCOPES));
+    expect((await prisma.bot.findUnique({ where: { id: bot.id } })).apiKey).toBe(apiKey);
+  });
+
+  it('should keep the old key working during the rotation grace period', async () => {
+    const { owner, bot, apiKey } = await setup();
+
+    const newApiKey = await botApiKeyService.regenerateApiKey(bot.id, owner.id, 24);
+
+    await expect(botApiKeyService.verifyApiKey(apiKey)).resolves.toBeTruthy();
+    await expect(botApiKeyService.verifyApiKey(newApiKey)).resolves.toBeTruthy();
+
+    const old = await prisma.botApiKey.findFirst({ where: { botId: bot.id, name: 'Default', NOT: { expiresAt: null } } });
+    expect(old.expiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    expect((await prisma.bot.findUnique({ where: { id: bot.id } })).apiKey).toBe(newApiKey);
+  });
+
+  it('should stop the old key at once with a zero grace period', async () => {
+    const { owner, bot, apiKey } = await setup();
+
+    await botApiKeyService.regenerateApiKey(bot.id, owner.id, 0);
+
+    await expect(botApiKeyService.verifyApiKey(apiKey)).rejects.toThrow('API key has been revoked');
+  });
+
+  it('should reject revoked and expired keys', async () => {
+    const { owner, bot } = await setup();
+    const { key, apiKey } = await botApiKeyService.createKey(bot.id, owner.id, { name: 'Worker' });
+
+    await prisma.botApiKey.update({ where: { id: key.id }, data: { expiresAt: new Date(Date.now() - 1000) } });
+    await expect(botApiKeyService.verifyApiKey(apiKey)).rejects.toThrow('API key has expired');
+
+    await prisma.botApiKey.update({ where: { id: key.id }, data: { expiresAt: null } });
+    await botApiKeyService.revokeKey(bot.id, owner.id, key.id);
+    await expect(botApiKeyService.verifyApiKey(apiKey)).rejects.toThrow('API key has been revoked');
+  });
+
+  it('should only accept requests from allowed IPs', async () => {
+    const { owner, bot } = await setup();
+    const { apiKey } = await botApiKeyService.createKey(bot.id, owner.id, {
+      name: 'Server',
+      scopes: [BOT_API_KEYS.SCOPES.READ_STATS],
+      allowedIps: ['203.0.113.0/24', '198.51.100.7'],
+    });
+
+    await expect(botApiKeyService.verifyApiKey(apiKey, '203.0.113.42')).resolves.toBeTruthy();
+    await expect(botApiKeyService.verifyApiKey(apiKey, '::ffff:198.51.100.7')).resolves.toBeTruthy();
+    await expect(botApiKeyService.verifyApiKey(apiKey, '198.51.100.8'))
+      .rejects.toThrow('API key is not allowed from this IP address');
+  });
+
+  it('should validate scopes and allowlist entries', async () => {
+    const { owner, bot } = await setup();
+
+    await expect(botApiKeyService.createKey(bot.id, owner.id, { name: 'x', scopes: ['ADMIN'] }))
+      .rejects.toThrow('Scopes must be one of');
+    await expect(botApiKeyService.createKey(bot.id, owner.id, { name: 'x', allowedIps: ['not-an-ip'] }))
+      .rejects.toThrow('Invalid IP address');
+  });
+
+  it('should not let another user manage the keys', async () => {
+    const { bot } = await setup();
+    const stranger = await createTestUser({ role: 'BOT_OWNER' });
+
+    await expect(botApiKeyService.listKeys(bot.id, stranger.id)).rejects.toThrow('Bot not found');
+  });
+});
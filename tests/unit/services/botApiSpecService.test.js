@@ -0,0 +1,78 @@
+import { describe, it, expect } from '@jest/globals';
+import botIntegrationService from '../../../src/services/bot/botIntegrationService.js';
+import { BOT_API_KEYS, BOT_SEND_POST_RESULTS } from '../../../src/config/constants.js';
+
+describe('BotApiSpecService', () => {
+  const spec = botIntegrationService.getSpec();
+
+  it('should describe SendPost from its route validators', () => {
+    const operation = spec.paths['/ad/SendPost'].post;
+    const body = operation.requestBody.content['application/json'].schema;
+
+    expect(spec.servers[0].url).toMatch(/\/api$/);
+    expect(body.required).toEqual(['SendToChatId']);
+    expect(body.properties.SendToChatId).toMatchObject({ type: 'integer', minimum: 1 });
+    expect(body.properties.LanguageCode.enum).toEqual(['uz', 'ru', 'en']);
+    expect(operation['x-scopes']).toEqual([BOT_API_KEYS.SCOPES.SEND_ADS]);
+    expect(Object.keys(operation.responses)).toEqual(expect.arrayContaining(['200', '401', '403', '422', '429']));
+  });
+
+  it('should describe batch items and query parameters', () => {
+    const batch = spec.paths['/ad/SendPostBatch'].post.requestBody.content['application/json'].schema;
+    expect(batch.properties.Chats.type).toBe('array');
+    expect(batch.properties.Chats.items.required).toContain('SendToChatId');
+
+    const stats = spec.paths['/bot/Stats'].get;
+    expect(stats.requestBody).toBeUndefined();
+    expect(stats.parameters).toEqual([expect.objectContaining({ name: 'Days', in: 'query', required: false })]);
+  });
+
+  it('should give every Bot API request field a type', () => {
+    const untyped = [];
+    const walk = (schema, path) => {
+      if (!schema.type) untyped.push(path);
+      for (const [name, property] of Object.entries(schema.properties || {})) walk(property, `${path}.${name}`);
+      if (schema.items) walk(schema.items, `${path}[]`);
+    };
+
+    for (const [path, methods] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(methods)) {
+        const body = operation.requestBody?.content['application/json'].schema;
+        if (body) walk(body, `${method} ${path}`);
+        for (const parameter of operation.parameters || []) walk(parameter.schema, `${method} ${path} ${parameter.name}`);
+      }
+    }
+
+    expect(untyped).toEqual([]);
+  });
+
+  it('should publish SendPost result codes with retry guidance', () => {
+    const result = spec.components.schemas.SendPostResult;
+
+    expect(result.enum).toEqual(Object.values(BOT_SEND_POST_RESULTS));
+    expect(result['x-enum-varnames']).toEqual(Object.keys(BOT_SEND_POST_RESULTS));
+    expect(result['x-retryable']).toEqual([
+      BOT_SEND_POST_RESULTS.TOO_MANY_REQUESTS_ERROR,
+      BOT_SEND_POST_RESULTS.OTHER_ERROR,
+    ]);
+  });
+
+  it('should generate integration code for every language from the spec', () => {
+    const { operations } = botIntegrationService.getClientModel();
+
+    for (const language of ['python', 'javascript', 'typescript', 'php', 'csharp']) {
+      const code = botIntegrationService.getIntegrationCode('test-key', language);
+
+      expect(code).toContain(spec.servers[0].url);
+      expect(code).not.toContain('/api/v1');
+      expect(code).toContain('test-key');
+      expect(code.toLowerCase()).toContain('ratelimit-reset');
+      for (const operation of operations) {
+        expect(code).toContain(operation.path);
+      }
+      for (const name of Object.keys(BOT_SEND_POST_RESULTS)) {
+        expect(code).toContain(name);
+      }
+    }
+  });
+});
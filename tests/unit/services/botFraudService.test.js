@@ -0,0 +1,96 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import botFraudService from '../../../src/services/fraud/botFraudService.js';
+import { BOT_FRAUD } from '../../../src/config/constants.js';
+import { createTestUser, createTestBot, prisma } from '../../helpers.js';
+
+// Healthy bot: returning users, steady volume, normal CTR, few blocks
+const metrics = (overrides = {}) => ({
+  impressions: 2000,
+  users: 1500,
+  newUsers: 150,
+  members: 5000,
+  previousDailyAverage: 1800,
+  timestamps: [],
+  clicks: 40,
+  blocked: 20,
+  botAgeDays: 90,
+  ...overrides,
+});
+
+const signals = (reasons) => reasons.map((reason) => reason.signal);
+
+describe('BotFraudService', () => {
+  describe('evaluate', () => {
+    it('should raise nothing for normal traffic', () => {
+      expect(botFraudService.evaluate(metrics())).toEqual([]);
+    });
+
+    it('should not judge bots below the minimum volume', () => {
+      const reasons = botFraudService.evaluate(metrics({
+        impressions: BOT_FRAUD.MIN_IMPRESSIONS - 1,
+        clicks: 0,
+        newUsers: 1500,
+      }));
+
+      expect(reasons).toEqual([]);
+    });
+
+    it('should flag impressions to never-seen users only for established bots', () => {
+      expect(signals(botFraudService.evaluate(metrics({ newUsers: 1400 })))).toContain('NEW_USERS');
+      expect(signals(botFraudService.evaluate(metrics({ newUsers: 1400, botAgeDays: 2 })))).not.toContain('NEW_USERS');
+    });
+
+    it('should flag a jump in impressions per member', () => {
+      const reasons = botFraudService.evaluate(metrics({ impressions: 12000, members: 4000, clicks: 300 }));
+
+      expect(signals(reasons)).toEqual(['MEMBER_RATIO_JUMP']);
+    });
+
+    it('should flag near-zero CTR and a high blocked rate', () => {
+      const reasons = botFraudService.evaluate(metrics({ clicks: 0, blocked: 1500 }));
+
+      expect(signals(reasons)).toEqual(['LOW_CTR', 'HIGH_BLOCK_RATE']);
+      expect(botFraudService.score(reasons)).toBe(BOT_FRAUD.SIGNALS.LOW_CTR + BOT_FRAUD.SIGNALS.HIGH_BLOCK_RATE);
+    });
+  });
+
+  describe('timingVariation', () => {
+    it('should detect machine-regular sends', () => {
+      const timestamps = Array.from({ length: 100 }, (_, i) => 1_000_000 + i * 3000);
+
+      expect(botFraudService.timingVariation(timestamps)).toBe(0);
+      expect(signals(botFraudService.evaluate(metrics({ timestamps })))).toContain('UNIFORM_TIMING');
+    });
+
+    it('should not flag irregular gaps or small samples', () => {
+      let time = 1_000_000;
+      const timestamps = Array.from({ length: 100 }, (_, i) => (time += ((i * 7919) % 97) * 1000 + 500));
+
+      expect(botFraudService.timingVariation(timestamps)).toBeGreaterThan(BOT_FRAUD.UNIFORM_TIMING_CV);
+      expect(botFraudService.timingVariation(timestamps.slice(0, 10))).toBeNull();
+    });
+  });
+
+  describe('scanBots', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should rotate through all candidates when there are more than one batch', async () => {
+      const owner = await createTestUser({ role: 'BOT_OWNER' });
+      const bots = [await createTestBot(owner.id), await createTestBot(owner.id)];
+
+      jest.replaceProperty(BOT_FRAUD, 'SCAN_BATCH_SIZE', 1);
+      jest.spyOn(prisma.impression, 'groupBy').mockResolvedValue(bots.map((bot) => ({ botId: bot.id })));
+      const collect = jest.spyOn(botFraudService, 'collectMetrics').mockResolvedValue(metrics());
+
+      await botFraudService.scanBots(new Date('2026-10-20T10:00:00Z'));
+      await botFraudService.scanBots(new Date('2026-10-20T11:00:00Z'));
+
+      expect(new Set(collect.mock.calls.map(([bot]) => bot.id))).toEqual(new Set(bots.map((bot) => bot.id)));
+
+      const scanned = await prisma.bot.findMany({ where: { id: { in: bots.map((bot) => bot.id) } } });
+      expect(scanned.every((bot) => bot.fraudScannedAt !== null)).toBe(true);
+    });
+  });
+});
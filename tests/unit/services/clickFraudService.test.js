@@ -0,0 +1,60 @@
+import { describe, it, expect } from '@jest/globals';
+import clickFraudService from '../../../src/services/fraud/clickFraudService.js';
+import { CLICK_FRAUD } from '../../../src/config/constants.js';
+
+const BROWSER_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+
+describe('ClickFraudService', () => {
+  describe('isDatacenterIp', () => {
+    it('should match hosting ranges, including IPv4-mapped addresses', () => {
+      expect(clickFraudService.isDatacenterIp('3.15.20.1')).toBe(true);
+      expect(clickFraudService.isDatacenterIp('::ffff:159.89.10.10')).toBe(true);
+    });
+
+    it('should not match residential or invalid addresses', () => {
+      expect(clickFraudService.isDatacenterIp('84.54.70.12')).toBe(false);
+      expect(clickFraudService.isDatacenterIp('2001:db8::1')).toBe(false);
+      expect(clickFraudService.isDatacenterIp(null)).toBe(false);
+    });
+  });
+
+  describe('checkRequest', () => {
+    const now = Date.now();
+
+    it('should flag crawlers and missing user agents', () => {
+      expect(clickFraudService.checkRequest({ userAgent: 'python-requests/2.31' }, now))
+        .toContain('BOT_USER_AGENT');
+      expect(clickFraudService.checkRequest({ userAgent: '' }, now))
+        .toContain('MISSING_USER_AGENT');
+    });
+
+    it('should flag clicks faster than a human could read the post', () => {
+      const reasons = clickFraudService.checkRequest({ userAgent: BROWSER_UA, sentAt: now - 500 }, now);
+      expect(reasons).toEqual(['TOO_FAST']);
+    });
+
+    it('should pass a normal browser click', () => {
+      const reasons = clickFraudService.checkRequest(
+        { userAgent: BROWSER_UA, ipAddress: '84.54.70.12', sentAt: now - 60000 },
+        now
+      );
+      expect(reasons).toEqual([]);
+    });
+  });
+
+  describe('score', () => {
+    it('should invalidate clicks at or above the threshold', () => {
+      const result = clickFraudService.score(['BOT_USER_AGENT']);
+
+      expect(result.fraudScore).toBe(CLICK_FRAUD.SIGNALS.BOT_USER_AGENT);
+      expect(result.isValid).toBe(CLICK_FRAUD.SIGNALS.BOT_USER_AGENT < CLICK_FRAUD.THRESHOLD);
+    });
+
+    it('should keep clicks with a single weak signal valid', () => {
+      const result = clickFraudService.score(['MISSING_USER_AGENT']);
+
+      expect(result.isValid).toBe(true);
+      expect(result.fraudReasons).toEqual(['MISSING_USER_AGENT']);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import conversionService from '../../../src/services/ad/conversionService.js';
+import { CONVERSIONS } from '../../../src/config/constants.js';
+import { createTestUser, createTestBot, createTestAd, prisma } from '../../helpers.js';
+
+describe('ConversionService', () => {
+  let ad;
+  let bot;
+  let secret;
+
+  const createClick = (clickId, clickedAt = new Date(), data = {}) => prisma.clickEvent.create({
+    data: {
+      adId: ad.id,
+      botId: bot.id,
+      trackingToken: `token-${clickId}`,
+      clickId,
+      originalUrl: 'https://example.com',
+      clicked: true,
+      clickedAt,
+      ...data,
+    },
+  });
+
+  beforeEach(async () => {
+    const advertiser = await createTestUser();
+    const owner = await createTestUser();
+    bot = await createTestBot(owner.id);
+    ad = await createTestAd(advertiser.id, { status: 'RUNNING' });
+    secret = await conversionService.getPostbackSecret(advertiser.id);
+  });
+
+  it('should attribute the conversion to the click, ad and bot', async () => {
+    const click = await createClick('click-1');
+
+    const result = await conversionService.recordConversion({
+      clickId: 'click-1',
+      value: 25.5,
+      source: CONVERSIONS.SOURCES.POSTBACK,
+      secret,
+    });
+
+    expect(result.recorded).toBe(true);
+    expect(result.conversion.clickEventId).toBe(click.id);
+    expect(result.conversion.botId).toBe(bot.id);
+
+    const updated = await prisma.ad.findUnique({ where: { id: ad.id } });
+    expect(updated.conversions).toBe(1);
+    expect(parseFloat(updated.conversionValue)).toBe(25.5);
+  });
+
+  it('should not count a repeated postback twice', async () => {
+    await createClick('click-2');
+    const data = {
+      clickId: 'click-2',
+      value: 10,
+      transactionId: 'order-1',
+      source: CONVERSIONS.SOURCES.POSTBACK,
+      secret,
+    };
+
+    await conversionService.recordConversion(data);
+    const repeated = await conversionService.recordConversion(data);
+
+    expect(repeated.duplicate).toBe(true);
+
+    const updated = await prisma.ad.findUnique({ where: { id: ad.id } });
+    expect(updated.conversions).toBe(1);
+  });
+
+  it('should reject unknown click ids and clicks outside the attribution window', async () => {
+    await expect(
+      conversionService.recordConversion({ clickId: 'missing', source: CONVERSIONS.SOURCES.PIXEL })
+    ).rejects.toThrow('Unknown click id');
+
+    const old = new Date(Date.now() - (CONVERSIONS.ATTRIBUTION_WINDOW_DAYS + 1) * 24 * 60 * 60 * 1000);
+    await createClick('click-old', old);
+
+    await expect(
+      conversionService.recordConversion({ clickId: 'click-old', source: CONVERSIONS.SOURCES.PIXEL })
+    ).rejects.toThrow('window');
+  });
+
+  it('should require the advertiser postback secret for postbacks only', async () => {
+    await createClick('click-3');
+    const postback = (data) => conversionService.recordConversion({
+      clickId: 'click-3',
+      value: 500,
+      source: CONVERSIONS.SOURCES.POSTBACK,
+      ...data,
+    });
+
+    await expect(postback({})).rejects.toThrow('Invalid postback secret');
+    await expect(postback({ secret: 'pbsec_guess' })).rejects.toThrow('Invalid postback secret');
+
+    // Another advertiser's secret does not work either
+    const other = await createTestUser();
+    await expect(postback({ secret: await conversionService.getPostbackSecret(other.id) }))
+      .rejects.toThrow('Invalid postback secret');
+
+    const pixel = await conversionService.recordConversion({
+      clickId: 'click-3',
+      value: 5,
+      source: CONVERSIONS.SOURCES.PIXEL,
+    });
+    expect(pixel.recorded).toBe(true);
+
+    // Rotation invalidates the old secret
+    const rotated = await conversionService.rotatePostbackSecret(ad.advertiserId);
+    await expect(postback({ secret, event: 'purchase' })).rejects.toThrow('Invalid postback secret');
+    expect((await postback({ secret: rotated, event: 'purchase' })).recorded).toBe(true);
+  });
+
+  it('should keep conversions of invalid clicks out of the totals', async () => {
+    await createClick('click-4', new Date(), { isValid: false, fraudScore: 80 });
+
+    const result = await conversionService.recordConversion({
+      clickId: 'click-4',
+      value: 100,
+      source: CONVERSIONS.SOURCES.POSTBACK,
+      secret,
+    });
+
+    expect(result.recorded).toBe(true);
+    expect(result.conversion.isValid).toBe(false);
+
+    const updated = await prisma.ad.findUnique({ where: { id: ad.id } });
+    expect(updated.conversions).toBe(0);
+    expect(parseFloat(updated.conversionValue)).toBe(0);
+    expect((await conversionService.getBotTotals(ad.id)).size).toBe(0);
+  });
+
+  it('should calculate CPA and ROAS', () => {
+    const metrics = conversionService.calculateMetrics({
+      spent: 20,
+      clicks: 100,
+      conversions: 4,
+      conversionValue: 50,
+    });
+
+    expect(metrics.cpa).toBe(5);
+    expect(metrics.roas).toBe(2.5);
+    expect(metrics.conversionRate).toBe(4);
+    expect(conversionService.calculateMetrics({}).cpa).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import earningsHoldService from '../../../src/services/wallet/earningsHoldService.js';
+import { createTestUser, createTestBot, prisma } from '../../helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('EarningsHoldService', () => {
+  let owner;
+  let bot;
+
+  // Same steps as recordImpression
+  const hold = (amount, now) => prisma.$transaction(async (tx) => {
+    await tx.bot.update({ where: { id: bot.id }, data: { pendingEarnings: { increment: amount } } });
+    return earningsHoldService.holdImpressionEarnings(tx, {
+      userId: owner.id,
+      botId: bot.id,
+      amount,
+      impressionId: `impression-${amount}`,
+    }, now);
+  });
+
+  beforeEach(async () => {
+    owner = await createTestUser({ role: 'BOT_OWNER' });
+    bot = await createTestBot(owner.id);
+    earningsHoldService.invalidate();
+  });
+
+  it('should collect a day of earnings in one hold released after the hold period', async () => {
+    const now = new Date('2026-10-19T10:00:00Z');
+
+    await hold(0.2, now);
+    await hold(0.3, now);
+
+    const holds = await prisma.earningsHold.findMany({ where: { botId: bot.id } });
+    expect(holds).toHaveLength(1);
+    expect(parseFloat(holds[0].amount)).toBeCloseTo(0.5, 6);
+    expect(holds[0].releaseAt.toISOString()).toBe('2026-10-27T00:00:00.000Z');
+
+    const wallet = await prisma.wallet.findUnique({ where: { userId: owner.id } });
+    expect(parseFloat(wallet.pending)).toBeCloseTo(0.5, 6);
+    expect(parseFloat(wallet.available)).toBe(0);
+  });
+
+  it('should move matured holds to available', async () => {
+    const now = new Date('2026-10-19T10:00:00Z');
+    await hold(0.5, now);
+
+    expect((await earningsHoldService.releaseMatured(now)).released).toBe(0);
+
+    const result = await earningsHoldService.releaseMatured(new Date(now.getTime() + 8 * DAY_MS));
+    expect(result.released).toBe(1);
+
+    const wallet = await prisma.wallet.findUnique({ where: { userId: owner.id } });
+    const updatedBot = await prisma.bot.findUnique({ where: { id: bot.id } });
+    expect(parseFloat(wallet.pending)).toBe(0);
+    expect(parseFloat(wallet.available)).toBeCloseTo(0.5, 6);
+    expect(parseFloat(updatedBot.pendingEarnings)).toBe(0);
+
+    const entry = await prisma.ledgerEntry.findFirst({ where: { userId: owner.id, type: 'EARNINGS_RELEASE' } });
+    expect(parseFloat(entry.amount)).toBeCloseTo(0.5, 6);
+  });
+
+  it('should not release holds of a quarantined bot', async () => {
+    const now = new Date('2026-10-19T10:00:00Z');
+    await hold(0.5, now);
+    await prisma.bot.update({ where: { id: bot.id }, data: { status: 'QUARANTINED' } });
+
+    const result = await earningsHoldService.releaseMatured(new Date(now.getTime() + 30 * DAY_MS));
+    expect(result.released).toBe(0);
+  });
+
+  it('should claw back pending earnings', async () => {
+    const admin = await createTestUser({ role: 'ADMIN' });
+    await hold(0.5, new Date());
+
+    const result = await earningsHoldService.clawback(bot.id, admin.id, 'Invalid traffic');
+    expect(result.amount).toBeCloseTo(0.5, 6);
+
+    const wallet = await prisma.wallet.findUnique({ where: { userId: owner.id } });
+    expect(parseFloat(wallet.pending)).toBe(0);
+    expect(parseFloat(wallet.totalEarned)).toBe(0);
+
+    const held = await prisma.earningsHold.findFirst({ where: { botId: bot.id } });
+    expect(held.status).toBe('CLAWED_BACK');
+
+    await expect(earningsHoldService.clawback(bot.id, admin.id, 'Again')).rejects.toThrow('no pending earnings');
+  });
+});
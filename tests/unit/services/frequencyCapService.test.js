@@ -0,0 +1,49 @@
+import { describe, it, expect } from '@jest/globals';
+import frequencyCapService from '../../../src/services/distribution/frequencyCapService.js';
+
+describe('FrequencyCapService', () => {
+  // Wednesday
+  const now = new Date('2026-10-21T15:30:00Z');
+
+  describe('getCap', () => {
+    it('should return null when no frequency is set', () => {
+      expect(frequencyCapService.getCap({ targeting: {} })).toBeNull();
+      expect(frequencyCapService.getCap({ targeting: null })).toBeNull();
+    });
+
+    it('should default the cap to one impression', () => {
+      expect(frequencyCapService.getCap({ targeting: { frequency: 'unique' } }))
+        .toEqual({ period: 'unique', max: 1 });
+    });
+
+    it('should read the numeric cap', () => {
+      expect(frequencyCapService.getCap({ targeting: { frequency: 'daily', frequencyCap: 3 } }))
+        .toEqual({ period: 'daily', max: 3 });
+    });
+  });
+
+  describe('periods', () => {
+    it('should start days, ISO weeks and months in UTC', () => {
+      expect(frequencyCapService.getPeriodStart('daily', now).toISOString()).toBe('2026-10-21T00:00:00.000Z');
+      expect(frequencyCapService.getPeriodStart('weekly', now).toISOString()).toBe('2026-10-19T00:00:00.000Z');
+      expect(frequencyCapService.getPeriodStart('monthly', now).toISOString()).toBe('2026-10-01T00:00:00.000Z');
+      expect(frequencyCapService.getPeriodStart('unique', now)).toBeNull();
+    });
+
+    it('should put Sunday in the week that started on Monday', () => {
+      const sunday = new Date('2026-10-25T23:59:00Z');
+      expect(frequencyCapService.getPeriodStart('weekly', sunday).toISOString()).toBe('2026-10-19T00:00:00.000Z');
+    });
+
+    it('should key counters by period', () => {
+      expect(frequencyCapService.getKey('ad1', '42', 'weekly', now)).toBe('freq:ad1:42:weekly:2026-10-19');
+      expect(frequencyCapService.getKey('ad1', '42', 'unique', now)).toBe('freq:ad1:42:unique');
+    });
+
+    it('should expire counters after the period ends', () => {
+      const ttl = frequencyCapService.getTtlSeconds('daily', now);
+      // 8.5 hours left in the day + 1 hour buffer
+      expect(ttl).toBe(8.5 * 3600 + 3600);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect } from '@jest/globals';
+import distributionService from '../../../src/services/distribution/distributionService.js';
+import reconciliationService from '../../../src/services/distribution/reconciliationService.js';
+import earningsHoldService from '../../../src/services/wallet/earningsHoldService.js';
+import adService from '../../../src/services/ad/adService.js';
+import botService from '../../../src/services/bot/botService.js';
+import { createTestUser, createTestBot, createTestAd, prisma } from '../../helpers.js';
+
+describe('Impression accounting', () => {
+  const setup = async (adData = {}) => {
+    const advertiser = await createTestUser();
+    const owner = await createTestUser({ role: 'BOT_OWNER' });
+    const bot = await createTestBot(owner.id);
+    const ad = await createTestAd(advertiser.id, { status: 'RUNNING', ...adData });
+    return { owner, bot, ad };
+  };
+
+  const record = (ad, bot, messageId, data = {}) => distributionService.recordImpression({
+    adId: ad.id,
+    botId: bot.id,
+    telegramUserId: '1001',
+    chatId: '1001',
+    messageId,
+    auction: { bidCpm: 2, clearingCpm: 2 },
+    ...data,
+  });
+
+  describe('recordImpression', () => {
+    it('should charge the ad and hold the earnings in the wallet', async () => {
+      const { owner, bot, ad } = await setup();
+
+      const result = await record(ad, bot, '1');
+      expect(result.recorded).toBe(true);
+
+      const updatedAd = await prisma.ad.findUnique({ where: { id: ad.id } });
+      const updatedBot = await prisma.bot.findUnique({ where: { id: bot.id } });
+      const wallet = await prisma.wallet.findUnique({ where: { userId: owner.id } });
+
+      expect(updatedAd.deliveredImpressions).toBe(1);
+      expect(parseFloat(updatedAd.remainingBudget)).toBeCloseTo(1.998, 6);
+      expect(parseFloat(updatedBot.pendingEarnings)).toBeCloseTo(0.0018, 6);
+      expect(parseFloat(wallet.totalEarned)).toBeCloseTo(0.0018, 6);
+      expect(parseFloat(wallet.pending)).toBeCloseTo(0.0018, 6);
+      expect(parseFloat(wallet.available)).toBe(0);
+    });
+
+    it('should record the same message only once', async () => {
+      const { bot, ad } = await setup();
+
+      await record(ad, bot, '7');
+      const second = await record(ad, bot, '7');
+
+      expect(second).toMatchObject({ recorded: false, reason: 'DUPLICATE' });
+      expect(await prisma.impression.count({ where: { adId: ad.id } })).toBe(1);
+    });
+
+    it('should not exceed targetImpressions', async () => {
+      const { bot, ad } = await setup({ targetImpressions: 1 });
+
+      await record(ad, bot, '1');
+      const second = await record(ad, bot, '2');
+
+      expect(second).toMatchObject({ recorded: false, reason: 'AD_EXHAUSTED' });
+      const updatedAd = await prisma.ad.findUnique({ where: { id: ad.id } });
+      expect(updatedAd.deliveredImpressions).toBe(1);
+      expect(updatedAd.status).toBe('COMPLETED');
+    });
+
+    it('should never take remainingBudget below zero', async () => {
+      const { bot, ad } = await setup({ remainingBudget: 0.001 });
+
+      await record(ad, bot, '1');
+
+      const updatedAd = await prisma.ad.findUnique({ where: { id: ad.id } });
+      expect(parseFloat(updatedAd.remainingBudget)).toBe(0);
+      expect(updatedAd.status).toBe('COMPLETED');
+    });
+  });
+
+  describe('reconciliation', () => {
+    it('should repair ad, bot and wallet drift', async () => {
+      const { owner, bot, ad } = await setup();
+      await record(ad, bot, '1');
+
+      // Simulate a partial write from before transactional accounting
+      await prisma.ad.update({ where: { id: ad.id }, data: { deliveredImpressions: 0, remainingBudget: 2 } });
+      await prisma.bot.update({ where: { id: bot.id }, data: { totalEarnings: 0, pendingEarnings: 0 } });
+      await prisma.ledgerEntry.deleteMany({ where: { userId: owner.id } });
+
+      const result = await reconciliationService.reconcileAll();
+      expect(result).toEqual({ ads: 1, bots: 1, wallets: 1 });
+
+      const updatedAd = await prisma.ad.findUnique({ where: { id: ad.id } });
+      const updatedBot = await prisma.bot.findUnique({ where: { id: bot.id } });
+      expect(updatedAd.deliveredImpressions).toBe(1);
+      expect(parseFloat(updatedAd.remainingBudget)).toBeCloseTo(1.998, 6);
+      expect(parseFloat(updatedBot.totalEarnings)).toBeCloseTo(0.0018, 6);
+
+      // Nothing left to repair on the second run
+      expect(await reconciliationService.reconcileAll()).toEqual({ ads: 0, bots: 0, wallets: 0 });
+    });
+
+    it('should hold a missing credit and keep it while the bot is quarantined', async () => {
+      const { owner, bot, ad } = await setup();
+      await record(ad, bot, '1');
+
+      // The credit never made it to the wallet
+      await prisma.ledgerEntry.deleteMany({ where: { userId: owner.id } });
+      await prisma.earningsHold.deleteMany({ where: { userId: owner.id } });
+      await prisma.wallet.update({ where: { userId: owner.id }, data: { pending: 0, totalEarned: 0 } });
+      await prisma.bot.update({ where: { id: bot.id }, data: { pendingEarnings: 0, status: 'QUARANTINED' } });
+
+      expect(await reconciliationService.reconcileWallets()).toBe(1);
+
+      const wallet = await prisma.wallet.findUnique({ where: { userId: owner.id } });
+      expect(parseFloat(wallet.available)).toBe(0);
+      expect(parseFloat(wallet.pending)).toBeCloseTo(0.0018, 6);
+
+      const entry = await prisma.ledgerEntry.findFirst({ where: { userId: owner.id } });
+      expect(entry).toMatchObject({ type: 'EARNINGS_PENDING', refType: 'RECONCILIATION' });
+
+      const hold = await prisma.earningsHold.findFirst({ where: { userId: owner.id } });
+      expect(hold).toMatchObject({ botId: bot.id, status: 'PENDING' });
+
+      await earningsHoldService.releaseMatured(new Date(Date.now() + 365 * 24 * 60 * 60 * 1000));
+      expect((await prisma.earningsHold.findUnique({ where: { id: hold.id } })).status).toBe('PENDING');
+    });
+
+    it('should take an over-credit back from pending before available', async () => {
+      const { owner, bot, ad } = await setup();
+      const { impressionId } = await record(ad, bot, '1');
+
+      // Credited twice: the extra credit is still held
+      await prisma.ledgerEntry.create({
+        data: {
+          userId: owner.id,
+          type: 'EARNINGS_PENDING',
+          amount: 0.0018,
+          balance: 0,
+          refId: impressionId,
+          refType: 'IMPRESSION',
+        },
+      });
+      await prisma.wallet.update({
+        where: { userId: owner.id },
+        data: { pending: { increment: 0.0018 }, totalEarned: { increment: 0.0018 }, available: 5 },
+      });
+      await prisma.earningsHold.updateMany({ where: { botId: bot.id }, data: { amount: { increment: 0.0018 } } });
+
+      expect(await reconciliationService.reconcileWallets()).toBe(1);
+
+      const wallet = await prisma.wallet.findUnique({ where: { userId: owner.id } });
+      expect(parseFloat(wallet.available)).toBe(5);
+      expect(parseFloat(wallet.pending)).toBeCloseTo(0.0018, 6);
+
+      const hold = await prisma.earningsHold.findFirst({ where: { botId: bot.id } });
+      expect(parseFloat(hold.amount)).toBeCloseTo(0.0018, 6);
+    });
+
+    it('should archive instead of delete an ad or bot with impressions', async () => {
+      const { owner, bot, ad } = await setup();
+      await record(ad, bot, '1');
+      await prisma.ad.update({ where: { id: ad.id }, data: { status: 'PAUSED' } });
+
+      await adService.deleteAd(ad.id, ad.advertiserId);
+      expect((await prisma.ad.findUnique({ where: { id: ad.id } })).isArchived).toBe(true);
+
+      await expect(botService.deleteBot(bot.id, owner.id)).rejects.toThrow('cannot be deleted');
+      expect(await prisma.impression.count({ where: { adId: ad.id } })).toBe(1);
+    });
+
+    it('should not claw back earnings of impressions that were deleted', async () => {
+      const { owner, bot, ad } = await setup();
+      await record(ad, bot, '1');
+
+      // Ad deleted before deletes were blocked: its impressions cascaded away
+      await prisma.ad.delete({ where: { id: ad.id } });
+
+      expect(await reconciliationService.reconcileWallets()).toBe(0);
+
+      const wallet = await prisma.wallet.findUnique({ where: { userId: owner.id } });
+      expect(parseFloat(wallet.pending)).toBeCloseTo(0.0018, 6);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from '@jest/globals';
+import pacingService from '../../../src/services/distribution/pacingService.js';
+
+describe('Pacing Service', () => {
+  const start = new Date('2026-03-01T00:00:00Z');
+  const end = new Date('2026-03-11T00:00:00Z');
+  const midway = new Date('2026-03-06T00:00:00Z');
+
+  const makeAd = (pacingMode, spent, data = {}) => ({
+    pacingMode,
+    totalCost: 100,
+    remainingBudget: 100 - spent,
+    scheduleStartDate: start,
+    scheduleEndDate: end,
+    ...data,
+  });
+
+  describe('getTargetSpendRatio', () => {
+    it('should follow a linear curve in even mode', () => {
+      expect(pacingService.getTargetSpendRatio(makeAd('even', 0), midway)).toBeCloseTo(0.5, 6);
+    });
+
+    it('should spend more early in front_loaded mode', () => {
+      expect(pacingService.getTargetSpendRatio(makeAd('front_loaded', 0), midway)).toBeCloseTo(0.75, 6);
+    });
+
+    it('should not limit accelerated mode', () => {
+      expect(pacingService.getTargetSpendRatio(makeAd('accelerated', 0), midway)).toBe(1);
+    });
+  });
+
+  describe('isAheadOfPace', () => {
+    it('should throttle an ad that spent more than its curve', () => {
+      expect(pacingService.isAheadOfPace(makeAd('even', 60), midway)).toBe(true);
+    });
+
+    it('should allow an ad behind its curve', () => {
+      expect(pacingService.isAheadOfPace(makeAd('even', 40), midway)).toBe(false);
+    });
+
+    it('should allow the first impressions of a fresh campaign', () => {
+      expect(pacingService.isAheadOfPace(makeAd('even', 0), start)).toBe(false);
+    });
+
+    it('should ignore ads without a schedule window', () => {
+      const ad = makeAd('even', 90, { scheduleStartDate: null, scheduleEndDate: null });
+      expect(pacingService.isAheadOfPace(ad, midway)).toBe(false);
+    });
+
+    it('should never throttle accelerated ads', () => {
+      expect(pacingService.isAheadOfPace(makeAd('accelerated', 99), start)).toBe(false);
+    });
+  });
+});
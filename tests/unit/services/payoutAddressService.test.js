@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import payoutAddressService from '../../../src/services/payments/payoutAddressService.js';
+import withdrawService from '../../../src/services/payments/withdrawService.js';
+import { createTestUser, prisma } from '../../helpers.js';
+
+const ADDRESS = 'TXn4JK8rZ5qQ1bZxvUeHHkYbWpYqF3xA9m';
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('PayoutAddressService', () => {
+  let user;
+
+  const add = () => payoutAddressService.add(user.id, { network: 'TRC20', address: ADDRESS, label: 'Binance' });
+
+  beforeEach(async () => {
+    user = await createTestUser({ balance: 100 });
+  });
+
+  it('should save a new address unconfirmed and audit it', async () => {
+    const address = await add();
+
+    expect(address.status).toBe('PENDING_CONFIRMATION');
+    expect(address.usable).toBe(false);
+    await expect(payoutAddressService.getUsable(user.id, address.id)).rejects.toThrow('Confirm');
+    await expect(add()).rejects.toThrow('already saved');
+
+    const audit = await prisma.auditLog.findFirst({ where: { entityId: address.id } });
+    expect(audit.action).toBe('PAYOUT_ADDRESS_ADDED');
+  });
+
+  it('should accept confirmation only from the owner and start the cooldown', async () => {
+    const address = await add();
+    const now = new Date();
+
+    await expect(payoutAddressService.confirm(address.id, 'someone-else')).rejects.toThrow('not found');
+
+    const confirmed = await payoutAddressService.confirm(address.id, user.telegramId, now);
+    expect(confirmed.status).toBe('CONFIRMED');
+    expect(confirmed.availableAt.getTime()).toBe(now.getTime() + 24 * HOUR_MS);
+
+    await expect(payoutAddressService.getUsable(user.id, address.id, now)).rejects.toThrow('24h');
+    const usable = await payoutAddressService.getUsable(user.id, address.id, new Date(now.getTime() + 25 * HOUR_MS));
+    expect(usable.address).toBe(ADDRESS);
+  });
+
+  it('should withdraw to a saved address once the cooldown has passed', async () => {
+    const address = await add();
+    await payoutAddressService.confirm(address.id, user.telegramId);
+    await prisma.payoutAddress.update({
+      where: { id: address.id },
+      data: { availableAt: new Date(Date.now() - HOUR_MS) },
+    });
+
+    const withdrawal = await withdrawService.requestWithdrawal(user.id, { amount: 50, payoutAddressId: address.id });
+
+    expect(withdrawal.network).toBe('TRC20');
+    expect(withdrawal.address).toBe(ADDRESS);
+    expect(withdrawal.payoutAddressId).toBe(address.id);
+  });
+
+  it('should remove an address the user did not add', async () => {
+    const address = await add();
+
+    await payoutAddressService.cancel(address.id, user.telegramId);
+
+    expect(await prisma.payoutAddress.findUnique({ where: { id: address.id } })).toBeNull();
+    const actions = await prisma.auditLog.findMany({ where: { entityId: address.id }, select: { action: true } });
+    expect(actions.map((row) => row.action)).toContain('PAYOUT_ADDRESS_REMOVED');
+  });
+});
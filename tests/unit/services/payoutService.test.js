@@ -0,0 +1,141 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import payoutService from '../../../src/services/payments/payoutService.js';
+import withdrawService from '../../../src/services/payments/withdrawService.js';
+import mockPayoutService from '../../../src/services/payments/providers/mockPayoutService.js';
+import { PAYOUT_SUBMIT } from '../../../src/config/constants.js';
+import { createTestUser, prisma } from '../../helpers.js';
+
+const ADDRESS = 'TXn4JK8rZ5qQ1bZxvUeHHkYbWpYqF3xA9m';
+
+describe('PayoutService', () => {
+  let user;
+  let admins;
+
+  const approve = async () => {
+    const withdrawal = await withdrawService.requestWithdrawal(user.id, {
+      amount: 50,
+      network: 'TRC20',
+      address: ADDRESS,
+    });
+    // New account and new address → PENDING_REVIEW, two admins approve
+    for (const admin of admins) {
+      await withdrawService.approveWithdrawal(withdrawal.id, admin.id);
+    }
+    return withdrawal;
+  };
+
+  const wallet = () => prisma.wallet.findUnique({ where: { userId: user.id } });
+
+  beforeEach(async () => {
+    process.env.PAYOUT_PROVIDER = 'mock';
+    user = await createTestUser({ balance: 100 });
+    admins = [await createTestUser({ role: 'ADMIN' }), await createTestUser({ role: 'ADMIN' })];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.PAYOUT_PROVIDER;
+    delete process.env.MOCK_PAYOUT_RESULT;
+  });
+
+  it('should keep funds reserved until the payout is submitted', async () => {
+    const withdrawal = await approve();
+
+    const approved = await prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+    expect(approved.status).toBe('APPROVED');
+    expect(parseFloat((await wallet()).reserved)).toBe(53);
+  });
+
+  it('should complete the withdrawal with the txHash when the payout finishes', async () => {
+    const withdrawal = await approve();
+
+    await payoutService.submit(withdrawal.id);
+    // A retried job does not pay twice
+    expect(await payoutService.submit(withdrawal.id)).toEqual({ skipped: true });
+
+    const completed = await prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.txHash).toMatch(/^0x/);
+    expect(completed.payoutProvider).toBe('mock');
+    expect(parseFloat((await wallet()).reserved)).toBe(0);
+  });
+
+  it('should return a rejected payout to review with funds still reserved', async () => {
+    process.env.MOCK_PAYOUT_RESULT = 'rejected';
+    const withdrawal = await approve();
+
+    await payoutService.submit(withdrawal.id);
+
+    // Flagged withdrawal (see approve) goes back to PENDING_REVIEW, not REQUESTED
+    const reverted = await prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+    expect(reverted.status).toBe('PENDING_REVIEW');
+    expect(reverted.reason).toContain('Payout failed');
+    expect(parseFloat((await wallet()).reserved)).toBe(53);
+  });
+
+  it('should settle a pending payout from the IPN', async () => {
+    process.env.MOCK_PAYOUT_RESULT = 'pending';
+    const withdrawal = await approve();
+    await payoutService.submit(withdrawal.id);
+
+    const sent = await prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+    expect(sent.status).toBe('SENT');
+
+    const result = await payoutService.handleIpn('mock', null, { id: sent.payoutId, status: 'FINISHED', hash: '0xabc' });
+    expect(result.success).toBe(true);
+
+    const completed = await prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.txHash).toBe('0xabc');
+  });
+
+  it('should keep the withdrawal SENT when the payout result is unknown', async () => {
+    process.env.MOCK_PAYOUT_RESULT = 'error';
+    const withdrawal = await approve();
+
+    const result = await payoutService.submit(withdrawal.id);
+    expect(result.unknown).toBe(true);
+
+    const sent = await prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+    expect(sent.status).toBe('SENT');
+    expect(sent.payoutStatus).toBe(PAYOUT_SUBMIT.UNKNOWN_STATUS);
+    await expect(withdrawService.approveWithdrawal(withdrawal.id, admins[0].id)).rejects.toThrow();
+
+    // The provider did accept it: the IPN finds it by unique_external_id
+    await payoutService.handleIpn('mock', null, {
+      id: 'mock_late', unique_external_id: withdrawal.id, status: 'FINISHED', hash: '0xdef',
+    });
+
+    const completed = await prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.txHash).toBe('0xdef');
+  });
+
+  it('should settle unknown payouts from the status poll', async () => {
+    process.env.MOCK_PAYOUT_RESULT = 'error';
+    const found = await approve();
+    await payoutService.submit(found.id);
+
+    jest.spyOn(mockPayoutService, 'findPayout').mockImplementation(async (withdrawal) => (
+      withdrawal.id === found.id
+        ? { id: 'mock_found', status: 'FINISHED', result: 'FINISHED', txHash: '0x123' }
+        : null
+    ));
+
+    user = await createTestUser({ balance: 100 });
+    const missing = await approve();
+    await payoutService.submit(missing.id);
+    await prisma.withdrawRequest.update({
+      where: { id: missing.id },
+      data: { updatedAt: new Date(Date.now() - PAYOUT_SUBMIT.NOT_FOUND_FAIL_AFTER_MS - 1000) },
+    });
+
+    expect(await payoutService.pollPayouts()).toEqual({ checked: 2, settled: 2 });
+
+    const completed = await prisma.withdrawRequest.findUnique({ where: { id: found.id } });
+    expect(completed).toMatchObject({ status: 'COMPLETED', payoutId: 'mock_found', txHash: '0x123' });
+
+    const reverted = await prisma.withdrawRequest.findUnique({ where: { id: missing.id } });
+    expect(reverted.reason).toContain('Payout not found');
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import promoCodeService from '../../../src/services/ad/promoCodeService.js';
+import { createTestUser, createTestAd, prisma } from '../../helpers.js';
+
+describe('PromoCodeService', () => {
+  let advertiser;
+
+  const createPromoCode = (data = {}) => prisma.promoCode.create({
+    data: {
+      code: `TEST${Date.now()}${Math.floor(Math.random() * 1000)}`,
+      discount: 10,
+      type: 'percentage',
+      maxUses: 10,
+      validFrom: new Date(Date.now() - 60 * 1000),
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      ...data,
+    },
+  });
+
+  const draftWithCode = (promoCode, data = {}) =>
+    createTestAd(advertiser.id, { status: 'DRAFT', ...data })
+      .then((ad) => prisma.ad.update({
+        where: { id: ad.id },
+        data: { promoCodeUsed: promoCode.code, discount: 0.2 },
+      }));
+
+  beforeEach(async () => {
+    advertiser = await createTestUser();
+  });
+
+  it('should resolve codes case-insensitively', async () => {
+    const promoCode = await createPromoCode();
+
+    const resolved = await promoCodeService.resolve(promoCode.code.toLowerCase(), {
+      userId: advertiser.id,
+      baseCost: 2,
+    });
+
+    expect(resolved.id).toBe(promoCode.id);
+  });
+
+  it('should enforce minimum spend and categories', async () => {
+    const promoCode = await createPromoCode({ minSpend: 5, categories: ['technology'] });
+
+    await expect(
+      promoCodeService.resolve(promoCode.code, { userId: advertiser.id, baseCost: 2, targeting: { categories: ['technology'] } })
+    ).rejects.toThrow('minimum spend');
+
+    await expect(
+      promoCodeService.resolve(promoCode.code, { userId: advertiser.id, baseCost: 10, targeting: { categories: ['betting'] } })
+    ).rejects.toThrow('only valid for ads in');
+  });
+
+  it('should redeem once per ad and enforce the per-user limit', async () => {
+    const promoCode = await createPromoCode({ maxUsesPerUser: 1 });
+    const first = await draftWithCode(promoCode);
+    const second = await draftWithCode(promoCode);
+
+    await promoCodeService.redeem(first);
+    await promoCodeService.redeem(first);
+
+    await expect(promoCodeService.redeem(second)).rejects.toThrow('already used');
+
+    const updated = await prisma.promoCode.findUnique({ where: { id: promoCode.id } });
+    expect(updated.usedCount).toBe(1);
+  });
+
+  it('should give the use back on release', async () => {
+    const promoCode = await createPromoCode({ maxUsesPerUser: 1 });
+    const first = await draftWithCode(promoCode);
+    const second = await draftWithCode(promoCode);
+
+    await promoCodeService.redeem(first);
+    await promoCodeService.release(first.id, 'rejected');
+    await promoCodeService.redeem(second);
+
+    const redemptions = await prisma.promoCodeRedemption.findMany({ where: { promoCodeId: promoCode.id } });
+    expect(redemptions).toHaveLength(2);
+    expect(redemptions.find((r) => r.adId === first.id).releasedAt).not.toBeNull();
+
+    const updated = await prisma.promoCode.findUnique({ where: { id: promoCode.id } });
+    expect(updated.usedCount).toBe(1);
+  });
+
+  it('should only allow first-campaign codes on the first campaign', async () => {
+    const promoCode = await createPromoCode({ firstCampaignOnly: true });
+    await createTestAd(advertiser.id, { status: 'COMPLETED' });
+
+    await expect(
+      promoCodeService.resolve(promoCode.code, { userId: advertiser.id, baseCost: 2 })
+    ).rejects.toThrow('first campaign');
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import revenueShareService from '../../../src/services/distribution/revenueShareService.js';
+
+describe('Revenue Share Service', () => {
+  const clientFor = (bot) => ({
+    bot: { findUnique: async () => bot },
+  });
+
+  afterEach(() => revenueShareService.invalidate());
+
+  describe('resolve', () => {
+    it('should prefer the bot override', async () => {
+      const client = clientFor({ platformFeePercentage: '20', owner: { platformFeePercentage: '25' } });
+      expect(await revenueShareService.resolve('bot', client)).toEqual({ platformFeePercentage: 20, source: 'bot' });
+    });
+
+    it('should fall back to the owner override', async () => {
+      const client = clientFor({ platformFeePercentage: null, owner: { platformFeePercentage: '25' } });
+      expect(await revenueShareService.resolve('bot', client)).toEqual({ platformFeePercentage: 25, source: 'owner' });
+    });
+
+    it('should use the platform default without overrides', async () => {
+      revenueShareService.cached = 15;
+      revenueShareService.cachedAt = Date.now();
+
+      const client = clientFor({ platformFeePercentage: null, owner: { platformFeePercentage: null } });
+      expect(await revenueShareService.resolve('bot', client)).toEqual({ platformFeePercentage: 15, source: 'platform' });
+    });
+  });
+
+  describe('split', () => {
+    it('should split revenue by the platform percentage', () => {
+      const { platformFee, botOwnerEarns } = revenueShareService.split(0.002, 20);
+      expect(platformFee).toBeCloseTo(0.0004, 10);
+      expect(botOwnerEarns).toBeCloseTo(0.0016, 10);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import distributionService from '../../../src/services/distribution/distributionService.js';
+import { BOT_API_BATCH, BOT_SEND_POST_RESULTS } from '../../../src/config/constants.js';
+
+describe('SendPostBatch delivery', () => {
+  const chats = (n) => Array.from({ length: n }, (_, i) => ({ chatId: String(1000 + i) }));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return a result per chat in request order', async () => {
+    const deliverAd = jest.spyOn(distributionService, 'deliverAd')
+      .mockResolvedValueOnce({ code: BOT_SEND_POST_RESULTS.SUCCESS })
+      .mockResolvedValueOnce({ code: BOT_SEND_POST_RESULTS.UNDEFINED })
+      .mockResolvedValueOnce({ code: BOT_SEND_POST_RESULTS.USER_FORBIDDEN_ERROR });
+
+    const results = await distributionService.deliverBatch('bot', chats(3));
+
+    expect(results).toEqual([
+      { chatId: '1000', code: BOT_SEND_POST_RESULTS.SUCCESS },
+      { chatId: '1001', code: BOT_SEND_POST_RESULTS.UNDEFINED },
+      { chatId: '1002', code: BOT_SEND_POST_RESULTS.USER_FORBIDDEN_ERROR },
+    ]);
+    expect(deliverAd).toHaveBeenCalledWith('bot', '1001', '1001', null, {});
+  });
+
+  it('should retry a chat once after a short Telegram 429', async () => {
+    jest.spyOn(distributionService, 'deliverAd')
+      .mockResolvedValueOnce({ code: BOT_SEND_POST_RESULTS.TOO_MANY_REQUESTS_ERROR, retryAfter: 0 })
+      .mockResolvedValueOnce({ code: BOT_SEND_POST_RESULTS.SUCCESS });
+
+    const results = await distributionService.deliverBatch('bot', chats(1));
+
+    expect(results).toEqual([{ chatId: '1000', code: BOT_SEND_POST_RESULTS.SUCCESS }]);
+  });
+
+  it('should stop the batch when Telegram asks for a long pause', async () => {
+    const deliverAd = jest.spyOn(distributionService, 'deliverAd')
+      .mockResolvedValueOnce({ code: BOT_SEND_POST_RESULTS.SUCCESS })
+      .mockResolvedValueOnce({
+        code: BOT_SEND_POST_RESULTS.TOO_MANY_REQUESTS_ERROR,
+        retryAfter: BOT_API_BATCH.MAX_RETRY_AFTER_SECONDS + 1,
+      });
+
+    const results = await distributionService.deliverBatch('bot', chats(4));
+
+    expect(deliverAd).toHaveBeenCalledTimes(2);
+    expect(results.map((r) => r.code)).toEqual([
+      BOT_SEND_POST_RESULTS.SUCCESS,
+      BOT_SEND_POST_RESULTS.TOO_MANY_REQUESTS_ERROR,
+      BOT_SEND_POST_RESULTS.TOO_MANY_REQUESTS_ERROR,
+      BOT_SEND_POST_RESULTS.TOO_MANY_REQUESTS_ERROR,
+    ]);
+  });
+});
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import webhookService from '../../../src/services/webhook/webhookService.js';
+import { WEBHOOKS } from '../../../src/config/constants.js';
+import { createTestUser, prisma } from '../../helpers.js';
+
+describe('WebhookService', () => {
+  const { AD_APPROVED, AD_REJECTED } = WEBHOOKS.EVENTS;
+
+  const setup = async (events = [AD_APPROVED]) => {
+    const user = await createTestUser();
+    const { endpoint, secret } = await webhookService.createEndpoint(user.id, {
+      url: 'https://example.com/hooks',
+      events,
+    });
+    return { user, endpoint, secret };
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should sign the timestamp and raw body with the endpoint secret', () => {
+    const body = JSON.stringify({ event: AD_APPROVED });
+    const header = webhookService.sign('whsec_test', 1700000000, body);
+
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+    expect(header).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  it('should only accept public HTTPS endpoints and known events', async () => {
+    const user = await createTestUser();
+    const create = (url, events = [AD_APPROVED]) => webhookService.createEndpoint(user.id, { url, events });
+
+    await expect(create('http://example.com/hooks')).rejects.toThrow('Webhook URL must use HTTPS');
+    await expect(create('https://127.0.0.1/hooks')).rejects.toThrow('Webhook URL must be publicly reachable');
+    await expect(create('https://192.168.1.10/hooks')).rejects.toThrow('Webhook URL must be publicly reachable');
+    await expect(create('https://example.com/hooks', ['ad.deleted'])).rejects.toThrow('Events must be one of');
+  });
+
+  it('should refuse hostnames that resolve to a private address at send time', async () => {
+    const lookup = (options) => new Promise((resolve) => {
+      webhookService.lookup('localhost', options, (error) => resolve(error));
+    });
+
+    expect((await lookup({})).code).toBe('EPRIVATEADDRESS');
+    expect((await lookup({ all: true })).code).toBe('EPRIVATEADDRESS');
+
+    const { endpoint } = await setup();
+    const stored = await prisma.webhookEndpoint.update({
+      where: { id: endpoint.id },
+      data: { url: 'https://10.0.0.5/hooks' },
+    });
+    const result = await webhookService.send(stored, { id: 'delivery-1', event: AD_APPROVED, payload: {} });
+
+    expect(result.ok).toBe(false);
+    expect(result.body).toBeNull();
+    expect(result.error).toContain('publicly reachable');
+  });
+
+  it('should emit only to active endpoints subscribed to the event', async () => {
+    const enqueue = jest.spyOn(webhookService, 'enqueue').mockResolvedValue();
+    const { user, endpoint } = await setup([AD_APPROVED]);
+    const other = await webhookService.createEndpoint(user.id, {
+      url: 'https://example.org/hooks',
+      events: [AD_REJECTED],
+    });
+
+    const ids = await webhookService.emit(user.id, AD_APPROVED, { adId: 'ad-1' });
+
+    expect(ids).toHaveLength(1);
+    const delivery = await prisma.webhookDelivery.findUnique({ where: { id: ids[0] } });
+    expect(delivery.endpointId).toBe(endpoint.id);
+    expect(delivery.payload).toMatchObject({ event: AD_APPROVED, data: { adId: 'ad-1' } });
+    expect(enqueue).toHaveBeenCalledTimes(1);
+
+    await webhookService.updateEndpoint(user.id, other.endpoint.id, { isActive: false });
+    expect(await webhookService.emit(user.id, AD_REJECTED, { adId: 'ad-1' })).toEqual([]);
+  });
+
+  it('should log the response and retry failures with exponential backoff', async () => {
+    const enqueue = jest.spyOn(webhookService, 'enqueue').mockResolvedValue();
+    const { user } = await setup();
+    const [deliveryId] = await webhookService.emit(user.id, AD_APPROVED, { adId: 'ad-1' });
+
+    jest.spyOn(webhookService, 'send').mockResolvedValue({
+      ok: false, status: 500, body: 'oops', error: 'HTTP 500', durationMs: 12,
+    });
+
+    const first = await webhookService.deliver(deliveryId);
+    expect(first.status).toBe('PENDING');
+    expect(enqueue).toHaveBeenLastCalledWith({ id: deliveryId, attempts: 1 }, WEBHOOKS.BACKOFF_BASE_MS);
+
+    // Not due yet: a duplicate job does nothing
+    expect(await webhookService.deliver(deliveryId)).toEqual({ skipped: true });
+
+    await prisma.webhookDelivery.update({ where: { id: deliveryId }, data: { nextAttemptAt: new Date() } });
+    await webhookService.deliver(deliveryId);
+    expect(enqueue).toHaveBeenLastCalledWith({ id: deliveryId, attempts: 2 }, WEBHOOKS.BACKOFF_BASE_MS * 2);
+
+    const logged = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+    expect(logged).toMatchObject({ status: 'PENDING', attempts: 2, responseStatus: 500, responseBody: 'oops' });
+  });
+
+  it('should give up after the last attempt', async () => {
+    jest.spyOn(webhookService, 'enqueue').mockResolvedValue();
+    const { user, endpoint } = await setup();
+    const [deliveryId] = await webhookService.emit(user.id, AD_APPROVED, { adId: 'ad-1' });
+    await prisma.webhookDelivery.update({
+      where: { id: deliveryId },
+      data: { attempts: WEBHOOKS.MAX_ATTEMPTS - 1 },
+    });
+
+    jest.spyOn(webhookService, 'send').mockResolvedValue({
+      ok: false, status: null, body: null, error: 'ETIMEDOUT: timeout', durationMs: 10000,
+    });
+
+    expect((await webhookService.deliver(deliveryId)).status).toBe('FAILED');
+
+    const delivery = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+    expect(delivery.nextAttemptAt).toBeNull();
+    expect((await prisma.webhookEndpoint.findUnique({ where: { id: endpoint.id } })).failureCount).toBe(1);
+  });
+
+  it('should replay a delivery with the same payload for its owner only', async () => {
+    jest.spyOn(webhookService, 'enqueue').mockResolvedValue();
+    const { user } = await setup();
+    const [deliveryId] = await webhookService.emit(user.id, AD_APPROVED, { adId: 'ad-1' });
+    const original = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+
+    const replayed = await webhookService.replay(user.id, deliveryId);
+
+    expect(replayed.id).not.toBe(deliveryId);
+    expect(replayed.replayOf).toBe(deliveryId);
+    expect(replayed.payload).toEqual(original.payload);
+
+    const stranger = await createTestUser();
+    await expect(webhookService.replay(stranger.id, deliveryId)).rejects.toThrow('Webhook delivery not found');
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import withdrawalRiskService from '../../../src/services/payments/withdrawalRiskService.js';
+import withdrawService from '../../../src/services/payments/withdrawService.js';
+import payoutService from '../../../src/services/payments/payoutService.js';
+import { createTestUser, createTestBot, prisma } from '../../helpers.js';
+
+const ADDRESS = '0x1234567890abcdef1234567890abcdef12345678';
+const SETTINGS = { reviewThreshold: 500, minAccountAgeDays: 7 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rules = (flags) => flags.map((flag) => flag.rule);
+
+describe('WithdrawalRiskService', () => {
+  let user;
+
+  // Established user who has already been paid to ADDRESS
+  beforeEach(async () => {
+    user = await createTestUser({ balance: 1000 });
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { createdAt: new Date(Date.now() - 30 * DAY_MS) },
+    });
+    await prisma.withdrawRequest.create({
+      data: {
+        userId: user.id,
+        method: 'CRYPTO',
+        provider: 'CRYPTO',
+        network: 'BEP20',
+        address: ADDRESS,
+        amount: 20,
+        fee: 3,
+        netAmount: 17,
+        status: 'COMPLETED',
+      },
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should not flag a regular withdrawal', async () => {
+      expect(await withdrawalRiskService.evaluate(user.id, { amount: 50, address: ADDRESS }, SETTINGS)).toEqual([]);
+    });
+
+    it('should flag a new address, a large amount and a quarantined bot', async () => {
+      await createTestBot(user.id, { status: 'QUARANTINED' });
+
+      const flags = await withdrawalRiskService.evaluate(
+        user.id,
+        { amount: 600, address: '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd' },
+        SETTINGS
+      );
+
+      expect(rules(flags)).toEqual(['NEW_ADDRESS', 'LARGE_AMOUNT', 'QUARANTINED_BOT']);
+    });
+
+    it('should flag an address already used by another user', async () => {
+      const other = await createTestUser();
+
+      const flags = await withdrawalRiskService.evaluate(other.id, { amount: 50, address: ADDRESS }, SETTINGS);
+
+      expect(rules(flags)).toEqual(['NEW_ADDRESS', 'NEW_ACCOUNT', 'SHARED_ADDRESS']);
+      expect(flags[2].detail).toContain(user.id);
+    });
+  });
+
+  describe('two-person approval', () => {
+    it('should pay a flagged withdrawal only after two distinct admins approve', async () => {
+      const [first, second] = [await createTestUser({ role: 'ADMIN' }), await createTestUser({ role: 'ADMIN' })];
+
+      const withdrawal = await withdrawService.requestWithdrawal(user.id, {
+        amount: 600,
+        network: 'BEP20',
+        address: ADDRESS,
+      });
+      expect(withdrawal.status).toBe('PENDING_REVIEW');
+
+      const partial = await withdrawService.approveWithdrawal(withdrawal.id, first.id);
+      expect(partial.status).toBe('PENDING_REVIEW');
+      expect(partial.approvals).toBe(1);
+
+      await expect(withdrawService.approveWithdrawal(withdrawal.id, first.id)).rejects.toThrow('allaqachon');
+      await expect(withdrawService.approveWithdrawal(withdrawal.id, user.id)).rejects.toThrow();
+
+      const completed = await withdrawService.approveWithdrawal(withdrawal.id, second.id);
+      expect(completed.status).toBe('COMPLETED');
+
+      const audit = await prisma.auditLog.findMany({
+        where: { entityId: withdrawal.id },
+        orderBy: { createdAt: 'asc' },
+      });
+      expect(audit.map((row) => row.action)).toEqual([
+        'WITHDRAWAL_FLAGGED',
+        'WITHDRAWAL_REVIEW_APPROVED',
+        'WITHDRAWAL_REVIEW_APPROVED',
+        'WITHDRAWAL_APPROVED',
+      ]);
+    });
+
+    describe('after a failed payout', () => {
+      afterEach(() => {
+        delete process.env.PAYOUT_PROVIDER;
+        delete process.env.MOCK_PAYOUT_RESULT;
+      });
+
+      it('should go back to review and need two fresh approvals', async () => {
+        process.env.PAYOUT_PROVIDER = 'mock';
+        process.env.MOCK_PAYOUT_RESULT = 'rejected';
+        const [first, second] = [await createTestUser({ role: 'ADMIN' }), await createTestUser({ role: 'ADMIN' })];
+
+        const withdrawal = await withdrawService.requestWithdrawal(user.id, {
+          amount: 600,
+          network: 'BEP20',
+          address: ADDRESS,
+        });
+        await withdrawService.approveWithdrawal(withdrawal.id, first.id);
+        await withdrawService.approveWithdrawal(withdrawal.id, second.id);
+        await payoutService.submit(withdrawal.id);
+
+        const failed = await prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+        expect(failed.status).toBe('PENDING_REVIEW');
+
+        // One click is not enough, and the same admins can approve again
+        process.env.MOCK_PAYOUT_RESULT = 'finished';
+        const partial = await withdrawService.approveWithdrawal(withdrawal.id, first.id);
+        expect(partial.status).toBe('PENDING_REVIEW');
+        expect(partial.approvals).toBe(1);
+
+        const approved = await withdrawService.approveWithdrawal(withdrawal.id, second.id);
+        expect(approved.status).toBe('APPROVED');
+
+        await payoutService.submit(withdrawal.id);
+        const completed = await prisma.withdrawRequest.findUnique({ where: { id: withdrawal.id } });
+        expect(completed.status).toBe('COMPLETED');
+        expect(await prisma.withdrawalApproval.count({ where: { withdrawalId: withdrawal.id } })).toBe(4);
+      });
+    });
+  });
+});
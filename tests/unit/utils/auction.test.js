@@ -0,0 +1,63 @@
+import { describe, it, expect } from '@jest/globals';
+import adAuction from '../../../src/utils/auction.js';
+import { AUCTION } from '../../../src/config/constants.js';
+
+describe('Ad Auction', () => {
+  const makeAd = (id, finalCpm, data = {}) => ({
+    id,
+    finalCpm,
+    baseCpm: data.baseCpm ?? 1.5,
+    clicks: data.clicks ?? 0,
+    deliveredImpressions: data.deliveredImpressions ?? 0,
+    createdAt: data.createdAt ?? new Date('2026-01-01'),
+  });
+
+  describe('getQualityScore', () => {
+    it('should give new ads a neutral score', () => {
+      expect(adAuction.getQualityScore(makeAd('a', 2))).toBeCloseTo(1, 6);
+    });
+
+    it('should clamp the score', () => {
+      const great = makeAd('a', 2, { clicks: 5000, deliveredImpressions: 10000 });
+      const poor = makeAd('b', 2, { clicks: 0, deliveredImpressions: 100000 });
+
+      expect(adAuction.getQualityScore(great)).toBe(AUCTION.MAX_QUALITY_SCORE);
+      expect(adAuction.getQualityScore(poor)).toBe(AUCTION.MIN_QUALITY_SCORE);
+    });
+  });
+
+  describe('run', () => {
+    it('should return null without candidates', () => {
+      expect(adAuction.run([])).toBeNull();
+    });
+
+    it('should charge the runner-up price plus one cent', () => {
+      const result = adAuction.run([makeAd('low', 2), makeAd('high', 5)]);
+
+      expect(result.ad.id).toBe('high');
+      expect(result.bidCpm).toBe(5);
+      expect(result.clearingCpm).toBeCloseTo(2 + AUCTION.PRICE_INCREMENT, 4);
+      expect(result.runnerUpAdId).toBe('low');
+    });
+
+    it('should never charge more than the winner bid', () => {
+      const result = adAuction.run([makeAd('a', 3), makeAd('b', 3)]);
+
+      expect(result.clearingCpm).toBeLessThanOrEqual(result.bidCpm);
+    });
+
+    it('should charge the reserve price without competition', () => {
+      const result = adAuction.run([makeAd('solo', 4, { baseCpm: 1.5 })]);
+
+      expect(result.clearingCpm).toBe(1.5);
+      expect(result.runnerUpAdId).toBeNull();
+    });
+
+    it('should let a better CTR beat a slightly higher bid', () => {
+      const clicky = makeAd('clicky', 2, { clicks: 300, deliveredImpressions: 10000 });
+      const dull = makeAd('dull', 2.5, { clicks: 10, deliveredImpressions: 10000 });
+
+      expect(adAuction.run([dull, clicky]).ad.id).toBe('clicky');
+    });
+  });
+});
@@ -0,0 +1,18 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseJson } from '../../../src/utils/json.js';
+
+describe('parseJson', () => {
+  it('should read Json columns stored as objects or as strings', () => {
+    expect(parseJson({ a: 1 }, {})).toEqual({ a: 1 });
+    expect(parseJson('{"a":1}', {})).toEqual({ a: 1 });
+    expect(parseJson('[1,2]', [])).toEqual([1, 2]);
+  });
+
+  it('should fall back on empty and unparseable values', () => {
+    expect(parseJson(null, [])).toEqual([]);
+    expect(parseJson(undefined, {})).toEqual({});
+    expect(parseJson('{oops', [])).toEqual([]);
+    expect(parseJson('{oops')).toBeNull();
+    expect(parseJson(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from '@jest/globals';
+import { describeRequest, fieldSchema, getRouteSchemas } from '../../../src/utils/openapi.js';
+import { validate, validateSchema } from '../../../src/middleware/validate.js';
+
+describe('OpenAPI helpers', () => {
+  describe('fieldSchema', () => {
+    it('should type fields from their validators', () => {
+      expect(fieldSchema({ isString: true })).toEqual({ type: 'string' });
+      expect(fieldSchema({ isArray: { options: { min: 1, max: 5 } } }))
+        .toEqual({ type: 'array', minItems: 1, maxItems: 5 });
+      expect(fieldSchema({ isObject: true })).toEqual({ type: 'object' });
+      expect(fieldSchema({ isBoolean: { options: { strict: true } } })).toEqual({ type: 'boolean' });
+    });
+
+    it('should read validator options and messages', () => {
+      expect(fieldSchema({ isInt: { options: { min: 1, max: 8999999999 } } }))
+        .toEqual({ type: 'integer', minimum: 1, maximum: 8999999999, format: 'int64' });
+      expect(fieldSchema({ isFloat: { options: { min: 0 } } })).toEqual({ type: 'number', minimum: 0 });
+      expect(fieldSchema({ isIn: { options: [['uz', 'ru']] } })).toEqual({ type: 'string', enum: ['uz', 'ru'] });
+      expect(fieldSchema({ isEmail: true })).toEqual({ type: 'string', format: 'email' });
+      expect(fieldSchema({ isString: true, isLength: { options: { min: 1, max: 5 } } }))
+        .toEqual({ type: 'string', minLength: 1, maxLength: 5 });
+      expect(fieldSchema({ isString: true, notEmpty: { errorMessage: 'Required' } }))
+        .toEqual({ type: 'string', minLength: 1, description: 'Required' });
+    });
+  });
+
+  describe('describeRequest', () => {
+    it('should build the body from field paths and keep query fields as parameters', () => {
+      const post = validateSchema({
+        Chats: { isArray: true },
+        'Chats.*.Id': { isInt: true },
+        Note: { in: ['body', 'query'], optional: true, isString: true },
+      });
+
+      expect(describeRequest('post', getRouteSchemas({ handlers: [post] })).body).toEqual({
+        type: 'object',
+        required: ['Chats'],
+        properties: {
+          Chats: {
+            type: 'array',
+            items: { type: 'object', required: ['Id'], properties: { Id: { type: 'integer' } } },
+          },
+          Note: { type: 'string' },
+        },
+      });
+
+      const get = validateSchema({ Days: { optional: true, isInt: { options: { min: 1, max: 30 } } } }, ['query']);
+      const { body, parameters } = describeRequest('get', getRouteSchemas({ handlers: [get] }));
+
+      expect(body).toBeNull();
+      expect(parameters).toEqual([
+        { name: 'Days', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 30 } },
+      ]);
+    });
+
+    it('should ignore routes validated with plain chains', () => {
+      expect(getRouteSchemas({ handlers: [validate([])] })).toEqual([]);
+    });
+  });
+});
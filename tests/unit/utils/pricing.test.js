@@ -1,6 +1,6 @@
 import { describe, it, expect } from '@jest/globals';
 import pricingCalculator from '../../../src/utils/pricing.js';
-import { AD_CATEGORIES } from '../../../src/config/constants.js';
+import { AD_CATEGORIES, GEO_TARGETING } from '../../../src/config/constants.js';
 
 describe('Pricing Calculator', () => {
   const mockTier = {
@@ -65,6 +65,60 @@ describe('Pricing Calculator', () => {
       expect(result.cpmBid).toBe(0.5);
       expect(result.finalCPM).toBeGreaterThan(result.baseCPM);
     });
+
+    it('should apply percentage and fixed promo codes', () => {
+      const cost = (promoCode) => pricingCalculator.calculateAdCost({
+        tier: mockTier,
+        impressions: 1000,
+        category: 'general',
+        platformFeePercentage: 10,
+        promoCode: { isActive: true, ...promoCode },
+      });
+
+      expect(cost({ type: 'percentage', discount: 25 }).totalCost).toBe(1.5);
+      expect(cost({ type: 'fixed', discount: 0.5 }).totalCost).toBe(1.5);
+      expect(cost({ type: 'FIXED', discount: 0.5 }).discount).toBe(0.5);
+    });
+
+    it('should never discount more than the base cost', () => {
+      const result = pricingCalculator.calculateAdCost({
+        tier: mockTier,
+        impressions: 1000,
+        category: 'general',
+        platformFeePercentage: 10,
+        promoCode: { isActive: true, type: 'fixed', discount: 5 },
+      });
+
+      expect(result.discount).toBe(2);
+      expect(result.totalCost).toBe(0);
+    });
+  });
+
+  describe('calculateTargetingMultiplier', () => {
+    it('should charge for country include lists', () => {
+      const multiplier = pricingCalculator.calculateTargetingMultiplier({
+        countries: { include: ['UZ'] },
+      });
+
+      expect(multiplier).toBe(GEO_TARGETING.COUNTRY_MULTIPLIER);
+    });
+
+    it('should charge the city rate once when cities and countries are included', () => {
+      const multiplier = pricingCalculator.calculateTargetingMultiplier({
+        countries: { include: ['UZ'] },
+        cities: { include: ['Tashkent'] },
+      });
+
+      expect(multiplier).toBe(GEO_TARGETING.CITY_MULTIPLIER);
+    });
+
+    it('should not charge for exclude-only geo targeting', () => {
+      const multiplier = pricingCalculator.calculateTargetingMultiplier({
+        countries: { exclude: ['RU'] },
+      });
+
+      expect(multiplier).toBe(1.0);
+    });
   });
 
   describe('calculateImpressionRevenue', () => {
@@ -1,5 +1,6 @@
 import { describe, it, expect } from '@jest/globals';
 import tracking from '../../../src/utils/tracking.js';
+import { CONVERSIONS } from '../../../src/config/constants.js';
 
 describe('Tracking Utils', () => {
   describe('generateToken/decryptToken', () => {
@@ -35,4 +36,19 @@ describe('Tracking Utils', () => {
       expect(wrapped[0].url).not.toBe(buttons[0].url);
     });
   });
-});
\ No newline at end of file
+
+  describe('appendClickId', () => {
+    it('should append the click id to the destination URL', () => {
+      const url = tracking.appendClickId('https://example.com/landing?utm_source=tg', 'abc123');
+      const parsed = new URL(url);
+
+      expect(parsed.searchParams.get(CONVERSIONS.CLICK_ID_PARAM)).toBe('abc123');
+      expect(parsed.searchParams.get('utm_source')).toBe('tg');
+    });
+
+    it('should leave non-http URLs unchanged', () => {
+      expect(tracking.appendClickId('tg://resolve?domain=test', 'abc123')).toBe('tg://resolve?domain=test');
+      expect(tracking.appendClickId('not a url', 'abc123')).toBe('not a url');
+    });
+  });
+});